@@ -0,0 +1,650 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { extractUrls, isMediaFile } = require('../utils/urlExtractor');
+const { NO_MENTIONS, sanitizeLine } = require('../utils/discordSanitizer');
+const { RESPONSE_STYLES, RESPONSE_FORMATS } = require('../services/guildSettingsStore');
+const { SOURCE_LABELS } = require('../services/domainClassifier');
+const { parseDomainRule } = require('../utils/domainRules');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Discord limits a string option to 25 choices
+const MAX_OPTION_CHOICES = 25;
+
+/**
+ * Handles slash commands for on-demand bypasses and guild administration
+ * Bypasses run through the MessageHandler's bypass service and reuse its
+ * response formatting and feedback buttons.
+ */
+class CommandHandler {
+  /**
+   * @param {MessageHandler} messageHandler - Message handler that owns the bypass service
+   */
+  constructor(messageHandler) {
+    this.messageHandler = messageHandler;
+  }
+
+  /**
+   * Builds the slash command definitions
+   * @param {string[]} methodNames - Bypass method names offered as /unlock choices
+   * @returns {Object[]} Command definitions in Discord API format
+   */
+  buildCommands(methodNames = []) {
+    const unlock = new SlashCommandBuilder()
+      .setName('unlock')
+      .setDescription('Bypass the paywall for an article, even if it was not detected as paywalled')
+      .addStringOption(option => option
+        .setName('url')
+        .setDescription('Article URL')
+        .setRequired(true))
+      .addStringOption(option => {
+        option
+          .setName('method')
+          .setDescription('Only try this bypass method')
+          .setRequired(false);
+
+        if (methodNames.length > 0) {
+          option.addChoices(...methodNames.slice(0, MAX_OPTION_CHOICES).map(name => ({ name, value: name })));
+        }
+        return option;
+      })
+      .addBooleanOption(option => option
+        .setName('private')
+        .setDescription('Only show the result to you')
+        .setRequired(false));
+
+    const archive = new SlashCommandBuilder()
+      .setName('archive')
+      .setDescription('Find archived copies of an article')
+      .addStringOption(option => option
+        .setName('url')
+        .setDescription('Article URL')
+        .setRequired(true))
+      .addBooleanOption(option => option
+        .setName('private')
+        .setDescription('Only show the result to you')
+        .setRequired(false));
+
+    const settings = new SlashCommandBuilder()
+      .setName('config')
+      .setDescription('Configure PaywallFlower for this server')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .setDMPermission(false)
+      .addSubcommand(subcommand => subcommand
+        .setName('show')
+        .setDescription('Show the current settings'))
+      .addSubcommand(subcommand => subcommand
+        .setName('methods')
+        .setDescription('Choose which bypass methods may be used')
+        .addStringOption(option => option
+          .setName('enabled')
+          .setDescription(`Comma-separated method names, or "all" (${methodNames.join(', ')})`)
+          .setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('response-style')
+        .setDescription('Choose how results are posted')
+        .addStringOption(option => option
+          .setName('style')
+          .setDescription('auto: links or article text, links: never article text, archive: archive links only')
+          .setRequired(true)
+          .addChoices(...RESPONSE_STYLES.map(style => ({ name: style, value: style })))))
+      .addSubcommand(subcommand => subcommand
+        .setName('response-format')
+        .setDescription('Choose between rich embeds and plain text')
+        .addStringOption(option => option
+          .setName('format')
+          .setDescription('embed: article details in an embed, text: plain message')
+          .setRequired(true)
+          .addChoices(...RESPONSE_FORMATS.map(format => ({ name: format, value: format })))))
+      .addSubcommand(subcommand => subcommand
+        .setName('threshold')
+        .setDescription('Set the paywall detection score threshold')
+        .addIntegerOption(option => option
+          .setName('value')
+          .setDescription('Score threshold; leave empty to use the default')
+          .setMinValue(1)
+          .setRequired(false)))
+      .addSubcommand(subcommand => subcommand
+        .setName('channel')
+        .setDescription('Allow or deny automatic responses in a channel or category')
+        .addStringOption(option => option
+          .setName('action')
+          .setDescription('allow: respond only in allowed channels, deny: never respond, clear: remove from both lists')
+          .setRequired(true)
+          .addChoices(
+            { name: 'allow', value: 'allow' },
+            { name: 'deny', value: 'deny' },
+            { name: 'clear', value: 'clear' }
+          ))
+        .addChannelOption(option => option
+          .setName('channel')
+          .setDescription('Channel or category to update')
+          .setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('optout-role')
+        .setDescription('Never send automatic responses to members with a role')
+        .addStringOption(option => option
+          .setName('action')
+          .setDescription('add: opt the role out, remove: opt the role back in')
+          .setRequired(true)
+          .addChoices(
+            { name: 'add', value: 'add' },
+            { name: 'remove', value: 'remove' }
+          ))
+        .addRoleOption(option => option
+          .setName('role')
+          .setDescription('Role to update')
+          .setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('domain')
+        .setDescription('Treat a site as paywalled or not in this server, whatever the global lists say')
+        .addStringOption(option => option
+          .setName('action')
+          .setDescription('paywall: always bypass, allow: never bypass, clear: use the global lists again')
+          .setRequired(true)
+          .addChoices(
+            { name: 'paywall', value: 'paywall' },
+            { name: 'allow', value: 'allow' },
+            { name: 'clear', value: 'clear' }
+          ))
+        .addStringOption(option => option
+          .setName('rule')
+          .setDescription('Domain rule, e.g. example.com, *.example.com or example.com/news')
+          .setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('explain')
+        .setDescription('Explain why a URL is or is not treated as paywalled')
+        .addStringOption(option => option
+          .setName('url')
+          .setDescription('Article URL')
+          .setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('reset')
+        .setDescription('Reset all settings to the defaults'));
+
+    const preferences = new SlashCommandBuilder()
+      .setName('paywallflower')
+      .setDescription('Manage your PaywallFlower preferences for this server')
+      .setDMPermission(false)
+      .addSubcommand(subcommand => subcommand
+        .setName('optout')
+        .setDescription('Stop automatic responses to your messages'))
+      .addSubcommand(subcommand => subcommand
+        .setName('optin')
+        .setDescription('Resume automatic responses to your messages'));
+
+    return [unlock, archive, settings, preferences].map(command => command.toJSON());
+  }
+
+  /**
+   * Gets the names of all registered bypass methods
+   * @returns {string[]}
+   */
+  getMethodNames() {
+    return this.messageHandler.isSmartService
+      ? this.messageHandler.paywallBypassService.registry.getAllMethods().map(method => method.name)
+      : [];
+  }
+
+  /**
+   * Registers slash commands with Discord
+   * Commands are registered to DISCORD_COMMAND_GUILD_ID when set, otherwise globally
+   * @param {Client} client - Ready Discord client
+   */
+  async registerCommands(client) {
+    const commands = this.buildCommands(this.getMethodNames());
+    const guildId = config.discord.commandGuildId;
+
+    if (guildId) {
+      await client.application.commands.set(commands, guildId);
+    } else {
+      await client.application.commands.set(commands);
+    }
+
+    logger.info('Registered slash commands', {
+      commands: commands.map(command => command.name),
+      scope: guildId ? `guild ${guildId}` : 'global'
+    });
+  }
+
+  /**
+   * Handles a chat input command interaction
+   * @param {ChatInputCommandInteraction} interaction - Discord interaction object
+   * @returns {Promise<boolean>} True if the command was handled
+   */
+  async handleCommand(interaction) {
+    try {
+      switch (interaction.commandName) {
+        case 'unlock':
+          await this.handleUnlock(interaction);
+          return true;
+        case 'archive':
+          await this.handleArchive(interaction);
+          return true;
+        case 'config':
+          await this.handleConfig(interaction);
+          return true;
+        case 'paywallflower':
+          await this.handlePreferences(interaction);
+          return true;
+        default:
+          return false;
+      }
+    } catch (error) {
+      logger.error('Error handling command', {
+        interactionId: interaction.id,
+        commandName: interaction.commandName,
+        error: error.message,
+        stack: error.stack
+      });
+
+      await this.replyWithError(interaction, '❌ An error occurred while processing this command.');
+      return true;
+    }
+  }
+
+  /**
+   * Handles /unlock url:<url> [method:<name>]
+   * @param {ChatInputCommandInteraction} interaction - Discord interaction object
+   */
+  async handleUnlock(interaction) {
+    const method = interaction.options.getString('method');
+
+    await this.runBypass(interaction, {
+      skipDetection: true,
+      methods: method ? [method] : undefined
+    });
+  }
+
+  /**
+   * Handles /archive url:<url>
+   * @param {ChatInputCommandInteraction} interaction - Discord interaction object
+   */
+  async handleArchive(interaction) {
+    await this.runBypass(interaction, {
+      skipDetection: true,
+      archiveOnly: true
+    });
+  }
+
+  /**
+   * Runs a bypass for the command's URL and replies with the result
+   * @param {ChatInputCommandInteraction} interaction - Discord interaction object
+   * @param {Object} bypassOptions - Options passed to SmartBypassService.bypassPaywall()
+   */
+  async runBypass(interaction, bypassOptions) {
+    const [url] = extractUrls(interaction.options.getString('url', true));
+    const ephemeral = interaction.options.getBoolean('private') === true;
+
+    if (!url) {
+      await interaction.reply({
+        content: '❌ Please provide a valid http(s) URL.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (!this.messageHandler.isSmartService) {
+      await interaction.reply({
+        content: '❌ Slash commands are not available with the legacy bypass service.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const limit = this.messageHandler.paywallBypassService.checkCallerRateLimit({
+      userId: interaction.user.id,
+      channelId: interaction.channelId,
+      guildId: interaction.guildId
+    });
+    if (!limit.allowed) {
+      await interaction.reply({
+        content: this.messageHandler.responseFormatter.formatThrottleNotice(limit),
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral });
+
+    const result = await this.messageHandler.paywallBypassService.bypassPaywall(url, {
+      ...bypassOptions,
+      guildId: interaction.guildId
+    });
+
+    logger.info('Processed bypass command', {
+      commandName: interaction.commandName,
+      url,
+      success: result.success,
+      method: result.method,
+      userId: interaction.user.id
+    });
+
+    if (!result.success) {
+      // Errors can quote the page, e.g. a service's error message
+      await interaction.editReply({
+        content: `❌ Could not unlock ${url}: ${sanitizeLine(result.error)}`,
+        allowedMentions: NO_MENTIONS
+      });
+      return;
+    }
+
+    const payload = await this.messageHandler.buildResponsePayload({ originalUrl: url, ...result }, interaction.guildId);
+    await interaction.editReply({
+      ...payload,
+      components: [this.messageHandler.createFeedbackButtons({ originalUrl: url, ...result }, {
+        guildId: interaction.guildId,
+        channelId: interaction.channelId
+      })],
+      allowedMentions: NO_MENTIONS
+    });
+  }
+
+  /**
+   * Handles /config subcommands
+   * Discord hides the command from members without Manage Server, but the
+   * permission is checked again here since server admins can override that.
+   * @param {ChatInputCommandInteraction} interaction - Discord interaction object
+   */
+  async handleConfig(interaction) {
+    if (!interaction.guildId) {
+      await interaction.reply({ content: '❌ This command can only be used in a server.', ephemeral: true });
+      return;
+    }
+
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ content: '❌ You need the Manage Server permission to change settings.', ephemeral: true });
+      return;
+    }
+
+    const guildSettings = this.messageHandler.guildSettings;
+    const guildId = interaction.guildId;
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === 'explain') {
+      await this.handleExplain(interaction);
+      return;
+    }
+
+    try {
+      switch (subcommand) {
+        case 'methods':
+          await guildSettings.update(guildId, {
+            enabledMethods: this.parseMethodList(interaction.options.getString('enabled', true))
+          });
+          break;
+        case 'response-style':
+          await guildSettings.update(guildId, {
+            responseStyle: interaction.options.getString('style', true)
+          });
+          break;
+        case 'response-format':
+          await guildSettings.update(guildId, {
+            responseFormat: interaction.options.getString('format', true)
+          });
+          break;
+        case 'threshold':
+          await guildSettings.update(guildId, {
+            paywallThreshold: interaction.options.getInteger('value')
+          });
+          break;
+        case 'channel':
+          await guildSettings.update(guildId, this.updateChannelLists(
+            guildSettings.get(guildId),
+            interaction.options.getString('action', true),
+            interaction.options.getChannel('channel', true).id
+          ));
+          break;
+        case 'optout-role':
+          await guildSettings.update(guildId, {
+            optOutRoles: this.updateIdList(
+              guildSettings.get(guildId).optOutRoles,
+              interaction.options.getString('action', true) === 'add',
+              interaction.options.getRole('role', true).id
+            )
+          });
+          break;
+        case 'domain':
+          await guildSettings.update(guildId, this.updateDomainLists(
+            guildSettings.get(guildId),
+            interaction.options.getString('action', true),
+            interaction.options.getString('rule', true)
+          ));
+          break;
+        case 'reset':
+          await guildSettings.reset(guildId);
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+      return;
+    }
+
+    if (subcommand !== 'show') {
+      logger.info('Guild settings changed', { guildId, subcommand, userId: interaction.user.id });
+    }
+
+    await interaction.reply({
+      content: this.formatGuildSettings(guildSettings.get(guildId)),
+      ephemeral: true
+    });
+  }
+
+  /**
+   * Handles /config explain url:<url>
+   * Shows which domain rule decided the URL and what it outranked, or the
+   * heuristic's verdict when no rule matches.
+   * @param {ChatInputCommandInteraction} interaction - Discord interaction object
+   */
+  async handleExplain(interaction) {
+    const [url] = extractUrls(interaction.options.getString('url', true));
+
+    if (!url) {
+      await interaction.reply({
+        content: '❌ Please provide a valid http(s) URL.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const detector = this.messageHandler.paywallBypassService.paywallDetector;
+    const settings = this.messageHandler.guildSettings.get(interaction.guildId);
+    const lines = [`🔎 **Paywall classification for <${url}>**`];
+
+    if (isMediaFile(url)) {
+      lines.push('**Result:** not paywalled', '**Decided by:** media file; media links are never bypassed');
+    } else {
+      const classification = detector.classifyDomain(url, {
+        paywallDomains: settings.paywallDomains,
+        whitelistedDomains: settings.whitelistedDomains
+      });
+
+      if (classification.paywalled !== null) {
+        lines.push(
+          `**Result:** ${classification.paywalled ? 'paywalled' : 'not paywalled'}`,
+          `**Decided by:** ${classification.reason}`
+        );
+      } else {
+        // Nothing on the lists, so the page itself decides
+        const analysis = await detector.getDetailedAnalysis(url, {
+          threshold: settings.paywallThreshold || undefined
+        });
+        lines.push(analysis.error
+          ? `**Result:** unknown\n**Decided by:** ${SOURCE_LABELS.heuristic}: could not check the page (${sanitizeLine(analysis.error)})`
+          : `**Result:** ${analysis.hasPaywall ? 'paywalled' : 'not paywalled'}\n` +
+            `**Decided by:** ${SOURCE_LABELS.heuristic}: ${sanitizeLine(analysis.reason)}`);
+      }
+
+      if (classification.matches.length > 0) {
+        lines.push('**Matching rules:**', ...classification.matches.map(match => (
+          `• ${SOURCE_LABELS[match.source]} ${match.paywalled ? 'paywall list' : 'whitelist'}: \`${match.rule}\``
+        )));
+      }
+    }
+
+    logger.info('Explained paywall classification', {
+      guildId: interaction.guildId,
+      url,
+      userId: interaction.user.id
+    });
+
+    await interaction.editReply({ content: lines.join('\n'), allowedMentions: NO_MENTIONS });
+  }
+
+  /**
+   * Handles /paywallflower optout|optin
+   * Opting out only stops automatic responses; the member can still use /unlock and /archive.
+   * @param {ChatInputCommandInteraction} interaction - Discord interaction object
+   */
+  async handlePreferences(interaction) {
+    if (!interaction.guildId) {
+      await interaction.reply({ content: '❌ This command can only be used in a server.', ephemeral: true });
+      return;
+    }
+
+    const optedOut = interaction.options.getSubcommand() === 'optout';
+    await this.messageHandler.guildSettings.setUserOptOut(interaction.guildId, interaction.user.id, optedOut);
+
+    logger.info('User auto-reply preference changed', {
+      guildId: interaction.guildId,
+      userId: interaction.user.id,
+      optedOut
+    });
+
+    await interaction.reply({
+      content: optedOut
+        ? '🔕 PaywallFlower will no longer respond to your messages in this server. Use `/paywallflower optin` to undo.'
+        : '🔔 PaywallFlower will respond to your messages in this server again.',
+      ephemeral: true
+    });
+  }
+
+  /**
+   * Parses a comma-separated method list
+   * @param {string} value - Method names, or "all"
+   * @returns {string[]|null} Method names, or null for all methods
+   * @throws {Error} If a name does not match a registered method
+   */
+  parseMethodList(value) {
+    if (value.trim().toLowerCase() === 'all') {
+      return null;
+    }
+
+    const methodNames = this.getMethodNames();
+    const names = value.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !methodNames.includes(name));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown method(s): ${unknown.join(', ')}. Available: ${methodNames.join(', ')}`);
+    }
+
+    return names;
+  }
+
+  /**
+   * Applies a channel allow/deny/clear action to a guild's channel lists
+   * @param {Object} settings - Current guild settings
+   * @param {string} action - allow, deny or clear
+   * @param {string} channelId - Channel ID
+   * @returns {{allowedChannels: string[], deniedChannels: string[]}} Updated lists
+   */
+  updateChannelLists(settings, action, channelId) {
+    const allowedChannels = settings.allowedChannels.filter(id => id !== channelId);
+    const deniedChannels = settings.deniedChannels.filter(id => id !== channelId);
+
+    if (action === 'allow') {
+      allowedChannels.push(channelId);
+    } else if (action === 'deny') {
+      deniedChannels.push(channelId);
+    }
+
+    return { allowedChannels, deniedChannels };
+  }
+
+  /**
+   * Applies a paywall/allow/clear action to a guild's domain rules
+   * @param {Object} settings - Current guild settings
+   * @param {string} action - paywall, allow or clear
+   * @param {string} text - Domain rule
+   * @returns {{paywallDomains: string[], whitelistedDomains: string[]}} Updated lists
+   * @throws {Error} If the rule can't be parsed
+   */
+  updateDomainLists(settings, action, text) {
+    const parsed = parseDomainRule(text);
+    if (!parsed || parsed.exception) {
+      throw new Error(`"${sanitizeLine(text)}" is not a domain rule. Use e.g. example.com, *.example.com or example.com/news`);
+    }
+
+    const paywallDomains = settings.paywallDomains.filter(rule => rule !== parsed.rule);
+    const whitelistedDomains = settings.whitelistedDomains.filter(rule => rule !== parsed.rule);
+
+    if (action === 'paywall') {
+      paywallDomains.push(parsed.rule);
+    } else if (action === 'allow') {
+      whitelistedDomains.push(parsed.rule);
+    }
+
+    return { paywallDomains, whitelistedDomains };
+  }
+
+  /**
+   * Adds an ID to or removes it from a list
+   * @param {string[]} ids - Current IDs
+   * @param {boolean} add - True to add, false to remove
+   * @param {string} id - ID to add or remove
+   * @returns {string[]} Updated list
+   */
+  updateIdList(ids, add, id) {
+    const updated = ids.filter(existing => existing !== id);
+    if (add) {
+      updated.push(id);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Formats guild settings for display
+   * @param {Object} settings - Guild settings
+   * @returns {string}
+   */
+  formatGuildSettings(settings) {
+    const formatChannels = (ids, empty) => ids.length > 0 ? ids.map(id => `<#${id}>`).join(', ') : empty;
+    const formatRules = rules => rules.length > 0 ? rules.map(rule => `\`${rule}\``).join(', ') : 'none';
+    return [
+      '⚙️ **PaywallFlower settings for this server**',
+      `**Enabled methods:** ${settings.enabledMethods ? settings.enabledMethods.join(', ') : 'all'}`,
+      `**Response style:** ${settings.responseStyle}`,
+      `**Response format:** ${settings.responseFormat}`,
+      `**Paywall threshold:** ${settings.paywallThreshold || `default (${config.paywallDetection.threshold})`}`,
+      `**Allowed channels:** ${formatChannels(settings.allowedChannels, 'all')}`,
+      `**Denied channels:** ${formatChannels(settings.deniedChannels, 'none')}`,
+      `**Opt-out roles:** ${settings.optOutRoles.length > 0 ? settings.optOutRoles.map(id => `<@&${id}>`).join(', ') : 'none'}`,
+      `**Opted-out members:** ${settings.optedOutUsers.length}`,
+      `**Paywalled domains:** ${formatRules(settings.paywallDomains)}`,
+      `**Allowed domains:** ${formatRules(settings.whitelistedDomains)}`
+    ].join('\n');
+  }
+
+  /**
+   * Replies with an error, whether or not the interaction was already deferred
+   * @param {ChatInputCommandInteraction} interaction - Discord interaction object
+   * @param {string} content - Error message
+   */
+  async replyWithError(interaction, content) {
+    try {
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content });
+      } else {
+        await interaction.reply({ content, ephemeral: true });
+      }
+    } catch (replyError) {
+      logger.error('Failed to send error response', { error: replyError.message });
+    }
+  }
+}
+
+module.exports = CommandHandler;
@@ -1,26 +1,57 @@
-const { extractUrls } = require('../utils/urlExtractor');
+const { extractUrls, extractDomain } = require('../utils/urlExtractor');
 const SmartBypassService = require('../services/smartBypassService');
 const PaywallBypassService = require('../services/paywallBypassService');
+const GuildSettingsStore = require('../services/guildSettingsStore');
+const FeedbackStore = require('../services/feedbackStore');
+const ResponseFormatter = require('./responseFormatter');
+const { MESSAGE_CONTENT_LIMIT } = require('./responseFormatter');
+const { fetchArticleMetadata, mergeArticleMetadata } = require('../utils/articleMetadata');
+const { NO_MENTIONS, sanitizeLine, sanitizeText } = require('../utils/discordSanitizer');
 const logger = require('../utils/logger');
-const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const config = require('../config');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
 const fs = require('fs').promises;
 const path = require('path');
 
+/**
+ * Replies sent after a user gives feedback on a bypass result
+ */
+const FEEDBACK_THANKS = {
+  bypass_failed: '📝 Thank you for reporting! We\'ve blacklisted this method for this site and will try other approaches.',
+  not_paywalled: '✅ Thank you! We\'ve added this site to our whitelist and won\'t try to bypass it in the future.'
+};
+
+// Throttle notices can't be ephemeral in a channel, so they remove themselves
+const THROTTLE_NOTICE_LIFETIME_MS = 10000;
+
+// Multi-link replies can be paged and re-rendered for this long; older ones only keep their feedback records
+const CONSOLIDATED_REPLY_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_CONSOLIDATED_REPLIES = 500;
+
+// Replies ping nobody, not even the author of the message replied to
+const REPLY_MENTIONS = { ...NO_MENTIONS, repliedUser: false };
+
+const CACHED_NOTE = '\n*Served from cache*';
+
 class MessageHandler {
   constructor(options = {}) {
+    this.guildSettings = new GuildSettingsStore();
+    this.responseFormatter = new ResponseFormatter();
+
     // Use SmartBypassService by default, fallback to legacy service if specified
     if (options.useLegacyService) {
       this.paywallBypassService = new PaywallBypassService();
       this.isSmartService = false;
     } else {
-      this.paywallBypassService = new SmartBypassService();
+      this.paywallBypassService = new SmartBypassService({ guildSettings: this.guildSettings });
       this.isSmartService = true;
     }
     
     this.processingMessages = new Set(); // Prevent duplicate processing
-    this.feedbackData = new Map(); // Store feedback data for button interactions
+    this.feedbackStore = new FeedbackStore(); // What each feedback button acts on, kept across restarts
+    this.consolidatedReplies = new Map(); // replyId -> entries and current page of a multi-link reply
+    this.throttleNotices = new Map(); // userId -> time until which they aren't notified again
     this.initialized = false;
+    this.initializing = null; // Promise of the initialization in progress
     
     // Initialize the service
     this.initialize().catch(error => {
@@ -30,18 +61,45 @@ class MessageHandler {
 
   /**
    * Initializes the message handler and its services
+   * The constructor starts initialization; calling this again waits for that
+   * same run, or retries it if it failed.
    */
   async initialize() {
     if (this.initialized) return;
 
+    if (!this.initializing) {
+      this.initializing = this.runInitialization().finally(() => {
+        this.initializing = null;
+      });
+    }
+    await this.initializing;
+  }
+
+  /**
+   * Loads services and stored state; use initialize(), which runs this once
+   */
+  async runInitialization() {
     try {
       // Initialize the bypass service if it's the smart service
       if (this.isSmartService) {
         await this.paywallBypassService.initialize();
+        this.responseFormatter.registerMethods(this.paywallBypassService.registry.getAllMethods());
       }
 
       // Load user whitelist
       await this.loadUserWhitelist();
+
+      // Report rules that are on a paywall list and a whitelist, now that feedback is loaded
+      this.paywallBypassService.paywallDetector.validateDomainRules();
+
+      // Load per-guild settings
+      await this.guildSettings.load();
+
+      // Load feedback records so buttons posted before a restart keep working
+      await this.feedbackStore.load();
+      if (process.env.NODE_ENV !== 'test') {
+        this.feedbackStore.start();
+      }
       
       this.initialized = true;
       logger.info('MessageHandler initialized successfully', {
@@ -64,6 +122,11 @@ class MessageHandler {
       return;
     }
 
+    // Respect the guild's channel allow/deny lists and member opt-outs
+    if (message.guild && !this.shouldAutoReply(message)) {
+      return;
+    }
+
     // Prevent duplicate processing of the same message
     if (this.processingMessages.has(message.id)) {
       return;
@@ -84,12 +147,31 @@ class MessageHandler {
         guildId: message.guild?.id
       });
 
-      // Process URLs for paywall bypass
-      const results = await this.paywallBypassService.processUrls(urls);
+      // Process URLs for paywall bypass; the sender is charged for each link that passes detection
+      let throttle = null;
+      const options = { guildId: message.guild?.id };
+      if (this.isSmartService) {
+        options.caller = {
+          userId: message.author.id,
+          channelId: message.channel.id,
+          guildId: message.guild?.id
+        };
+        options.onThrottled = limit => {
+          throttle = throttle || limit;
+        };
+      }
+
+      const results = await this.paywallBypassService.processUrls(urls, options);
 
-      // Send responses for successful bypasses
-      for (const result of results) {
-        await this.sendBypassResponse(message, result);
+      // Send one reply per message, listing every link when there are several
+      if (results.length === 1) {
+        await this.sendBypassResponse(message, results[0]);
+      } else if (results.length > 1) {
+        await this.sendConsolidatedResponse(message, results);
+      }
+
+      if (throttle) {
+        await this.sendThrottleNotice(message, throttle);
       }
 
     } catch (error) {
@@ -103,6 +185,119 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Checks a guild message against the guild's channel lists and opt-outs
+   * @param {Message} message - Discord message object
+   * @returns {boolean} True if the bot may auto-reply to the message
+   */
+  shouldAutoReply(message) {
+    const guildId = message.guild.id;
+    const channelIds = getChannelScope(message.channel);
+
+    if (!this.guildSettings.isChannelAllowed(guildId, channelIds)) {
+      logger.debug('Skipping message in disallowed channel', { guildId, channelId: message.channel.id });
+      return false;
+    }
+
+    const roleIds = message.member?.roles?.cache ? [...message.member.roles.cache.keys()] : [];
+    if (this.guildSettings.isUserOptedOut(guildId, message.author.id, roleIds)) {
+      logger.debug('Skipping message from opted-out member', { guildId, userId: message.author.id });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Formats the message content for a bypass result
+   * @param {Object} result - Bypass result object
+   * @param {string} responseStyle - Guild response style; only 'auto' shows extracted text
+   * @returns {string} Message content
+   */
+  formatBypassResponse(result, responseStyle = 'auto') {
+    let responseContent;
+
+    // Handle different response formats based on service type
+    if (this.isSmartService) {
+      // SmartBypassService response format
+      if (result.extractedContent && responseStyle === 'auto') {
+        // For extracted content, use the pre-formatted content
+        const content = this.sanitizeExtractedContent(result.extractedContent, result.cached ? CACHED_NOTE.length : 0);
+        responseContent = result.cached ? `${content}${CACHED_NOTE}` : content;
+      } else {
+        // Links are headed by the format their method registered
+        responseContent = this.responseFormatter.formatText(result);
+      }
+    } else {
+      // Legacy PaywallBypassService response format
+      if (result.method === 'archive') {
+        responseContent = `🔓 **Archive link found:**\n${result.result}`;
+      } else if (result.method === 'browser') {
+        responseContent = this.formatCondensedContent(result.result);
+      }
+    }
+
+    return responseContent;
+  }
+
+  /**
+   * Builds the message payload for a bypass result in the guild's response format
+   * @param {Object} result - Bypass result object
+   * @param {string|null} guildId - Guild ID (null for DMs)
+   * @returns {Promise<Object>} Payload with either content or embeds
+   */
+  async buildResponsePayload(result, guildId) {
+    const { responseStyle, responseFormat } = this.guildSettings.get(guildId);
+
+    if (!this.isSmartService || responseFormat === 'text') {
+      return { content: this.formatBypassResponse(result, responseStyle) };
+    }
+
+    let article = await this.getArticleMetadata(result);
+    let body = null;
+
+    if (result.extractedContent && responseStyle === 'auto') {
+      const extracted = this.parseExtractedContent(result.extractedContent);
+      article = mergeArticleMetadata(article, { title: sanitizeLine(extracted.title) || null });
+      body = this.condenseText(sanitizeText(extracted.content)) || null;
+    }
+
+    return { embeds: [this.responseFormatter.buildEmbed(result, article, body)] };
+  }
+
+  /**
+   * Fetches article metadata for a result from the original page, falling
+   * back to the bypass link (e.g. the archived copy) for missing fields
+   * @param {Object} result - Bypass result object
+   * @returns {Promise<ArticleMetadata|null>} Metadata with its text sanitized for Discord
+   */
+  async getArticleMetadata(result) {
+    const original = result.originalUrl ? await fetchArticleMetadata(result.originalUrl) : null;
+    if (original && original.title && original.image) {
+      return this.sanitizeArticleMetadata(original);
+    }
+
+    const link = this.responseFormatter.getLink(result);
+    const bypassed = link && link !== result.originalUrl ? await fetchArticleMetadata(link) : null;
+
+    return original || bypassed ? this.sanitizeArticleMetadata(mergeArticleMetadata(original, bypassed)) : null;
+  }
+
+  /**
+   * Sanitizes the text fields of article metadata, which come straight from the page
+   * @param {ArticleMetadata} article - Article metadata
+   * @returns {ArticleMetadata}
+   */
+  sanitizeArticleMetadata(article) {
+    const sanitized = { ...article };
+    ['title', 'description', 'siteName', 'author'].forEach(field => {
+      if (sanitized[field]) {
+        sanitized[field] = sanitizeLine(sanitized[field]);
+      }
+    });
+    return sanitized;
+  }
+
   /**
    * Sends a response with the bypass result
    * @param {Message} originalMessage - Original Discord message
@@ -110,55 +305,20 @@ class MessageHandler {
    */
   async sendBypassResponse(originalMessage, result) {
     try {
-      let responseContent;
-
-      // Handle different response formats based on service type
-      if (this.isSmartService) {
-        // SmartBypassService response format
-        if (result.method && (result.method.includes('archive') || result.method === 'archive_today' || result.method === 'wayback_machine')) {
-          // For archive links, send a simple response
-          responseContent = `🔓 **Archive link found (${result.method}):**\n${result.result}`;
-        } else if (result.extractedContent) {
-          // For extracted content, use the pre-formatted content
-          responseContent = result.extractedContent;
-        } else if (result.method && (result.method === '12ft_io' || result.method === 'outline_com' || result.method === 'google_cache')) {
-          // For bypass service links
-          responseContent = `🔓 **Bypass link found (${result.method}):**\n${result.result}`;
-        } else {
-          // Fallback formatting
-          responseContent = `🔓 **Content bypassed via ${result.method}:**\n${result.result}`;
-        }
-      } else {
-        // Legacy PaywallBypassService response format
-        if (result.method === 'archive') {
-          responseContent = `🔓 **Archive link found:**\n${result.result}`;
-        } else if (result.method === 'browser') {
-          responseContent = this.formatCondensedContent(result.result);
-        }
-      }
+      const payload = await this.buildResponsePayload(result, originalMessage.guild?.id);
 
       // Create feedback buttons
-      const feedbackButtons = this.createFeedbackButtons(result.originalUrl);
-      
-      // Store feedback data for this interaction
-      const feedbackId = `feedback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      this.feedbackData.set(feedbackId, {
-        originalUrl: result.originalUrl,
-        method: result.method,
-        timestamp: Date.now(),
-        serviceType: this.isSmartService ? 'smart' : 'legacy'
-      });
+      const feedbackButtons = this.createFeedbackButtons(result, getMessageContext(originalMessage));
 
       // Send the response with buttons
       await originalMessage.reply({
-        content: responseContent,
+        ...payload,
         components: [feedbackButtons],
-        allowedMentions: { repliedUser: false } // Don't ping the original user
+        allowedMentions: REPLY_MENTIONS
       });
 
       logger.debug('Sent bypass response with feedback buttons', {
         method: result.method,
-        feedbackId: feedbackId,
         serviceType: this.isSmartService ? 'smart' : 'legacy'
       });
 
@@ -170,14 +330,253 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Tells a user their links were skipped because of a rate limit
+   * Each user is told once per throttle window so the notices can't become spam themselves.
+   * @param {Message} originalMessage - Original Discord message
+   * @param {Object} limit - Result of SmartBypassService.checkCallerRateLimit()
+   */
+  async sendThrottleNotice(originalMessage, limit) {
+    const userId = originalMessage.author.id;
+    const now = Date.now();
+    this.pruneThrottleNotices(now);
+    if (this.throttleNotices.has(userId)) {
+      return;
+    }
+    this.throttleNotices.set(userId, now + limit.retryAfterMs);
+
+    try {
+      const notice = await originalMessage.reply({
+        content: this.responseFormatter.formatThrottleNotice(limit, now),
+        allowedMentions: REPLY_MENTIONS
+      });
+
+      const timer = setTimeout(() => {
+        notice.delete().catch(error => {
+          logger.debug('Could not delete throttle notice', { error: error.message });
+        });
+      }, THROTTLE_NOTICE_LIFETIME_MS);
+      if (timer.unref) {
+        timer.unref();
+      }
+    } catch (error) {
+      logger.error('Error sending throttle notice', {
+        originalMessageId: originalMessage.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Drops throttle windows that have ended
+   * @param {number} now - Current time in milliseconds
+   */
+  pruneThrottleNotices(now = Date.now()) {
+    for (const [userId, until] of this.throttleNotices.entries()) {
+      if (until <= now) {
+        this.throttleNotices.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * Keeps a multi-link reply for paging and feedback, dropping expired replies
+   * and then the oldest ones beyond MAX_CONSOLIDATED_REPLIES
+   * @param {Object} reply - Consolidated reply
+   * @param {number} now - Current time in milliseconds
+   */
+  storeConsolidatedReply(reply, now = Date.now()) {
+    this.consolidatedReplies.set(reply.id, reply);
+    this.pruneConsolidatedReplies(now);
+
+    // Map order is oldest first
+    while (this.consolidatedReplies.size > MAX_CONSOLIDATED_REPLIES) {
+      this.consolidatedReplies.delete(this.consolidatedReplies.keys().next().value);
+    }
+  }
+
+  /**
+   * Drops multi-link replies older than CONSOLIDATED_REPLY_TTL_MS
+   * @param {number} now - Current time in milliseconds
+   */
+  pruneConsolidatedReplies(now = Date.now()) {
+    for (const [key, reply] of this.consolidatedReplies.entries()) {
+      if (reply.timestamp <= now - CONSOLIDATED_REPLY_TTL_MS) {
+        this.consolidatedReplies.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Sends a single reply listing every bypassed link of a message
+   * Each link gets its own feedback options in a select menu; long lists are
+   * split into pages navigated with buttons.
+   * @param {Message} originalMessage - Original Discord message
+   * @param {Object[]} results - Bypass result objects
+   */
+  async sendConsolidatedResponse(originalMessage, results) {
+    try {
+      const { responseStyle, responseFormat } = this.guildSettings.get(originalMessage.guild?.id);
+      const format = this.isSmartService && responseFormat === 'embed' ? 'embed' : 'text';
+      const articles = format === 'embed'
+        ? await Promise.all(results.map(result => this.getArticleMetadata(result)))
+        : [];
+
+      const context = getMessageContext(originalMessage);
+      const entries = results.map((result, index) => {
+        const feedbackId = this.createFeedbackRecord(result, context);
+
+        // Legacy browser results carry the extracted text in result.result
+        const extractedContent = this.isSmartService
+          ? result.extractedContent
+          : (result.method === 'browser' ? result.result : null);
+        const extracted = extractedContent && responseStyle === 'auto'
+          ? this.parseExtractedContent(extractedContent)
+          : null;
+
+        return {
+          result,
+          article: mergeArticleMetadata(articles[index], { title: (extracted && sanitizeLine(extracted.title)) || null }),
+          snippet: extracted ? this.condenseText(sanitizeText(extracted.content)) : null,
+          feedbackId,
+          status: null
+        };
+      });
+
+      const reply = {
+        id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        entries,
+        pages: this.responseFormatter.paginate(entries, format),
+        page: 0,
+        format,
+        timestamp: Date.now()
+      };
+      this.storeConsolidatedReply(reply);
+
+      await originalMessage.reply({
+        ...this.renderConsolidatedReply(reply),
+        allowedMentions: REPLY_MENTIONS
+      });
+
+      logger.debug('Sent consolidated bypass response', {
+        replyId: reply.id,
+        links: entries.length,
+        pages: reply.pages.length
+      });
+
+    } catch (error) {
+      logger.error('Error sending consolidated bypass response', {
+        originalMessageId: originalMessage.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Renders the current page of a consolidated reply with its controls
+   * @param {Object} reply - Consolidated reply state
+   * @returns {Object} Message payload
+   */
+  renderConsolidatedReply(reply) {
+    const page = reply.pages[reply.page];
+    const payload = this.responseFormatter.buildConsolidatedPage(
+      reply.entries, page, reply.page, reply.pages.length, reply.format
+    );
+
+    const components = [];
+    const feedbackMenu = this.createFeedbackMenu(reply, page);
+    if (feedbackMenu) {
+      components.push(feedbackMenu);
+    }
+    if (reply.pages.length > 1) {
+      components.push(this.createPageButtons(reply));
+    }
+
+    return { ...payload, components, allowedMentions: NO_MENTIONS };
+  }
+
+  /**
+   * Creates a select menu with feedback options for each link on a page
+   * @param {Object} reply - Consolidated reply state
+   * @param {number[]} page - Entry indexes on the page
+   * @returns {ActionRowBuilder|null} Row with the menu, or null if every link already has feedback
+   */
+  createFeedbackMenu(reply, page) {
+    const options = page
+      .filter(index => !reply.entries[index].status)
+      .flatMap(index => {
+        const { result, feedbackId } = reply.entries[index];
+        const description = (extractDomain(result.originalUrl) || result.method).substring(0, 100);
+
+        return [
+          { label: `${index + 1}. 🚫 Bypass failed`, description, value: `bypass_failed_${feedbackId}` },
+          { label: `${index + 1}. ❌ Not paywalled`, description, value: `not_paywalled_${feedbackId}` }
+        ];
+      });
+
+    if (options.length === 0) {
+      return null;
+    }
+
+    return new ActionRowBuilder()
+      .addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`feedback_select_${reply.id}`)
+          .setPlaceholder('Report a problem with a link…')
+          .addOptions(options)
+      );
+  }
+
+  /**
+   * Creates previous/next buttons for a paginated reply
+   * @param {Object} reply - Consolidated reply state
+   * @returns {ActionRowBuilder}
+   */
+  createPageButtons(reply) {
+    return new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(`page_prev_${reply.id}`)
+          .setLabel('◀ Previous')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(reply.page === 0),
+        new ButtonBuilder()
+          .setCustomId(`page_next_${reply.id}`)
+          .setLabel('Next ▶')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(reply.page === reply.pages.length - 1)
+      );
+  }
+
+  /**
+   * Stores what feedback on a result acts on
+   * @param {Object} result - Bypass result object
+   * @param {Object} context - Where the result is posted
+   * @param {string|null} context.guildId - Guild ID (null for DMs)
+   * @param {string|null} context.channelId - Channel ID
+   * @param {string|null} context.messageId - ID of the message the result replies to
+   * @returns {string} Feedback ID for the component's custom ID
+   */
+  createFeedbackRecord(result, { guildId = null, channelId = null, messageId = null } = {}) {
+    return this.feedbackStore.create({
+      originalUrl: result.originalUrl,
+      method: result.method || null,
+      guildId,
+      channelId,
+      messageId,
+      serviceType: this.isSmartService ? 'smart' : 'legacy'
+    });
+  }
+
   /**
    * Creates feedback buttons for paywall bypass responses
-   * @param {string} url - The original URL that was processed
+   * @param {Object} result - Bypass result object the buttons report on
+   * @param {Object} context - Where the result is posted; see createFeedbackRecord()
    * @returns {ActionRowBuilder} Action row with feedback buttons
    */
-  createFeedbackButtons(url) {
-    const feedbackId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
+  createFeedbackButtons(result, context = {}) {
+    const feedbackId = this.createFeedbackRecord(result, context);
+
     const row = new ActionRowBuilder()
       .addComponents(
         new ButtonBuilder()
@@ -190,12 +589,6 @@ class MessageHandler {
           .setStyle(ButtonStyle.Secondary)
       );
 
-    // Store the URL for this feedback ID
-    this.feedbackData.set(feedbackId, {
-      originalUrl: url,
-      timestamp: Date.now()
-    });
-
     return row;
   }
 
@@ -208,12 +601,12 @@ class MessageHandler {
     const { title, content, originalUrl } = this.parseExtractedContent(extractedContent);
     
     // Create condensed format
-    let condensedContent = `🔓 **${title}**\n\n`;
+    let condensedContent = `🔓 **${sanitizeLine(title)}**\n\n`;
     
     // Add condensed article content
     if (content) {
       // Clean and condense the content
-      const cleanContent = this.condenseText(content);
+      const cleanContent = this.condenseText(sanitizeText(content));
       condensedContent += `${cleanContent}\n\n`;
     }
     
@@ -223,6 +616,28 @@ class MessageHandler {
     return condensedContent;
   }
 
+  /**
+   * Sanitizes extracted content for posting, keeping the layout bypass methods give it
+   * The title and article text come from the page; the footer from the
+   * "*Original URL:" line on is the method's own and is kept as is.
+   * @param {string} extractedContent - The formatted content from bypass service
+   * @param {number} reservedLength - Room to leave for text appended to the message
+   * @returns {string} Content that fits in one message
+   */
+  sanitizeExtractedContent(extractedContent, reservedLength = 0) {
+    const footerStart = extractedContent.indexOf('\n\n*Original URL:');
+    const footer = footerStart === -1 ? '' : extractedContent.substring(footerStart);
+    const article = footerStart === -1 ? extractedContent : extractedContent.substring(0, footerStart);
+
+    const titleMatch = article.match(/^\*\*(.*?)\*\*/);
+    const heading = titleMatch ? `**${sanitizeLine(titleMatch[1])}**\n\n` : '';
+    const body = sanitizeText(titleMatch ? article.substring(titleMatch[0].length) : article, {
+      maxLength: MESSAGE_CONTENT_LIMIT - heading.length - footer.length - reservedLength
+    });
+
+    return `${heading}${body}${footer}`;
+  }
+
   /**
    * Parses the extracted content to separate title, content, and URL
    * @param {string} extractedContent - The formatted content from bypass service
@@ -327,7 +742,7 @@ class MessageHandler {
    * @param {Interaction} interaction - Discord interaction object
    */
   async handleInteraction(interaction) {
-    if (!interaction.isButton()) {
+    if (!interaction.isButton() && !interaction.isStringSelectMenu()) {
       return;
     }
 
@@ -337,6 +752,10 @@ class MessageHandler {
       // Parse feedback button interactions
       if (customId.startsWith('bypass_failed_') || customId.startsWith('not_paywalled_')) {
         await this.handleFeedbackInteraction(interaction);
+      } else if (customId.startsWith('feedback_select_')) {
+        await this.handleFeedbackSelect(interaction);
+      } else if (customId.startsWith('page_prev_') || customId.startsWith('page_next_')) {
+        await this.handlePageInteraction(interaction);
       }
 
     } catch (error) {
@@ -373,7 +792,7 @@ class MessageHandler {
     const feedbackId = parts.slice(2).join('_'); // Rejoin the remaining parts
     
     // Get the stored feedback data
-    const feedbackData = this.feedbackData.get(feedbackId);
+    const feedbackData = this.feedbackStore.get(feedbackId);
     if (!feedbackData) {
       await interaction.reply({
         content: '❌ Feedback session expired. Please try again with a new link.',
@@ -388,10 +807,10 @@ class MessageHandler {
 
     if (bypassFailed) {
       // User reported bypass failed - blacklist method for this domain
-      await this.blacklistMethodForDomain(originalUrl, feedbackData.method);
+      await this.reportBypassFailure(originalUrl, feedbackData.method);
       
       await interaction.reply({
-        content: '📝 Thank you for reporting! We\'ve blacklisted this method for this site and will try other approaches.',
+        content: FEEDBACK_THANKS.bypass_failed,
         ephemeral: true
       });
       
@@ -408,13 +827,13 @@ class MessageHandler {
       await this.updateMessageForNonPaywalled(interaction, originalUrl);
       
       await interaction.reply({
-        content: '✅ Thank you! We\'ve added this site to our whitelist and won\'t try to bypass it in the future.',
+        content: FEEDBACK_THANKS.not_paywalled,
         ephemeral: true
       });
     }
 
     // Clean up the feedback data
-    this.feedbackData.delete(feedbackId);
+    this.feedbackStore.delete(feedbackId);
     
     // Disable the buttons in the original message
     await this.disableFeedbackButtons(interaction);
@@ -427,13 +846,80 @@ class MessageHandler {
     });
   }
 
+  /**
+   * Handles feedback chosen from a consolidated reply's select menu
+   * Only the chosen link is marked; the rest of the reply stays as it was.
+   * Replies posted before a restart can't be re-rendered, but their feedback
+   * is still acted on.
+   * @param {StringSelectMenuInteraction} interaction - Select menu interaction object
+   */
+  async handleFeedbackSelect(interaction) {
+    const reply = this.consolidatedReplies.get(interaction.customId.slice('feedback_select_'.length));
+    const [value] = interaction.values;
+    const status = value.startsWith('bypass_failed_') ? 'bypass_failed' : 'not_paywalled';
+    const feedbackId = value.slice(`${status}_`.length);
+
+    const entry = reply && reply.entries.find(e => e.feedbackId === feedbackId);
+    const feedbackData = this.feedbackStore.get(feedbackId);
+    if (!feedbackData) {
+      await interaction.reply({
+        content: '❌ Feedback session expired. Please try again with a new link.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const { originalUrl } = feedbackData;
+    if (status === 'bypass_failed') {
+      await this.reportBypassFailure(originalUrl, feedbackData.method);
+    } else {
+      await this.addToWhitelist(originalUrl);
+    }
+
+    this.feedbackStore.delete(feedbackId);
+
+    if (entry) {
+      entry.status = status;
+      await interaction.update(this.renderConsolidatedReply(reply));
+      await interaction.followUp({ content: FEEDBACK_THANKS[status], ephemeral: true });
+    } else {
+      await interaction.reply({ content: FEEDBACK_THANKS[status], ephemeral: true });
+    }
+
+    logger.info('Processed feedback', {
+      url: originalUrl,
+      bypassFailed: status === 'bypass_failed',
+      notPaywalled: status === 'not_paywalled',
+      userId: interaction.user.id
+    });
+  }
+
+  /**
+   * Handles previous/next page buttons of a consolidated reply
+   * @param {ButtonInteraction} interaction - Button interaction object
+   */
+  async handlePageInteraction(interaction) {
+    const direction = interaction.customId.startsWith('page_next_') ? 1 : -1;
+    const reply = this.consolidatedReplies.get(interaction.customId.slice('page_next_'.length));
+
+    if (!reply) {
+      await interaction.reply({
+        content: '❌ This reply has expired. Please post the links again.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    reply.page = Math.min(Math.max(reply.page + direction, 0), reply.pages.length - 1);
+    await interaction.update(this.renderConsolidatedReply(reply));
+  }
+
   /**
    * Adds a domain to the whitelist
    * @param {string} url - The URL to whitelist
    */
   async addToWhitelist(url) {
     try {
-      const { extractDomain } = require('../utils/urlExtractor');
       const domain = extractDomain(url);
       
       if (!domain) {
@@ -441,11 +927,13 @@ class MessageHandler {
         return;
       }
 
-      // Add to the in-memory whitelist
-      config.whitelistedDomains.push(domain);
-      
-      // Also add to the paywall detector service
-      this.paywallBypassService.paywallDetector.whitelistedDomains.add(domain);
+      // Add to the detector's feedback whitelist, which outranks the curated lists
+      this.paywallBypassService.paywallDetector.feedbackWhitelist.add(domain);
+
+      // Cached bypasses of the site would otherwise keep being posted
+      if (this.isSmartService) {
+        this.paywallBypassService.invalidateCachedDomain(domain);
+      }
 
       // Save to persistent storage (append to config file or separate whitelist file)
       await this.saveWhitelistUpdate(domain);
@@ -515,7 +1003,6 @@ class MessageHandler {
   async updateMessageForNonPaywalled(interaction, url) {
     try {
       const originalMessage = interaction.message;
-      const { extractDomain } = require('../utils/urlExtractor');
       const domain = extractDomain(url);
       
       // Create short, clean updated content
@@ -525,6 +1012,7 @@ class MessageHandler {
       // Update the message
       await originalMessage.edit({
         content: updatedContent,
+        embeds: [], // Remove the bypass link, which embed-format replies carry in an embed
         components: [] // Remove buttons
       });
 
@@ -583,15 +1071,10 @@ class MessageHandler {
         const data = await fs.readFile(whitelistFile, 'utf8');
         const userWhitelist = JSON.parse(data);
         
-        // Add user whitelist domains to config and detector
+        // Add user whitelist domains to the detector's feedback whitelist
         for (const domain of userWhitelist) {
-          if (!config.whitelistedDomains.includes(domain)) {
-            config.whitelistedDomains.push(domain);
-          }
-          
-          // Add to the appropriate service's paywall detector
           if (this.paywallBypassService && this.paywallBypassService.paywallDetector) {
-            this.paywallBypassService.paywallDetector.whitelistedDomains.add(domain);
+            this.paywallBypassService.paywallDetector.feedbackWhitelist.add(domain);
           }
         }
         
@@ -621,13 +1104,13 @@ class MessageHandler {
     try {
       await this.paywallBypassService.cleanup();
       
-      // Clean up old feedback data (older than 1 hour)
-      const oneHourAgo = Date.now() - (60 * 60 * 1000);
-      for (const [key, data] of this.feedbackData.entries()) {
-        if (data.timestamp < oneHourAgo) {
-          this.feedbackData.delete(key);
-        }
-      }
+      // Keep feedback records for after the restart
+      this.feedbackStore.stop();
+      await this.feedbackStore.flush();
+
+      // Clean up old consolidated replies
+      this.pruneConsolidatedReplies();
+      this.throttleNotices.clear();
       
     } catch (error) {
       logger.error('Error during cleanup', {
@@ -637,6 +1120,20 @@ class MessageHandler {
     }
   }
 
+  /**
+   * Acts on a "Bypass Failed" report: blacklists the method for the domain and
+   * drops the cached result so the link is bypassed again next time
+   * @param {string} url - The original URL
+   * @param {string} methodName - The method that failed
+   */
+  async reportBypassFailure(url, methodName) {
+    await this.blacklistMethodForDomain(url, methodName);
+
+    if (this.isSmartService) {
+      this.paywallBypassService.invalidateCachedResult(url);
+    }
+  }
+
   /**
    * Blacklists a specific method for a domain when user reports bypass failure
    * @param {string} url - The original URL
@@ -652,7 +1149,6 @@ class MessageHandler {
         return;
       }
 
-      const { extractDomain } = require('../utils/urlExtractor');
       const domain = extractDomain(url);
       
       if (!domain) {
@@ -685,6 +1181,10 @@ class MessageHandler {
         if (preferredIndex > -1) {
           strategy.preferredMethods.splice(preferredIndex, 1);
         }
+
+        // Persist right away so user feedback survives the next restart
+        this.paywallBypassService.markDomainStrategiesDirty();
+        await this.paywallBypassService.flushDomainStrategies();
         
         logger.info('Method blacklisted for domain based on user feedback', {
           domain,
@@ -704,4 +1204,27 @@ class MessageHandler {
   }
 }
 
+/**
+ * Gets the IDs a channel setting can match: the channel, its parent
+ * (category, or the channel a thread belongs to) and a thread's category
+ * @param {Channel} channel - Discord channel
+ * @returns {string[]}
+ */
+function getChannelScope(channel) {
+  return [channel.id, channel.parentId, channel.parent?.parentId].filter(Boolean);
+}
+
+/**
+ * Gets where a reply to a message is posted, for feedback records
+ * @param {Message} message - Discord message replied to
+ * @returns {{guildId: string|null, channelId: string|null, messageId: string|null}}
+ */
+function getMessageContext(message) {
+  return {
+    guildId: message.guild?.id || null,
+    channelId: message.channel?.id || null,
+    messageId: message.id || null
+  };
+}
+
 module.exports = MessageHandler;
\ No newline at end of file
@@ -0,0 +1,315 @@
+const { EmbedBuilder } = require('discord.js');
+
+/**
+ * Format used for methods that did not register one
+ */
+const DEFAULT_FORMAT = {
+  label: 'Content bypassed',
+  emoji: '🔓',
+  color: 0x99AAB5
+};
+
+// Discord embed limits
+const EMBED_LIMITS = {
+  title: 256,
+  description: 4096,
+  authorName: 256,
+  fieldValue: 1024,
+  footer: 2048
+};
+
+// Length of the article summary shown under a link result
+const SUMMARY_LENGTH = 300;
+
+// Consolidated replies: room left for the heading and page footer, and
+// entries per page (each entry adds two options to a 25-option select menu)
+const MESSAGE_CONTENT_LIMIT = 2000;
+const PAGE_CHROME_LENGTH = 100;
+const MAX_ENTRIES_PER_PAGE = 10;
+const ENTRY_TITLE_LENGTH = 100;
+const ENTRY_SNIPPET_LENGTH = 200;
+
+/**
+ * Suffixes shown on consolidated reply entries after feedback
+ */
+const ENTRY_STATUS_LABELS = {
+  bypass_failed: '🚫 reported as failed',
+  not_paywalled: '✅ marked as not paywalled'
+};
+
+/**
+ * Who a throttled request was limited by, as shown in throttle notices
+ */
+const THROTTLE_SUBJECTS = {
+  user: 'You\'re sending links faster than I can keep up with',
+  channel: 'This channel is sending links faster than I can keep up with',
+  guild: 'This server is sending links faster than I can keep up with'
+};
+
+/**
+ * Response Formatter - Presents bypass results as Discord messages
+ * Keeps a registry of per-method formats; each BypassMethod contributes its
+ * own through getResponseFormat().
+ */
+class ResponseFormatter {
+  constructor() {
+    this.formats = new Map(); // method name -> format
+  }
+
+  /**
+   * Registers the format for a method
+   * @param {string} methodName - Bypass method name
+   * @param {Object} format - Format with label, emoji and color; missing fields use the default
+   */
+  register(methodName, format) {
+    this.formats.set(methodName, { ...DEFAULT_FORMAT, ...format });
+  }
+
+  /**
+   * Registers the formats contributed by bypass methods
+   * @param {BypassMethod[]} methods - Registered bypass methods
+   */
+  registerMethods(methods) {
+    methods.forEach(method => this.register(method.name, method.getResponseFormat()));
+  }
+
+  /**
+   * Gets the format for a method
+   * @param {string} methodName - Bypass method name
+   * @returns {Object} Registered format, or the default
+   */
+  getFormat(methodName) {
+    return this.formats.get(methodName) || DEFAULT_FORMAT;
+  }
+
+  /**
+   * Gets the link a result points to: the bypass link, or the original URL
+   * when the method returned article text instead
+   * @param {Object} result - Bypass result object
+   * @returns {string|null}
+   */
+  getLink(result) {
+    return isHttpUrl(result.result) ? result.result : (result.originalUrl || null);
+  }
+
+  /**
+   * Names the method behind a result, marking results served from the cache
+   * @param {Object} result - Bypass result object
+   * @returns {string}
+   */
+  describeMethod(result) {
+    return result.cached ? `${result.method}, cached` : result.method;
+  }
+
+  /**
+   * Formats a link result as plain text
+   * @param {Object} result - Bypass result object
+   * @returns {string}
+   */
+  formatText(result) {
+    const format = this.getFormat(result.method);
+    return `${format.emoji} **${format.label} (${this.describeMethod(result)}):**\n${result.result}`;
+  }
+
+  /**
+   * Formats the notice shown when a request is rate limited
+   * @param {Object} limit - Result of SmartBypassService.checkCallerRateLimit()
+   * @param {number} now - Current time in milliseconds
+   * @returns {string}
+   */
+  formatThrottleNotice(limit, now = Date.now()) {
+    const subject = THROTTLE_SUBJECTS[limit.scope] || THROTTLE_SUBJECTS.user;
+    const retryAt = Math.ceil((now + limit.retryAfterMs) / 1000);
+    return `⏳ ${subject}. Please try again <t:${retryAt}:R>.`;
+  }
+
+  /**
+   * Builds an embed for a bypass result
+   * @param {Object} result - Bypass result object
+   * @param {ArticleMetadata|null} article - Metadata of the original article
+   * @param {string|null} body - Extracted article text to show instead of a link summary
+   * @returns {EmbedBuilder}
+   */
+  buildEmbed(result, article = null, body = null) {
+    const format = this.getFormat(result.method);
+    const metadata = article || {};
+    const link = this.getLink(result);
+
+    const embed = new EmbedBuilder()
+      .setColor(format.color)
+      .setTitle(truncate(metadata.title || getHostname(result.originalUrl) || format.label, EMBED_LIMITS.title));
+
+    if (link) {
+      embed.setURL(link);
+    }
+
+    if (metadata.siteName) {
+      embed.setAuthor({ name: truncate(metadata.siteName, EMBED_LIMITS.authorName) });
+    }
+
+    const description = body || [
+      metadata.description && truncate(metadata.description, SUMMARY_LENGTH),
+      link && `${format.emoji} [${format.label}](${link})`
+    ].filter(Boolean).join('\n\n');
+
+    if (description) {
+      embed.setDescription(truncate(description, EMBED_LIMITS.description));
+    }
+
+    const fields = [];
+    if (metadata.author) {
+      fields.push({ name: 'Author', value: truncate(metadata.author, EMBED_LIMITS.fieldValue), inline: true });
+    }
+    if (metadata.publishedAt) {
+      fields.push({ name: 'Published', value: `<t:${Math.floor(metadata.publishedAt.getTime() / 1000)}:D>`, inline: true });
+    }
+    fields.push({ name: 'Method', value: result.method, inline: true });
+    if (Number.isFinite(result.responseTime)) {
+      fields.push({ name: 'Response time', value: `${(result.responseTime / 1000).toFixed(1)}s`, inline: true });
+    }
+    if (result.cached && result.cachedAt) {
+      fields.push({ name: 'Cached', value: `<t:${Math.floor(result.cachedAt.getTime() / 1000)}:R>`, inline: true });
+    }
+    embed.addFields(...fields);
+
+    if (isHttpUrl(metadata.image)) {
+      embed.setImage(metadata.image);
+    }
+
+    if (result.originalUrl) {
+      embed.setFooter({ text: truncate(`Original: ${result.originalUrl}`, EMBED_LIMITS.footer) });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Formats one result as an entry of a consolidated reply
+   * @param {number} position - 1-based position in the reply
+   * @param {Object} entry - Consolidated reply entry
+   * @param {Object} entry.result - Bypass result object
+   * @param {ArticleMetadata|null} entry.article - Article metadata, if known
+   * @param {string|null} entry.snippet - Extracted article text, for results without a link
+   * @param {string|null} entry.status - Feedback given on the entry
+   * @returns {string}
+   */
+  formatListEntry(position, entry) {
+    const { result, article, snippet, status } = entry;
+    const format = this.getFormat(result.method);
+    const title = truncate(
+      (article && article.title) || getHostname(result.originalUrl) || result.originalUrl || result.method,
+      ENTRY_TITLE_LENGTH
+    );
+
+    const lines = [`**${position}. ${title}**${status ? ` — ${ENTRY_STATUS_LABELS[status]}` : ''}`];
+    lines.push(`${format.emoji} ${format.label} (${this.describeMethod(result)}): ${this.getLink(result) || ''}`.trimEnd());
+    if (snippet && !isHttpUrl(result.result)) {
+      lines.push(`> ${truncate(snippet, ENTRY_SNIPPET_LENGTH)}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Splits consolidated reply entries into pages that fit in one message
+   * @param {Object[]} entries - Consolidated reply entries
+   * @param {string} responseFormat - 'embed' or 'text'
+   * @returns {number[][]} Entry indexes on each page
+   */
+  paginate(entries, responseFormat) {
+    const maxLength = (responseFormat === 'embed' ? EMBED_LIMITS.description : MESSAGE_CONTENT_LIMIT) - PAGE_CHROME_LENGTH;
+    const statusLength = Math.max(...Object.values(ENTRY_STATUS_LABELS).map(label => label.length + 3));
+    const pages = [];
+    let page = [];
+    let pageLength = 0;
+
+    entries.forEach((entry, index) => {
+      // Leave room for a status to be added after feedback
+      const length = this.formatListEntry(index + 1, entry).length + statusLength + 2;
+
+      if (page.length > 0 && (pageLength + length > maxLength || page.length >= MAX_ENTRIES_PER_PAGE)) {
+        pages.push(page);
+        page = [];
+        pageLength = 0;
+      }
+
+      page.push(index);
+      pageLength += length;
+    });
+
+    if (page.length > 0) {
+      pages.push(page);
+    }
+
+    return pages;
+  }
+
+  /**
+   * Builds one page of a consolidated reply
+   * @param {Object[]} entries - Consolidated reply entries
+   * @param {number[]} page - Entry indexes on this page
+   * @param {number} pageIndex - 0-based page index
+   * @param {number} pageCount - Total pages
+   * @param {string} responseFormat - 'embed' or 'text'
+   * @returns {Object} Payload with either content or embeds
+   */
+  buildConsolidatedPage(entries, page, pageIndex, pageCount, responseFormat) {
+    const heading = `🔓 ${entries.length} links unlocked`;
+    const list = page.map(index => this.formatListEntry(index + 1, entries[index])).join('\n\n');
+    const footer = pageCount > 1 ? `Page ${pageIndex + 1} of ${pageCount}` : null;
+
+    if (responseFormat === 'embed') {
+      const embed = new EmbedBuilder()
+        .setColor(DEFAULT_FORMAT.color)
+        .setTitle(heading)
+        .setDescription(truncate(list, EMBED_LIMITS.description));
+
+      if (footer) {
+        embed.setFooter({ text: footer });
+      }
+
+      return { embeds: [embed] };
+    }
+
+    const content = [`**${heading}**`, list, footer && `*${footer}*`].filter(Boolean).join('\n\n');
+    return { content: truncate(content, MESSAGE_CONTENT_LIMIT) };
+  }
+}
+
+/**
+ * Checks if a value is an http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\/\S+$/i.test(value);
+}
+
+/**
+ * Gets the hostname of a URL without a leading www.
+ * @param {string} url - URL
+ * @returns {string|null}
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Truncates text to a maximum length, ending with an ellipsis when cut
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length
+ * @returns {string}
+ */
+function truncate(text, maxLength) {
+  return text.length <= maxLength ? text : `${text.substring(0, maxLength - 1).trimEnd()}…`;
+}
+
+module.exports = ResponseFormatter;
+module.exports.DEFAULT_FORMAT = DEFAULT_FORMAT;
+module.exports.MESSAGE_CONTENT_LIMIT = MESSAGE_CONTENT_LIMIT;
+module.exports.getHostname = getHostname;
+module.exports.truncate = truncate;
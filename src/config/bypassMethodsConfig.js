@@ -0,0 +1,402 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../data/bypass-methods.json');
+
+const FALLBACK_STRATEGY_TYPES = ['priority_order', 'domain_optimized', 'fast_first', 'parallel'];
+
+const DEFAULT_GLOBAL_SETTINGS = {
+  maxConcurrentRequests: 5,
+  defaultTimeout: 30000,
+  requestDeadline: 60000,
+  retryAttempts: 2,
+  healthCheckInterval: 300000,
+  rateLimit: {
+    maxRequestsPerUrlPerMinute: 3,
+    maxRequestsPerMinute: 10
+  }
+};
+
+// Token bucket scopes that can be tuned under globalSettings.rateLimit
+const RATE_LIMIT_SCOPES = ['user', 'channel', 'guild', 'host'];
+
+const DEFAULT_HEALTH_CHECK = {
+  enabled: true,
+  interval: 300000,
+  timeout: 10000,
+  retries: 2,
+  unhealthyThreshold: 3,
+  recoveryThreshold: 2,
+  cooldown: 60000,
+  halfOpenProbes: 1
+};
+
+const DEFAULT_METRICS = {
+  enabled: true,
+  retentionDays: 30,
+  aggregationInterval: 3600000,
+  exportPath: './data/metrics/'
+};
+
+const DEFAULT_CACHE = {
+  enabled: true,
+  maxEntries: 500,
+  defaultTtl: 3600000,
+  persist: false,
+  path: './data/result-cache.json'
+};
+
+/**
+ * Checks that a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks that a value is a positive integer
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Checks that a value is an array of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+}
+
+/**
+ * Validates a single method entry
+ * @param {string} name - Method name
+ * @param {Object} method - Method configuration
+ * @param {string[]} errors - Collected validation errors
+ */
+function validateMethod(name, method, errors) {
+  const where = `methods.${name}`;
+
+  if (!isPlainObject(method)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+
+  if (method.enabled !== undefined && typeof method.enabled !== 'boolean') {
+    errors.push(`${where}.enabled must be a boolean`);
+  }
+
+  if (method.priority !== undefined &&
+      !(Number.isInteger(method.priority) && method.priority >= 1 && method.priority <= 10)) {
+    errors.push(`${where}.priority must be an integer between 1 and 10`);
+  }
+
+  if (method.timeout !== undefined && !isPositiveInteger(method.timeout)) {
+    errors.push(`${where}.timeout must be a positive integer (milliseconds)`);
+  }
+
+  if (method.maxConcurrent !== undefined && !isPositiveInteger(method.maxConcurrent)) {
+    errors.push(`${where}.maxConcurrent must be a positive integer`);
+  }
+
+  if (method.cacheTtl !== undefined && !isPositiveInteger(method.cacheTtl)) {
+    errors.push(`${where}.cacheTtl must be a positive integer (milliseconds)`);
+  }
+
+  if (method.maxRetries !== undefined && !(Number.isInteger(method.maxRetries) && method.maxRetries >= 0)) {
+    errors.push(`${where}.maxRetries must be a non-negative integer`);
+  }
+
+  ['testUrl', 'healthCheckUrl'].forEach(key => {
+    if (method[key] === undefined) return;
+    try {
+      new URL(method[key]);
+    } catch {
+      errors.push(`${where}.${key} must be a valid URL`);
+    }
+  });
+}
+
+/**
+ * Validates a list of method names against the known methods
+ * @param {string} where - Config path for error messages
+ * @param {*} list - List to validate
+ * @param {Set<string>|null} knownMethods - Known method names, or null to skip the check
+ * @param {string[]} errors - Collected validation errors
+ */
+function validateMethodList(where, list, knownMethods, errors) {
+  if (list === undefined) return;
+
+  if (!isStringArray(list)) {
+    errors.push(`${where} must be an array of method names`);
+    return;
+  }
+
+  if (knownMethods) {
+    list
+      .filter(name => !knownMethods.has(name))
+      .forEach(name => errors.push(`${where} references unknown method "${name}"`));
+  }
+}
+
+/**
+ * Validates a section made of positive integer settings
+ * @param {string} section - Section name
+ * @param {Object} values - Section values
+ * @param {string[]} keys - Keys that must be positive integers when present
+ * @param {string[]} errors - Collected validation errors
+ */
+function validatePositiveIntegers(section, values, keys, errors) {
+  keys.forEach(key => {
+    if (values[key] !== undefined && !isPositiveInteger(values[key])) {
+      errors.push(`${section}.${key} must be a positive integer`);
+    }
+  });
+}
+
+/**
+ * Validates raw bypass method configuration and fills in defaults
+ * @param {Object} raw - Parsed contents of bypass-methods.json
+ * @param {Object} options - Validation options
+ * @param {string[]} options.knownMethods - Names of registered bypass methods
+ * @returns {Object} Normalized configuration
+ * @throws {Error} If the configuration contains invalid entries
+ */
+function validateBypassMethodsConfig(raw, options = {}) {
+  const errors = [];
+  const knownMethods = options.knownMethods ? new Set(options.knownMethods) : null;
+
+  if (!isPlainObject(raw)) {
+    throw new Error('Invalid bypass methods configuration: root must be an object');
+  }
+
+  // Global settings
+  const globalSettings = raw.globalSettings === undefined ? {} : raw.globalSettings;
+  if (!isPlainObject(globalSettings)) {
+    errors.push('globalSettings must be an object');
+  } else {
+    validatePositiveIntegers('globalSettings', globalSettings,
+      ['maxConcurrentRequests', 'defaultTimeout', 'requestDeadline', 'healthCheckInterval'], errors);
+    if (globalSettings.retryAttempts !== undefined &&
+        !(Number.isInteger(globalSettings.retryAttempts) && globalSettings.retryAttempts >= 0)) {
+      errors.push('globalSettings.retryAttempts must be a non-negative integer');
+    }
+    if (globalSettings.rateLimit !== undefined) {
+      if (!isPlainObject(globalSettings.rateLimit)) {
+        errors.push('globalSettings.rateLimit must be an object');
+      } else {
+        validatePositiveIntegers('globalSettings.rateLimit', globalSettings.rateLimit,
+          ['maxRequestsPerUrlPerMinute', 'maxRequestsPerMinute'], errors);
+        RATE_LIMIT_SCOPES.forEach(scope => {
+          const bucket = globalSettings.rateLimit[scope];
+          if (bucket === undefined) return;
+          if (!isPlainObject(bucket)) {
+            errors.push(`globalSettings.rateLimit.${scope} must be an object`);
+          } else {
+            validatePositiveIntegers(`globalSettings.rateLimit.${scope}`, bucket, ['burst', 'refillPerMinute'], errors);
+          }
+        });
+      }
+    }
+  }
+
+  // Methods
+  const methods = raw.methods === undefined ? {} : raw.methods;
+  if (!isPlainObject(methods)) {
+    errors.push('methods must be an object keyed by method name');
+  } else {
+    Object.entries(methods).forEach(([name, method]) => {
+      if (knownMethods && !knownMethods.has(name)) {
+        errors.push(`methods.${name} does not match any registered bypass method`);
+      }
+      validateMethod(name, method, errors);
+    });
+  }
+
+  // Domain overrides
+  const domainOverrides = raw.domainOverrides === undefined ? {} : raw.domainOverrides;
+  if (!isPlainObject(domainOverrides)) {
+    errors.push('domainOverrides must be an object keyed by domain');
+  } else {
+    Object.entries(domainOverrides).forEach(([domain, override]) => {
+      const where = `domainOverrides["${domain}"]`;
+      if (!isPlainObject(override)) {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      validateMethodList(`${where}.preferredMethods`, override.preferredMethods, knownMethods, errors);
+      validateMethodList(`${where}.blacklistedMethods`, override.blacklistedMethods, knownMethods, errors);
+
+      if (isStringArray(override.preferredMethods) && isStringArray(override.blacklistedMethods)) {
+        override.preferredMethods
+          .filter(name => override.blacklistedMethods.includes(name))
+          .forEach(name => errors.push(`${where} lists "${name}" as both preferred and blacklisted`));
+      }
+    });
+  }
+
+  // Fallback strategies
+  const fallbackStrategies = raw.fallbackStrategies === undefined ? {} : raw.fallbackStrategies;
+  if (!isPlainObject(fallbackStrategies)) {
+    errors.push('fallbackStrategies must be an object keyed by strategy name');
+  } else {
+    Object.entries(fallbackStrategies).forEach(([name, strategy]) => {
+      const where = `fallbackStrategies.${name}`;
+      if (!isPlainObject(strategy)) {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      if (!FALLBACK_STRATEGY_TYPES.includes(strategy.strategy)) {
+        errors.push(`${where}.strategy must be one of: ${FALLBACK_STRATEGY_TYPES.join(', ')}`);
+      }
+      validatePositiveIntegers(where, strategy, ['maxAttempts'], errors);
+      ['skipUnhealthyMethods', 'parallelAttempts'].forEach(key => {
+        if (strategy[key] !== undefined && typeof strategy[key] !== 'boolean') {
+          errors.push(`${where}.${key} must be a boolean`);
+        }
+      });
+      if (strategy.domains !== undefined && !isStringArray(strategy.domains)) {
+        errors.push(`${where}.domains must be an array of domains`);
+      }
+    });
+  }
+
+  // Health check settings
+  const healthCheck = raw.healthCheck === undefined ? {} : raw.healthCheck;
+  if (!isPlainObject(healthCheck)) {
+    errors.push('healthCheck must be an object');
+  } else {
+    if (healthCheck.enabled !== undefined && typeof healthCheck.enabled !== 'boolean') {
+      errors.push('healthCheck.enabled must be a boolean');
+    }
+    validatePositiveIntegers('healthCheck', healthCheck,
+      ['interval', 'timeout', 'unhealthyThreshold', 'recoveryThreshold', 'cooldown', 'halfOpenProbes'], errors);
+    if (healthCheck.retries !== undefined &&
+        !(Number.isInteger(healthCheck.retries) && healthCheck.retries >= 0)) {
+      errors.push('healthCheck.retries must be a non-negative integer');
+    }
+  }
+
+  // Metrics settings
+  const metrics = raw.metrics === undefined ? {} : raw.metrics;
+  if (!isPlainObject(metrics)) {
+    errors.push('metrics must be an object');
+  } else {
+    if (metrics.enabled !== undefined && typeof metrics.enabled !== 'boolean') {
+      errors.push('metrics.enabled must be a boolean');
+    }
+    validatePositiveIntegers('metrics', metrics, ['retentionDays', 'aggregationInterval'], errors);
+    if (metrics.exportPath !== undefined && typeof metrics.exportPath !== 'string') {
+      errors.push('metrics.exportPath must be a string');
+    }
+  }
+
+  // Result cache settings
+  const cache = raw.cache === undefined ? {} : raw.cache;
+  if (!isPlainObject(cache)) {
+    errors.push('cache must be an object');
+  } else {
+    ['enabled', 'persist'].forEach(key => {
+      if (cache[key] !== undefined && typeof cache[key] !== 'boolean') {
+        errors.push(`cache.${key} must be a boolean`);
+      }
+    });
+    validatePositiveIntegers('cache', cache, ['maxEntries', 'defaultTtl'], errors);
+    if (cache.path !== undefined && typeof cache.path !== 'string') {
+      errors.push('cache.path must be a string');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid bypass methods configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n` +
+      errors.map(error => `  - ${error}`).join('\n')
+    );
+  }
+
+  // Strip documentation-only fields so they never reach method configs;
+  // globalSettings.retryAttempts is the retry count for methods without their own
+  const retryAttempts = globalSettings.retryAttempts !== undefined
+    ? globalSettings.retryAttempts
+    : DEFAULT_GLOBAL_SETTINGS.retryAttempts;
+  const methodConfigs = {};
+  Object.entries(methods).forEach(([name, method]) => {
+    const { description, notes, ...methodConfig } = method;
+    methodConfigs[name] = { maxRetries: retryAttempts, ...methodConfig };
+  });
+
+  const normalizedOverrides = {};
+  Object.entries(domainOverrides).forEach(([domain, override]) => {
+    normalizedOverrides[domain.toLowerCase().replace(/^www\./, '')] = {
+      preferredMethods: override.preferredMethods || [],
+      blacklistedMethods: override.blacklistedMethods || []
+    };
+  });
+
+  return {
+    globalSettings: {
+      ...DEFAULT_GLOBAL_SETTINGS,
+      ...globalSettings,
+      rateLimit: { ...DEFAULT_GLOBAL_SETTINGS.rateLimit, ...(globalSettings.rateLimit || {}) }
+    },
+    methods: methodConfigs,
+    domainOverrides: normalizedOverrides,
+    fallbackStrategies,
+    healthCheck: { ...DEFAULT_HEALTH_CHECK, ...healthCheck },
+    metrics: { ...DEFAULT_METRICS, ...metrics },
+    cache: { ...DEFAULT_CACHE, ...cache },
+    logging: raw.logging || {}
+  };
+}
+
+/**
+ * Loads and validates the bypass methods configuration file
+ * A missing file yields the defaults; a malformed file is a startup error
+ * @param {string} filePath - Path to the JSON configuration file
+ * @param {Object} options - Validation options (see validateBypassMethodsConfig)
+ * @returns {Promise<Object>} Normalized configuration
+ */
+async function loadBypassMethodsConfig(filePath = DEFAULT_CONFIG_PATH, options = {}) {
+  let data;
+
+  try {
+    data = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.warn('Bypass methods config not found, using defaults', { filePath });
+      return validateBypassMethodsConfig({}, options);
+    }
+    throw new Error(`Failed to read bypass methods config at ${filePath}: ${error.message}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Bypass methods config at ${filePath} is not valid JSON: ${error.message}`);
+  }
+
+  const config = validateBypassMethodsConfig(raw, options);
+
+  logger.info('Loaded bypass methods config', {
+    filePath,
+    methods: Object.keys(config.methods).length,
+    domainOverrides: Object.keys(config.domainOverrides).length,
+    fallbackStrategies: Object.keys(config.fallbackStrategies).length
+  });
+
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  FALLBACK_STRATEGY_TYPES,
+  loadBypassMethodsConfig,
+  validateBypassMethodsConfig
+};
@@ -3,6 +3,8 @@ require('dotenv').config();
 const config = {
   discord: {
     token: process.env.DISCORD_TOKEN,
+    // Register slash commands to a single guild (instant) instead of globally (up to an hour)
+    commandGuildId: process.env.DISCORD_COMMAND_GUILD_ID,
   },
   
   logging: {
@@ -14,6 +16,11 @@ const config = {
     waybackTimeout: parseInt(process.env.WAYBACK_TIMEOUT) || 15000,
     puppeteerTimeout: parseInt(process.env.PUPPETEER_TIMEOUT) || 30000,
   },
+
+  fetch: {
+    // Pages larger than this are not downloaded for analysis
+    maxPageBytes: parseInt(process.env.MAX_PAGE_BYTES) || 5 * 1024 * 1024,
+  },
   
   rateLimit: {
     maxRequestsPerMinute: parseInt(process.env.MAX_REQUESTS_PER_MINUTE) || 10,
@@ -29,7 +36,10 @@ const config = {
     ],
   },
   
-  // Known paywall domains
+  // Known paywall domains, as domain rules (see src/utils/domainRules.js):
+  // subdomains match too, and *.example.com, example.com/path and !exceptions work.
+  // A rule on both this list and the whitelist is reported at startup; see
+  // src/services/domainClassifier.js for which list wins.
   paywallDomains: [
     'nytimes.com',
     'wsj.com',
@@ -38,7 +48,6 @@ const config = {
     'theatlantic.com',
     'economist.com',
     'bloomberg.com',
-    'reuters.com',
     'newyorker.com',
     'wired.com',
     'medium.com',
@@ -259,6 +268,8 @@ const config = {
   ],
   
   // Paywall detection heuristics with weighted scoring
+  // Indicators are matched against the page's visible text outside menus, site
+  // headers and footers; scripts, styles and hidden elements never count
   paywallDetection: {
     // Strong paywall indicators (high confidence)
     strongIndicators: [
@@ -1,7 +1,9 @@
 const { Client, GatewayIntentBits } = require('discord.js');
 const config = require('./config');
 const logger = require('./utils/logger');
+const { NO_MENTIONS } = require('./utils/discordSanitizer');
 const MessageHandler = require('./bot/messageHandler');
+const CommandHandler = require('./bot/commandHandler');
 
 class PaywallFlowerBot {
   constructor() {
@@ -10,10 +12,13 @@ class PaywallFlowerBot {
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent
-      ]
+      ],
+      // Nothing the bot posts may ping anyone unless a message explicitly allows it
+      allowedMentions: { ...NO_MENTIONS, repliedUser: false }
     });
 
     this.messageHandler = new MessageHandler();
+    this.commandHandler = new CommandHandler(this.messageHandler);
     this.setupEventListeners();
   }
 
@@ -26,6 +31,16 @@ class PaywallFlowerBot {
         userId: this.client.user.id,
         guildCount: this.client.guilds.cache.size
       });
+
+      // /unlock offers the registered methods as choices, which initialization registers
+      this.messageHandler.initialize()
+        .then(() => this.commandHandler.registerCommands(this.client))
+        .catch((error) => {
+          logger.error('Failed to register slash commands', {
+            error: error.message,
+            stack: error.stack
+          });
+        });
     });
 
     this.client.on('messageCreate', async (message) => {
@@ -42,7 +57,11 @@ class PaywallFlowerBot {
 
     this.client.on('interactionCreate', async (interaction) => {
       try {
-        await this.messageHandler.handleInteraction(interaction);
+        if (interaction.isChatInputCommand()) {
+          await this.commandHandler.handleCommand(interaction);
+        } else {
+          await this.messageHandler.handleInteraction(interaction);
+        }
       } catch (error) {
         logger.error('Error in interactionCreate handler', {
           interactionId: interaction.id,
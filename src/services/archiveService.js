@@ -1,6 +1,7 @@
-const axios = require('axios');
+const httpClient = require('../utils/httpClient');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { classifyError, isServiceFailure } = require('../utils/errorClassifier');
 
 class ArchiveService {
   constructor() {
@@ -11,9 +12,12 @@ class ArchiveService {
   /**
    * Attempts to find an archived version on archive.today
    * @param {string} url - The URL to archive
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.throwServiceErrors - Rethrow timeouts, network errors, 429s and 5xx instead of returning null
+   * @param {AbortSignal} options.signal - Cancels the lookup's requests
    * @returns {Promise<string|null>} Archive URL or null if not found
    */
-  async tryArchiveToday(url) {
+  async tryArchiveToday(url, { throwServiceErrors = false, signal } = {}) {
     try {
       logger.debug(`Searching archive.today for: ${url}`);
       
@@ -21,8 +25,9 @@ class ArchiveService {
       logger.debug(`Archive.today search URL: ${searchUrl}`);
       
       // First, try to find existing archive
-      const searchResponse = await axios.get(searchUrl, {
+      const searchResponse = await httpClient.get(searchUrl, {
         timeout: this.archiveTodayTimeout,
+        signal,
         maxRedirects: 5,
         validateStatus: (status) => status < 400
       });
@@ -49,10 +54,11 @@ class ArchiveService {
         anyway: '1'
       });
       
-      const createResponse = await axios.post('https://archive.today/submit/',
+      const createResponse = await httpClient.post('https://archive.today/submit/',
         postData,
         {
           timeout: this.archiveTodayTimeout,
+          signal,
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded',
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -84,6 +90,7 @@ class ArchiveService {
         statusText: error.response?.statusText,
         responseData: error.response?.data ? String(error.response.data).substring(0, 200) : null
       });
+      if (throwServiceErrors && isServiceFailure(classifyError(error))) throw error;
       return null;
     }
   }
@@ -91,17 +98,21 @@ class ArchiveService {
   /**
    * Attempts to find an archived version on Wayback Machine
    * @param {string} url - The URL to search
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.throwServiceErrors - Rethrow timeouts, network errors, 429s and 5xx instead of returning null
+   * @param {AbortSignal} options.signal - Cancels the lookup's requests
    * @returns {Promise<string|null>} Archive URL or null if not found
    */
-  async tryWaybackMachine(url) {
+  async tryWaybackMachine(url, { throwServiceErrors = false, signal } = {}) {
     try {
       logger.debug(`Searching Wayback Machine for: ${url}`);
       
       const apiUrl = `https://archive.org/wayback/available?url=${url}`;
       logger.debug(`Wayback API URL: ${apiUrl}`);
       
-      const response = await axios.get(apiUrl, {
+      const response = await httpClient.get(apiUrl, {
         timeout: this.waybackTimeout,
+        signal,
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
         }
@@ -133,6 +144,7 @@ class ArchiveService {
         statusText: error.response?.statusText,
         responseData: error.response?.data ? JSON.stringify(error.response.data) : null
       });
+      if (throwServiceErrors && isServiceFailure(classifyError(error))) throw error;
       return null;
     }
   }
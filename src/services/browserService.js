@@ -1,6 +1,11 @@
 const puppeteer = require('puppeteer');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { assertAllowedDestination } = require('../utils/httpClient');
+const { extractArticle } = require('../utils/articleExtractor');
+
+// Schemes Chromium serves without touching the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
 
 class BrowserService {
   constructor() {
@@ -49,9 +54,16 @@ class BrowserService {
   /**
    * Extracts content from a paywalled URL using headless browser
    * @param {string} url - The URL to extract content from
-   * @returns {Promise<{success: boolean, content?: string, title?: string, error?: string}>}
+   * @param {Object} options - Extraction options
+   * @param {AbortSignal} options.signal - Closes the page, ending navigation and extraction
+   * @returns {Promise<{success: boolean, content?: string, title?: string, article?: Article, error?: string}>}
+   *   content is the article's paragraphs joined by blank lines
    */
-  async extractContent(url) {
+  async extractContent(url, { signal } = {}) {
+    if (signal && signal.aborted) {
+      return { success: false, error: signal.reason.message };
+    }
+
     if (this.activeSessions >= this.maxConcurrent) {
       logger.warn(`Max concurrent browser sessions reached (${this.maxConcurrent})`);
       return { success: false, error: 'Max concurrent sessions reached' };
@@ -59,26 +71,43 @@ class BrowserService {
 
     this.activeSessions++;
     let page = null;
+    // Closing the page makes whatever it is doing reject, so the session ends promptly
+    const closePage = () => {
+      if (page && !page.isClosed()) {
+        page.close().catch(() => {});
+      }
+    };
 
     try {
       logger.debug(`Starting browser content extraction`);
+
+      // Fail before opening a page; requests the page makes are checked as they happen
+      await assertAllowedDestination(url);
       
       await this.initBrowser();
       page = await this.browser.newPage();
+      if (signal) {
+        signal.addEventListener('abort', closePage, { once: true });
+        if (signal.aborted) closePage();
+      }
 
       // Set user agent and viewport
       await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
       await page.setViewport({ width: 1920, height: 1080 });
 
-      // Block images and other resources to speed up loading
+      // Block images and other resources to speed up loading, and any request
+      // (including redirects) to a private or reserved address
       await page.setRequestInterception(true);
       page.on('request', (req) => {
         const resourceType = req.resourceType();
         if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
           req.abort();
-        } else {
-          req.continue();
+          return;
         }
+
+        this.isAllowedRequest(req.url())
+          .then(allowed => (allowed ? req.continue() : req.abort('blockedbyclient')))
+          .catch(() => {}); // The page was closed while the check ran
       });
 
       // Navigate to the page
@@ -93,9 +122,8 @@ class BrowserService {
       // Try to bypass common paywall overlays
       await this.bypassPaywallOverlays(page);
 
-      // Extract title and content
-      const result = await page.evaluate(() => {
-        // Remove common paywall elements
+      // Remove common paywall elements
+      await page.evaluate(() => {
         const paywallSelectors = [
           '[class*="paywall"]',
           '[class*="subscription"]',
@@ -110,45 +138,15 @@ class BrowserService {
           const elements = document.querySelectorAll(selector);
           elements.forEach(el => el.remove());
         });
-
-        // Get title
-        const title = document.title || document.querySelector('h1')?.textContent || 'Untitled';
-
-        // Try to find main content using common selectors
-        const contentSelectors = [
-          'article',
-          '[class*="article"]',
-          '[class*="content"]',
-          '[class*="story"]',
-          '[class*="post"]',
-          'main',
-          '.entry-content',
-          '.post-content',
-          '.article-body'
-        ];
-
-        let content = '';
-        for (const selector of contentSelectors) {
-          const element = document.querySelector(selector);
-          if (element) {
-            content = element.innerText || element.textContent || '';
-            if (content.length > 200) { // Ensure we got substantial content
-              break;
-            }
-          }
-        }
-
-        // Fallback to body content if no specific content found
-        if (!content || content.length < 200) {
-          content = document.body.innerText || document.body.textContent || '';
-        }
-
-        return {
-          title: title.trim(),
-          content: content.trim()
-        };
       });
 
+      // Extract the article from the rendered page
+      const article = extractArticle(await page.content(), { url });
+      const result = {
+        title: article.title || 'Untitled',
+        content: article.paragraphs.join('\n\n')
+      };
+
       // Validate that the extracted content is actually article content, not CAPTCHA/anti-bot responses
       const validationResult = this.validateExtractedContent(result.content, result.title, url);
       
@@ -168,7 +166,8 @@ class BrowserService {
         return {
           success: true,
           title: result.title,
-          content: result.content
+          content: result.content,
+          article
         };
       } else {
         logger.debug(`Insufficient content extracted`, {
@@ -178,19 +177,46 @@ class BrowserService {
       }
 
     } catch (error) {
+      if (signal && signal.aborted) {
+        logger.debug(`Browser content extraction cancelled`, { reason: signal.reason.message });
+        return { success: false, error: signal.reason.message };
+      }
+
       logger.error(`Browser content extraction failed`, {
         error: error.message,
         stack: error.stack
       });
       return { success: false, error: error.message };
     } finally {
-      if (page) {
+      if (signal) {
+        signal.removeEventListener('abort', closePage);
+      }
+      if (page && !page.isClosed()) {
         await page.close();
       }
       this.activeSessions--;
     }
   }
 
+  /**
+   * Checks if the page may make a request
+   * @param {string} requestUrl - URL Chromium is about to request
+   * @returns {Promise<boolean>}
+   */
+  async isAllowedRequest(requestUrl) {
+    if (LOCAL_SCHEMES.some(scheme => requestUrl.startsWith(scheme))) {
+      return true;
+    }
+
+    try {
+      await assertAllowedDestination(requestUrl);
+      return true;
+    } catch (error) {
+      logger.warn('Blocked browser request', { url: requestUrl, error: error.message });
+      return false;
+    }
+  }
+
   /**
    * Attempts to bypass common paywall overlay techniques
    * @param {Page} page - Puppeteer page instance
@@ -1,5 +1,6 @@
 const logger = require('../utils/logger');
 const BypassMethod = require('./bypassMethods/bypassMethod');
+const CircuitBreaker = require('./circuitBreaker');
 
 /**
  * Registry for managing all bypass methods
@@ -114,6 +115,14 @@ class BypassMethodRegistry {
     });
   }
 
+  /**
+   * Applies health check thresholds to every method's circuit breaker
+   * @param {Object} healthCheck - healthCheck section of the bypass config
+   */
+  configureCircuitBreakers(healthCheck) {
+    this.getAllMethods().forEach(method => method.configureCircuitBreaker(healthCheck));
+  }
+
   /**
    * Enables or disables a method
    * @param {string} name - Method name
@@ -137,6 +146,8 @@ class BypassMethodRegistry {
 
   /**
    * Performs health checks on all registered methods
+   * A health check is a request like any other to the circuit breaker: an
+   * open breaker skips it, and a half-open one lets it through as a probe.
    * @returns {Promise<Object>} Health check results
    */
   async performHealthChecks() {
@@ -146,8 +157,19 @@ class BypassMethodRegistry {
     logger.debug(`Performing health checks on ${methods.length} methods`);
 
     const healthCheckPromises = methods.map(async (method) => {
+      if (!method.circuitBreaker.startRequest()) {
+        const skipped = {
+          healthy: false,
+          skipped: true,
+          message: 'Health check skipped: circuit breaker is refusing requests'
+        };
+        results[method.name] = skipped;
+        return { method: method.name, ...skipped };
+      }
+
       try {
         const result = await method.healthCheck();
+        method.recordHealthCheck(result);
         results[method.name] = result;
         return { method: method.name, ...result };
       } catch (error) {
@@ -156,6 +178,7 @@ class BypassMethodRegistry {
           error: error.message,
           message: `Health check failed: ${error.message}`
         };
+        method.recordHealthCheck(errorResult);
         results[method.name] = errorResult;
         return { method: method.name, ...errorResult };
       }
@@ -225,6 +248,7 @@ class BypassMethodRegistry {
       totalMethods: methods.length,
       enabledMethods: methods.filter(m => m.config.enabled).length,
       healthyMethods: methods.filter(m => m.healthStatus.healthy).length,
+      openCircuits: methods.filter(m => m.circuitBreaker.state === CircuitBreaker.STATES.OPEN).length,
       averageSuccessRate: 0,
       totalAttempts: 0,
       totalSuccesses: 0
@@ -287,7 +311,7 @@ class BypassMethodRegistry {
       
       const methodFiles = files.filter(file => 
         file.endsWith('.js') && 
-        file !== 'BypassMethod.js' && 
+        file.toLowerCase() !== 'bypassmethod.js' && 
         !file.endsWith('.test.js')
       );
 
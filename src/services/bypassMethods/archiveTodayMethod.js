@@ -1,6 +1,7 @@
 const BypassMethod = require('./bypassMethod');
 const ArchiveService = require('../archiveService');
 const logger = require('../../utils/logger');
+const httpClient = require('../../utils/httpClient');
 
 /**
  * Archive.today bypass method
@@ -34,7 +35,7 @@ class ArchiveTodayMethod extends BypassMethod {
     try {
       logger.debug(`Attempting Archive.today bypass for: ${url}`);
 
-      const archiveUrl = await this.archiveService.tryArchiveToday(url);
+      const archiveUrl = await this.archiveService.tryArchiveToday(url, { throwServiceErrors: true, signal: options.signal });
       const responseTime = Date.now() - startTime;
 
       if (archiveUrl && typeof archiveUrl === 'string' && archiveUrl.length > 0) {
@@ -70,7 +71,7 @@ class ArchiveTodayMethod extends BypassMethod {
         responseTime
       });
 
-      return this.createResult(false, null, `Archive.today error: ${error.message}`);
+      return this.createErrorResult(`Archive.today error: ${error.message}`, error);
     }
   }
 
@@ -85,9 +86,8 @@ class ArchiveTodayMethod extends BypassMethod {
       
       // Try to search for an existing archive (not create a new one)
       const searchUrl = `https://archive.today/newest/${testUrl}`;
-      const axios = require('axios');
       
-      const response = await axios.get(searchUrl, {
+      const response = await httpClient.get(searchUrl, {
         timeout: 8000,
         maxRedirects: 3,
         validateStatus: (status) => status < 500
@@ -119,6 +119,23 @@ class ArchiveTodayMethod extends BypassMethod {
     return this.config.testUrl;
   }
 
+  /**
+   * Archive snapshots are returned as links
+   * @returns {boolean}
+   */
+  isArchiveMethod() {
+    return true;
+  }
+
+  /**
+   * Requests go to archive.today
+   * @param {string} url - URL being bypassed
+   * @returns {string}
+   */
+  getServiceHost(url) {
+    return 'archive.today';
+  }
+
   /**
    * Cleanup method
    */
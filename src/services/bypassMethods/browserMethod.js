@@ -1,6 +1,8 @@
 const BypassMethod = require('./bypassMethod');
 const BrowserService = require('../browserService');
 const logger = require('../../utils/logger');
+const { extractDomain } = require('../../utils/urlExtractor');
+const { formatArticle } = require('../../utils/articleExtractor');
 
 /**
  * Browser extraction bypass method
@@ -34,7 +36,7 @@ class BrowserMethod extends BypassMethod {
     try {
       logger.debug(`Attempting browser extraction bypass for: ${url}`);
 
-      const extractionResult = await this.browserService.extractContent(url);
+      const extractionResult = await this.browserService.extractContent(url, { signal: options.signal });
       const responseTime = Date.now() - startTime;
 
       if (extractionResult && extractionResult.success) {
@@ -49,11 +51,7 @@ class BrowserMethod extends BypassMethod {
         }
 
         // Format the content for Discord
-        const formattedContent = this.formatExtractedContent(
-          extractionResult.title,
-          extractionResult.content,
-          url
-        );
+        const formattedContent = this.formatExtractedContent(extractionResult.article, url);
 
         this.recordMetrics(true, responseTime, { 
           contentLength: extractionResult.content.length,
@@ -83,7 +81,7 @@ class BrowserMethod extends BypassMethod {
         responseTime
       });
 
-      return this.createResult(false, null, `Browser extraction error: ${error.message}`);
+      return this.createErrorResult(`Browser extraction error: ${error.message}`, error);
     }
   }
 
@@ -141,60 +139,17 @@ class BrowserMethod extends BypassMethod {
   }
 
   /**
-   * Formats extracted content for Discord message
-   * @param {string} title - Article title
-   * @param {string} content - Article content
+   * Formats an extracted article for Discord message
+   * @param {Article} article - Article extracted by the browser service
    * @param {string} originalUrl - Original URL
    * @returns {string} Formatted content
    */
-  formatExtractedContent(title, content, originalUrl) {
-    // Clean and prepare content
-    const cleanTitle = this.cleanText(title);
-    const cleanContent = this.cleanText(content);
-    
-    // Truncate content if too long for Discord
-    let truncatedContent = cleanContent;
-    const maxLength = 1800; // Leave room for title and footer
-    
-    if (cleanContent.length > maxLength) {
-      truncatedContent = cleanContent.substring(0, maxLength);
-      // Try to cut at a sentence boundary
-      const lastSentence = truncatedContent.lastIndexOf('.');
-      if (lastSentence > maxLength * 0.8) {
-        truncatedContent = truncatedContent.substring(0, lastSentence + 1);
-      }
-      truncatedContent += '\n\n*[Content truncated for length]*';
-    }
-    
-    // Format content with proper structure
-    let formattedContent = `**${cleanTitle}**\n\n`;
-    formattedContent += truncatedContent;
-    formattedContent += `\n\n*Original URL: ${originalUrl}*`;
-    formattedContent += `\n*Content extracted via PaywallFlower*`;
-    
-    return formattedContent;
-  }
-
-  /**
-   * Cleans text content by removing excessive whitespace and formatting issues
-   * @param {string} text - Text to clean
-   * @returns {string} Cleaned text
-   */
-  cleanText(text) {
-    if (!text) return '';
-    
-    return text
-      // Remove excessive whitespace
-      .replace(/\s+/g, ' ')
-      // Remove multiple consecutive newlines
-      .replace(/\n\s*\n\s*\n/g, '\n\n')
-      // Trim whitespace
-      .trim()
-      // Remove any Discord markdown that might interfere
-      .replace(/\|\|/g, '')
-      // Clean up common formatting issues
-      .replace(/\*\*\s*\*\*/g, '')
-      .replace(/\*\s*\*/g, '');
+  formatExtractedContent(article, originalUrl) {
+    return formatArticle(article, {
+      originalUrl,
+      footer: 'Content extracted via PaywallFlower',
+      fallbackTitle: 'Untitled'
+    });
   }
 
   /**
@@ -256,6 +211,31 @@ class BrowserMethod extends BypassMethod {
     return true;
   }
 
+  /**
+   * Browser extraction returns article text, not a link
+   * @returns {boolean}
+   */
+  producesLinks() {
+    return false;
+  }
+
+  /**
+   * Browser results are the article itself
+   * @returns {{label: string, emoji: string, color: number}}
+   */
+  getResponseFormat() {
+    return { label: 'Article extracted', emoji: '📰', color: 0xFEE75C };
+  }
+
+  /**
+   * The browser loads the article straight from the publisher
+   * @param {string} url - URL being bypassed
+   * @returns {string|null} Article domain
+   */
+  getServiceHost(url) {
+    return extractDomain(url);
+  }
+
   /**
    * Gets resource usage information
    * @returns {Object}
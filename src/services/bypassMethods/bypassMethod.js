@@ -1,4 +1,17 @@
 const logger = require('../../utils/logger');
+const CircuitBreaker = require('../circuitBreaker');
+const {
+  ERROR_TYPES,
+  classifyError,
+  getRetryAfterMs,
+  isRetryable,
+  isServiceFailure
+} = require('../../utils/errorClassifier');
+const { createDeadline, createTimeoutError, raceWithSignal, sleep } = require('../../utils/abort');
+
+const RETRY_BASE_DELAY_MS = 500;
+// Longer waits hold up the queue more than a fallback method would
+const MAX_RETRY_DELAY_MS = 10000;
 
 /**
  * Base class for all paywall bypass methods
@@ -22,6 +35,9 @@ class BypassMethod {
       consecutiveFailures: 0,
       lastError: null
     };
+
+    // Fed by live attempts and health checks alike
+    this.circuitBreaker = new CircuitBreaker(name);
     
     this.metrics = {
       totalAttempts: 0,
@@ -36,12 +52,136 @@ class BypassMethod {
    * Must be implemented by subclasses
    * @param {string} url - The URL to bypass
    * @param {Object} options - Additional options
+   * @param {AbortSignal} options.signal - Aborts once the method times out or the request gives up on it;
+   *   pass it to every request the method makes
    * @returns {Promise<BypassResult>}
    */
   async attempt(url, options = {}) {
     throw new Error(`Method 'attempt' must be implemented by ${this.constructor.name}`);
   }
 
+  /**
+   * Runs attempt(), retrying transient failures with jittered exponential backoff
+   * The circuit breaker sees the whole run as one request: it takes one probe
+   * slot and is fed only the final outcome, so a 429 whose Retry-After is
+   * short gets its retry before it opens the breaker. A Retry-After from the
+   * service replaces the computed backoff. Aborting options.signal ends the
+   * current try or wait and stops retrying. A run the breaker refuses, e.g.
+   * because a half-open breaker is already probing, isn't made and ends as aborted.
+   * @param {string} url - The URL to bypass
+   * @param {Object} options - Additional options passed to attempt()
+   * @param {Function} onAttempt - Called after every try with (result, { retry, responseTime, retryInMs });
+   *   retryInMs is null when no retry follows
+   * @returns {Promise<BypassResult>} Result of the last try
+   */
+  async attemptWithRetries(url, options = {}, onAttempt = () => {}) {
+    if (!this.circuitBreaker.startRequest()) {
+      return this.createResult(false, null, `${this.name} circuit breaker is refusing requests`, {
+        errorType: ERROR_TYPES.ABORTED
+      });
+    }
+
+    let result;
+    try {
+      result = await this.runTries(url, options, onAttempt);
+    } catch (error) {
+      this.recordOutcome({ success: false, error: error.message, errorType: classifyError(error) });
+      throw error;
+    }
+
+    this.recordOutcome(result);
+    return result;
+  }
+
+  /**
+   * Makes the tries of attemptWithRetries() without feeding the circuit breaker
+   * @param {string} url - The URL to bypass
+   * @param {Object} options - Additional options passed to attempt()
+   * @param {Function} onAttempt - As for attemptWithRetries()
+   * @returns {Promise<BypassResult>} Result of the last try
+   */
+  async runTries(url, options, onAttempt) {
+    for (let retry = 0; ; retry++) {
+      const startTime = Date.now();
+      const result = await this.attemptWithTimeout(url, options);
+      const responseTime = Date.now() - startTime;
+
+      const retryInMs = this.getRetryDelay(result, retry);
+      onAttempt(result, { retry, responseTime, retryInMs });
+
+      if (retryInMs === null) {
+        return result;
+      }
+
+      logger.debug(`Retrying ${this.name} in ${retryInMs}ms`, { url, retry: retry + 1, error: result.error });
+      try {
+        await sleep(retryInMs, options.signal);
+      } catch (reason) {
+        return this.createAbortedResult(reason);
+      }
+    }
+  }
+
+  /**
+   * Runs a single attempt() bounded by config.timeout and options.signal
+   * attempt() receives a signal that aborts when either runs out, and the try
+   * ends right then even if the method doesn't honor it.
+   * @param {string} url - The URL to bypass
+   * @param {Object} options - Additional options passed to attempt()
+   * @returns {Promise<BypassResult>}
+   */
+  async attemptWithTimeout(url, options = {}) {
+    const deadline = createDeadline(
+      this.config.timeout,
+      options.signal,
+      createTimeoutError(`${this.name} timed out after ${this.config.timeout}ms`)
+    );
+
+    try {
+      if (deadline.signal.aborted) {
+        return this.createAbortedResult(deadline.signal.reason);
+      }
+      return await raceWithSignal(this.attempt(url, { ...options, signal: deadline.signal }), deadline.signal);
+    } catch (error) {
+      // Requests cut short by the signal reject with their own errors; report why they were cut short
+      if (!deadline.signal.aborted) throw error;
+      return this.createAbortedResult(deadline.signal.reason);
+    } finally {
+      deadline.clear();
+    }
+  }
+
+  /**
+   * Decides whether and when to retry a failed try
+   * Timeouts, network errors and 5xx responses are retried; a 429 only when
+   * the service says how long to wait.
+   * @param {BypassResult} result - Result of the try
+   * @param {number} retry - Number of retries made so far
+   * @returns {number|null} Milliseconds to wait before retrying, or null to stop
+   */
+  getRetryDelay(result, retry) {
+    // A run holds its own probe slot, so only a breaker other requests opened stops it
+    if (result.success || retry >= this.config.maxRetries || this.circuitBreaker.state === CircuitBreaker.STATES.OPEN) {
+      return null;
+    }
+
+    const errorType = result.errorType || classifyError(result.error);
+    if (!isRetryable(errorType)) {
+      return null;
+    }
+
+    if (typeof result.retryAfterMs === 'number') {
+      return result.retryAfterMs <= MAX_RETRY_DELAY_MS ? result.retryAfterMs : null;
+    }
+    if (errorType === ERROR_TYPES.RATE_LIMITED) {
+      return null;
+    }
+
+    // Equal jitter: half the backoff is fixed, the other half random
+    const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** retry, MAX_RETRY_DELAY_MS);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
   /**
    * Performs a health check for this bypass method
    * Can be overridden by subclasses for custom health checks
@@ -56,24 +196,16 @@ class BypassMethod {
       }
 
       const startTime = Date.now();
-      const result = await this.attempt(testUrl, { isHealthCheck: true });
+      const result = await this.attemptWithTimeout(testUrl, { isHealthCheck: true });
       const duration = Date.now() - startTime;
 
-      this.healthStatus.lastCheck = new Date();
-      this.healthStatus.consecutiveFailures = result.success ? 0 : this.healthStatus.consecutiveFailures + 1;
-      this.healthStatus.healthy = this.healthStatus.consecutiveFailures < 3;
-
       return {
-        healthy: this.healthStatus.healthy,
+        healthy: result.success,
         responseTime: duration,
+        error: result.error,
         message: result.success ? 'Health check passed' : `Health check failed: ${result.error}`
       };
     } catch (error) {
-      this.healthStatus.lastCheck = new Date();
-      this.healthStatus.consecutiveFailures++;
-      this.healthStatus.healthy = this.healthStatus.consecutiveFailures < 3;
-      this.healthStatus.lastError = error.message;
-
       logger.debug(`Health check failed for ${this.name}`, { error: error.message });
       
       return {
@@ -124,6 +256,58 @@ class BypassMethod {
     });
   }
 
+  /**
+   * Feeds the outcome of a live attempt into the circuit breaker
+   * @param {Object} result - Bypass result; failures are classified by their error
+   */
+  recordOutcome(result) {
+    if (result.success) {
+      this.circuitBreaker.recordSuccess();
+    } else {
+      this.circuitBreaker.recordFailure(result.errorType || classifyError(result.error));
+      this.healthStatus.lastError = result.error || null;
+    }
+    this.syncHealthStatus();
+  }
+
+  /**
+   * Feeds the outcome of a health check into the circuit breaker
+   * Test URLs are known to work, so any failed check counts against the service.
+   * The check must have been let through with circuitBreaker.startRequest(), like any other request.
+   * @param {Object} check - Result of healthCheck()
+   */
+  recordHealthCheck(check) {
+    const errorType = classifyError(check.error);
+
+    this.healthStatus.lastCheck = new Date();
+    this.recordOutcome({
+      success: check.healthy,
+      error: check.error || check.message,
+      errorType: isServiceFailure(errorType) ? errorType : ERROR_TYPES.SERVER_ERROR
+    });
+  }
+
+  /**
+   * Applies health check thresholds to the circuit breaker
+   * @param {Object} healthCheck - healthCheck section of the bypass config
+   */
+  configureCircuitBreaker(healthCheck) {
+    this.circuitBreaker.configure({
+      failureThreshold: healthCheck.unhealthyThreshold,
+      recoveryThreshold: healthCheck.recoveryThreshold,
+      cooldownMs: healthCheck.cooldown,
+      halfOpenProbes: healthCheck.halfOpenProbes
+    });
+  }
+
+  /**
+   * Mirrors the circuit breaker in healthStatus
+   */
+  syncHealthStatus() {
+    this.healthStatus.healthy = this.circuitBreaker.state === CircuitBreaker.STATES.CLOSED;
+    this.healthStatus.consecutiveFailures = this.circuitBreaker.consecutiveFailures;
+  }
+
   /**
    * Gets the current success rate
    * @returns {number} Success rate as a percentage (0-100)
@@ -143,6 +327,7 @@ class BypassMethod {
       enabled: this.config.enabled,
       priority: this.config.priority,
       healthStatus: this.healthStatus,
+      circuitBreaker: this.circuitBreaker.getState(),
       metrics: {
         ...this.metrics,
         successRate: this.getSuccessRate()
@@ -152,10 +337,60 @@ class BypassMethod {
 
   /**
    * Checks if this method is currently available
+   * A method whose circuit breaker is open is skipped until its cooldown has passed.
    * @returns {boolean}
    */
   isAvailable() {
-    return this.config.enabled && this.healthStatus.healthy;
+    if (!this.config.enabled) return false;
+
+    const allowed = this.circuitBreaker.allowsRequest();
+    this.syncHealthStatus();
+    return allowed;
+  }
+
+  /**
+   * Checks if this method returns links to archived snapshots
+   * Override in subclasses backed by an archive service
+   * @returns {boolean}
+   */
+  isArchiveMethod() {
+    return false;
+  }
+
+  /**
+   * Checks if this method's result is a link rather than extracted article text
+   * Override in subclasses that only return extracted content
+   * @returns {boolean}
+   */
+  producesLinks() {
+    return true;
+  }
+
+  /**
+   * Gets the external host this method sends requests to, for per-host rate limiting
+   * Override in subclasses backed by an external service
+   * @param {string} url - URL being bypassed
+   * @returns {string|null} Host name, or null if the method is not rate limited by host
+   */
+  getServiceHost(url) {
+    return null;
+  }
+
+  /**
+   * Describes how results from this method are presented in Discord
+   * Override in subclasses to customize the heading or embed color
+   * @returns {{label: string, emoji: string, color: number}}
+   */
+  getResponseFormat() {
+    if (this.isArchiveMethod()) {
+      return { label: 'Archive link found', emoji: '🔓', color: 0x5865F2 };
+    }
+
+    if (this.producesLinks()) {
+      return { label: 'Bypass link found', emoji: '🔓', color: 0x57F287 };
+    }
+
+    return { label: 'Content bypassed', emoji: '🔓', color: 0xFEE75C };
   }
 
   /**
@@ -200,6 +435,31 @@ class BypassMethod {
     };
   }
 
+  /**
+   * Creates a failure result for a failed request
+   * Keeps the error type and any Retry-After so retries and the circuit breaker can use them.
+   * @param {string} message - Error message for the result
+   * @param {Error|Object} source - Error thrown by the request, or the HTTP response
+   * @returns {BypassResult}
+   */
+  createErrorResult(message, source) {
+    return this.createResult(false, null, message, {
+      errorType: classifyError(source),
+      retryAfterMs: getRetryAfterMs(source)
+    });
+  }
+
+  /**
+   * Creates a failure result for a try that was cut short by its signal
+   * A method timeout counts against the service; a cancellation is typed
+   * aborted, which neither the circuit breaker nor retries act on.
+   * @param {Error} reason - The signal's abort reason
+   * @returns {BypassResult}
+   */
+  createAbortedResult(reason) {
+    return this.createResult(false, null, reason.message, { errorType: classifyError(reason) });
+  }
+
   /**
    * Cleanup method called when the method is being destroyed
    */
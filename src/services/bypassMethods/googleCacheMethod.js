@@ -1,6 +1,7 @@
-const axios = require('axios');
+const httpClient = require('../../utils/httpClient');
 const BypassMethod = require('./bypassMethod');
 const logger = require('../../utils/logger');
+const { extractArticle, formatArticle } = require('../../utils/articleExtractor');
 
 /**
  * Google Cache bypass method
@@ -38,8 +39,9 @@ class GoogleCacheMethod extends BypassMethod {
       // Construct Google Cache URL
       const cacheUrl = `${this.cacheUrl}${encodeURIComponent(url)}`;
       
-      const response = await axios.get(cacheUrl, {
+      const response = await httpClient.fetchPage(cacheUrl, {
         timeout: this.config.timeout,
+        signal: options.signal,
         headers: {
           'User-Agent': this.userAgent,
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -99,12 +101,12 @@ class GoogleCacheMethod extends BypassMethod {
       } else if (response.status === 404) {
         const error = 'Page not found in Google Cache';
         this.recordMetrics(false, responseTime, { status: response.status });
-        return this.createResult(false, null, error);
+        return this.createErrorResult(error, response);
         
       } else {
         const error = `Google Cache returned status ${response.status}`;
         this.recordMetrics(false, responseTime, { status: response.status });
-        return this.createResult(false, null, error);
+        return this.createErrorResult(error, response);
       }
 
     } catch (error) {
@@ -116,7 +118,7 @@ class GoogleCacheMethod extends BypassMethod {
         responseTime
       });
 
-      return this.createResult(false, null, `Google Cache error: ${error.message}`);
+      return this.createErrorResult(`Google Cache error: ${error.message}`, error);
     }
   }
 
@@ -251,67 +253,19 @@ class GoogleCacheMethod extends BypassMethod {
    */
   extractContent(content, originalUrl) {
     try {
-      // Extract title
-      let title = 'Cached Article';
-      const titleSelectors = [
-        /<h1[^>]*>(.*?)<\/h1>/i,
-        /<title>(.*?)<\/title>/i
-      ];
-
-      for (const selector of titleSelectors) {
-        const match = content.match(selector);
-        if (match) {
-          title = match[1].replace(/<[^>]*>/g, '').trim();
-          // Remove Google Cache prefix if present
-          title = title.replace(/^.*?\s*-\s*Google\s*Search$/i, '').trim();
-          break;
-        }
-      }
-
-      // Extract cache date from Google Cache header
-      let cacheDate = '';
+      // Google's banner above the cached page, and anything the cached page still hides behind its paywall
+      const article = extractArticle(content, {
+        url: originalUrl,
+        exclude: ['[id^="google-cache"]', '[class*="paywall"]', '[class*="premium"]']
+      });
       const cacheDateMatch = content.match(/snapshot.*?(\d{1,2}\s+\w+\s+\d{4})/i);
-      if (cacheDateMatch) {
-        cacheDate = `\n*Cached on: ${cacheDateMatch[1]}*`;
-      }
-
-      // Remove Google Cache header and navigation elements
-      let cleanedContent = content
-        .replace(/<div[^>]*id="[^"]*google[^"]*"[^>]*>.*?<\/div>/gis, '')
-        .replace(/<div[^>]*class="[^"]*cache[^"]*"[^>]*>.*?<\/div>/gis, '')
-        .replace(/<style[^>]*>.*?<\/style>/gis, '')
-        .replace(/<script[^>]*>.*?<\/script>/gis, '');
-
-      // Extract article content using common selectors
-      let articleContent = '';
-      const contentSelectors = [
-        /<article[^>]*>(.*?)<\/article>/is,
-        /<div[^>]*class="[^"]*content[^"]*"[^>]*>(.*?)<\/div>/is,
-        /<div[^>]*class="[^"]*article[^"]*"[^>]*>(.*?)<\/div>/is,
-        /<div[^>]*class="[^"]*story[^"]*"[^>]*>(.*?)<\/div>/is,
-        /<main[^>]*>(.*?)<\/main>/is
-      ];
-
-      for (const selector of contentSelectors) {
-        const match = cleanedContent.match(selector);
-        if (match) {
-          articleContent = match[1];
-          break;
-        }
-      }
-
-      // If no specific content found, try to extract from body
-      if (!articleContent) {
-        const bodyMatch = cleanedContent.match(/<body[^>]*>(.*?)<\/body>/is);
-        if (bodyMatch) {
-          articleContent = bodyMatch[1];
-        }
-      }
 
-      // Clean up the content
-      const finalContent = this.cleanHtmlContent(articleContent);
-
-      return `**${title}**${cacheDate}\n\n${finalContent}\n\n*Original URL: ${originalUrl}*\n*Retrieved from Google Cache*`;
+      return formatArticle(article, {
+        originalUrl,
+        footer: 'Retrieved from Google Cache',
+        fallbackTitle: 'Cached Article',
+        notes: cacheDateMatch ? [`Cached on: ${cacheDateMatch[1]}`] : []
+      });
       
     } catch (error) {
       logger.debug('Error extracting content from Google Cache response', { error: error.message });
@@ -319,48 +273,6 @@ class GoogleCacheMethod extends BypassMethod {
     }
   }
 
-  /**
-   * Cleans HTML content for better readability
-   * @param {string} htmlContent - Raw HTML content
-   * @returns {string} Cleaned text content
-   */
-  cleanHtmlContent(htmlContent) {
-    return htmlContent
-      // Remove script and style tags
-      .replace(/<script[^>]*>.*?<\/script>/gis, '')
-      .replace(/<style[^>]*>.*?<\/style>/gis, '')
-      // Remove common paywall elements that might still be in cache
-      .replace(/<div[^>]*class="[^"]*paywall[^"]*"[^>]*>.*?<\/div>/gis, '')
-      .replace(/<div[^>]*class="[^"]*subscription[^"]*"[^>]*>.*?<\/div>/gis, '')
-      .replace(/<div[^>]*class="[^"]*premium[^"]*"[^>]*>.*?<\/div>/gis, '')
-      // Convert headers
-      .replace(/<h([1-6])[^>]*>(.*?)<\/h[1-6]>/gi, (match, level, text) => {
-        const hashes = '#'.repeat(parseInt(level));
-        return `\n\n${hashes} ${text.trim()}\n\n`;
-      })
-      // Convert paragraphs and breaks
-      .replace(/<p[^>]*>(.*?)<\/p>/gi, '$1\n\n')
-      .replace(/<br\s*\/?>/gi, '\n')
-      // Convert formatting
-      .replace(/<strong[^>]*>(.*?)<\/strong>/gi, '**$1**')
-      .replace(/<b[^>]*>(.*?)<\/b>/gi, '**$1**')
-      .replace(/<em[^>]*>(.*?)<\/em>/gi, '*$1*')
-      .replace(/<i[^>]*>(.*?)<\/i>/gi, '*$1*')
-      // Convert links
-      .replace(/<a[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '[$2]($1)')
-      // Convert blockquotes and lists
-      .replace(/<blockquote[^>]*>(.*?)<\/blockquote>/gi, '\n> $1\n')
-      .replace(/<li[^>]*>(.*?)<\/li>/gi, '• $1\n')
-      .replace(/<ul[^>]*>|<\/ul>/gi, '\n')
-      .replace(/<ol[^>]*>|<\/ol>/gi, '\n')
-      // Remove remaining HTML tags
-      .replace(/<[^>]*>/g, ' ')
-      // Clean up whitespace
-      .replace(/\s+/g, ' ')
-      .replace(/\n\s*\n\s*\n/g, '\n\n')
-      .trim();
-  }
-
   /**
    * Performs health check using Google Cache
    * @returns {Promise<HealthCheckResult>}
@@ -371,7 +283,7 @@ class GoogleCacheMethod extends BypassMethod {
       const testUrl = 'https://www.wikipedia.org';
       const cacheUrl = `${this.cacheUrl}${encodeURIComponent(testUrl)}`;
       
-      const response = await axios.get(cacheUrl, {
+      const response = await httpClient.get(cacheUrl, {
         timeout: 10000,
         headers: { 'User-Agent': this.userAgent }
       });
@@ -396,6 +308,15 @@ class GoogleCacheMethod extends BypassMethod {
     }
   }
 
+  /**
+   * Requests go to webcache.googleusercontent.com
+   * @param {string} url - URL being bypassed
+   * @returns {string}
+   */
+  getServiceHost(url) {
+    return 'webcache.googleusercontent.com';
+  }
+
   /**
    * Gets test URL for this method
    * @returns {string}
@@ -1,6 +1,7 @@
-const axios = require('axios');
+const httpClient = require('../../utils/httpClient');
 const BypassMethod = require('./bypassMethod');
 const logger = require('../../utils/logger');
+const { extractArticle, formatArticle } = require('../../utils/articleExtractor');
 
 /**
  * Outline.com bypass method
@@ -38,8 +39,9 @@ class OutlineMethod extends BypassMethod {
       // Construct Outline.com URL
       const bypassUrl = `${this.baseUrl}${encodeURIComponent(url)}`;
       
-      const response = await axios.get(bypassUrl, {
+      const response = await httpClient.fetchPage(bypassUrl, {
         timeout: this.config.timeout,
+        signal: options.signal,
         headers: {
           'User-Agent': this.userAgent,
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -93,12 +95,12 @@ class OutlineMethod extends BypassMethod {
       } else if (response.status === 429) {
         const error = 'Outline.com rate limit exceeded';
         this.recordMetrics(false, responseTime, { status: response.status });
-        return this.createResult(false, null, error);
+        return this.createErrorResult(error, response);
         
       } else {
         const error = `Outline.com returned status ${response.status}`;
         this.recordMetrics(false, responseTime, { status: response.status });
-        return this.createResult(false, null, error);
+        return this.createErrorResult(error, response);
       }
 
     } catch (error) {
@@ -110,7 +112,7 @@ class OutlineMethod extends BypassMethod {
         responseTime
       });
 
-      return this.createResult(false, null, `Outline.com error: ${error.message}`);
+      return this.createErrorResult(`Outline.com error: ${error.message}`, error);
     }
   }
 
@@ -229,68 +231,14 @@ class OutlineMethod extends BypassMethod {
    */
   extractContent(content, originalUrl) {
     try {
-      // Extract title - Outline.com usually has clean titles
-      let title = 'Article';
-      const titleSelectors = [
-        /<h1[^>]*class="[^"]*otl-title[^"]*"[^>]*>(.*?)<\/h1>/i,
-        /<h1[^>]*>(.*?)<\/h1>/i,
-        /<title>(.*?)<\/title>/i
-      ];
-
-      for (const selector of titleSelectors) {
-        const match = content.match(selector);
-        if (match) {
-          title = match[1].replace(/<[^>]*>/g, '').trim();
-          // Remove "- Outline" suffix if present
-          title = title.replace(/\s*-\s*Outline\s*$/i, '');
-          break;
-        }
-      }
-
-      // Extract article content - Outline.com has specific content structure
-      let articleContent = '';
-      const contentSelectors = [
-        /<div[^>]*class="[^"]*otl-content[^"]*"[^>]*>(.*?)<\/div>/is,
-        /<article[^>]*class="[^"]*otl-article[^"]*"[^>]*>(.*?)<\/article>/is,
-        /<div[^>]*class="[^"]*content[^"]*"[^>]*>(.*?)<\/div>/is,
-        /<article[^>]*>(.*?)<\/article>/is
-      ];
-
-      for (const selector of contentSelectors) {
-        const match = content.match(selector);
-        if (match) {
-          articleContent = match[1];
-          break;
-        }
-      }
-
-      // If no specific content found, try to extract from main content area
-      if (!articleContent) {
-        const mainMatch = content.match(/<main[^>]*>(.*?)<\/main>/is);
-        if (mainMatch) {
-          articleContent = mainMatch[1];
-        }
-      }
-
-      // Clean up the content
-      const cleanContent = this.cleanHtmlContent(articleContent);
-
-      // Extract author and date if available
-      let metadata = '';
-      const authorMatch = content.match(/<span[^>]*class="[^"]*author[^"]*"[^>]*>(.*?)<\/span>/i);
-      const dateMatch = content.match(/<time[^>]*>(.*?)<\/time>/i);
-      
-      if (authorMatch || dateMatch) {
-        metadata = '\n\n';
-        if (authorMatch) {
-          metadata += `*By ${authorMatch[1].replace(/<[^>]*>/g, '').trim()}*`;
-        }
-        if (dateMatch) {
-          metadata += `${authorMatch ? ' • ' : '*'}${dateMatch[1].replace(/<[^>]*>/g, '').trim()}${authorMatch ? '' : '*'}`;
-        }
-      }
+      const article = extractArticle(content, { url: originalUrl });
+      // Remove "- Outline" suffix if present
+      const title = article.title && article.title.replace(/\s*-\s*Outline\s*$/i, '');
 
-      return `**${title}**${metadata}\n\n${cleanContent}\n\n*Original URL: ${originalUrl}*\n*Cleaned by Outline.com*`;
+      return formatArticle({ ...article, title }, {
+        originalUrl,
+        footer: 'Cleaned by Outline.com'
+      });
       
     } catch (error) {
       logger.debug('Error extracting content from Outline.com response', { error: error.message });
@@ -298,40 +246,6 @@ class OutlineMethod extends BypassMethod {
     }
   }
 
-  /**
-   * Cleans HTML content for better readability
-   * @param {string} htmlContent - Raw HTML content
-   * @returns {string} Cleaned text content
-   */
-  cleanHtmlContent(htmlContent) {
-    return htmlContent
-      // Remove script and style tags
-      .replace(/<script[^>]*>.*?<\/script>/gis, '')
-      .replace(/<style[^>]*>.*?<\/style>/gis, '')
-      // Convert common HTML elements to markdown-like format
-      .replace(/<h([1-6])[^>]*>(.*?)<\/h[1-6]>/gi, (match, level, text) => {
-        const hashes = '#'.repeat(parseInt(level));
-        return `\n\n${hashes} ${text.trim()}\n\n`;
-      })
-      .replace(/<p[^>]*>(.*?)<\/p>/gi, '$1\n\n')
-      .replace(/<br\s*\/?>/gi, '\n')
-      .replace(/<strong[^>]*>(.*?)<\/strong>/gi, '**$1**')
-      .replace(/<b[^>]*>(.*?)<\/b>/gi, '**$1**')
-      .replace(/<em[^>]*>(.*?)<\/em>/gi, '*$1*')
-      .replace(/<i[^>]*>(.*?)<\/i>/gi, '*$1*')
-      .replace(/<a[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '[$2]($1)')
-      .replace(/<blockquote[^>]*>(.*?)<\/blockquote>/gi, '\n> $1\n')
-      .replace(/<li[^>]*>(.*?)<\/li>/gi, '• $1\n')
-      .replace(/<ul[^>]*>|<\/ul>/gi, '\n')
-      .replace(/<ol[^>]*>|<\/ol>/gi, '\n')
-      // Remove remaining HTML tags
-      .replace(/<[^>]*>/g, ' ')
-      // Clean up whitespace
-      .replace(/\s+/g, ' ')
-      .replace(/\n\s*\n\s*\n/g, '\n\n')
-      .trim();
-  }
-
   /**
    * Performs health check using Outline.com
    * @returns {Promise<HealthCheckResult>}
@@ -342,7 +256,7 @@ class OutlineMethod extends BypassMethod {
       const testUrl = 'https://example.com';
       const bypassUrl = `${this.baseUrl}${encodeURIComponent(testUrl)}`;
       
-      const response = await axios.get(bypassUrl, {
+      const response = await httpClient.get(bypassUrl, {
         timeout: 10000,
         headers: { 'User-Agent': this.userAgent }
       });
@@ -366,6 +280,15 @@ class OutlineMethod extends BypassMethod {
     }
   }
 
+  /**
+   * Requests go to outline.com
+   * @param {string} url - URL being bypassed
+   * @returns {string}
+   */
+  getServiceHost(url) {
+    return 'outline.com';
+  }
+
   /**
    * Gets test URL for this method
    * @returns {string}
@@ -1,6 +1,7 @@
-const axios = require('axios');
+const httpClient = require('../../utils/httpClient');
 const BypassMethod = require('./bypassMethod');
 const logger = require('../../utils/logger');
+const { extractArticle, formatArticle } = require('../../utils/articleExtractor');
 
 /**
  * 12ft.io bypass method
@@ -38,8 +39,9 @@ class TwelveFtMethod extends BypassMethod {
       // Construct 12ft.io URL
       const bypassUrl = `${this.baseUrl}${encodeURIComponent(url)}`;
       
-      const response = await axios.get(bypassUrl, {
+      const response = await httpClient.fetchPage(bypassUrl, {
         timeout: this.config.timeout,
+        signal: options.signal,
         headers: {
           'User-Agent': this.userAgent,
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -93,7 +95,7 @@ class TwelveFtMethod extends BypassMethod {
       } else {
         const error = `12ft.io returned status ${response.status}`;
         this.recordMetrics(false, responseTime, { status: response.status });
-        return this.createResult(false, null, error);
+        return this.createErrorResult(error, response);
       }
 
     } catch (error) {
@@ -105,7 +107,7 @@ class TwelveFtMethod extends BypassMethod {
         responseTime
       });
 
-      return this.createResult(false, null, `12ft.io error: ${error.message}`);
+      return this.createErrorResult(`12ft.io error: ${error.message}`, error);
     }
   }
 
@@ -207,49 +209,15 @@ class TwelveFtMethod extends BypassMethod {
    * @returns {string}
    */
   extractContent(content, originalUrl) {
-    // For 12ft.io, we typically return the bypass URL since it provides
-    // a clean reading experience. However, we can also extract text content.
-    
     try {
-      // Extract title
-      const titleMatch = content.match(/<title>(.*?)<\/title>/i);
-      const title = titleMatch ? titleMatch[1].replace(/12ft\.io - /i, '').trim() : 'Article';
-
-      // Try to extract main content
-      let articleContent = '';
-      
-      // Look for common article content selectors
-      const contentPatterns = [
-        /<article[^>]*>(.*?)<\/article>/is,
-        /<div[^>]*class="[^"]*content[^"]*"[^>]*>(.*?)<\/div>/is,
-        /<main[^>]*>(.*?)<\/main>/is
-      ];
-
-      for (const pattern of contentPatterns) {
-        const match = content.match(pattern);
-        if (match) {
-          articleContent = match[1];
-          break;
-        }
-      }
-
-      // If no specific content found, extract from body
-      if (!articleContent) {
-        const bodyMatch = content.match(/<body[^>]*>(.*?)<\/body>/is);
-        if (bodyMatch) {
-          articleContent = bodyMatch[1];
-        }
-      }
-
-      // Clean up HTML tags and format
-      const cleanContent = articleContent
-        .replace(/<script[^>]*>.*?<\/script>/gis, '')
-        .replace(/<style[^>]*>.*?<\/style>/gis, '')
-        .replace(/<[^>]*>/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
+      const article = extractArticle(content, { url: originalUrl });
+      // 12ft.io prefixes the page title with its own name
+      const title = article.title && article.title.replace(/^12ft\.io - /i, '').trim();
 
-      return `**${title}**\n\n${cleanContent}\n\n*Original URL: ${originalUrl}*\n*Bypassed via 12ft.io*`;
+      return formatArticle({ ...article, title }, {
+        originalUrl,
+        footer: 'Bypassed via 12ft.io'
+      });
       
     } catch (error) {
       logger.debug('Error extracting content from 12ft.io response', { error: error.message });
@@ -266,7 +234,7 @@ class TwelveFtMethod extends BypassMethod {
       const testUrl = 'https://httpbin.org/html'; // Simple test URL
       const bypassUrl = `${this.baseUrl}${encodeURIComponent(testUrl)}`;
       
-      const response = await axios.get(bypassUrl, {
+      const response = await httpClient.get(bypassUrl, {
         timeout: 10000,
         headers: { 'User-Agent': this.userAgent }
       });
@@ -288,6 +256,15 @@ class TwelveFtMethod extends BypassMethod {
     }
   }
 
+  /**
+   * Requests go to 12ft.io
+   * @param {string} url - URL being bypassed
+   * @returns {string}
+   */
+  getServiceHost(url) {
+    return '12ft.io';
+  }
+
   /**
    * Gets test URL for this method
    * @returns {string}
@@ -1,6 +1,7 @@
 const BypassMethod = require('./bypassMethod');
 const ArchiveService = require('../archiveService');
 const logger = require('../../utils/logger');
+const httpClient = require('../../utils/httpClient');
 
 /**
  * Wayback Machine (archive.org) bypass method
@@ -34,7 +35,7 @@ class WaybackMethod extends BypassMethod {
     try {
       logger.debug(`Attempting Wayback Machine bypass for: ${url}`);
 
-      const archiveUrl = await this.archiveService.tryWaybackMachine(url);
+      const archiveUrl = await this.archiveService.tryWaybackMachine(url, { throwServiceErrors: true, signal: options.signal });
       const responseTime = Date.now() - startTime;
 
       if (archiveUrl && typeof archiveUrl === 'string' && archiveUrl.length > 0) {
@@ -70,7 +71,7 @@ class WaybackMethod extends BypassMethod {
         responseTime
       });
 
-      return this.createResult(false, null, `Wayback Machine error: ${error.message}`);
+      return this.createErrorResult(`Wayback Machine error: ${error.message}`, error);
     }
   }
 
@@ -85,9 +86,8 @@ class WaybackMethod extends BypassMethod {
       
       // Use the Wayback Machine availability API
       const apiUrl = `https://archive.org/wayback/available?url=${testUrl}`;
-      const axios = require('axios');
       
-      const response = await axios.get(apiUrl, {
+      const response = await httpClient.get(apiUrl, {
         timeout: 10000,
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -138,6 +138,14 @@ class WaybackMethod extends BypassMethod {
     return this.config.testUrl;
   }
 
+  /**
+   * Archive snapshots are returned as links
+   * @returns {boolean}
+   */
+  isArchiveMethod() {
+    return true;
+  }
+
   /**
    * Override to provide domain-specific reliability information
    * @param {string} domain - Domain to check
@@ -164,6 +172,15 @@ class WaybackMethod extends BypassMethod {
     };
   }
 
+  /**
+   * Requests go to archive.org
+   * @param {string} url - URL being bypassed
+   * @returns {string}
+   */
+  getServiceHost(url) {
+    return 'archive.org';
+  }
+
   /**
    * Cleanup method
    */
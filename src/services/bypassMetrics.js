@@ -6,11 +6,90 @@ const { extractDomain } = require('../utils/urlExtractor');
  * Stores metrics in memory with optional persistence to database
  */
 class BypassMetrics {
-  constructor() {
+  /**
+   * @param {Object} options - Metrics options
+   * @param {number} options.aggregationInterval - Rollup bucket size in milliseconds
+   * @param {number} options.retentionDays - How long history is kept before pruning
+   */
+  constructor(options = {}) {
     this.metrics = new Map(); // domain -> method -> metrics
     this.globalMetrics = new Map(); // method -> global metrics
     this.recentAttempts = []; // Recent attempts for trend analysis
     this.maxRecentAttempts = 1000; // Keep last 1000 attempts
+    this.rollups = new Map(); // bucketStart|domain|method -> aggregated counts
+    this.cacheStats = this.createEmptyCacheStats();
+    this.retryStats = this.createEmptyRetryStats();
+    this.aggregationInterval = options.aggregationInterval || 3600000; // 1 hour
+    this.retentionDays = options.retentionDays || 30;
+  }
+
+  /**
+   * Applies aggregation and retention settings
+   * @param {Object} metricsConfig - The metrics section of bypass-methods.json
+   */
+  configure(metricsConfig = {}) {
+    if (metricsConfig.aggregationInterval) {
+      this.aggregationInterval = metricsConfig.aggregationInterval;
+    }
+    if (metricsConfig.retentionDays) {
+      this.retentionDays = metricsConfig.retentionDays;
+    }
+  }
+
+  /**
+   * Records a result cache lookup
+   * @param {string} method - Method of the cached result, or null on a miss
+   * @param {boolean} hit - Whether a usable cached result was found
+   */
+  recordCacheLookup(method, hit) {
+    if (!hit) {
+      this.cacheStats.misses++;
+      return;
+    }
+
+    this.cacheStats.hits++;
+    this.cacheStats.hitsByMethod[method] = (this.cacheStats.hitsByMethod[method] || 0) + 1;
+  }
+
+  /**
+   * Records a cached result removed after a failure report
+   */
+  recordCacheInvalidation() {
+    this.cacheStats.invalidations++;
+  }
+
+  /**
+   * Creates empty result cache counters
+   * @returns {Object} Cache counters
+   */
+  createEmptyCacheStats() {
+    return { hits: 0, misses: 0, invalidations: 0, hitsByMethod: {} };
+  }
+
+  /**
+   * Records a failed try that is being retried
+   * Retried tries are kept out of the attempt counts so transient failures
+   * don't lower success rates or feed the auto-blacklist.
+   * @param {string} url - The URL that was attempted
+   * @param {string} method - The bypass method used
+   * @param {Object} details - What failed and how long until the retry
+   * @param {string} details.errorType - Error type from classifyError()
+   * @param {number} details.delayMs - Wait before the retry in milliseconds
+   */
+  recordRetry(url, method, { errorType, delayMs }) {
+    this.retryStats.total++;
+    this.retryStats.byMethod[method] = (this.retryStats.byMethod[method] || 0) + 1;
+    this.retryStats.byErrorType[errorType] = (this.retryStats.byErrorType[errorType] || 0) + 1;
+
+    logger.debug('Recorded bypass retry', { domain: extractDomain(url), method, errorType, delayMs });
+  }
+
+  /**
+   * Creates empty retry counters
+   * @returns {Object} Retry counters
+   */
+  createEmptyRetryStats() {
+    return { total: 0, byMethod: {}, byErrorType: {} };
   }
 
   /**
@@ -62,6 +141,8 @@ class BypassMetrics {
       this.recentAttempts.shift();
     }
 
+    this.updateRollup(domain, method, success, responseTime, timestamp);
+
     logger.debug(`Recorded bypass attempt`, {
       domain,
       method,
@@ -82,6 +163,9 @@ class BypassMetrics {
       failedAttempts: 0,
       totalResponseTime: 0,
       averageResponseTime: 0,
+      // Successes only, since failures can be fast; exports from before these existed have none
+      totalSuccessResponseTime: 0,
+      timedSuccesses: 0,
       minResponseTime: Infinity,
       maxResponseTime: 0,
       lastAttempt: null,
@@ -115,6 +199,10 @@ class BypassMetrics {
     // Update response time metrics
     metrics.totalResponseTime += responseTime;
     metrics.averageResponseTime = metrics.totalResponseTime / metrics.totalAttempts;
+    if (success) {
+      metrics.totalSuccessResponseTime += responseTime;
+      metrics.timedSuccesses++;
+    }
     metrics.minResponseTime = Math.min(metrics.minResponseTime, responseTime);
     metrics.maxResponseTime = Math.max(metrics.maxResponseTime, responseTime);
 
@@ -129,6 +217,132 @@ class BypassMetrics {
     metrics.recentSuccessRate = (recentSuccesses / metrics.recentAttempts.length) * 100;
   }
 
+  /**
+   * Adds an attempt to its rollup bucket
+   * @param {string} domain - Domain name
+   * @param {string} method - Method name
+   * @param {boolean} success - Whether the attempt was successful
+   * @param {number} responseTime - Response time in milliseconds
+   * @param {Date} timestamp - Timestamp of the attempt
+   */
+  updateRollup(domain, method, success, responseTime, timestamp) {
+    const bucketStart = Math.floor(timestamp.getTime() / this.aggregationInterval) * this.aggregationInterval;
+    const key = `${bucketStart}|${domain}|${method}`;
+
+    let rollup = this.rollups.get(key);
+    if (!rollup) {
+      rollup = {
+        bucketStart,
+        domain,
+        method,
+        attempts: 0,
+        successes: 0,
+        totalResponseTime: 0
+      };
+      this.rollups.set(key, rollup);
+    }
+
+    rollup.attempts++;
+    if (success) rollup.successes++;
+    rollup.totalResponseTime += responseTime;
+  }
+
+  /**
+   * Gets rollup buckets, optionally filtered
+   * @param {Object} filter - Filter options
+   * @param {number} filter.since - Only buckets starting at or after this epoch time
+   * @param {string} filter.domain - Only buckets for this domain
+   * @param {string} filter.method - Only buckets for this method
+   * @returns {Array} Rollup buckets sorted by start time
+   */
+  getRollups(filter = {}) {
+    return Array.from(this.rollups.values())
+      .filter(rollup =>
+        (filter.since === undefined || rollup.bucketStart >= filter.since) &&
+        (filter.domain === undefined || rollup.domain === filter.domain) &&
+        (filter.method === undefined || rollup.method === filter.method)
+      )
+      .map(rollup => ({
+        ...rollup,
+        successRate: (rollup.successes / rollup.attempts) * 100,
+        averageResponseTime: rollup.totalResponseTime / rollup.attempts
+      }))
+      .sort((a, b) => a.bucketStart - b.bucketStart);
+  }
+
+  /**
+   * Drops history older than the retention period
+   * @param {number} now - Current epoch time (for testing)
+   * @returns {Object} Counts of pruned entries
+   */
+  pruneExpired(now = Date.now()) {
+    const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+    const pruned = { rollups: 0, recentAttempts: 0, domainMethods: 0 };
+
+    for (const [key, rollup] of this.rollups.entries()) {
+      if (rollup.bucketStart < cutoff) {
+        this.rollups.delete(key);
+        pruned.rollups++;
+      }
+    }
+
+    const before = this.recentAttempts.length;
+    this.recentAttempts = this.recentAttempts.filter(a => new Date(a.timestamp).getTime() >= cutoff);
+    pruned.recentAttempts = before - this.recentAttempts.length;
+
+    // Domain-level history for methods not attempted within the retention period
+    for (const [domain, domainMetrics] of this.metrics.entries()) {
+      for (const [method, metrics] of domainMetrics.entries()) {
+        if (!metrics.lastAttempt || new Date(metrics.lastAttempt).getTime() < cutoff) {
+          domainMetrics.delete(method);
+          pruned.domainMethods++;
+        }
+      }
+      if (domainMetrics.size === 0) {
+        this.metrics.delete(domain);
+      }
+    }
+
+    if (pruned.rollups || pruned.recentAttempts || pruned.domainMethods) {
+      logger.debug('Pruned expired metrics', { ...pruned, retentionDays: this.retentionDays });
+    }
+
+    return pruned;
+  }
+
+  /**
+   * Gets the historical average response time for a method
+   * Uses domain-specific history when available, falling back to global history
+   * @param {string} domain - Domain name
+   * @param {string} method - Method name
+   * @returns {number|null} Average response time in milliseconds, or null without history
+   */
+  getAverageResponseTime(domain, method) {
+    const domainMetrics = this.metrics.get(domain);
+    const metrics = (domainMetrics && domainMetrics.get(method)) || this.globalMetrics.get(method);
+
+    if (!metrics || metrics.totalAttempts === 0) {
+      return null;
+    }
+
+    return metrics.averageResponseTime;
+  }
+
+  /**
+   * Gets the historical average response time of a method's successful attempts
+   * Uses domain-specific history when it has successes, falling back to global history
+   * @param {string} domain - Domain name
+   * @param {string} method - Method name
+   * @returns {number|null} Average response time in milliseconds, or null without successes
+   */
+  getAverageSuccessResponseTime(domain, method) {
+    const domainMetrics = this.metrics.get(domain);
+    const candidates = [domainMetrics && domainMetrics.get(method), this.globalMetrics.get(method)];
+    const metrics = candidates.find(entry => entry && entry.timedSuccesses > 0);
+
+    return metrics ? metrics.totalSuccessResponseTime / metrics.timedSuccesses : null;
+  }
+
   /**
    * Gets success rate for a specific domain and method
    * @param {string} domain - Domain name
@@ -262,7 +476,34 @@ class BypassMetrics {
       overallSuccessRate: totalAttempts > 0 ? (totalSuccesses / totalAttempts) * 100 : 0,
       methods,
       totalDomains: this.metrics.size,
-      recentAttemptsCount: this.recentAttempts.length
+      recentAttemptsCount: this.recentAttempts.length,
+      cache: this.getCacheMetrics(),
+      retries: this.getRetryMetrics()
+    };
+  }
+
+  /**
+   * Gets result cache counters with the hit rate
+   * @returns {Object} Cache metrics
+   */
+  getCacheMetrics() {
+    const lookups = this.cacheStats.hits + this.cacheStats.misses;
+    return {
+      ...this.cacheStats,
+      hitsByMethod: { ...this.cacheStats.hitsByMethod },
+      hitRate: lookups > 0 ? (this.cacheStats.hits / lookups) * 100 : 0
+    };
+  }
+
+  /**
+   * Gets retry counters
+   * @returns {Object} Retry metrics
+   */
+  getRetryMetrics() {
+    return {
+      total: this.retryStats.total,
+      byMethod: { ...this.retryStats.byMethod },
+      byErrorType: { ...this.retryStats.byErrorType }
     };
   }
 
@@ -362,6 +603,9 @@ class BypassMetrics {
     this.metrics.clear();
     this.globalMetrics.clear();
     this.recentAttempts = [];
+    this.rollups.clear();
+    this.cacheStats = this.createEmptyCacheStats();
+    this.retryStats = this.createEmptyRetryStats();
     logger.info('Cleared all metrics');
   }
 
@@ -379,10 +623,29 @@ class BypassMetrics {
       ),
       globalMetrics: Object.fromEntries(this.globalMetrics.entries()),
       recentAttempts: this.recentAttempts,
+      rollups: Array.from(this.rollups.values()),
+      cacheStats: this.cacheStats,
+      retryStats: this.retryStats,
       exportTimestamp: new Date()
     };
   }
 
+  /**
+   * Restores types lost in JSON serialization of a metrics object
+   * @param {Object} metrics - Metrics object from an export
+   * @returns {Object} Metrics object with Dates and Infinity restored
+   */
+  reviveMetrics(metrics) {
+    return {
+      ...this.createEmptyMetrics(),
+      ...metrics,
+      minResponseTime: typeof metrics.minResponseTime === 'number' ? metrics.minResponseTime : Infinity,
+      lastAttempt: metrics.lastAttempt ? new Date(metrics.lastAttempt) : null,
+      lastSuccess: metrics.lastSuccess ? new Date(metrics.lastSuccess) : null,
+      recentAttempts: (metrics.recentAttempts || []).map(a => ({ ...a, timestamp: new Date(a.timestamp) }))
+    };
+  }
+
   /**
    * Imports metrics data from backup
    * @param {Object} data - Metrics data to import
@@ -393,7 +656,7 @@ class BypassMetrics {
       Object.entries(data.domainMetrics).forEach(([domain, methods]) => {
         const domainMap = new Map();
         Object.entries(methods).forEach(([method, metrics]) => {
-          domainMap.set(method, metrics);
+          domainMap.set(method, this.reviveMetrics(metrics));
         });
         this.metrics.set(domain, domainMap);
       });
@@ -402,18 +665,42 @@ class BypassMetrics {
     if (data.globalMetrics) {
       this.globalMetrics.clear();
       Object.entries(data.globalMetrics).forEach(([method, metrics]) => {
-        this.globalMetrics.set(method, metrics);
+        this.globalMetrics.set(method, this.reviveMetrics(metrics));
       });
     }
 
     if (data.recentAttempts) {
-      this.recentAttempts = data.recentAttempts;
+      this.recentAttempts = data.recentAttempts.map(a => ({ ...a, timestamp: new Date(a.timestamp) }));
+    }
+
+    if (data.rollups) {
+      this.rollups.clear();
+      data.rollups.forEach(rollup => {
+        this.rollups.set(`${rollup.bucketStart}|${rollup.domain}|${rollup.method}`, { ...rollup });
+      });
+    }
+
+    if (data.cacheStats) {
+      this.cacheStats = {
+        ...this.createEmptyCacheStats(),
+        ...data.cacheStats,
+        hitsByMethod: { ...(data.cacheStats.hitsByMethod || {}) }
+      };
+    }
+
+    if (data.retryStats) {
+      this.retryStats = {
+        total: data.retryStats.total || 0,
+        byMethod: { ...(data.retryStats.byMethod || {}) },
+        byErrorType: { ...(data.retryStats.byErrorType || {}) }
+      };
     }
 
     logger.info('Imported metrics data', {
       domains: this.metrics.size,
       methods: this.globalMetrics.size,
-      recentAttempts: this.recentAttempts.length
+      recentAttempts: this.recentAttempts.length,
+      rollups: this.rollups.size
     });
   }
 }
@@ -0,0 +1,187 @@
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_CONCURRENT = 5;
+
+// Queue group for requests that do not come from a guild (DMs)
+const DIRECT_GROUP = 'direct';
+
+/**
+ * Bypass Queue - Shared work queue for bypass attempts
+ * Bounds the number of bypasses running at once across all guilds, limits
+ * concurrent attempts per method, and takes turns between guilds so one busy
+ * guild cannot starve the others.
+ */
+class BypassQueue {
+  /**
+   * @param {Object} options - Queue limits
+   * @param {number} options.maxConcurrent - Bypasses allowed to run at once
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || DEFAULT_MAX_CONCURRENT;
+    this.groups = new Map(); // groupId -> waiting jobs; Map order is the round-robin order
+    this.active = 0;
+    this.methodSlots = new Map(); // method name -> { active, waiting }
+  }
+
+  /**
+   * Updates queue limits
+   * @param {Object} limits - New limits
+   */
+  configure(limits = {}) {
+    if (limits.maxConcurrent) {
+      this.maxConcurrent = limits.maxConcurrent;
+    }
+
+    logger.debug('Configured bypass queue', { maxConcurrent: this.maxConcurrent });
+
+    this.drain();
+  }
+
+  /**
+   * Queues a task and runs it when a slot is free
+   * @param {Function} task - Async function to run
+   * @param {string} groupId - Fairness group, usually the guild ID
+   * @returns {Promise<*>} The task's result
+   */
+  run(task, groupId = DIRECT_GROUP) {
+    return new Promise((resolve, reject) => {
+      const group = groupId || DIRECT_GROUP;
+      if (!this.groups.has(group)) {
+        this.groups.set(group, []);
+      }
+      this.groups.get(group).push({ task, resolve, reject });
+
+      this.drain();
+    });
+  }
+
+  /**
+   * Starts queued tasks while there are free slots
+   */
+  drain() {
+    while (this.active < this.maxConcurrent && this.groups.size > 0) {
+      this.start(this.nextJob());
+    }
+  }
+
+  /**
+   * Takes the next job, rotating through groups
+   * The group that was served moves to the back of the rotation.
+   * @returns {Object} Job
+   */
+  nextJob() {
+    const [groupId, jobs] = this.groups.entries().next().value;
+    const job = jobs.shift();
+
+    this.groups.delete(groupId);
+    if (jobs.length > 0) {
+      this.groups.set(groupId, jobs);
+    }
+
+    return job;
+  }
+
+  /**
+   * Runs a job and frees its slot when it settles
+   * @param {Object} job - Job to run
+   */
+  start(job) {
+    this.active++;
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.active--;
+        this.drain();
+      });
+  }
+
+  /**
+   * Runs a task while holding one of a method's concurrency slots
+   * @param {string} methodName - Bypass method name
+   * @param {number} limit - Concurrent attempts allowed for the method; falsy for no limit
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} The task's result
+   */
+  async runWithMethodSlot(methodName, limit, task) {
+    if (!limit) {
+      return task();
+    }
+
+    await this.acquireMethodSlot(methodName, limit);
+    try {
+      return await task();
+    } finally {
+      this.releaseMethodSlot(methodName);
+    }
+  }
+
+  /**
+   * Waits for a free method slot
+   * @param {string} methodName - Bypass method name
+   * @param {number} limit - Concurrent attempts allowed for the method
+   * @returns {Promise<void>}
+   */
+  acquireMethodSlot(methodName, limit) {
+    if (!this.methodSlots.has(methodName)) {
+      this.methodSlots.set(methodName, { active: 0, waiting: [] });
+    }
+    const slot = this.methodSlots.get(methodName);
+
+    if (slot.active < limit) {
+      slot.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => slot.waiting.push(resolve));
+  }
+
+  /**
+   * Frees a method slot, handing it straight to the next waiter if any
+   * @param {string} methodName - Bypass method name
+   */
+  releaseMethodSlot(methodName) {
+    const slot = this.methodSlots.get(methodName);
+    const next = slot.waiting.shift();
+
+    if (next) {
+      next();
+    } else {
+      slot.active--;
+    }
+  }
+
+  /**
+   * Gets the number of queued tasks
+   * @returns {number}
+   */
+  getQueuedCount() {
+    let queued = 0;
+    for (const jobs of this.groups.values()) {
+      queued += jobs.length;
+    }
+    return queued;
+  }
+
+  /**
+   * Gets queue depth and utilization
+   * @returns {Object} Queue stats
+   */
+  getStats() {
+    const methods = {};
+    for (const [name, slot] of this.methodSlots.entries()) {
+      methods[name] = { active: slot.active, waiting: slot.waiting.length };
+    }
+
+    return {
+      active: this.active,
+      queued: this.getQueuedCount(),
+      queuedByGroup: Object.fromEntries([...this.groups.entries()].map(([groupId, jobs]) => [groupId, jobs.length])),
+      maxConcurrent: this.maxConcurrent,
+      methods
+    };
+  }
+}
+
+module.exports = BypassQueue;
@@ -0,0 +1,175 @@
+const logger = require('../utils/logger');
+const { ERROR_TYPES, isServiceFailure } = require('../utils/errorClassifier');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_RECOVERY_THRESHOLD = 2;
+const DEFAULT_COOLDOWN_MS = 60000; // 1 minute
+const DEFAULT_HALF_OPEN_PROBES = 1;
+
+/**
+ * Circuit Breaker - Stops sending traffic to a failing bypass method
+ * Closed: requests flow; consecutive service failures open the breaker, and a
+ * rate limit response opens it straight away.
+ * Open: requests are refused until the cooldown has passed.
+ * Half-open: a limited number of probe requests are let through at a time;
+ * enough consecutive successes close the breaker again and any service
+ * failure reopens it.
+ * Failures specific to a URL (not archived, blocked for that site) don't count
+ * either way, since the service answered.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in log messages
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive service failures that open the breaker
+   * @param {number} options.recoveryThreshold - Consecutive successes that close a half-open breaker
+   * @param {number} options.cooldownMs - How long an open breaker refuses requests
+   * @param {number} options.halfOpenProbes - Probes a half-open breaker lets through at a time
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = DEFAULT_FAILURE_THRESHOLD;
+    this.recoveryThreshold = DEFAULT_RECOVERY_THRESHOLD;
+    this.cooldownMs = DEFAULT_COOLDOWN_MS;
+    this.halfOpenProbes = DEFAULT_HALF_OPEN_PROBES;
+    this.configure(options);
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.consecutiveSuccesses = 0;
+    this.openedAt = null;
+    this.lastFailureType = null;
+    this.timesOpened = 0;
+    this.probesInFlight = 0;
+  }
+
+  /**
+   * Updates thresholds; options left undefined keep their current value
+   * @param {Object} options - Same options as the constructor
+   */
+  configure(options = {}) {
+    this.failureThreshold = options.failureThreshold || this.failureThreshold;
+    this.recoveryThreshold = options.recoveryThreshold || this.recoveryThreshold;
+    this.cooldownMs = options.cooldownMs || this.cooldownMs;
+    this.halfOpenProbes = options.halfOpenProbes || this.halfOpenProbes;
+  }
+
+  /**
+   * Checks if a request may go through, moving an open breaker to half-open once its cooldown has passed
+   * Doesn't take a probe slot; call startRequest() when actually sending one.
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean}
+   */
+  allowsRequest(now = Date.now()) {
+    if (this.state === STATES.OPEN && now - this.openedAt >= this.cooldownMs) {
+      this.transition(STATES.HALF_OPEN);
+    }
+    if (this.state === STATES.HALF_OPEN) {
+      return this.probesInFlight < this.halfOpenProbes;
+    }
+    return this.state !== STATES.OPEN;
+  }
+
+  /**
+   * Claims the right to send a request, taking a probe slot while half-open
+   * The slot is given back by the recordSuccess() or recordFailure() call for the request.
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} Whether the request may be sent
+   */
+  startRequest(now = Date.now()) {
+    if (!this.allowsRequest(now)) return false;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.probesInFlight++;
+    }
+    return true;
+  }
+
+  /**
+   * Gives back a probe slot once a request has an outcome
+   */
+  releaseProbe() {
+    this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+  }
+
+  /**
+   * Records a successful request
+   */
+  recordSuccess() {
+    this.releaseProbe();
+    this.consecutiveFailures = 0;
+    this.consecutiveSuccesses++;
+
+    if (this.state !== STATES.CLOSED && this.consecutiveSuccesses >= this.recoveryThreshold) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Records a failed request
+   * @param {string} errorType - One of ERROR_TYPES from classifyError()
+   * @param {number} now - Current time in milliseconds
+   */
+  recordFailure(errorType, now = Date.now()) {
+    // A URL-specific failure or cancellation still ends the probe
+    this.releaseProbe();
+    if (!isServiceFailure(errorType)) return;
+
+    this.consecutiveSuccesses = 0;
+    this.consecutiveFailures++;
+    this.lastFailureType = errorType;
+
+    const shouldOpen = this.state === STATES.HALF_OPEN ||
+      errorType === ERROR_TYPES.RATE_LIMITED ||
+      this.consecutiveFailures >= this.failureThreshold;
+
+    if (shouldOpen) {
+      this.openedAt = now;
+      if (this.state !== STATES.OPEN) {
+        this.timesOpened++;
+        this.transition(STATES.OPEN);
+      }
+    }
+  }
+
+  /**
+   * Moves to a new state
+   * @param {string} state - One of STATES
+   */
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.consecutiveSuccesses = 0;
+    this.probesInFlight = 0;
+
+    const meta = { from: previous, to: state, consecutiveFailures: this.consecutiveFailures };
+    if (state === STATES.OPEN) {
+      logger.warn(`Circuit breaker opened for ${this.name}`, { ...meta, reason: this.lastFailureType });
+    } else {
+      logger.info(`Circuit breaker ${state === STATES.CLOSED ? 'closed' : 'half-open'} for ${this.name}`, meta);
+    }
+  }
+
+  /**
+   * Gets the breaker state for metrics
+   * @returns {Object} Breaker state
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastFailureType: this.lastFailureType,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      timesOpened: this.timesOpened
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.STATES = STATES;
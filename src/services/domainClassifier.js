@@ -0,0 +1,155 @@
+const { DomainRuleList, bySpecificity, parseDomainRule } = require('../utils/domainRules');
+
+/**
+ * Sources of domain rules, highest precedence first
+ * - guild: rules a guild's admins set with /config domain
+ * - feedback: sites users reported as not paywalled
+ * - curated: config.paywallDomains and config.whitelistedDomains
+ * - heuristic: domains the heuristic found a paywall on before
+ */
+const RULE_SOURCES = ['guild', 'feedback', 'curated', 'heuristic'];
+
+const SOURCE_LABELS = {
+  guild: 'guild override',
+  feedback: 'user feedback',
+  curated: 'curated',
+  heuristic: 'heuristic'
+};
+
+/**
+ * @typedef {Object} RuleLayer
+ * @property {DomainRuleList} paywalled - Rules for paywalled sites
+ * @property {DomainRuleList} whitelisted - Rules for sites that are never paywalled
+ */
+
+/**
+ * @typedef {Object} RuleMatch
+ * @property {string} source - Rule source, one of RULE_SOURCES
+ * @property {string} rule - Matching rule
+ * @property {boolean} paywalled - Whether the rule marks the URL as paywalled
+ */
+
+/**
+ * @typedef {Object} DomainClassification
+ * @property {boolean|null} paywalled - null when no rule matches and the heuristic has to decide
+ * @property {string|null} source - Source of the deciding rule
+ * @property {string|null} rule - Deciding rule
+ * @property {string} reason - Human-readable explanation
+ * @property {RuleMatch[]} matches - Every matching rule, highest precedence first
+ */
+
+/**
+ * Domain Classifier - Decides from domain rules whether a URL is paywalled
+ * Rules come from several sources, and the first source (in RULE_SOURCES
+ * order) with a matching rule decides. Within a source the more specific rule
+ * wins, and the whitelist wins a tie, since bypassing a free site does more
+ * harm than linking a paywalled one.
+ */
+class DomainClassifier {
+  /**
+   * @param {Object<string, RuleLayer>} layers - Rule lists by source; guild rules are passed to classify()
+   */
+  constructor(layers = {}) {
+    this.layers = layers;
+  }
+
+  /**
+   * Classifies a URL by its domain rules
+   * @param {string} url - URL to classify
+   * @param {Object} guildOverrides - Rules of the guild the URL was posted in
+   * @param {string[]} guildOverrides.paywallDomains - Rules the guild marks as paywalled
+   * @param {string[]} guildOverrides.whitelistedDomains - Rules the guild marks as not paywalled
+   * @returns {DomainClassification}
+   */
+  classify(url, guildOverrides = null) {
+    const matches = [];
+    let decision = null;
+
+    RULE_SOURCES.forEach(source => {
+      const layer = source === 'guild' ? buildGuildLayer(guildOverrides) : this.layers[source];
+      if (!layer) return;
+
+      const paywallRule = layer.paywalled.match(url);
+      const whitelistRule = layer.whitelisted.match(url);
+      if (paywallRule) matches.push({ source, rule: paywallRule, paywalled: true });
+      if (whitelistRule) matches.push({ source, rule: whitelistRule, paywalled: false });
+
+      if (decision || (!paywallRule && !whitelistRule)) return;
+
+      const paywalled = Boolean(paywallRule) &&
+        (!whitelistRule || bySpecificity(parseDomainRule(paywallRule), parseDomainRule(whitelistRule)) < 0);
+      decision = { source, rule: paywalled ? paywallRule : whitelistRule, paywalled };
+    });
+
+    if (!decision) {
+      return { paywalled: null, source: null, rule: null, reason: 'No domain rule matches', matches };
+    }
+
+    const overridden = matches.filter(match => match.source !== decision.source || match.rule !== decision.rule);
+    const reason = `"${decision.rule}" is on the ${SOURCE_LABELS[decision.source]} ` +
+      `${decision.paywalled ? 'paywall list' : 'whitelist'}` +
+      (overridden.length > 0 ? `, which outranks ${overridden.map(describeMatch).join(', ')}` : '');
+
+    return { ...decision, reason, matches };
+  }
+
+  /**
+   * Finds rules that are on a paywall list and a whitelist at the same time
+   * Precedence still decides these, but they usually mean one of the lists is
+   * out of date.
+   * @returns {Array<{rule: string, paywalledIn: string[], whitelistedIn: string[], winner: RuleMatch}>}
+   */
+  findConflicts() {
+    const entries = new Map(); // rule -> { paywalledIn, whitelistedIn }
+
+    RULE_SOURCES.filter(source => this.layers[source]).forEach(source => {
+      ['paywalled', 'whitelisted'].forEach(list => {
+        for (const rule of this.layers[source][list]) {
+          if (rule.startsWith('!')) continue;
+
+          const entry = entries.get(rule) || { paywalledIn: [], whitelistedIn: [] };
+          entry[list === 'paywalled' ? 'paywalledIn' : 'whitelistedIn'].push(source);
+          entries.set(rule, entry);
+        }
+      });
+    });
+
+    return Array.from(entries.entries())
+      .filter(([, entry]) => entry.paywalledIn.length > 0 && entry.whitelistedIn.length > 0)
+      .map(([rule, entry]) => {
+        const source = RULE_SOURCES.find(name => entry.paywalledIn.includes(name) || entry.whitelistedIn.includes(name));
+        return {
+          rule,
+          ...entry,
+          winner: { source, rule, paywalled: !entry.whitelistedIn.includes(source) }
+        };
+      });
+  }
+}
+
+/**
+ * Builds the rule layer of a guild's overrides
+ * @param {Object|null} guildOverrides - Guild rules, as passed to classify()
+ * @returns {RuleLayer|null}
+ */
+function buildGuildLayer(guildOverrides) {
+  if (!guildOverrides) return null;
+
+  return {
+    paywalled: new DomainRuleList(guildOverrides.paywallDomains || []),
+    whitelisted: new DomainRuleList(guildOverrides.whitelistedDomains || [])
+  };
+}
+
+/**
+ * Describes a rule match, e.g. `the curated paywall rule "nytimes.com"`
+ * @param {RuleMatch} match - Rule match
+ * @returns {string}
+ */
+function describeMatch(match) {
+  return `the ${SOURCE_LABELS[match.source]} ${match.paywalled ? 'paywall' : 'whitelist'} rule "${match.rule}"`;
+}
+
+module.exports = DomainClassifier;
+module.exports.RULE_SOURCES = RULE_SOURCES;
+module.exports.SOURCE_LABELS = SOURCE_LABELS;
@@ -0,0 +1,246 @@
+const logger = require('../utils/logger');
+
+/**
+ * Strategy used when no fallback strategy is configured for a domain.
+ * Mirrors the original orchestrator behavior: learned domain ordering,
+ * every available method tried in sequence.
+ */
+const DEFAULT_STRATEGY = {
+  name: 'default',
+  strategy: 'domain_optimized',
+  maxAttempts: Infinity,
+  skipUnhealthyMethods: true,
+  parallel: false
+};
+
+/**
+ * Fallback Strategy Engine - Decides which bypass methods to try for a domain,
+ * in what order, how many, and whether they race in parallel.
+ * Strategies are selected per domain group from the `fallbackStrategies`
+ * section of bypass-methods.json.
+ */
+class FallbackStrategyEngine {
+  /**
+   * @param {Object} context - Orchestrator state the strategies read from
+   * @param {BypassMethodRegistry} context.registry - Registered bypass methods
+   * @param {BypassMetrics} context.metrics - Historical metrics
+   * @param {Function} context.getMethodsForDomain - Learned method ordering for a domain
+   * @param {Function} context.getDomainStrategy - Domain strategy (preferred/blacklisted methods) lookup
+   */
+  constructor(context) {
+    this.context = context;
+    this.groups = [];
+    this.defaultStrategy = DEFAULT_STRATEGY;
+    this.orderers = new Map();
+
+    this.registerStrategy('priority_order', candidates => this.sortByPriority(candidates));
+    this.registerStrategy('parallel', candidates => this.sortByPriority(candidates));
+    this.registerStrategy('domain_optimized', (candidates, domain) => this.orderByDomain(candidates, domain));
+    this.registerStrategy('fast_first', (candidates, domain) => this.orderByResponseTime(candidates, domain));
+  }
+
+  /**
+   * Loads fallback strategies from configuration
+   * @param {Object} fallbackStrategies - Strategy name -> strategy settings
+   */
+  configure(fallbackStrategies = {}) {
+    this.groups = [];
+    this.defaultStrategy = DEFAULT_STRATEGY;
+
+    for (const [name, settings] of Object.entries(fallbackStrategies)) {
+      const strategy = this.normalizeStrategy(name, settings);
+
+      if (name === 'default') {
+        this.defaultStrategy = strategy;
+      } else {
+        this.groups.push({
+          domains: (settings.domains || []).map(domain => domain.toLowerCase().replace(/^www\./, '')),
+          strategy
+        });
+      }
+    }
+
+    logger.debug('Configured fallback strategies', {
+      groups: this.groups.length,
+      defaultStrategy: this.defaultStrategy.strategy
+    });
+  }
+
+  /**
+   * Normalizes configured strategy settings
+   * @param {string} name - Strategy name from config
+   * @param {Object} settings - Configured settings
+   * @returns {Object} Resolved strategy
+   */
+  normalizeStrategy(name, settings) {
+    return {
+      name,
+      strategy: settings.strategy,
+      maxAttempts: settings.maxAttempts || Infinity,
+      skipUnhealthyMethods: settings.skipUnhealthyMethods !== false,
+      parallel: settings.strategy === 'parallel' || settings.parallelAttempts === true
+    };
+  }
+
+  /**
+   * Registers an ordering function for a strategy type
+   * @param {string} name - Strategy type name
+   * @param {Function} orderer - (candidates, domain) => ordered methods
+   */
+  registerStrategy(name, orderer) {
+    this.orderers.set(name, orderer);
+  }
+
+  /**
+   * Resolves the strategy that applies to a domain
+   * Subdomains match their parent domain's group
+   * @param {string} domain - Domain name
+   * @returns {Object} Resolved strategy
+   */
+  resolveStrategy(domain) {
+    const group = this.groups.find(g =>
+      g.domains.some(d => domain === d || (domain && domain.endsWith(`.${d}`)))
+    );
+
+    return group ? group.strategy : this.defaultStrategy;
+  }
+
+  /**
+   * Plans the bypass attempts for a domain
+   * @param {string} domain - Domain name
+   * @param {Object} constraints - Caller restrictions
+   * @param {string[]} constraints.methods - Explicitly requested methods, tried in this order
+   * @param {boolean} constraints.archiveOnly - Only plan methods that return archive links
+   * @param {boolean} constraints.linksOnly - Only plan methods that return links rather than extracted text
+   * @param {string[]} constraints.enabledMethods - Only plan these methods (e.g. a guild's enabled methods)
+   * @returns {{strategy: Object, methods: BypassMethod[]}} Strategy and methods to try, in order
+   */
+  planAttempts(domain, constraints = {}) {
+    if (constraints.methods && constraints.methods.length > 0) {
+      return this.planRequestedMethods(domain, constraints);
+    }
+
+    const strategy = this.resolveStrategy(domain);
+    const orderer = this.orderers.get(strategy.strategy) || this.orderers.get(DEFAULT_STRATEGY.strategy);
+
+    const candidates = this.getCandidateMethods(domain, strategy.skipUnhealthyMethods)
+      .filter(method => this.meetsConstraints(method, constraints));
+
+    const methods = orderer(candidates, domain).slice(0, strategy.maxAttempts);
+
+    logger.debug(`Planned bypass attempts for ${domain}`, {
+      strategy: strategy.name,
+      type: strategy.strategy,
+      parallel: strategy.parallel,
+      methods: methods.map(m => m.name)
+    });
+
+    return { strategy, methods };
+  }
+
+  /**
+   * Plans explicitly requested methods
+   * The caller's choice overrides domain blacklists and health, but disabled
+   * methods are never run and the other constraints still apply, so a guild
+   * that only posts archive links or only links gets nothing else.
+   * @param {string} domain - Domain name
+   * @param {Object} constraints - Constraints as passed to planAttempts(), with the requested methods
+   * @returns {{strategy: Object, methods: BypassMethod[]}}
+   */
+  planRequestedMethods(domain, constraints) {
+    const methods = constraints.methods
+      .map(name => this.context.registry.getMethod(name))
+      .filter(method => method && method.config.enabled !== false)
+      .filter(method => this.meetsConstraints(method, constraints));
+
+    logger.debug(`Planned requested bypass attempts for ${domain}`, {
+      requested: constraints.methods,
+      methods: methods.map(m => m.name)
+    });
+
+    return {
+      strategy: { ...DEFAULT_STRATEGY, name: 'requested', maxAttempts: methods.length },
+      methods
+    };
+  }
+
+  /**
+   * Checks a method against the archive-only, links-only and enabled methods constraints
+   * @param {BypassMethod} method - Method to check
+   * @param {Object} constraints - Constraints as passed to planAttempts()
+   * @returns {boolean}
+   */
+  meetsConstraints(method, constraints) {
+    return (!constraints.archiveOnly || method.isArchiveMethod()) &&
+      (!constraints.linksOnly || method.producesLinks()) &&
+      (!constraints.enabledMethods || constraints.enabledMethods.includes(method.name));
+  }
+
+  /**
+   * Gets methods eligible for a domain: enabled, healthy unless the strategy
+   * allows unhealthy methods, and not blacklisted for the domain
+   * @param {string} domain - Domain name
+   * @param {boolean} skipUnhealthyMethods - Whether to exclude unhealthy methods
+   * @returns {BypassMethod[]}
+   */
+  getCandidateMethods(domain, skipUnhealthyMethods) {
+    const domainStrategy = this.context.getDomainStrategy(domain);
+    const blacklisted = domainStrategy ? domainStrategy.blacklistedMethods : [];
+
+    return this.context.registry.getAllMethods().filter(method => {
+      const eligible = skipUnhealthyMethods ? method.isAvailable() : method.config.enabled !== false;
+      return eligible && !blacklisted.includes(method.name);
+    });
+  }
+
+  /**
+   * Orders methods by configured priority (highest first)
+   * @param {BypassMethod[]} methods - Methods to order
+   * @returns {BypassMethod[]}
+   */
+  sortByPriority(methods) {
+    return [...methods].sort((a, b) => b.config.priority - a.config.priority);
+  }
+
+  /**
+   * Orders methods by the learned domain ordering, then priority
+   * @param {BypassMethod[]} candidates - Eligible methods
+   * @param {string} domain - Domain name
+   * @returns {BypassMethod[]}
+   */
+  orderByDomain(candidates, domain) {
+    const learned = this.context.getMethodsForDomain(domain)
+      .filter(method => candidates.includes(method));
+    const remaining = candidates.filter(method => !learned.includes(method));
+
+    return [...learned, ...this.sortByPriority(remaining)];
+  }
+
+  /**
+   * Orders methods by the historical average response time of their successes (fastest first)
+   * Failures don't count, so a method that fails fast isn't ranked first.
+   * Methods without successes follow, ordered by priority
+   * @param {BypassMethod[]} candidates - Eligible methods
+   * @param {string} domain - Domain name
+   * @returns {BypassMethod[]}
+   */
+  orderByResponseTime(candidates, domain) {
+    const timed = [];
+    const untimed = [];
+
+    for (const method of candidates) {
+      const averageResponseTime = this.context.metrics.getAverageSuccessResponseTime(domain, method.name);
+      if (averageResponseTime === null || averageResponseTime === undefined) {
+        untimed.push(method);
+      } else {
+        timed.push({ method, averageResponseTime });
+      }
+    }
+
+    timed.sort((a, b) => a.averageResponseTime - b.averageResponseTime);
+
+    return [...timed.map(item => item.method), ...this.sortByPriority(untimed)];
+  }
+}
+
+module.exports = FallbackStrategyEngine;
@@ -0,0 +1,215 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonStore');
+
+const DEFAULT_FEEDBACK_PATH = path.join(__dirname, '../../data/feedback.json');
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_FLUSH_INTERVAL_MS = 30000; // 30 seconds
+
+/**
+ * Feedback Store - What each feedback button and menu option acts on
+ * A component's custom ID carries only a feedback ID; the URL, method and
+ * where the result was posted are kept here. Records are persisted so
+ * buttons keep working across restarts, and expire after a TTL.
+ */
+class FeedbackStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Where records are persisted; null keeps them in memory only
+   * @param {number} options.ttlMs - How long a record stays usable
+   * @param {number} options.maxEntries - Maximum number of records; the oldest are dropped first
+   * @param {number} options.flushIntervalMs - How often changed records are written to disk
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? DEFAULT_FEEDBACK_PATH : options.filePath;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.flushIntervalMs = options.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS;
+    this.flushInterval = null;
+    this.records = new Map(); // feedback ID -> record; Map order is oldest first
+    this.dirty = false;
+  }
+
+  /**
+   * Number of stored records, including expired ones not pruned yet
+   * @returns {number}
+   */
+  get size() {
+    return this.records.size;
+  }
+
+  /**
+   * Stores a record under a new feedback ID
+   * @param {Object} record - What the feedback acts on: originalUrl, method, guildId, channelId, messageId
+   * @param {number} now - Current time in milliseconds
+   * @returns {string} Feedback ID, short enough for a component custom ID
+   */
+  create(record, now = Date.now()) {
+    const feedbackId = `${now}_${Math.random().toString(36).substr(2, 9)}`;
+    this.set(feedbackId, record, now);
+    return feedbackId;
+  }
+
+  /**
+   * Stores a record under a given feedback ID
+   * @param {string} feedbackId - Feedback ID
+   * @param {Object} record - What the feedback acts on
+   * @param {number} now - Current time in milliseconds
+   */
+  set(feedbackId, record, now = Date.now()) {
+    this.records.delete(feedbackId);
+    this.records.set(feedbackId, {
+      ...record,
+      createdAt: now,
+      expiresAt: now + this.ttlMs
+    });
+
+    while (this.records.size > this.maxEntries) {
+      this.records.delete(this.records.keys().next().value);
+    }
+
+    this.dirty = true;
+  }
+
+  /**
+   * Gets a record
+   * @param {string} feedbackId - Feedback ID
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} The record, or null if missing or expired
+   */
+  get(feedbackId, now = Date.now()) {
+    const record = this.records.get(feedbackId);
+    if (!record) return null;
+
+    if (record.expiresAt <= now) {
+      this.delete(feedbackId);
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Checks if a usable record exists
+   * @param {string} feedbackId - Feedback ID
+   * @returns {boolean}
+   */
+  has(feedbackId) {
+    return this.get(feedbackId) !== null;
+  }
+
+  /**
+   * Removes a record, once its feedback has been given
+   * @param {string} feedbackId - Feedback ID
+   * @returns {boolean} True if a record was removed
+   */
+  delete(feedbackId) {
+    const removed = this.records.delete(feedbackId);
+    if (removed) {
+      this.dirty = true;
+    }
+    return removed;
+  }
+
+  /**
+   * Removes expired records
+   * @param {number} now - Current time in milliseconds
+   */
+  pruneExpired(now = Date.now()) {
+    for (const [feedbackId, record] of this.records.entries()) {
+      if (record.expiresAt <= now) {
+        this.records.delete(feedbackId);
+        this.dirty = true;
+      }
+    }
+  }
+
+  /**
+   * Restores persisted records, skipping expired ones
+   * A missing or unreadable file leaves the store empty rather than failing startup
+   */
+  async load() {
+    if (!this.filePath) return;
+
+    try {
+      const data = await readJsonFile(this.filePath, {});
+      const records = Array.isArray(data.records) ? data.records : [];
+
+      records.forEach(([feedbackId, record]) => this.records.set(feedbackId, record));
+      this.pruneExpired();
+
+      while (this.records.size > this.maxEntries) {
+        this.records.delete(this.records.keys().next().value);
+      }
+
+      this.dirty = false;
+      logger.info('Feedback records loaded', { records: this.records.size });
+    } catch (error) {
+      logger.error('Failed to load feedback records', {
+        error: error.message,
+        filePath: this.filePath
+      });
+    }
+  }
+
+  /**
+   * Writes unexpired records to disk
+   */
+  async save() {
+    if (!this.filePath) return;
+
+    try {
+      this.pruneExpired();
+      await writeJsonFileAtomic(this.filePath, {
+        version: 1,
+        records: Array.from(this.records.entries())
+      });
+
+      this.dirty = false;
+      logger.debug('Feedback records saved', { records: this.records.size });
+    } catch (error) {
+      logger.error('Failed to save feedback records', { error: error.message });
+    }
+  }
+
+  /**
+   * Saves the records only if they changed since the last save
+   */
+  async flush() {
+    if (this.dirty) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Starts periodic flushing to disk
+   */
+  start() {
+    this.stop();
+    if (!this.filePath) return;
+
+    this.flushInterval = setInterval(() => {
+      this.flush().catch(error => {
+        logger.error('Error during periodic feedback flush', { error: error.message });
+      });
+    }, this.flushIntervalMs);
+
+    // Ensure the interval doesn't keep the process alive
+    if (this.flushInterval.unref) {
+      this.flushInterval.unref();
+    }
+  }
+
+  /**
+   * Stops periodic flushing
+   */
+  stop() {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+  }
+}
+
+module.exports = FeedbackStore;
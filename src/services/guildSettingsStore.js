@@ -0,0 +1,281 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonStore');
+const { parseDomainRule } = require('../utils/domainRules');
+
+const DEFAULT_SETTINGS_PATH = path.join(__dirname, '../../data/guild-settings.json');
+
+/**
+ * How bypass results are presented in a guild
+ * - auto: links or extracted article text, whichever the method produced
+ * - links: links only, never extracted text
+ * - archive: archive links only (archive.today, Wayback Machine)
+ */
+const RESPONSE_STYLES = ['auto', 'links', 'archive'];
+
+/**
+ * How bypass results are rendered in a guild
+ * - embed: rich embed with article metadata
+ * - text: plain message text
+ */
+const RESPONSE_FORMATS = ['embed', 'text'];
+
+const DEFAULT_GUILD_SETTINGS = {
+  enabledMethods: null, // null = every registered method
+  responseStyle: 'auto',
+  responseFormat: 'embed',
+  paywallThreshold: null, // null = global paywallDetection.threshold
+  allowedChannels: [], // channel or category IDs; empty = every channel
+  deniedChannels: [], // channel or category IDs
+  optOutRoles: [], // members with any of these roles never get auto-replies
+  optedOutUsers: [], // users who opted out with /paywallflower optout
+  paywallDomains: [], // domain rules this guild treats as paywalled, whatever the global lists say
+  whitelistedDomains: [] // domain rules this guild treats as never paywalled
+};
+
+const ID_LIST_SETTINGS = ['allowedChannels', 'deniedChannels', 'optOutRoles', 'optedOutUsers'];
+const DOMAIN_RULE_SETTINGS = ['paywallDomains', 'whitelistedDomains'];
+
+/**
+ * Guild Settings Store - Per-guild overrides of the global bot configuration
+ * Guilds without stored settings behave exactly like the global configuration.
+ */
+class GuildSettingsStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path where guild settings are persisted
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || DEFAULT_SETTINGS_PATH;
+    this.settings = new Map(); // guildId -> stored settings
+    this.saving = Promise.resolve(); // tail of the queued changes, so snapshots are written in order
+  }
+
+  /**
+   * Loads guild settings from storage
+   */
+  async load() {
+    try {
+      const data = await readJsonFile(this.filePath, {});
+      const guilds = data.guilds || {};
+
+      this.settings.clear();
+      for (const [guildId, settings] of Object.entries(guilds)) {
+        this.settings.set(guildId, settings);
+      }
+
+      logger.info('Guild settings loaded', { guilds: this.settings.size });
+    } catch (error) {
+      logger.error('Failed to load guild settings', {
+        error: error.message,
+        filePath: this.filePath
+      });
+    }
+  }
+
+  /**
+   * Saves guild settings to storage
+   * @param {Map} settings - Settings to write (defaults to the live settings)
+   */
+  async save(settings = this.settings) {
+    await writeJsonFileAtomic(this.filePath, {
+      version: 1,
+      guilds: Object.fromEntries(settings.entries())
+    });
+    logger.debug('Guild settings saved', { guilds: settings.size });
+  }
+
+  /**
+   * Saves a change to one guild's settings, then applies it
+   * Changes run one at a time, each building on the settings the previous one
+   * left behind, so a slow save can never overwrite a newer snapshot. A failed
+   * save leaves the live settings untouched.
+   * @param {string} guildId - Guild ID
+   * @param {Function} change - Maps the guild's stored settings (or undefined) to
+   *   the new ones; null removes the guild
+   * @returns {Promise<boolean>} False if there was nothing to change
+   */
+  commit(guildId, change) {
+    const run = this.saving.then(async () => {
+      const next = change(this.settings.get(guildId));
+      if (next === null && !this.settings.has(guildId)) {
+        return false;
+      }
+
+      const snapshot = new Map(this.settings);
+      if (next === null) {
+        snapshot.delete(guildId);
+      } else {
+        snapshot.set(guildId, next);
+      }
+      await this.save(snapshot);
+
+      if (next === null) {
+        this.settings.delete(guildId);
+      } else {
+        this.settings.set(guildId, next);
+      }
+      return true;
+    });
+
+    this.saving = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Gets the effective settings for a guild
+   * @param {string|null} guildId - Guild ID (null for DMs)
+   * @returns {Object} Settings with defaults applied
+   */
+  get(guildId) {
+    const stored = (guildId && this.settings.get(guildId)) || {};
+    const settings = { ...DEFAULT_GUILD_SETTINGS, ...stored };
+
+    const copy = { ...settings, enabledMethods: settings.enabledMethods ? [...settings.enabledMethods] : null };
+    [...ID_LIST_SETTINGS, ...DOMAIN_RULE_SETTINGS].forEach(key => {
+      copy[key] = [...settings[key]];
+    });
+
+    return copy;
+  }
+
+  /**
+   * Updates settings for a guild and persists them
+   * @param {string} guildId - Guild ID
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} The guild's effective settings after the update
+   * @throws {Error} If a setting is invalid or the settings cannot be saved
+   */
+  async update(guildId, changes) {
+    const errors = validateGuildSettings(changes);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    await this.commit(guildId, (stored = {}) => ({ ...stored, ...changes }));
+
+    logger.info('Updated guild settings', { guildId, changes: Object.keys(changes) });
+    return this.get(guildId);
+  }
+
+  /**
+   * Resets a guild to the global configuration
+   * @param {string} guildId - Guild ID
+   */
+  async reset(guildId) {
+    if (await this.commit(guildId, () => null)) {
+      logger.info('Reset guild settings', { guildId });
+    }
+  }
+
+  /**
+   * Checks if the bot may respond in a channel
+   * Denied entries always win; a non-empty allow list restricts the bot to those entries.
+   * Entries match the channel itself or any of its parents, so a category ID
+   * covers every channel (and thread) in that category.
+   * @param {string|null} guildId - Guild ID (null for DMs)
+   * @param {string[]} channelIds - The channel ID followed by its parent IDs
+   * @returns {boolean}
+   */
+  isChannelAllowed(guildId, channelIds) {
+    const settings = this.get(guildId);
+
+    if (channelIds.some(id => settings.deniedChannels.includes(id))) {
+      return false;
+    }
+
+    return settings.allowedChannels.length === 0 ||
+      channelIds.some(id => settings.allowedChannels.includes(id));
+  }
+
+  /**
+   * Checks if a member should not receive auto-replies
+   * @param {string|null} guildId - Guild ID (null for DMs)
+   * @param {string} userId - User ID
+   * @param {string[]} roleIds - The member's role IDs
+   * @returns {boolean}
+   */
+  isUserOptedOut(guildId, userId, roleIds = []) {
+    const settings = this.get(guildId);
+
+    return settings.optedOutUsers.includes(userId) ||
+      roleIds.some(id => settings.optOutRoles.includes(id));
+  }
+
+  /**
+   * Opts a user out of (or back into) auto-replies in a guild
+   * @param {string} guildId - Guild ID
+   * @param {string} userId - User ID
+   * @param {boolean} optedOut - True to opt out, false to opt back in
+   * @returns {Promise<Object>} The guild's effective settings after the update
+   */
+  async setUserOptOut(guildId, userId, optedOut) {
+    // Built inside the queued change so concurrent opt-outs don't drop each other
+    await this.commit(guildId, (stored = {}) => {
+      const optedOutUsers = (stored.optedOutUsers || []).filter(id => id !== userId);
+      if (optedOut) {
+        optedOutUsers.push(userId);
+      }
+      return { ...stored, optedOutUsers };
+    });
+
+    logger.info('Updated guild settings', { guildId, changes: ['optedOutUsers'] });
+    return this.get(guildId);
+  }
+}
+
+/**
+ * Validates guild setting changes
+ * @param {Object} changes - Settings to validate
+ * @returns {string[]} Problems found, empty if valid
+ */
+function validateGuildSettings(changes) {
+  const errors = [];
+
+  Object.keys(changes).forEach(key => {
+    if (!(key in DEFAULT_GUILD_SETTINGS)) {
+      errors.push(`Unknown setting "${key}"`);
+    }
+  });
+
+  if (changes.enabledMethods !== undefined && changes.enabledMethods !== null) {
+    if (!Array.isArray(changes.enabledMethods) || changes.enabledMethods.length === 0 ||
+        !changes.enabledMethods.every(name => typeof name === 'string')) {
+      errors.push('enabledMethods must be a non-empty list of method names');
+    }
+  }
+
+  if (changes.responseStyle !== undefined && !RESPONSE_STYLES.includes(changes.responseStyle)) {
+    errors.push(`responseStyle must be one of: ${RESPONSE_STYLES.join(', ')}`);
+  }
+
+  if (changes.responseFormat !== undefined && !RESPONSE_FORMATS.includes(changes.responseFormat)) {
+    errors.push(`responseFormat must be one of: ${RESPONSE_FORMATS.join(', ')}`);
+  }
+
+  if (changes.paywallThreshold !== undefined && changes.paywallThreshold !== null &&
+      (!Number.isInteger(changes.paywallThreshold) || changes.paywallThreshold < 1)) {
+    errors.push('paywallThreshold must be a positive integer');
+  }
+
+  ID_LIST_SETTINGS.forEach(key => {
+    if (changes[key] !== undefined &&
+        (!Array.isArray(changes[key]) || !changes[key].every(id => typeof id === 'string'))) {
+      errors.push(`${key} must be a list of IDs`);
+    }
+  });
+
+  DOMAIN_RULE_SETTINGS.forEach(key => {
+    if (changes[key] !== undefined &&
+        (!Array.isArray(changes[key]) || !changes[key].every(rule => parseDomainRule(rule) !== null))) {
+      errors.push(`${key} must be a list of domain rules, e.g. example.com or example.com/news`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = GuildSettingsStore;
+module.exports.RESPONSE_STYLES = RESPONSE_STYLES;
+module.exports.RESPONSE_FORMATS = RESPONSE_FORMATS;
+module.exports.DEFAULT_GUILD_SETTINGS = DEFAULT_GUILD_SETTINGS;
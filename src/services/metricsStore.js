@@ -0,0 +1,96 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonStore');
+
+const SNAPSHOT_FILE_NAME = 'bypass-metrics.json';
+const DEFAULT_SNAPSHOT_INTERVAL_MS = 300000; // 5 minutes
+
+/**
+ * Metrics Store - Persists BypassMetrics history to disk
+ * Snapshots are written periodically and restored on startup so success
+ * rates and rollups survive restarts. Expired history is pruned before
+ * every snapshot.
+ */
+class MetricsStore {
+  /**
+   * @param {BypassMetrics} metrics - Metrics instance to persist
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory where snapshots are written
+   * @param {number} options.snapshotIntervalMs - How often snapshots are written
+   */
+  constructor(metrics, options = {}) {
+    this.metrics = metrics;
+    this.directory = options.directory || path.join(__dirname, '../../data/metrics');
+    this.filePath = path.join(this.directory, SNAPSHOT_FILE_NAME);
+    this.snapshotIntervalMs = options.snapshotIntervalMs || DEFAULT_SNAPSHOT_INTERVAL_MS;
+    this.snapshotInterval = null;
+  }
+
+  /**
+   * Restores the last snapshot into the metrics instance
+   * A missing or unreadable snapshot leaves metrics empty rather than failing startup
+   */
+  async load() {
+    try {
+      const data = await readJsonFile(this.filePath);
+      if (!data) {
+        logger.info('No metrics snapshot found, starting fresh', { filePath: this.filePath });
+        return;
+      }
+
+      this.metrics.importMetrics(data);
+      this.metrics.pruneExpired();
+    } catch (error) {
+      logger.error('Failed to load metrics snapshot', {
+        error: error.message,
+        filePath: this.filePath
+      });
+    }
+  }
+
+  /**
+   * Prunes expired history and writes a snapshot
+   */
+  async save() {
+    try {
+      this.metrics.pruneExpired();
+      await writeJsonFileAtomic(this.filePath, {
+        version: 1,
+        ...this.metrics.exportMetrics()
+      });
+      logger.debug('Metrics snapshot saved', { filePath: this.filePath });
+    } catch (error) {
+      logger.error('Failed to save metrics snapshot', { error: error.message });
+    }
+  }
+
+  /**
+   * Starts periodic snapshots
+   */
+  start() {
+    this.stop();
+
+    this.snapshotInterval = setInterval(() => {
+      this.save().catch(error => {
+        logger.error('Error during periodic metrics snapshot', { error: error.message });
+      });
+    }, this.snapshotIntervalMs);
+
+    // Ensure the interval doesn't keep the process alive
+    if (this.snapshotInterval.unref) {
+      this.snapshotInterval.unref();
+    }
+  }
+
+  /**
+   * Stops periodic snapshots
+   */
+  stop() {
+    if (this.snapshotInterval) {
+      clearInterval(this.snapshotInterval);
+      this.snapshotInterval = null;
+    }
+  }
+}
+
+module.exports = MetricsStore;
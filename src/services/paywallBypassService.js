@@ -3,6 +3,7 @@ const ArchiveService = require('./archiveService');
 const BrowserService = require('./browserService');
 const logger = require('../utils/logger');
 const { normalizeUrl } = require('../utils/urlExtractor');
+const { formatArticle } = require('../utils/articleExtractor');
 
 class PaywallBypassService {
   constructor() {
@@ -79,11 +80,7 @@ class PaywallBypassService {
           });
 
           // Format the extracted content for Discord
-          const formattedContent = this.formatExtractedContent(
-            browserResult.title,
-            browserResult.content,
-            normalizedUrl
-          );
+          const formattedContent = this.formatExtractedContent(browserResult.article, normalizedUrl);
 
           return {
             success: true,
@@ -121,46 +118,17 @@ class PaywallBypassService {
   }
 
   /**
-   * Formats extracted content for Discord message
-   * @param {string} title - Article title
-   * @param {string} content - Article content
+   * Formats an extracted article for Discord message
+   * @param {Article} article - Article extracted by the browser service
    * @param {string} originalUrl - Original URL
-   * @returns {string} Formatted content
+   * @returns {string} Formatted content, in the layout messageHandler parses
    */
-  formatExtractedContent(title, content, originalUrl) {
-    // Clean and prepare content for better formatting
-    const cleanTitle = this.cleanText(title);
-    const cleanContent = this.cleanText(content);
-    
-    // Format content with proper structure for parsing by messageHandler
-    let formattedContent = `**${cleanTitle}**\n\n`;
-    formattedContent += cleanContent;
-    formattedContent += `\n\n*Original URL: ${originalUrl}*`;
-    formattedContent += `\n*Content extracted via PaywallFlower*`;
-    
-    return formattedContent;
-  }
-
-  /**
-   * Cleans text content by removing excessive whitespace and formatting issues
-   * @param {string} text - Text to clean
-   * @returns {string} Cleaned text
-   */
-  cleanText(text) {
-    if (!text) return '';
-    
-    return text
-      // Remove excessive whitespace
-      .replace(/\s+/g, ' ')
-      // Remove multiple consecutive newlines
-      .replace(/\n\s*\n\s*\n/g, '\n\n')
-      // Trim whitespace
-      .trim()
-      // Remove any Discord markdown that might interfere
-      .replace(/\|\|/g, '')
-      // Clean up common formatting issues
-      .replace(/\*\*\s*\*\*/g, '')
-      .replace(/\*\s*\*/g, '');
+  formatExtractedContent(article, originalUrl) {
+    return formatArticle(article, {
+      originalUrl,
+      footer: 'Content extracted via PaywallFlower',
+      fallbackTitle: 'Untitled'
+    });
   }
 
   /**
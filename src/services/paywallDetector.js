@@ -1,53 +1,98 @@
-const axios = require('axios');
+const httpClient = require('../utils/httpClient');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { extractDomain, isMediaFile } = require('../utils/urlExtractor');
+const { classifyError, isUnsupportedPage } = require('../utils/errorClassifier');
+const { findPaywallSignals } = require('../utils/paywallSignals');
+const { parsePageSections } = require('../utils/pageSections');
+const { DomainRuleList } = require('../utils/domainRules');
+const DomainClassifier = require('./domainClassifier');
 
 class PaywallDetectorService {
   constructor() {
-    this.knownPaywallDomains = new Set(config.paywallDomains);
-    this.whitelistedDomains = new Set(config.whitelistedDomains);
+    // Rules match subdomains too, and may be limited to a path (see domainRules)
+    this.knownPaywallDomains = new DomainRuleList(config.paywallDomains);
+    this.whitelistedDomains = new DomainRuleList(config.whitelistedDomains);
+    this.feedbackWhitelist = new DomainRuleList(); // sites users reported as not paywalled
+    this.learnedPaywallDomains = new DomainRuleList(); // sites the heuristic found a paywall on
     this.paywallConfig = config.paywallDetection;
+
+    // Which list wins when several match a URL (see domainClassifier)
+    this.domainClassifier = new DomainClassifier({
+      feedback: { paywalled: new DomainRuleList(), whitelisted: this.feedbackWhitelist },
+      curated: { paywalled: this.knownPaywallDomains, whitelisted: this.whitelistedDomains },
+      heuristic: { paywalled: this.learnedPaywallDomains, whitelisted: new DomainRuleList() }
+    });
   }
 
   /**
-   * Checks if a URL is from a whitelisted domain (should never be considered paywalled)
+   * Checks if a URL is on the curated or user feedback whitelist
+   * Subdomains of a whitelisted domain are whitelisted too, e.g. mobile.twitter.com.
+   * Whether the whitelist decides is up to classifyDomain().
    * @param {string} url - The URL to check
    * @returns {boolean} True if the domain is whitelisted
    */
   isWhitelistedDomain(url) {
-    const domain = extractDomain(url);
-    if (!domain) return false;
-
-    return this.whitelistedDomains.has(domain);
+    return this.whitelistedDomains.matches(url) || this.feedbackWhitelist.matches(url);
   }
 
   /**
-   * Checks if a URL is from a known paywall domain
+   * Checks if a URL is on the curated list of paywall domains or was learned by the heuristic
+   * Subdomains count, e.g. cooking.nytimes.com, and rules may be limited to a path.
    * @param {string} url - The URL to check
    * @returns {boolean} True if the domain is known to have paywalls
    */
   isKnownPaywallDomain(url) {
-    const domain = extractDomain(url);
-    if (!domain) return false;
+    return this.knownPaywallDomains.matches(url) || this.learnedPaywallDomains.matches(url);
+  }
+
+  /**
+   * Classifies a URL by domain rules alone
+   * Precedence: guild override, then user feedback, then the curated lists,
+   * then domains the heuristic learned.
+   * @param {string} url - The URL to classify
+   * @param {Object} domainOverrides - The guild's paywallDomains and whitelistedDomains rules
+   * @returns {Object} Classification; paywalled is null if no rule matches
+   */
+  classifyDomain(url, domainOverrides = null) {
+    return this.domainClassifier.classify(url, domainOverrides);
+  }
+
+  /**
+   * Reports rules that are on a paywall list and a whitelist at the same time
+   * @returns {Object[]} Conflicts, each with the rule, its sources and the winning source
+   */
+  validateDomainRules() {
+    const conflicts = this.domainClassifier.findConflicts();
+
+    conflicts.forEach(conflict => {
+      logger.warn('Domain rule is on a paywall list and a whitelist', {
+        rule: conflict.rule,
+        paywalledIn: conflict.paywalledIn,
+        whitelistedIn: conflict.whitelistedIn,
+        winner: `${conflict.winner.source} ${conflict.winner.paywalled ? 'paywall list' : 'whitelist'}`
+      });
+    });
 
-    return this.knownPaywallDomains.has(domain);
+    return conflicts;
   }
 
   /**
    * Analyzes content structure to determine if it's truncated or blocked
+   * Overlay patterns are matched against the markup; length and truncation
+   * patterns against the visible text, so scripts and styles don't count.
    * @param {string} content - The HTML content to analyze
+   * @param {PageSections} sections - The page already split by parsePageSections()
    * @returns {Object} Analysis results with score and details
    */
-  analyzeContentStructure(content) {
+  analyzeContentStructure(content, sections = parsePageSections(content)) {
     const analysis = {
       score: 0,
       details: []
     };
 
     // Check for truncated content indicators
-    const textContent = content.replace(/<[^>]*>/g, '').trim();
-    const contentLength = textContent.length;
+    const contentLength = sections.visible.length;
     
     if (contentLength < 500) {
       analysis.score += 2;
@@ -67,7 +112,7 @@ class PaywallDetectorService {
     ];
 
     overlayPatterns.forEach(pattern => {
-      if (pattern.test(content)) {
+      if (pattern.test(sections.markup)) {
         analysis.score += 3;
         analysis.details.push(`Found paywall overlay pattern: ${pattern.source}`);
       }
@@ -82,7 +127,7 @@ class PaywallDetectorService {
     ];
 
     truncationPatterns.forEach(pattern => {
-      const matches = content.match(pattern);
+      const matches = sections.visible.match(pattern);
       if (matches && matches.length > 0) {
         analysis.score += 1;
         analysis.details.push(`Found truncation pattern: ${pattern.source}`);
@@ -94,36 +139,48 @@ class PaywallDetectorService {
 
   /**
    * Calculates paywall score based on weighted indicators
+   * The page is parsed first, and each indicator is only looked for where it
+   * applies: the strong, medium, weak and negative indicators in the visible
+   * text outside the page chrome, contextIndicators.navigation in menus, site
+   * headers and footers, and contextIndicators.content in the article body.
+   * Scripts, styles and hidden elements never count. A content indicator
+   * that repeats a general one counts once, at the higher weight.
    * @param {string} content - The HTML content to analyze
+   * @param {number} threshold - Score at which content counts as paywalled
    * @returns {Object} Score calculation results
    */
-  calculatePaywallScore(content) {
-    const lowerContent = content.toLowerCase();
+  calculatePaywallScore(content, threshold = this.paywallConfig.threshold) {
+    const sections = parsePageSections(content);
+    const pageText = sections.visible.toLowerCase();
+    const contexts = {
+      navigation: sections.navigation.toLowerCase(),
+      content: sections.content.toLowerCase()
+    };
     let score = 0;
     let foundIndicators = [];
     let weakIndicatorScore = 0;
 
     // Process strong indicators
     this.paywallConfig.strongIndicators.forEach(indicator => {
-      if (lowerContent.includes(indicator.text)) {
+      if (pageText.includes(indicator.text)) {
         score += indicator.weight;
-        foundIndicators.push({ type: 'strong', text: indicator.text, weight: indicator.weight });
+        foundIndicators.push({ type: 'strong', context: 'page', text: indicator.text, weight: indicator.weight });
       }
     });
 
     // Process medium indicators
     this.paywallConfig.mediumIndicators.forEach(indicator => {
-      if (lowerContent.includes(indicator.text)) {
+      if (pageText.includes(indicator.text)) {
         score += indicator.weight;
-        foundIndicators.push({ type: 'medium', text: indicator.text, weight: indicator.weight });
+        foundIndicators.push({ type: 'medium', context: 'page', text: indicator.text, weight: indicator.weight });
       }
     });
 
     // Process weak indicators with cap
     this.paywallConfig.weakIndicators.forEach(indicator => {
-      if (lowerContent.includes(indicator.text)) {
+      if (pageText.includes(indicator.text)) {
         weakIndicatorScore += indicator.weight;
-        foundIndicators.push({ type: 'weak', text: indicator.text, weight: indicator.weight });
+        foundIndicators.push({ type: 'weak', context: 'page', text: indicator.text, weight: indicator.weight });
       }
     });
 
@@ -141,16 +198,37 @@ class PaywallDetectorService {
 
     // Process negative indicators
     this.paywallConfig.negativeIndicators.forEach(indicator => {
-      if (lowerContent.includes(indicator.text)) {
+      if (pageText.includes(indicator.text)) {
         score += indicator.weight; // These are negative weights
-        foundIndicators.push({ type: 'negative', text: indicator.text, weight: indicator.weight });
+        foundIndicators.push({ type: 'negative', context: 'page', text: indicator.text, weight: indicator.weight });
       }
     });
 
+    // Process context indicators, each only in its own part of the page
+    const contextIndicators = this.paywallConfig.contextIndicators || {};
+    Object.entries(contexts).forEach(([context, text]) => {
+      (contextIndicators[context] || []).forEach(indicator => {
+        if (!text.includes(indicator.text)) return;
+
+        // The article body is part of the page text, so the same phrase may already have counted
+        const counted = context === 'content' && foundIndicators.find(found => (
+          found.context === 'page' && found.type !== 'weak' && found.text === indicator.text
+        ));
+        if (counted) {
+          if (indicator.weight <= counted.weight) return;
+          score -= counted.weight;
+          foundIndicators.splice(foundIndicators.indexOf(counted), 1);
+        }
+
+        score += indicator.weight;
+        foundIndicators.push({ type: 'context', context, text: indicator.text, weight: indicator.weight });
+      });
+    });
+
     // Add content structure analysis only if we have strong/medium indicators
     // This prevents structure analysis from inflating scores for weak-only content
-    const structureAnalysis = this.analyzeContentStructure(content);
-    const hasStrongOrMediumIndicators = foundIndicators.some(i => i.type === 'strong' || i.type === 'medium');
+    const structureAnalysis = this.analyzeContentStructure(content, sections);
+    const hasStrongOrMediumIndicators = foundIndicators.some(i => ['strong', 'medium', 'context'].includes(i.type));
     
     if (hasStrongOrMediumIndicators) {
       score += structureAnalysis.score;
@@ -165,45 +243,91 @@ class PaywallDetectorService {
       score,
       foundIndicators,
       structureAnalysis,
-      threshold: this.paywallConfig.threshold,
-      hasPaywall: score >= this.paywallConfig.threshold
+      threshold,
+      hasPaywall: score >= threshold
+    };
+  }
+
+  /**
+   * Decides whether page content is paywalled
+   * What the publisher says in the page's JSON-LD and meta tags is checked
+   * first and settles the question with high confidence; the weighted
+   * heuristics only run for pages that say nothing about their paywall.
+   * A custom threshold only applies to the heuristics.
+   * @param {string} content - The HTML content to analyze
+   * @param {number} threshold - Score at which content counts as paywalled
+   * @returns {Object} Analysis with hasPaywall, the stage that decided it
+   *   ("structured" or "heuristic"), confidence, reason and structuredSignals,
+   *   plus the score calculation results when the heuristics ran
+   */
+  analyzeContent(content, threshold = this.paywallConfig.threshold) {
+    const structured = findPaywallSignals(content);
+
+    if (structured.paywalled !== null) {
+      return {
+        stage: 'structured',
+        confidence: 'high',
+        reason: structured.reason,
+        structuredSignals: structured.signals,
+        threshold,
+        hasPaywall: structured.paywalled
+      };
+    }
+
+    const scoreResult = this.calculatePaywallScore(content, threshold);
+
+    return {
+      stage: 'heuristic',
+      confidence: 'medium',
+      reason: `Heuristic score ${scoreResult.score} is ${scoreResult.hasPaywall ? 'at or above' : 'below'} threshold ${threshold}`,
+      structuredSignals: structured.signals,
+      ...scoreResult
     };
   }
 
   /**
    * Performs advanced heuristic detection with weighted scoring
+   * Fetches the page and runs analyzeContent() on it.
    * @param {string} url - The URL to check
+   * @param {Object} options - Detection options
+   * @param {number} options.threshold - Score threshold overriding the configured one
+   * @param {AbortSignal} options.signal - Cancels the page fetch
    * @returns {Promise<boolean>} True if paywall is detected
+   * @throws {Error} If the page is too large or not HTML (see httpClient.fetchPage)
    */
-  async detectPaywallHeuristic(url) {
+  async detectPaywallHeuristic(url, options = {}) {
     try {
       logger.debug(`Performing advanced heuristic paywall detection`);
       
-      const response = await axios.get(url, {
+      const response = await httpClient.fetchPage(url, {
         timeout: 5000,
+        signal: options.signal,
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
         }
       });
 
-      const scoreResult = this.calculatePaywallScore(response.data);
+      const scoreResult = this.analyzeContent(response.data, options.threshold);
       
       if (scoreResult.hasPaywall) {
-        logger.debug(`Paywall detected via advanced heuristics`, {
+        logger.debug(`Paywall detected via ${scoreResult.stage} signals`, {
+          reason: scoreResult.reason,
           score: scoreResult.score,
           threshold: scoreResult.threshold,
           indicators: scoreResult.foundIndicators,
           structureAnalysis: scoreResult.structureAnalysis
         });
         
-        // Add domain to known paywall domains for future reference
+        // Add domain to known paywall domains for future reference, unless a
+        // custom threshold was used (it only applies to the guild that set it)
         const domain = extractDomain(url);
-        if (domain) {
-          this.knownPaywallDomains.add(domain);
+        if (domain && options.threshold === undefined) {
+          this.learnedPaywallDomains.add(domain);
           logger.debug(`Added ${domain} to known paywall domains`);
         }
       } else {
         logger.debug(`No paywall detected`, {
+          reason: scoreResult.reason,
           score: scoreResult.score,
           threshold: scoreResult.threshold,
           indicators: scoreResult.foundIndicators
@@ -212,6 +336,11 @@ class PaywallDetectorService {
 
       return scoreResult.hasPaywall;
     } catch (error) {
+      // A page too large to analyze, or one that isn't HTML, can't be bypassed either
+      if (isUnsupportedPage(classifyError(error))) {
+        throw error;
+      }
+
       logger.debug(`Failed to perform heuristic paywall detection`, {
         error: error.message
       });
@@ -222,9 +351,14 @@ class PaywallDetectorService {
   /**
    * Main method to detect if a URL has a paywall
    * @param {string} url - The URL to check
+   * @param {Object} options - Detection options
+   * @param {number} options.threshold - Heuristic score threshold overriding the configured one
+   * @param {Object} options.domainOverrides - The guild's own paywallDomains and whitelistedDomains rules
+   * @param {AbortSignal} options.signal - Cancels heuristic detection's page fetch
    * @returns {Promise<boolean>} True if paywall is detected
+   * @throws {Error} If the page is too large or not HTML
    */
-  async isPaywalled(url) {
+  async isPaywalled(url, options = {}) {
     // First check if it's a media file (highest priority - media files are never paywalled)
     if (isMediaFile(url)) {
       logger.debug(`URL is a media file, skipping paywall detection`, {
@@ -233,29 +367,24 @@ class PaywallDetectorService {
       return false;
     }
 
-    // Then check if domain is whitelisted (second highest priority)
-    if (this.isWhitelistedDomain(url)) {
-      logger.debug(`Domain is whitelisted, skipping paywall detection`, {
-        domain: extractDomain(url)
-      });
-      return false;
-    }
-
-    // Then check known paywall domains (fast)
-    if (this.isKnownPaywallDomain(url)) {
-      logger.debug(`Domain is known paywall domain`, {
-        domain: extractDomain(url)
+    // Then check domain rules, in order of precedence (fast)
+    const classification = this.classifyDomain(url, options.domainOverrides);
+    if (classification.paywalled !== null) {
+      logger.debug(`Domain rule decided paywall detection`, {
+        domain: extractDomain(url),
+        paywalled: classification.paywalled,
+        reason: classification.reason
       });
-      return true;
+      return classification.paywalled;
     }
 
     // Finally perform heuristic detection (slower)
-    return await this.detectPaywallHeuristic(url);
+    return await this.detectPaywallHeuristic(url, options);
   }
 
   /**
-   * Adds a domain to the known paywall domains list
-   * @param {string} domain - The domain to add
+   * Adds a domain to the curated list of known paywall domains
+   * @param {string} domain - The domain to add, or any rule domainRules understands
    */
   addPaywallDomain(domain) {
     this.knownPaywallDomains.add(domain);
@@ -263,28 +392,31 @@ class PaywallDetectorService {
   }
 
   /**
-   * Gets the current list of known paywall domains
-   * @returns {string[]} Array of known paywall domains
+   * Gets the current list of known paywall domains, curated and learned
+   * @returns {string[]} Array of known paywall domain rules
    */
   getKnownDomains() {
-    return Array.from(this.knownPaywallDomains);
+    return Array.from(new Set([...this.knownPaywallDomains, ...this.learnedPaywallDomains]));
   }
 
   /**
    * Gets detailed paywall analysis for debugging purposes
+   * reason says what decided the result: a structured signal, or the heuristic score.
    * @param {string} url - The URL to analyze
+   * @param {Object} options - Analysis options
+   * @param {number} options.threshold - Heuristic score threshold overriding the configured one
    * @returns {Promise<Object>} Detailed analysis results
    */
-  async getDetailedAnalysis(url) {
+  async getDetailedAnalysis(url, options = {}) {
     try {
-      const response = await axios.get(url, {
+      const response = await httpClient.fetchPage(url, {
         timeout: 5000,
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
         }
       });
 
-      const scoreResult = this.calculatePaywallScore(response.data);
+      const scoreResult = this.analyzeContent(response.data, options.threshold);
       
       return {
         url,
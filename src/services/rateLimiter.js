@@ -0,0 +1,146 @@
+const logger = require('../utils/logger');
+
+/**
+ * Default bucket limits per scope
+ * burst is the bucket size; refillPerMinute is how many tokens come back each minute.
+ */
+const DEFAULT_LIMITS = {
+  url: { burst: 3, refillPerMinute: 3 },
+  user: { burst: 5, refillPerMinute: 10 },
+  channel: { burst: 10, refillPerMinute: 20 },
+  guild: { burst: 20, refillPerMinute: 60 },
+  host: { burst: 10, refillPerMinute: 30 }
+};
+
+// Full buckets are dropped once this many are tracked; a fresh bucket starts full anyway
+const PRUNE_THRESHOLD = 1000;
+
+/**
+ * Rate Limiter - Token buckets keyed by scope and ID
+ * Each key (a user, channel, guild, URL or external host) has its own bucket
+ * that holds up to `burst` tokens and refills continuously at
+ * `refillPerMinute`. Scopes without limits are not limited.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} limits - Scope name -> { burst, refillPerMinute }, merged over the defaults
+   */
+  constructor(limits = {}) {
+    this.limits = {};
+    this.buckets = new Map(); // scope:id -> { tokens, updatedAt }
+    this.throttled = {}; // scope -> throttle event count
+    this.configure({ ...DEFAULT_LIMITS, ...limits });
+  }
+
+  /**
+   * Updates limits; fields left undefined keep their current value
+   * @param {Object} limits - Scope name -> { burst, refillPerMinute }
+   */
+  configure(limits = {}) {
+    for (const [scope, limit] of Object.entries(limits)) {
+      if (!limit) continue;
+
+      const current = this.limits[scope] || {};
+      this.limits[scope] = {
+        burst: limit.burst || current.burst || limit.refillPerMinute,
+        refillPerMinute: limit.refillPerMinute || current.refillPerMinute || limit.burst
+      };
+    }
+
+    logger.debug('Configured rate limits', { limits: this.limits });
+  }
+
+  /**
+   * Takes tokens from every bucket of the given keys, or from none of them
+   * @param {Array<{scope: string, id: string}>} keys - Buckets to charge; keys without an ID are skipped
+   * @param {number} tokens - Tokens to take from each bucket; more than a bucket's burst never succeeds
+   * @param {number} now - Current time in milliseconds
+   * @returns {{allowed: boolean, scope?: string, id?: string, retryAfterMs?: number}}
+   */
+  consume(keys, tokens = 1, now = Date.now()) {
+    const charged = keys.filter(key => key.id && this.limits[key.scope]);
+
+    for (const { scope, id } of charged) {
+      const bucket = this.getBucket(scope, id, now);
+      if (bucket.tokens < tokens) {
+        const limit = this.limits[scope];
+        const retryAfterMs = Math.ceil(((tokens - bucket.tokens) / limit.refillPerMinute) * 60000);
+
+        this.throttled[scope] = (this.throttled[scope] || 0) + 1;
+        logger.info('Rate limit reached', { scope, id, retryAfterMs });
+
+        return { allowed: false, scope, id, retryAfterMs };
+      }
+    }
+
+    charged.forEach(({ scope, id }) => {
+      this.getBucket(scope, id, now).tokens -= tokens;
+    });
+
+    if (this.buckets.size > PRUNE_THRESHOLD) {
+      this.prune(now);
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Gets a bucket, topped up for the time since it was last used
+   * @param {string} scope - Scope name
+   * @param {string} id - Key within the scope
+   * @param {number} now - Current time in milliseconds
+   * @returns {{tokens: number, updatedAt: number}}
+   */
+  getBucket(scope, id, now = Date.now()) {
+    const limit = this.limits[scope];
+    const key = `${scope}:${id}`;
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    const elapsed = Math.max(now - bucket.updatedAt, 0);
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (elapsed / 60000) * limit.refillPerMinute);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * Drops buckets that have refilled completely
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const key of this.buckets.keys()) {
+      const [scope] = key.split(':', 1);
+      const bucket = this.getBucket(scope, key.slice(scope.length + 1), now);
+      if (bucket.tokens >= this.limits[scope].burst) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Drops all buckets
+   */
+  clear() {
+    this.buckets.clear();
+  }
+
+  /**
+   * Gets limits, tracked buckets and throttle event counts
+   * @returns {Object} Rate limiter stats
+   */
+  getStats() {
+    return {
+      limits: this.limits,
+      buckets: this.buckets.size,
+      throttled: { ...this.throttled }
+    };
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.DEFAULT_LIMITS = DEFAULT_LIMITS;
@@ -0,0 +1,227 @@
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonStore');
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_TTL_MS = 3600000; // 1 hour
+const DEFAULT_FLUSH_INTERVAL_MS = 300000; // 5 minutes
+
+/**
+ * Result Cache - Remembers successful bypasses by normalized URL
+ * Entries expire after a per-method TTL and the least recently used entry is
+ * evicted once the cache is full. When given a file path the cache is
+ * persisted so reposted links stay cached across restarts.
+ */
+class ResultCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Maximum number of cached URLs
+   * @param {number} options.defaultTtl - TTL in milliseconds for methods without their own
+   * @param {Object} options.methodTtls - Method name -> TTL in milliseconds
+   * @param {string} options.filePath - Where the cache is persisted; omit to keep it in memory only
+   * @param {number} options.flushIntervalMs - How often a changed cache is written to disk
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.defaultTtl = options.defaultTtl || DEFAULT_TTL_MS;
+    this.methodTtls = options.methodTtls || {};
+    this.filePath = options.filePath || null;
+    this.flushIntervalMs = options.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS;
+    this.flushInterval = null;
+    this.entries = new Map(); // normalized URL -> entry; Map order is least to most recently used
+    this.dirty = false;
+  }
+
+  /**
+   * Gets the TTL for results of a method
+   * @param {string} methodName - Bypass method name
+   * @returns {number} TTL in milliseconds
+   */
+  getTtl(methodName) {
+    return this.methodTtls[methodName] || this.defaultTtl;
+  }
+
+  /**
+   * Gets a cached result and marks it as recently used
+   * @param {string} key - Normalized URL
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} Entry ({ result, cachedAt, expiresAt }), or null if missing or expired
+   */
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= now) {
+      this.dirty = true;
+      return null;
+    }
+
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Caches a successful result, evicting the least recently used entries when full
+   * @param {string} key - Normalized URL
+   * @param {Object} result - Bypass result; its method selects the TTL
+   * @param {number} now - Current time in milliseconds
+   */
+  set(key, result, now = Date.now()) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      result,
+      cachedAt: now,
+      expiresAt: now + this.getTtl(result.method)
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      logger.debug('Evicted least recently used cached result', { url: oldest });
+    }
+
+    this.dirty = true;
+  }
+
+  /**
+   * Removes a cached result
+   * @param {string} key - Normalized URL
+   * @returns {boolean} True if an entry was removed
+   */
+  invalidate(key) {
+    const removed = this.entries.delete(key);
+    if (removed) {
+      this.dirty = true;
+    }
+    return removed;
+  }
+
+  /**
+   * Removes every cached result whose URL matches a predicate
+   * @param {Function} predicate - Called with each normalized URL
+   * @returns {string[]} URLs whose entries were removed
+   */
+  invalidateWhere(predicate) {
+    const removed = Array.from(this.entries.keys()).filter(key => predicate(key));
+    removed.forEach(key => this.entries.delete(key));
+    if (removed.length > 0) {
+      this.dirty = true;
+    }
+    return removed;
+  }
+
+  /**
+   * Removes expired entries
+   * @param {number} now - Current time in milliseconds
+   */
+  pruneExpired(now = Date.now()) {
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        this.dirty = true;
+      }
+    }
+  }
+
+  /**
+   * Restores persisted entries, skipping expired ones
+   * A missing or unreadable file leaves the cache empty rather than failing startup
+   */
+  async load() {
+    if (!this.filePath) return;
+
+    try {
+      const data = await readJsonFile(this.filePath, {});
+      const entries = Array.isArray(data.entries) ? data.entries : [];
+
+      entries.forEach(([key, entry]) => this.entries.set(key, entry));
+      this.pruneExpired();
+
+      // Entries beyond the limit are the least recently used ones
+      while (this.entries.size > this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+
+      this.dirty = false;
+      logger.info('Result cache loaded', { entries: this.entries.size });
+    } catch (error) {
+      logger.error('Failed to load result cache', {
+        error: error.message,
+        filePath: this.filePath
+      });
+    }
+  }
+
+  /**
+   * Writes unexpired entries to disk, in least to most recently used order
+   */
+  async save() {
+    if (!this.filePath) return;
+
+    try {
+      this.pruneExpired();
+      await writeJsonFileAtomic(this.filePath, {
+        version: 1,
+        savedAt: new Date(),
+        entries: Array.from(this.entries.entries())
+      });
+
+      this.dirty = false;
+      logger.debug('Result cache saved', { entries: this.entries.size });
+    } catch (error) {
+      logger.error('Failed to save result cache', { error: error.message });
+    }
+  }
+
+  /**
+   * Saves the cache only if it changed since the last save
+   */
+  async flush() {
+    if (this.dirty) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Starts periodic flushing to disk
+   */
+  start() {
+    this.stop();
+    if (!this.filePath) return;
+
+    this.flushInterval = setInterval(() => {
+      this.flush().catch(error => {
+        logger.error('Error during periodic result cache flush', { error: error.message });
+      });
+    }, this.flushIntervalMs);
+
+    // Ensure the interval doesn't keep the process alive
+    if (this.flushInterval.unref) {
+      this.flushInterval.unref();
+    }
+  }
+
+  /**
+   * Stops periodic flushing
+   */
+  stop() {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+  }
+
+  /**
+   * Gets cache size information
+   * @returns {Object} Cache stats
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      persisted: Boolean(this.filePath)
+    };
+  }
+}
+
+module.exports = ResultCache;
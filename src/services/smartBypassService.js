@@ -1,20 +1,64 @@
 const BypassMethodRegistry = require('./bypassMethodRegistry');
 const BypassMetrics = require('./bypassMetrics');
+const MetricsStore = require('./metricsStore');
+const FallbackStrategyEngine = require('./fallbackStrategyEngine');
 const PaywallDetectorService = require('./paywallDetector');
+const BypassQueue = require('./bypassQueue');
+const ResultCache = require('./resultCache');
+const RateLimiter = require('./rateLimiter');
+const config = require('../config');
+const { loadBypassMethodsConfig, DEFAULT_CONFIG_PATH } = require('../config/bypassMethodsConfig');
 const logger = require('../utils/logger');
 const { normalizeUrl, extractDomain } = require('../utils/urlExtractor');
+const { DomainRuleList } = require('../utils/domainRules');
+const { ERROR_TYPES, classifyError, isUnsupportedPage } = require('../utils/errorClassifier');
+const { createAbortError, createDeadline } = require('../utils/abort');
+const { readJsonFile, writeJsonFileAtomic } = require('../utils/jsonStore');
+const path = require('path');
+
+const DEFAULT_STRATEGIES_PATH = path.join(__dirname, '../../data/domain-strategies.json');
+const DEFAULT_STRATEGY_FLUSH_INTERVAL_MS = 60000; // 1 minute
+const DEFAULT_REQUEST_DEADLINE_MS = 60000; // 1 minute
+const PROJECT_ROOT = path.join(__dirname, '../..');
 
 /**
  * Smart Bypass Service - Orchestrates intelligent paywall bypassing
  * Uses domain-specific strategies, success tracking, and adaptive learning
  */
 class SmartBypassService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.configPath - Path to the bypass methods config file
+   * @param {string} options.strategiesPath - Path where learned domain strategies are persisted
+   * @param {number} options.strategyFlushIntervalMs - How often dirty strategies are flushed to disk
+   * @param {GuildSettingsStore} options.guildSettings - Per-guild settings, resolved by guildId on each bypass
+   */
+  constructor(options = {}) {
+    this.configPath = options.configPath || DEFAULT_CONFIG_PATH;
+    this.strategiesPath = options.strategiesPath || DEFAULT_STRATEGIES_PATH;
+    this.strategyFlushIntervalMs = options.strategyFlushIntervalMs || DEFAULT_STRATEGY_FLUSH_INTERVAL_MS;
+    this.strategyFlushInterval = null;
+    this.domainStrategiesDirty = false;
+    this.bypassConfig = null;
+    this.guildSettings = options.guildSettings || null;
     this.registry = new BypassMethodRegistry();
     this.metrics = new BypassMetrics();
+    this.metricsStore = null;
+    this.resultCache = null;
     this.paywallDetector = new PaywallDetectorService();
-    this.requestCounts = new Map(); // For rate limiting
-    this.domainStrategies = new Map(); // Domain-specific strategies
+    this.rateLimiter = new RateLimiter(); // Token buckets per URL, caller and method host
+    this.queue = new BypassQueue(); // Shared across all guilds
+    this.inFlight = new Map(); // Coalescing key -> shared request (see startSharedRequest)
+    this.requestDeadlineMs = DEFAULT_REQUEST_DEADLINE_MS;
+    this.activeRequests = new Set(); // Abort controllers of running bypasses, aborted on cleanup
+    this.domainStrategies = new Map(); // Domain-specific strategies: config overrides plus what was learned
+    this.domainOverrides = {}; // Configured overrides, which learned state is merged under
+    this.strategyEngine = new FallbackStrategyEngine({
+      registry: this.registry,
+      metrics: this.metrics,
+      getMethodsForDomain: domain => this.getMethodsForDomain(domain),
+      getDomainStrategy: domain => this.domainStrategies.get(domain)
+    });
     this.initialized = false;
   }
 
@@ -29,14 +73,47 @@ class SmartBypassService {
     try {
       // Auto-register bypass methods
       await this.registry.autoRegisterMethods();
+
+      // Load method configuration and apply it to the registered methods
+      this.bypassConfig = await loadBypassMethodsConfig(this.configPath, {
+        knownMethods: this.registry.getAllMethods().map(method => method.name)
+      });
+      this.applyBypassConfig(this.bypassConfig);
       
       // Start health checks only if not in test environment
-      if (process.env.NODE_ENV !== 'test') {
-        this.registry.startHealthChecks();
+      if (process.env.NODE_ENV !== 'test' && this.bypassConfig.healthCheck.enabled) {
+        this.registry.startHealthChecks(this.bypassConfig.healthCheck.interval);
       }
       
-      // Load domain strategies if they exist
+      // Load learned domain strategies on top of the configured overrides
       await this.loadDomainStrategies();
+
+      // Restore metrics history so success rates survive restarts
+      if (this.bypassConfig.metrics.enabled) {
+        this.metricsStore = new MetricsStore(this.metrics, {
+          directory: path.resolve(PROJECT_ROOT, this.bypassConfig.metrics.exportPath)
+        });
+        await this.metricsStore.load();
+
+        if (process.env.NODE_ENV !== 'test') {
+          this.metricsStore.start();
+        }
+      }
+
+      // Cache successful results so reposted links skip detection and bypass attempts
+      if (this.bypassConfig.cache.enabled) {
+        this.resultCache = this.createResultCache(this.bypassConfig);
+        await this.resultCache.load();
+
+        if (process.env.NODE_ENV !== 'test') {
+          this.resultCache.start();
+        }
+      }
+
+      // Periodically flush learned strategies, only outside of tests
+      if (process.env.NODE_ENV !== 'test') {
+        this.startStrategyFlush();
+      }
       
       this.initialized = true;
       logger.info('SmartBypassService initialized successfully', {
@@ -49,114 +126,268 @@ class SmartBypassService {
     }
   }
 
+  /**
+   * Applies loaded bypass configuration to the registry and domain strategies
+   * @param {Object} bypassConfig - Normalized config from loadBypassMethodsConfig
+   */
+  applyBypassConfig(bypassConfig) {
+    this.registry.updateMethodConfigs(bypassConfig.methods);
+    this.registry.configureCircuitBreakers(bypassConfig.healthCheck);
+    this.metrics.configure(bypassConfig.metrics);
+    this.strategyEngine.configure(bypassConfig.fallbackStrategies);
+    this.seedDomainStrategies(bypassConfig.domainOverrides);
+    this.queue.configure({ maxConcurrent: bypassConfig.globalSettings.maxConcurrentRequests });
+    this.configureRateLimits(bypassConfig.globalSettings.rateLimit || {});
+    this.requestDeadlineMs = bypassConfig.globalSettings.requestDeadline || this.requestDeadlineMs;
+  }
+
+  /**
+   * Applies globalSettings.rateLimit to the token buckets
+   * Users refill at MAX_REQUESTS_PER_MINUTE unless the config sets its own user bucket.
+   * @param {Object} rateLimit - globalSettings.rateLimit
+   */
+  configureRateLimits(rateLimit) {
+    const perUrl = rateLimit.maxRequestsPerUrlPerMinute;
+
+    this.rateLimiter.configure({
+      url: { burst: perUrl, refillPerMinute: perUrl },
+      user: { refillPerMinute: config.rateLimit.maxRequestsPerMinute, ...rateLimit.user },
+      channel: rateLimit.channel,
+      guild: rateLimit.guild,
+      host: rateLimit.host
+    });
+  }
+
+  /**
+   * Creates the result cache from the cache section and per-method cacheTtl settings
+   * @param {Object} bypassConfig - Normalized config from loadBypassMethodsConfig
+   * @returns {ResultCache}
+   */
+  createResultCache(bypassConfig) {
+    const { cache, methods } = bypassConfig;
+    const methodTtls = {};
+    for (const [name, methodConfig] of Object.entries(methods)) {
+      if (methodConfig.cacheTtl) {
+        methodTtls[name] = methodConfig.cacheTtl;
+      }
+    }
+
+    return new ResultCache({
+      maxEntries: cache.maxEntries,
+      defaultTtl: cache.defaultTtl,
+      methodTtls,
+      filePath: cache.persist ? path.resolve(PROJECT_ROOT, cache.path) : null
+    });
+  }
+
+  /**
+   * Seeds domain strategies from configured domain overrides
+   * @param {Object} domainOverrides - Domain name -> { preferredMethods, blacklistedMethods }
+   */
+  seedDomainStrategies(domainOverrides) {
+    this.domainOverrides = domainOverrides;
+    for (const [domain, override] of Object.entries(domainOverrides)) {
+      this.domainStrategies.set(domain, {
+        domain,
+        preferredMethods: [...override.preferredMethods],
+        blacklistedMethods: [...override.blacklistedMethods],
+        lastUpdated: new Date(),
+        totalAttempts: 0,
+        successfulAttempts: 0
+      });
+    }
+
+    logger.debug('Seeded domain strategies from config', {
+      count: Object.keys(domainOverrides).length
+    });
+  }
+
   /**
    * Main method to bypass paywall for a given URL
    * @param {string} url - The URL to bypass
    * @param {Object} options - Additional options
-   * @returns {Promise<BypassResult>}
+   * @param {boolean} options.skipDetection - Bypass even if the URL is not detected as paywalled
+   * @param {string[]} options.methods - Only try these methods, in this order
+   * @param {boolean} options.archiveOnly - Only try methods that return archive links
+   * @param {string} options.guildId - Guild the request came from, for per-guild settings
+   * @param {Object} options.caller - { userId, channelId, guildId } to charge once the URL passes detection;
+   *   a throttled caller gets { success: false, rateLimit } instead of a bypass
+   * @returns {Promise<BypassResult>} Results served from the cache have cached set and a cachedAt date
    */
   async bypassPaywall(url, options = {}) {
     const normalizedUrl = normalizeUrl(url);
+    const guildOptions = this.resolveGuildOptions(options.guildId);
+    const key = this.getInFlightKey(normalizedUrl, options, guildOptions);
+
+    // Concurrent requests for the same URL share one bypass instead of racing
+    let request = this.inFlight.get(key);
+    if (request && !request.unpaid) {
+      logger.debug(`Joining in-flight bypass for: ${normalizedUrl}`);
+      this.joinSharedRequest(request, options.caller);
+    } else {
+      request = this.startSharedRequest(key, normalizedUrl, options, guildOptions);
+    }
+
+    const result = await request.promise;
+    const limit = request.throttled.get(options.caller);
+    if (limit) {
+      return { success: false, error: 'Caller rate limit exceeded', rateLimit: limit };
+    }
+
+    // Every caller gets its own copy to reply with
+    return { ...result };
+  }
+
+  /**
+   * Starts a bypass that concurrent requests for the same URL can join
+   * The request tracks its callers: they are charged together once the URL
+   * passes detection, and callers joining later are charged as they join.
+   * @param {string} key - Coalescing key from getInFlightKey()
+   * @param {string} normalizedUrl - Normalized URL
+   * @param {Object} options - Options passed to bypassPaywall
+   * @param {Object} guildOptions - Resolved per-guild constraints
+   * @returns {{promise: Promise<BypassResult>, callers: Object[], throttled: Map, detected: boolean, unpaid: boolean}}
+   */
+  startSharedRequest(key, normalizedUrl, options, guildOptions) {
+    const request = { callers: [], throttled: new Map(), detected: false, unpaid: false };
+    this.joinSharedRequest(request, options.caller);
+
+    request.promise = this.runBypass(normalizedUrl, options, guildOptions, request)
+      .finally(() => {
+        if (this.inFlight.get(key) === request) this.inFlight.delete(key);
+      });
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Adds a caller to a shared request, charging them right away if the URL already passed detection
+   * @param {Object} request - Shared request from startSharedRequest()
+   * @param {Object} caller - Caller from bypassPaywall options, if any
+   */
+  joinSharedRequest(request, caller) {
+    if (!caller) return;
+
+    request.callers.push(caller);
+    if (request.detected) {
+      this.chargeCaller(request, caller);
+    }
+  }
+
+  /**
+   * Charges a caller of a shared request, noting them as throttled if they're out of tokens
+   * @param {Object} request - Shared request from startSharedRequest()
+   * @param {Object} caller - Caller to charge
+   * @returns {boolean} Whether the caller could pay
+   */
+  chargeCaller(request, caller) {
+    const limit = this.checkCallerRateLimit(caller);
+    if (!limit.allowed) {
+      request.throttled.set(caller, limit);
+    }
+    return limit.allowed;
+  }
+
+  /**
+   * Builds the key under which concurrent requests are coalesced
+   * Requests only share a bypass when everything that shapes the result
+   * matches, so a guild never receives a method its settings exclude.
+   * @param {string} normalizedUrl - Normalized URL
+   * @param {Object} options - Options passed to bypassPaywall
+   * @param {Object} guildOptions - Resolved per-guild constraints
+   * @returns {string}
+   */
+  getInFlightKey(normalizedUrl, options, guildOptions) {
+    return JSON.stringify([
+      normalizedUrl,
+      Boolean(options.skipDetection),
+      options.methods || null,
+      Boolean(options.archiveOnly || guildOptions.archiveOnly),
+      Boolean(guildOptions.linksOnly),
+      guildOptions.enabledMethods || null,
+      guildOptions.detection.threshold || null,
+      guildOptions.detection.domainOverrides || null
+    ]);
+  }
+
+  /**
+   * Runs the bypass pipeline for a URL: whitelist rules, cache, detection, rate
+   * limiting, then bypass attempts through the shared queue
+   * Everything after the cache lookup shares one deadline (globalSettings.requestDeadline),
+   * including time spent waiting in the queue.
+   * @param {string} normalizedUrl - Normalized URL
+   * @param {Object} options - Options passed to bypassPaywall
+   * @param {Object} guildOptions - Resolved per-guild constraints
+   * @param {Object} request - Shared request from startSharedRequest(), whose callers pay for the bypass
+   * @returns {Promise<BypassResult>} Never rejects
+   */
+  async runBypass(normalizedUrl, options, guildOptions, request) {
     const domain = extractDomain(normalizedUrl);
-    
+    // Running out of time is the request's doing, not the methods', so it cancels rather than times out
+    const deadline = createDeadline(this.requestDeadlineMs, null,
+      createAbortError(`Request deadline of ${this.requestDeadlineMs}ms exceeded`));
+    const signal = deadline.signal;
+    this.activeRequests.add(deadline.controller);
+
     try {
       logger.info(`Starting smart paywall bypass for: ${normalizedUrl}`);
 
-      // Check if URL is paywalled
-      const isPaywalled = await this.paywallDetector.isPaywalled(normalizedUrl);
-      logger.debug(`Paywall detection result: ${isPaywalled}`);
-      
-      if (!isPaywalled) {
-        logger.info(`URL is not paywalled, skipping bypass`);
-        return { success: false, error: 'URL is not paywalled' };
+      // Whitelist rules come before the cache, so a site whitelisted since it was bypassed isn't bypassed again
+      if (!options.skipDetection) {
+        const classification = this.paywallDetector.classifyDomain(normalizedUrl, guildOptions.detection.domainOverrides);
+        if (classification.paywalled === false) {
+          logger.info(`URL is not paywalled, skipping bypass`, { reason: classification.reason });
+          return { success: false, error: 'URL is not paywalled' };
+        }
       }
 
-      // Check rate limiting
-      if (!this.checkRateLimit(normalizedUrl)) {
-        logger.warn(`Rate limit exceeded for ${normalizedUrl}`);
-        return { success: false, error: 'Rate limit exceeded' };
+      // A recent result for the same URL skips detection and every method
+      const cached = this.getCachedResult(normalizedUrl, domain, options, guildOptions);
+      if (cached) {
+        return cached;
       }
 
-      // Get prioritized methods for this domain
-      const methods = this.getMethodsForDomain(domain);
-      
-      if (methods.length === 0) {
-        logger.warn(`No available bypass methods for domain: ${domain}`);
-        return { success: false, error: 'No available bypass methods' };
+      // Check if URL is paywalled, unless the caller explicitly asked for a bypass
+      if (options.skipDetection) {
+        logger.debug('Skipping paywall detection on request');
+      } else {
+        const isPaywalled = await this.paywallDetector.isPaywalled(normalizedUrl, { ...guildOptions.detection, signal });
+        logger.debug(`Paywall detection result: ${isPaywalled}`);
+        
+        if (!isPaywalled) {
+          logger.info(`URL is not paywalled, skipping bypass`);
+          return { success: false, error: 'URL is not paywalled' };
+        }
       }
 
-      logger.debug(`Attempting bypass with ${methods.length} methods`, {
-        methods: methods.map(m => ({ name: m.name, priority: m.config.priority }))
-      });
-
-      // Try methods in order of priority
-      for (const method of methods) {
-        try {
-          logger.debug(`Trying method: ${method.name}`);
-          const startTime = Date.now();
-          
-          const result = await method.attempt(normalizedUrl, options);
-          const responseTime = Date.now() - startTime;
-          
-          // Record metrics
-          this.metrics.recordAttempt(
-            normalizedUrl,
-            method.name,
-            result.success,
-            responseTime,
-            { 
-              method: result.method,
-              error: result.error 
-            }
-          );
-
-          if (result.success) {
-            logger.info(`Bypass successful using ${method.name}`, {
-              responseTime,
-              method: result.method
-            });
+      // Callers pay for links that need a bypass, not for cached, whitelisted or free ones.
+      // The bypass runs if any of them can pay; the others get their rate limit back.
+      request.detected = true;
+      const paid = request.callers.filter(caller => this.chargeCaller(request, caller));
+      if (request.callers.length > 0 && paid.length === 0) {
+        request.unpaid = true;
+        return { success: false, error: 'Caller rate limit exceeded' };
+      }
 
-            // Update domain strategy based on success
-            this.updateDomainStrategy(domain, method.name, true, responseTime);
-
-            return {
-              success: true,
-              result: result.result,
-              method: method.name,
-              responseTime,
-              extractedContent: result.extractedContent,
-              metadata: result.metadata || {}
-            };
-          } else {
-            logger.debug(`Method ${method.name} failed: ${result.error}`);
-            
-            // Update domain strategy based on failure
-            this.updateDomainStrategy(domain, method.name, false, responseTime);
-          }
-          
-        } catch (error) {
-          logger.error(`Error with method ${method.name}`, { error: error.message });
-          
-          // Record failed attempt
-          this.metrics.recordAttempt(
-            normalizedUrl,
-            method.name,
-            false,
-            0,
-            { error: error.message }
-          );
-        }
+      // Check rate limiting
+      if (!this.checkRateLimit(normalizedUrl)) {
+        logger.warn(`Rate limit exceeded for ${normalizedUrl}`);
+        return { success: false, error: 'Rate limit exceeded' };
       }
 
-      // All methods failed
-      logger.warn(`All bypass methods failed for ${normalizedUrl}`);
-      return {
-        success: false,
-        error: 'All bypass methods failed',
-        attemptedMethods: methods.map(m => m.name)
-      };
+      // Wait for a slot in the shared queue, taking turns with other guilds
+      return await this.queue.run(
+        () => this.attemptBypass(normalizedUrl, domain, { ...options, signal }, guildOptions),
+        options.guildId
+      );
 
     } catch (error) {
+      const errorType = classifyError(error);
+      if (isUnsupportedPage(errorType)) {
+        logger.info(`Skipping bypass: ${error.message}`, { url: normalizedUrl });
+        return { success: false, error: error.message, errorType };
+      }
+
       logger.error(`Smart bypass failed`, {
         error: error.message,
         stack: error.stack,
@@ -166,9 +397,360 @@ class SmartBypassService {
         success: false,
         error: error.message
       };
+    } finally {
+      deadline.clear();
+      this.activeRequests.delete(deadline.controller);
     }
   }
 
+  /**
+   * Plans and runs bypass attempts for a URL that passed detection and rate limiting
+   * @param {string} normalizedUrl - Normalized URL
+   * @param {string} domain - Domain name
+   * @param {Object} options - Options passed to bypassPaywall, plus the request's signal
+   * @param {Object} guildOptions - Resolved per-guild constraints
+   * @returns {Promise<BypassResult>}
+   */
+  async attemptBypass(normalizedUrl, domain, options, guildOptions) {
+    // The deadline may have passed while waiting in the queue
+    if (options.signal.aborted) {
+      logger.warn(`Bypass gave up before any attempt: ${options.signal.reason.message}`, { url: normalizedUrl });
+      return { success: false, error: options.signal.reason.message };
+    }
+
+    // Plan attempts using the fallback strategy configured for this domain
+    const { strategy, methods } = this.strategyEngine.planAttempts(domain, {
+      methods: options.methods,
+      archiveOnly: options.archiveOnly || guildOptions.archiveOnly,
+      linksOnly: guildOptions.linksOnly,
+      enabledMethods: guildOptions.enabledMethods
+    });
+    
+    if (methods.length === 0) {
+      logger.warn(`No available bypass methods for domain: ${domain}`);
+      return {
+        success: false,
+        error: options.methods
+          ? 'The requested method is disabled or not allowed by this server\'s response style'
+          : 'No available bypass methods'
+      };
+    }
+
+    logger.debug(`Attempting bypass with ${methods.length} methods`, {
+      strategy: strategy.name,
+      parallel: strategy.parallel,
+      methods: methods.map(m => ({ name: m.name, priority: m.config.priority }))
+    });
+
+    const outcome = strategy.parallel
+      ? await this.raceMethods(methods, normalizedUrl, domain, options)
+      : await this.tryMethodsInOrder(methods, normalizedUrl, domain, options);
+
+    if (outcome) {
+      logger.info(`Bypass successful using ${outcome.method.name}`, {
+        responseTime: outcome.responseTime,
+        method: outcome.result.method,
+        strategy: strategy.name
+      });
+
+      const response = {
+        success: true,
+        result: outcome.result.result,
+        method: outcome.method.name,
+        responseTime: outcome.responseTime,
+        extractedContent: outcome.result.extractedContent,
+        metadata: outcome.result.metadata || {}
+      };
+
+      if (this.resultCache) {
+        const { success, ...cachedResult } = response;
+        this.resultCache.set(normalizedUrl, cachedResult);
+      }
+
+      return response;
+    }
+
+    // All methods failed, or the request ran out of time before one succeeded
+    logger.warn(`All bypass methods failed for ${normalizedUrl}`);
+    return {
+      success: false,
+      error: options.signal.aborted ? options.signal.reason.message : 'All bypass methods failed',
+      attemptedMethods: methods.map(m => m.name)
+    };
+  }
+
+  /**
+   * Gets a cached result for a URL if its method is allowed for this request
+   * @param {string} normalizedUrl - Normalized URL
+   * @param {string} domain - Domain name
+   * @param {Object} options - Options passed to bypassPaywall
+   * @param {Object} guildOptions - Resolved per-guild constraints
+   * @returns {BypassResult|null} Cached result, or null on a miss
+   */
+  getCachedResult(normalizedUrl, domain, options, guildOptions) {
+    if (!this.resultCache) return null;
+
+    const entry = this.resultCache.get(normalizedUrl);
+    const usable = Boolean(entry) && this.isCachedMethodAllowed(entry.result.method, domain, {
+      methods: options.methods,
+      archiveOnly: options.archiveOnly || guildOptions.archiveOnly,
+      linksOnly: guildOptions.linksOnly,
+      enabledMethods: guildOptions.enabledMethods
+    });
+
+    this.metrics.recordCacheLookup(usable ? entry.result.method : null, usable);
+    if (!usable) return null;
+
+    logger.info(`Using cached bypass result for: ${normalizedUrl}`, {
+      method: entry.result.method,
+      cachedAt: new Date(entry.cachedAt)
+    });
+
+    return {
+      ...entry.result,
+      success: true,
+      cached: true,
+      cachedAt: new Date(entry.cachedAt)
+    };
+  }
+
+  /**
+   * Checks whether a cached result's method satisfies the constraints the
+   * request would have planned attempts with
+   * @param {string} methodName - Method that produced the cached result
+   * @param {string} domain - Domain name
+   * @param {Object} constraints - Same constraints as FallbackStrategyEngine.planAttempts
+   * @returns {boolean}
+   */
+  isCachedMethodAllowed(methodName, domain, constraints) {
+    const method = this.registry.getMethod(methodName);
+    if (!method || method.config.enabled === false) return false;
+
+    if (constraints.enabledMethods && !constraints.enabledMethods.includes(methodName)) return false;
+
+    // Explicitly requested methods override domain blacklists, as in planning
+    if (constraints.methods && constraints.methods.length > 0) {
+      return constraints.methods.includes(methodName);
+    }
+
+    if (constraints.archiveOnly && !method.isArchiveMethod()) return false;
+    if (constraints.linksOnly && !method.producesLinks()) return false;
+
+    const strategy = this.domainStrategies.get(domain);
+    return !(strategy && strategy.blacklistedMethods.includes(methodName));
+  }
+
+  /**
+   * Removes the cached result for a URL, e.g. after a user reports it failed
+   * @param {string} url - The URL whose result should be dropped
+   * @returns {boolean} True if a cached result was removed
+   */
+  invalidateCachedResult(url) {
+    if (!this.resultCache) return false;
+
+    const normalizedUrl = normalizeUrl(url);
+    const removed = this.resultCache.invalidate(normalizedUrl);
+    if (removed) {
+      this.metrics.recordCacheInvalidation();
+      logger.info(`Invalidated cached bypass result for: ${normalizedUrl}`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Removes the cached results for every URL on a domain and its subdomains,
+   * e.g. after users report the site isn't paywalled
+   * @param {string} domain - Domain name
+   * @returns {number} Number of cached results removed
+   */
+  invalidateCachedDomain(domain) {
+    if (!this.resultCache) return 0;
+
+    const rules = new DomainRuleList([domain]);
+    const removed = this.resultCache.invalidateWhere(url => rules.match(url) !== null);
+    removed.forEach(() => this.metrics.recordCacheInvalidation());
+    if (removed.length > 0) {
+      logger.info(`Invalidated ${removed.length} cached bypass results for: ${domain}`);
+    }
+
+    return removed.length;
+  }
+
+  /**
+   * Resolves per-guild settings into bypass constraints
+   * @param {string} guildId - Guild ID, if the request came from a guild
+   * @returns {Object} Detection options and method constraints for the guild
+   */
+  resolveGuildOptions(guildId) {
+    if (!this.guildSettings || !guildId) {
+      return { detection: {} };
+    }
+
+    const settings = this.guildSettings.get(guildId);
+    const detection = settings.paywallThreshold ? { threshold: settings.paywallThreshold } : {};
+    const paywallDomains = settings.paywallDomains || [];
+    const whitelistedDomains = settings.whitelistedDomains || [];
+    if (paywallDomains.length > 0 || whitelistedDomains.length > 0) {
+      detection.domainOverrides = { paywallDomains, whitelistedDomains };
+    }
+
+    return {
+      detection,
+      enabledMethods: settings.enabledMethods || undefined,
+      archiveOnly: settings.responseStyle === 'archive',
+      linksOnly: settings.responseStyle === 'links'
+    };
+  }
+
+  /**
+   * Tries methods one at a time until one succeeds
+   * @param {BypassMethod[]} methods - Methods in the order to try them
+   * @param {string} url - Normalized URL
+   * @param {string} domain - Domain name
+   * @param {Object} options - Options passed to each method
+   * @returns {Promise<Object|null>} Successful attempt outcome, or null if all failed
+   */
+  async tryMethodsInOrder(methods, url, domain, options) {
+    for (const method of methods) {
+      if (options.signal.aborted) break;
+
+      const outcome = await this.runMethod(method, url, domain, options);
+      if (this.isSuccessfulOutcome(outcome)) {
+        return outcome;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Races methods in parallel and resolves with the first successful result
+   * Slower methods are cancelled through their signal once one succeeds
+   * @param {BypassMethod[]} methods - Methods to race
+   * @param {string} url - Normalized URL
+   * @param {string} domain - Domain name
+   * @param {Object} options - Options passed to each method
+   * @returns {Promise<Object|null>} First successful attempt outcome, or null if all failed
+   */
+  raceMethods(methods, url, domain, options) {
+    const race = createDeadline(null, options.signal);
+
+    return new Promise(resolve => {
+      let pending = methods.length;
+      let settled = false;
+
+      for (const method of methods) {
+        this.runMethod(method, url, domain, { ...options, signal: race.signal }).then(outcome => {
+          pending--;
+
+          if (!settled && this.isSuccessfulOutcome(outcome)) {
+            settled = true;
+            race.controller.abort(createAbortError(`Cancelled: ${method.name} succeeded first`));
+            resolve(outcome);
+          } else if (!settled && pending === 0) {
+            settled = true;
+            race.clear();
+            resolve(null);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Runs a single bypass method and records the attempt
+   * @param {BypassMethod} method - Method to run
+   * @param {string} url - Normalized URL
+   * @param {string} domain - Domain name
+   * @param {Object} options - Options passed to the method
+   * @returns {Promise<Object>} Attempt outcome ({ method, result, responseTime }); never rejects
+   */
+  async runMethod(method, url, domain, options) {
+    try {
+      // Keep one busy conversation from pushing an external service into its own rate limit
+      const host = method.getServiceHost(url);
+      if (host && !this.rateLimiter.consume([{ scope: 'host', id: host }]).allowed) {
+        logger.debug(`Skipping method ${method.name}: ${host} is rate limited`);
+        return { method, result: { success: false, error: `Rate limited by ${host}` }, responseTime: 0 };
+      }
+
+      logger.debug(`Trying method: ${method.name}`);
+      let responseTime = 0;
+      let retries = 0;
+      
+      // Methods with a concurrency cap wait for a free slot; waiting is not response time.
+      // Retried tries are recorded on their own; only the final try counts as the attempt.
+      const result = await this.queue.runWithMethodSlot(method.name, method.config.maxConcurrent, () =>
+        method.attemptWithRetries(url, options, (tryResult, tryInfo) => {
+          responseTime = tryInfo.responseTime;
+          retries = tryInfo.retry;
+          if (tryInfo.retryInMs !== null) {
+            this.metrics.recordRetry(url, method.name, {
+              errorType: tryResult.errorType || classifyError(tryResult.error),
+              delayMs: tryInfo.retryInMs
+            });
+          }
+        })
+      );
+      
+      // A cancelled attempt says nothing about the method, so it isn't counted
+      if (result.errorType === ERROR_TYPES.ABORTED) {
+        logger.debug(`Method ${method.name} was cancelled: ${result.error}`);
+        return { method, result, responseTime };
+      }
+
+      // Record metrics
+      this.metrics.recordAttempt(
+        url,
+        method.name,
+        result.success,
+        responseTime,
+        { 
+          method: result.method,
+          error: result.error,
+          retries
+        }
+      );
+
+      if (!result.success) {
+        logger.debug(`Method ${method.name} failed: ${result.error}`);
+      }
+
+      // Update domain strategy based on the outcome
+      this.updateDomainStrategy(domain, method.name, result.success, responseTime);
+
+      return { method, result, responseTime };
+      
+    } catch (error) {
+      logger.error(`Error with method ${method.name}`, { error: error.message });
+      
+      // Record failed attempt
+      this.metrics.recordAttempt(
+        url,
+        method.name,
+        false,
+        0,
+        { error: error.message }
+      );
+
+      return { method, result: null, responseTime: 0 };
+    }
+  }
+
+  /**
+   * Checks whether an attempt produced a usable result
+   * @param {Object} outcome - Attempt outcome from runMethod
+   * @returns {boolean}
+   */
+  isSuccessfulOutcome(outcome) {
+    return Boolean(
+      outcome.result &&
+      outcome.result.success &&
+      (outcome.result.result || outcome.result.extractedContent)
+    );
+  }
+
   /**
    * Gets prioritized bypass methods for a specific domain
    * @param {string} domain - Domain name
@@ -283,6 +865,7 @@ class SmartBypassService {
     }
     
     strategy.lastUpdated = new Date();
+    this.markDomainStrategiesDirty();
     
     // Check if method should be blacklisted
     const methodsToBlacklist = this.metrics.getMethodsToBlacklist(domain);
@@ -295,82 +878,183 @@ class SmartBypassService {
   }
 
   /**
-   * Loads domain strategies from storage
+   * Marks domain strategies as changed so the next flush persists them
+   */
+  markDomainStrategiesDirty() {
+    this.domainStrategiesDirty = true;
+  }
+
+  /**
+   * Loads learned domain strategies from storage
+   * Learned state is merged under the config: configured preferred methods
+   * come first and a method the config prefers or blacklists keeps that place,
+   * so edits to domainOverrides take effect on the next start.
    */
   async loadDomainStrategies() {
     try {
-      // In a real implementation, this would load from a database or file
-      // For now, we'll start with empty strategies
-      logger.debug('Domain strategies loaded (empty for now)');
+      const data = await readJsonFile(this.strategiesPath, {});
+      const strategies = data.strategies || {};
+
+      for (const [domain, strategy] of Object.entries(strategies)) {
+        const override = this.domainOverrides[domain] || { preferredMethods: [], blacklistedMethods: [] };
+        const configured = [...override.preferredMethods, ...override.blacklistedMethods];
+        const learned = list => (Array.isArray(list) ? list : []).filter(name => !configured.includes(name));
+
+        this.domainStrategies.set(domain, {
+          domain,
+          preferredMethods: [...override.preferredMethods, ...learned(strategy.preferredMethods)],
+          blacklistedMethods: [...override.blacklistedMethods, ...learned(strategy.blacklistedMethods)],
+          lastUpdated: strategy.lastUpdated ? new Date(strategy.lastUpdated) : new Date(),
+          totalAttempts: strategy.totalAttempts || 0,
+          successfulAttempts: strategy.successfulAttempts || 0
+        });
+      }
+
+      this.domainStrategiesDirty = false;
+      logger.info('Domain strategies loaded', {
+        loaded: Object.keys(strategies).length,
+        total: this.domainStrategies.size
+      });
     } catch (error) {
-      logger.error('Failed to load domain strategies', { error: error.message });
+      logger.error('Failed to load domain strategies', {
+        error: error.message,
+        strategiesPath: this.strategiesPath
+      });
     }
   }
 
   /**
-   * Saves domain strategies to storage
+   * Saves what was learned about domains to storage
+   * Methods placed by the config are left out, so the config stays the source for them.
    */
   async saveDomainStrategies() {
     try {
-      // In a real implementation, this would save to a database or file
-      const strategies = Object.fromEntries(this.domainStrategies.entries());
+      const strategies = {};
+      for (const [domain, strategy] of this.domainStrategies.entries()) {
+        const learned = this.getLearnedStrategy(strategy);
+        if (learned) strategies[domain] = learned;
+      }
+      await writeJsonFileAtomic(this.strategiesPath, {
+        version: 1,
+        savedAt: new Date(),
+        strategies
+      });
+
+      this.domainStrategiesDirty = false;
       logger.debug('Domain strategies saved', { count: Object.keys(strategies).length });
     } catch (error) {
       logger.error('Failed to save domain strategies', { error: error.message });
     }
   }
 
+  /**
+   * Gets the part of a domain strategy that wasn't seeded from the config
+   * @param {Object} strategy - Entry of domainStrategies
+   * @returns {Object|null} Learned state, or null if nothing was learned about the domain
+   */
+  getLearnedStrategy(strategy) {
+    const override = this.domainOverrides[strategy.domain];
+    const configured = override ? [...override.preferredMethods, ...override.blacklistedMethods] : [];
+
+    const learned = {
+      preferredMethods: strategy.preferredMethods.filter(name => !configured.includes(name)),
+      blacklistedMethods: strategy.blacklistedMethods.filter(name => !configured.includes(name)),
+      lastUpdated: strategy.lastUpdated,
+      totalAttempts: strategy.totalAttempts,
+      successfulAttempts: strategy.successfulAttempts
+    };
+
+    const nothingLearned = learned.totalAttempts === 0 &&
+      learned.preferredMethods.length === 0 && learned.blacklistedMethods.length === 0;
+    return nothingLearned ? null : learned;
+  }
+
+  /**
+   * Saves domain strategies only if they changed since the last save
+   */
+  async flushDomainStrategies() {
+    if (this.domainStrategiesDirty) {
+      await this.saveDomainStrategies();
+    }
+  }
+
+  /**
+   * Starts periodic flushing of learned domain strategies
+   */
+  startStrategyFlush() {
+    this.stopStrategyFlush();
+
+    this.strategyFlushInterval = setInterval(() => {
+      this.flushDomainStrategies().catch(error => {
+        logger.error('Error during periodic strategy flush', { error: error.message });
+      });
+    }, this.strategyFlushIntervalMs);
+
+    // Ensure the interval doesn't keep the process alive
+    if (this.strategyFlushInterval.unref) {
+      this.strategyFlushInterval.unref();
+    }
+  }
+
+  /**
+   * Stops periodic flushing of learned domain strategies
+   */
+  stopStrategyFlush() {
+    if (this.strategyFlushInterval) {
+      clearInterval(this.strategyFlushInterval);
+      this.strategyFlushInterval = null;
+    }
+  }
+
   /**
    * Checks rate limiting for a URL
    * @param {string} url - The URL to check
    * @returns {boolean} True if request is allowed
    */
   checkRateLimit(url) {
-    const now = Date.now();
-    const minute = Math.floor(now / 60000);
-    const key = `${url}-${minute}`;
-    
-    const count = this.requestCounts.get(key) || 0;
-    if (count >= 3) { // Max 3 requests per URL per minute
-      return false;
-    }
-    
-    this.requestCounts.set(key, count + 1);
-    
-    // Clean up old entries
-    for (const [k, v] of this.requestCounts.entries()) {
-      const keyMinute = parseInt(k.split('-').pop());
-      if (minute - keyMinute > 5) { // Keep only last 5 minutes
-        this.requestCounts.delete(k);
-      }
-    }
-    
-    return true;
+    return this.rateLimiter.consume([{ scope: 'url', id: url }]).allowed;
+  }
+
+  /**
+   * Checks and charges the rate limits of whoever asked for a bypass, one token per URL
+   * @param {Object} caller - Who is asking
+   * @param {string} caller.userId - Discord user ID
+   * @param {string} caller.channelId - Discord channel ID
+   * @param {string} caller.guildId - Discord guild ID; omitted in DMs
+   * @returns {{allowed: boolean, scope?: string, retryAfterMs?: number}} Which limit was hit, if any
+   */
+  checkCallerRateLimit({ userId, channelId, guildId } = {}) {
+    return this.rateLimiter.consume([
+      { scope: 'user', id: userId },
+      { scope: 'channel', id: channelId },
+      { scope: 'guild', id: guildId }
+    ]);
   }
 
   /**
    * Processes multiple URLs from a message
+   * URLs are bypassed concurrently, bounded by the shared queue.
    * @param {string[]} urls - Array of URLs to process
-   * @returns {Promise<Array>} Array of bypass results
+   * @param {Object} options - Options passed to bypassPaywall for every URL
+   * @param {Function} options.onThrottled - Called with the limit when the caller was throttled for a URL
+   * @returns {Promise<Array>} Successful bypass results, in the order of the URLs
    */
-  async processUrls(urls) {
-    const results = [];
-    
-    for (const url of urls) {
+  async processUrls(urls, options = {}) {
+    const { onThrottled, ...bypassOptions } = options;
+    const results = await Promise.all(urls.map(async url => {
       try {
-        const result = await this.bypassPaywall(url);
-        if (result.success) {
-          results.push({
-            originalUrl: url,
-            ...result
-          });
+        const result = await this.bypassPaywall(url, bypassOptions);
+        if (result.rateLimit && onThrottled) {
+          onThrottled(result.rateLimit);
         }
+        return result.success ? { originalUrl: url, ...result } : null;
       } catch (error) {
         logger.error(`Error processing URL ${url}`, { error: error.message });
+        return null;
       }
-    }
+    }));
     
-    return results;
+    return results.filter(Boolean);
   }
 
   /**
@@ -382,6 +1066,10 @@ class SmartBypassService {
       registry: this.registry.getMetrics(),
       bypass: this.metrics.getGlobalMetrics(),
       domainStrategies: this.domainStrategies.size,
+      queue: this.queue.getStats(),
+      inFlight: this.inFlight.size,
+      cache: this.resultCache ? this.resultCache.getStats() : null,
+      rateLimit: this.rateLimiter.getStats(),
       timestamp: new Date()
     };
   }
@@ -410,10 +1098,26 @@ class SmartBypassService {
   async cleanup() {
     logger.info('Cleaning up SmartBypassService');
     
-    await this.saveDomainStrategies();
+    // Running bypasses give up now instead of holding up shutdown
+    const shutdown = createAbortError('Bypass service is shutting down');
+    this.activeRequests.forEach(controller => controller.abort(shutdown));
+    this.activeRequests.clear();
+
+    this.stopStrategyFlush();
+    await this.flushDomainStrategies();
+    if (this.metricsStore) {
+      this.metricsStore.stop();
+      await this.metricsStore.save();
+      this.metricsStore = null;
+    }
+    if (this.resultCache) {
+      this.resultCache.stop();
+      await this.resultCache.save();
+      this.resultCache = null;
+    }
     await this.registry.cleanup();
     
-    this.requestCounts.clear();
+    this.rateLimiter.clear();
     this.domainStrategies.clear();
     this.initialized = false;
     
@@ -0,0 +1,130 @@
+/**
+ * Helpers for cancelling bypass work with AbortSignal
+ * Abort reasons are Errors whose name tells a cancellation (AbortError) apart
+ * from a deadline that ran out (TimeoutError), the same names the platform uses.
+ */
+
+/**
+ * Creates the reason for a cancellation
+ * @param {string} message - Why the work was cancelled
+ * @returns {Error}
+ */
+function createAbortError(message = 'The operation was aborted') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Creates the reason for a deadline that ran out
+ * @param {string} message - What timed out
+ * @returns {Error}
+ */
+function createTimeoutError(message = 'The operation timed out') {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+/**
+ * Creates a controller that aborts itself after a delay, and whenever the parent signal aborts
+ * @param {number|null} ms - Milliseconds before the controller aborts, or null for no delay
+ * @param {AbortSignal|null} parentSignal - Signal whose abort is passed on, with its reason
+ * @param {Error} reason - Abort reason once the delay has passed; a TimeoutError by default
+ * @returns {{controller: AbortController, signal: AbortSignal, clear: Function}} Call clear() once the work
+ *   is done so the timer and the parent listener don't outlive it
+ */
+function createDeadline(ms, parentSignal, reason = createTimeoutError(`Timed out after ${ms}ms`)) {
+  const controller = new AbortController();
+  let timer = null;
+
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+  const clear = () => {
+    clearTimeout(timer);
+    if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+  };
+
+  if (parentSignal && parentSignal.aborted) {
+    controller.abort(parentSignal.reason);
+    return { controller, signal: controller.signal, clear };
+  }
+
+  if (parentSignal) parentSignal.addEventListener('abort', onParentAbort, { once: true });
+  if (ms) {
+    timer = setTimeout(() => controller.abort(reason), ms);
+    if (timer.unref) timer.unref();
+  }
+  controller.signal.addEventListener('abort', clear, { once: true });
+
+  return { controller, signal: controller.signal, clear };
+}
+
+/**
+ * Settles with a promise, or rejects with the signal's reason as soon as it aborts
+ * Work that ignores the signal keeps running, but nobody waits for it.
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} signal - Signal that ends the wait
+ * @returns {Promise}
+ */
+function raceWithSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      promise.catch(() => {});
+      reject(signal.reason);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Waits for a delay, rejecting with the signal's reason if it aborts first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Signal that cuts the wait short
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return raceWithSignal(new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) signal.addEventListener('abort', () => clearTimeout(timer), { once: true });
+  }), signal);
+}
+
+/**
+ * Checks if an error is the result of aborting a request, e.g. axios' CanceledError
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+  return Boolean(error) && (
+    error.name === 'AbortError' ||
+    error.name === 'CanceledError' ||
+    error.code === 'ERR_CANCELED' ||
+    error.code === 'ABORT_ERR'
+  );
+}
+
+module.exports = {
+  createAbortError,
+  createDeadline,
+  createTimeoutError,
+  isAbortError,
+  raceWithSignal,
+  sleep
+};
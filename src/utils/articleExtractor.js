@@ -0,0 +1,329 @@
+const cheerio = require('cheerio');
+const { parseArticleMetadata } = require('./articleMetadata');
+
+const DEFAULT_MAX_LENGTH = 1800; // Leaves room in a Discord message for the title and footer
+const TRUNCATION_NOTE = '[Content truncated for length]';
+
+// Elements that never hold article text
+const REMOVED_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'object', 'embed',
+  'form', 'button', 'input', 'select', 'textarea', 'dialog',
+  'nav', 'header', 'footer', 'aside',
+  '[hidden]', '[aria-hidden="true"]',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[role="dialog"]'
+].join(', ');
+
+// Class and ID patterns of page furniture, and the ones that may still wrap the article
+const UNLIKELY_PATTERN = /comment|discuss|disqus|related|recommend|share|sharing|social|sidebar|widget|menu|breadcrumb|pagination|promo|advert|\bads?\b|sponsor|newsletter|subscribe|subscription|paywall|signup|popup|modal|cookie|consent|banner|masthead|footer|outbrain|taboola/i;
+const MAYBE_PATTERN = /article|body|column|content|main|story|entry/i;
+const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_PATTERN = /comment|meta|footer|footnote|related|share|sidebar|widget|promo|sponsor|shopping|tags|byline|caption/i;
+const HIDDEN_STYLE_PATTERN = /display\s*:\s*none|visibility\s*:\s*hidden/i;
+
+// Elements whose text is scored, and the blocks that make up the extracted paragraphs
+const SCORED_SELECTOR = 'p, pre, td, blockquote';
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre';
+const BYLINE_SELECTOR = '[rel="author"], [itemprop="author"], [class*="byline"], [class*="author-name"]';
+
+const MIN_SCORED_LENGTH = 25;
+const MAX_BYLINE_LENGTH = 100;
+const MIN_CUT_LENGTH = 200;
+
+/**
+ * @typedef {Object} Article
+ * @property {string|null} title - Headline
+ * @property {string|null} byline - Author(s)
+ * @property {Date|null} published - Publication date
+ * @property {string|null} leadImage - Absolute URL of the main image
+ * @property {string[]} paragraphs - Article text in reading order; list items start with "• "
+ */
+
+/**
+ * Collapses whitespace in a piece of text
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Gets an element's class and ID for matching against the patterns above
+ * @param {Object} element - cheerio element
+ * @returns {string}
+ */
+function getClassAndId(element) {
+  const attribs = element.attribs || {};
+  return `${attribs.class || ''} ${attribs.id || ''}`;
+}
+
+/**
+ * Removes elements that are never article text: scripts, page chrome,
+ * hidden elements, and comment, sharing or subscription blocks
+ * @param {Function} $ - cheerio document
+ * @param {string[]} exclude - Extra selectors to remove, e.g. a proxy's own header
+ */
+function removeUnlikelyElements($, exclude = []) {
+  $(REMOVED_SELECTORS).remove();
+  if (exclude.length > 0) {
+    $(exclude.join(', ')).remove();
+  }
+
+  $('[style]').filter((i, element) => HIDDEN_STYLE_PATTERN.test(element.attribs.style)).remove();
+
+  $('body *').filter((i, element) => {
+    if (['a', 'body', 'html'].includes(element.tagName)) return false;
+    const classAndId = getClassAndId(element);
+    return UNLIKELY_PATTERN.test(classAndId) && !MAYBE_PATTERN.test(classAndId);
+  }).remove();
+}
+
+/**
+ * Weighs an element by what its class and ID suggest
+ * @param {Object} element - cheerio element
+ * @returns {number}
+ */
+function getClassWeight(element) {
+  const classAndId = getClassAndId(element);
+  let weight = 0;
+  if (POSITIVE_PATTERN.test(classAndId)) weight += 25;
+  if (NEGATIVE_PATTERN.test(classAndId)) weight -= 25;
+  return weight;
+}
+
+/**
+ * Gets the share of an element's text that sits inside links
+ * @param {Function} $ - cheerio document
+ * @param {Object} element - cheerio element
+ * @returns {number} Between 0 and 1
+ */
+function getLinkDensity($, element) {
+  const textLength = normalizeText($(element).text()).length;
+  if (textLength === 0) return 0;
+
+  const linkLength = $(element).find('a').toArray()
+    .reduce((total, link) => total + normalizeText($(link).text()).length, 0);
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Finds the elements most likely to hold the article
+ * Every paragraph scores its parent in full and its grandparent by half: one
+ * point, one per comma and one per 100 characters (up to three). Candidates
+ * start from their tag and class weight, and lose the share of their text
+ * that is links, so menus and link lists sink.
+ * @param {Function} $ - cheerio document
+ * @returns {Array<{element: Object, score: number}>} Candidates, best first
+ */
+function scoreCandidates($) {
+  const scores = new Map();
+
+  const addScore = (element, points) => {
+    if (!element || element.type !== 'tag') return;
+    if (!scores.has(element)) {
+      const tagBonus = ['article', 'main'].includes(element.tagName) ? 10
+        : element.tagName === 'div' ? 5
+          : ['pre', 'td', 'blockquote'].includes(element.tagName) ? 3 : 0;
+      scores.set(element, tagBonus + getClassWeight(element));
+    }
+    scores.set(element, scores.get(element) + points);
+  };
+
+  $(SCORED_SELECTOR).each((i, element) => {
+    const text = normalizeText($(element).text());
+    if (text.length < MIN_SCORED_LENGTH) return;
+
+    const points = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = element.parent;
+    addScore(parent, points);
+    addScore(parent && parent.parent, points / 2);
+  });
+
+  return Array.from(scores.entries())
+    .filter(([element]) => !['html', 'body'].includes(element.tagName))
+    .map(([element, score]) => ({ element, score: score * (1 - getLinkDensity($, element)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Picks the article container and any siblings that continue it
+ * @param {Function} $ - cheerio document
+ * @returns {Object[]} Elements holding the article, in document order
+ */
+function findArticleElements($) {
+  const candidates = scoreCandidates($);
+  if (candidates.length === 0) {
+    return [$('body').get(0) || $.root().get(0)];
+  }
+
+  const top = candidates[0];
+  const scoreOf = new Map(candidates.map(({ element, score }) => [element, score]));
+  const threshold = Math.max(10, top.score * 0.2);
+
+  // Articles split across sibling containers, e.g. around an inline ad
+  return $(top.element).parent().children().toArray().filter(element => (
+    element === top.element || (scoreOf.get(element) || 0) >= threshold
+  ));
+}
+
+/**
+ * Turns the block elements of the article into paragraphs
+ * Headings become paragraphs of their own and list items are bulleted; a block
+ * inside another block (a paragraph in a list item or quote) belongs to the
+ * outer one. Short blocks that are mostly links, such as "Read more" lines,
+ * are dropped.
+ * @param {Function} $ - cheerio document
+ * @param {Object[]} containers - Elements holding the article
+ * @param {string|null} title - Article title, not repeated as a heading
+ * @returns {string[]}
+ */
+function collectParagraphs($, containers, title) {
+  const paragraphs = [];
+  const add = text => {
+    if (text && text !== paragraphs[paragraphs.length - 1]) paragraphs.push(text);
+  };
+
+  containers.forEach(container => {
+    const blocks = $(container).find(BLOCK_SELECTOR).addBack(BLOCK_SELECTOR).toArray()
+      .filter(element => element === container || $(element).parentsUntil(container).filter(BLOCK_SELECTOR).length === 0);
+
+    if (blocks.length === 0) {
+      add(normalizeText($(container).text()));
+      return;
+    }
+
+    blocks.forEach(element => {
+      const text = normalizeText($(element).text());
+      if (!text) return;
+
+      if (/^h[1-6]$/.test(element.tagName)) {
+        if (text !== title) add(text);
+      } else if (text.length < 80 && getLinkDensity($, element) > 0.5) {
+        // Link lists and "Read more" lines
+      } else {
+        add(element.tagName === 'li' ? `• ${text}` : text);
+      }
+    });
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Makes an image URL absolute
+ * @param {string|null} image - Image URL as found in the page
+ * @param {string|undefined} baseUrl - URL of the page
+ * @returns {string|null} http(s) URL, or null
+ */
+function resolveImageUrl(image, baseUrl) {
+  if (!image) return null;
+  try {
+    const resolved = new URL(image, baseUrl);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extracts an article from a page
+ * Metadata comes from the page's meta tags and JSON-LD where present, and from
+ * the markup otherwise. The text comes from the element with the densest
+ * paragraph text, after page furniture has been removed.
+ * @param {string} html - Page HTML
+ * @param {Object} options - Options
+ * @param {string} options.url - URL of the original article, for relative image URLs
+ * @param {string[]} options.exclude - Extra selectors to remove before extraction
+ * @returns {Article}
+ */
+function extractArticle(html, { url, exclude = [] } = {}) {
+  const source = typeof html === 'string' ? html : '';
+  const metadata = parseArticleMetadata(source);
+  const $ = cheerio.load(source);
+
+  // Found before the page chrome, which often holds them, is removed
+  const heading = normalizeText($('h1').first().text());
+  const pageTitle = normalizeText($('title').first().text());
+  const bylineText = normalizeText($(BYLINE_SELECTOR).first().text()).replace(/^by\s+/i, '');
+  const datetime = $('time[datetime]').first().attr('datetime');
+
+  removeUnlikelyElements($, exclude);
+
+  // A heading beats the <title> tag, which usually carries the site name too
+  const metadataTitle = normalizeText(metadata.title);
+  const title = (metadataTitle !== pageTitle && metadataTitle) || heading || pageTitle || null;
+  const published = metadata.publishedAt
+    || (datetime && !Number.isNaN(Date.parse(datetime)) ? new Date(datetime) : null);
+
+  return {
+    title,
+    byline: metadata.author || (bylineText && bylineText.length <= MAX_BYLINE_LENGTH ? bylineText : null),
+    published,
+    leadImage: resolveImageUrl(metadata.image, url),
+    paragraphs: collectParagraphs($, findArticleElements($), title)
+  };
+}
+
+/**
+ * Formats an extracted article as a bypass method's extractedContent
+ * The layout is the one the message handler parses: a bold title, the body,
+ * then the original URL and the method's footer in italics.
+ * @param {Article} article - Extracted article
+ * @param {Object} options - Options
+ * @param {string} options.originalUrl - URL of the original article
+ * @param {string} options.footer - Credit line, e.g. "Bypassed via 12ft.io"
+ * @param {string} options.fallbackTitle - Title for articles without one
+ * @param {string[]} options.notes - Extra lines shown under the byline, e.g. a cache date
+ * @param {number} options.maxLength - Longest body; whole paragraphs are kept where possible
+ * @returns {string}
+ */
+function formatArticle(article, {
+  originalUrl,
+  footer,
+  fallbackTitle = 'Article',
+  notes = [],
+  maxLength = DEFAULT_MAX_LENGTH
+} = {}) {
+  const title = normalizeText(article.title) || fallbackTitle;
+  const published = article.published instanceof Date && !Number.isNaN(article.published.getTime())
+    ? article.published.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+    : null;
+  const details = [article.byline && `By ${article.byline}`, published].filter(Boolean).join(' • ');
+
+  const body = [];
+  let length = 0;
+  for (const paragraph of article.paragraphs || []) {
+    const remaining = maxLength - length;
+    if (paragraph.length > remaining) {
+      // Keep the start of the paragraph that doesn't fit, cut at a sentence or word boundary
+      const cut = paragraph.substring(0, remaining);
+      const lastSentence = cut.lastIndexOf('. ');
+      const lastSpace = cut.lastIndexOf(' ');
+      if (lastSentence > remaining * 0.5) {
+        body.push(cut.substring(0, lastSentence + 1));
+      } else if (remaining >= MIN_CUT_LENGTH && lastSpace > 0) {
+        body.push(`${cut.substring(0, lastSpace)} …`);
+      }
+      body.push(TRUNCATION_NOTE);
+      break;
+    }
+    body.push(paragraph);
+    length += paragraph.length + 2;
+  }
+
+  // Items of the same list stay on consecutive lines
+  const text = body.reduce((joined, paragraph, i) => {
+    if (i === 0) return paragraph;
+    const separator = paragraph.startsWith('• ') && body[i - 1].startsWith('• ') ? '\n' : '\n\n';
+    return `${joined}${separator}${paragraph}`;
+  }, '');
+
+  return [`**${title}**`, details, ...notes, text]
+    .filter(Boolean)
+    .join('\n\n') + `\n\n*Original URL: ${originalUrl}*\n*${footer}*`;
+}
+
+module.exports = {
+  extractArticle,
+  formatArticle
+};
@@ -0,0 +1,260 @@
+const httpClient = require('./httpClient');
+const logger = require('./logger');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Metadata lives in <head>, so large pages are not worth downloading in full
+const MAX_CONTENT_LENGTH = 2 * 1024 * 1024;
+
+// JSON-LD types that describe an article
+const ARTICLE_TYPES = ['Article', 'NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle',
+  'OpinionNewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle', 'Report'];
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Checks if a numeric entity names a character String.fromCodePoint() accepts
+ * Surrogates are excluded too, since on their own they don't make a character.
+ * @param {number} codePoint - Code point, NaN if the entity didn't parse
+ * @returns {boolean}
+ */
+function isValidCodePoint(codePoint) {
+  return codePoint <= 0x10ffff && !(codePoint >= 0xd800 && codePoint <= 0xdfff);
+}
+
+/**
+ * Decodes the HTML entities commonly found in attribute values
+ * Numeric entities that don't name a character are left as they are.
+ * @param {string} text - Text to decode
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return isValidCodePoint(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Parses the attributes of a single HTML tag
+ * @param {string} tag - Tag source, e.g. <meta property="og:title" content="...">
+ * @returns {Object} Attribute name (lowercase) -> decoded value
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([a-z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+  let match;
+
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]).trim();
+  }
+
+  return attributes;
+}
+
+/**
+ * Collects <meta> tags keyed by their property or name attribute
+ * The first occurrence of a key wins.
+ * @param {string} html - Page HTML
+ * @returns {Map<string, string>}
+ */
+function parseMetaTags(html) {
+  const tags = new Map();
+
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || attributes.itemprop || '').toLowerCase();
+
+    if (key && attributes.content && !tags.has(key)) {
+      tags.set(key, attributes.content);
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * Parses the page's JSON-LD blocks
+ * Blocks that aren't valid JSON are skipped, and the items of a @graph are
+ * listed alongside top-level items.
+ * @param {string} html - Page HTML
+ * @returns {Object[]} JSON-LD items in page order
+ */
+function parseJsonLd(html) {
+  const blocks = html.matchAll(/<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
+  const items = [];
+
+  for (const [, json] of blocks) {
+    let data;
+    try {
+      data = JSON.parse(json.trim());
+    } catch {
+      continue;
+    }
+
+    (Array.isArray(data) ? data : [data])
+      .flatMap(item => (item && Array.isArray(item['@graph']) ? item['@graph'] : [item]))
+      .filter(item => item && typeof item === 'object')
+      .forEach(item => items.push(item));
+  }
+
+  return items;
+}
+
+/**
+ * Gets the types of a JSON-LD item
+ * @param {Object} item - JSON-LD item
+ * @returns {string[]}
+ */
+function jsonLdTypes(item) {
+  return (Array.isArray(item['@type']) ? item['@type'] : [item['@type']]).filter(Boolean);
+}
+
+/**
+ * Finds the first article object in the page's JSON-LD blocks
+ * @param {string} html - Page HTML
+ * @returns {Object|null}
+ */
+function parseJsonLdArticle(html) {
+  return parseJsonLd(html).find(item => jsonLdTypes(item).some(type => ARTICLE_TYPES.includes(type))) || null;
+}
+
+/**
+ * Gets a display name from a JSON-LD person/organization value
+ * @param {*} value - String, object with a name, or a list of either
+ * @returns {string|null}
+ */
+function jsonLdName(value) {
+  const names = (Array.isArray(value) ? value : [value])
+    .map(item => (typeof item === 'string' ? item : item && item.name))
+    .filter(name => typeof name === 'string' && name.trim());
+
+  return names.length > 0 ? names.map(name => name.trim()).join(', ') : null;
+}
+
+/**
+ * Gets a URL from a JSON-LD image value
+ * @param {*} value - String, ImageObject, or a list of either
+ * @returns {string|null}
+ */
+function jsonLdImage(value) {
+  const image = Array.isArray(value) ? value[0] : value;
+  if (typeof image === 'string') return image;
+  return (image && typeof image.url === 'string') ? image.url : null;
+}
+
+/**
+ * Parses article metadata from OpenGraph, JSON-LD and standard meta tags
+ * @param {string} html - Page HTML
+ * @returns {ArticleMetadata} Metadata; fields that could not be found are null
+ */
+function parseArticleMetadata(html) {
+  if (typeof html !== 'string' || !html) {
+    return emptyMetadata();
+  }
+
+  const meta = parseMetaTags(html);
+  const article = parseJsonLdArticle(html) || {};
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  const pick = (...values) => {
+    const value = values.find(v => typeof v === 'string' && v.trim());
+    return value ? decodeEntities(value.trim()) : null;
+  };
+
+  const publishedAt = pick(
+    meta.get('article:published_time'),
+    article.datePublished,
+    meta.get('date'),
+    meta.get('pubdate')
+  );
+
+  return {
+    title: pick(meta.get('og:title'), article.headline, meta.get('twitter:title'), titleTag && titleTag[1]),
+    description: pick(meta.get('og:description'), article.description, meta.get('description')),
+    siteName: pick(meta.get('og:site_name'), jsonLdName(article.publisher)),
+    author: pick(jsonLdName(article.author), meta.get('author'), meta.get('article:author')),
+    publishedAt: publishedAt && !Number.isNaN(Date.parse(publishedAt)) ? new Date(publishedAt) : null,
+    image: pick(meta.get('og:image'), jsonLdImage(article.image), meta.get('twitter:image'))
+  };
+}
+
+/**
+ * Creates metadata with every field unset
+ * @returns {ArticleMetadata}
+ */
+function emptyMetadata() {
+  return { title: null, description: null, siteName: null, author: null, publishedAt: null, image: null };
+}
+
+/**
+ * Fetches a page and parses its article metadata
+ * @param {string} url - Page URL
+ * @param {Object} options - Fetch options
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<ArticleMetadata|null>} Metadata, or null if the page could not be fetched
+ */
+async function fetchArticleMetadata(url, options = {}) {
+  try {
+    const response = await httpClient.fetchPage(url, {
+      timeout: options.timeout || 5000,
+      maxBytes: MAX_CONTENT_LENGTH,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml'
+      }
+    });
+
+    return parseArticleMetadata(response.data);
+  } catch (error) {
+    logger.debug('Failed to fetch article metadata', { url, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Merges metadata, keeping the first non-null value of each field
+ * @param {...ArticleMetadata} sources - Metadata in order of preference
+ * @returns {ArticleMetadata}
+ */
+function mergeArticleMetadata(...sources) {
+  const merged = emptyMetadata();
+
+  for (const key of Object.keys(merged)) {
+    const source = sources.find(s => s && s[key]);
+    merged[key] = source ? source[key] : null;
+  }
+
+  return merged;
+}
+
+/**
+ * @typedef {Object} ArticleMetadata
+ * @property {string|null} title - Article headline
+ * @property {string|null} description - Short summary
+ * @property {string|null} siteName - Publication name
+ * @property {string|null} author - Author name(s)
+ * @property {Date|null} publishedAt - Publish date
+ * @property {string|null} image - Lead image URL
+ */
+
+module.exports = {
+  jsonLdTypes,
+  parseArticleMetadata,
+  parseJsonLd,
+  parseMetaTags,
+  fetchArticleMetadata,
+  mergeArticleMetadata
+};
@@ -0,0 +1,122 @@
+/**
+ * Makes text taken from web pages safe to post in Discord
+ * Article text is written by strangers: it must not ping anyone, advertise
+ * servers, hide characters from readers or break the bot's own formatting.
+ */
+
+const DEFAULT_MAX_LINES = 20;
+
+// Mentions are never parsed from bot messages; pass this as allowedMentions
+const NO_MENTIONS = Object.freeze({ parse: [] });
+
+// Control characters other than tab and newline, and invisible format characters:
+// soft hyphen, zero-width spaces and joiners, bidi controls and the byte order mark
+const INVISIBLE_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u00AD\u061C\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u206F\uFEFF]/g;
+
+const MASS_MENTION_PATTERN = /@(everyone|here)\b/gi;
+const MENTION_PATTERN = /<(@[!&]?|#)(\d+)>/g;
+const INVITE_PATTERN = /(?:https?:\/\/)?(?:www\.)?(?:discord(?:app)?\.com\/invite|discord\.gg)\/[\w-]+/gi;
+
+// Characters that start inline formatting anywhere, and markup that only works at the start of a line
+const INLINE_MARKDOWN = /[\\*_~`|[\]]/g;
+const LINE_MARKDOWN = /^([ \t]*)(>|#{1,3}[ \t]|-#[ \t])/gm;
+
+/**
+ * Removes control and zero-width characters
+ * @param {string} text - Text to clean
+ * @returns {string}
+ */
+function stripInvisibleCharacters(text) {
+  return text.replace(/\r\n?/g, '\n').replace(INVISIBLE_CHARACTERS, '');
+}
+
+/**
+ * Breaks user, role, channel and mass mentions with a zero-width space so they show as plain text
+ * Run after stripInvisibleCharacters(), which would remove the spaces again.
+ * @param {string} text - Text to clean
+ * @returns {string}
+ */
+function neutralizeMentions(text) {
+  return text
+    .replace(MASS_MENTION_PATTERN, '@\u200B$1')
+    .replace(MENTION_PATTERN, '<$1\u200B$2>');
+}
+
+/**
+ * Replaces Discord server invite links
+ * @param {string} text - Text to clean
+ * @returns {string}
+ */
+function removeInvites(text) {
+  return text.replace(INVITE_PATTERN, '(invite link removed)');
+}
+
+/**
+ * Escapes Discord markdown so the text shows exactly as written
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(INLINE_MARKDOWN, '\\$&')
+    .replace(LINE_MARKDOWN, '$1\\$2');
+}
+
+/**
+ * Keeps the first lines of a text, ending with an ellipsis when cut
+ * @param {string} text - Text to cap
+ * @param {number} maxLines - Maximum number of lines
+ * @returns {string}
+ */
+function capLines(text, maxLines = DEFAULT_MAX_LINES) {
+  const lines = text.split('\n');
+  if (lines.length <= maxLines) return text;
+  return `${lines.slice(0, maxLines).join('\n').trimEnd()} …`;
+}
+
+/**
+ * Sanitizes text from a web page for a Discord message or embed
+ * @param {string|null} text - Text to sanitize
+ * @param {Object} options - Options
+ * @param {number} options.maxLines - Maximum number of lines; 20 by default
+ * @param {number} options.maxLength - Maximum length after escaping, if any
+ * @returns {string}
+ */
+function sanitizeText(text, { maxLines = DEFAULT_MAX_LINES, maxLength = null } = {}) {
+  if (!text) return '';
+
+  let clean = stripInvisibleCharacters(String(text));
+  clean = removeInvites(neutralizeMentions(clean));
+  clean = escapeMarkdown(clean)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  clean = capLines(clean, maxLines);
+
+  if (maxLength && clean.length > maxLength) {
+    // Don't leave half an escape sequence at the end
+    clean = `${clean.substring(0, maxLength - 1).replace(/\\+$/, '').trimEnd()}…`;
+  }
+
+  return clean;
+}
+
+/**
+ * Sanitizes text from a web page that has to fit on one line, such as a title
+ * @param {string|null} text - Text to sanitize
+ * @returns {string}
+ */
+function sanitizeLine(text) {
+  return sanitizeText(text ? String(text).replace(/\s+/g, ' ') : text);
+}
+
+module.exports = {
+  NO_MENTIONS,
+  capLines,
+  escapeMarkdown,
+  neutralizeMentions,
+  removeInvites,
+  sanitizeLine,
+  sanitizeText,
+  stripInvisibleCharacters
+};
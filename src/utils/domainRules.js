@@ -0,0 +1,191 @@
+const { getPublicSuffix } = require('tldts');
+const logger = require('./logger');
+
+// Private suffixes such as github.io and blogspot.com separate owners just like co.uk does
+const SUFFIX_OPTIONS = { allowPrivateDomains: true };
+const LABEL_PATTERN = /^(\*|[a-z0-9_](?:[a-z0-9_-]*[a-z0-9_])?)$/;
+
+/**
+ * @typedef {Object} DomainRule
+ * @property {string} rule - Normalized rule text
+ * @property {string} host - Host part, possibly with * labels
+ * @property {string[]} labels - Host labels, last label first
+ * @property {string|null} path - Path prefix, without a trailing slash
+ * @property {boolean} exception - True for !rules, which stop other rules matching
+ * @property {boolean} exactHost - True if the host is a public suffix and only matches itself
+ */
+
+/**
+ * Parses a rule of a domain list
+ * Rules look like:
+ *   nytimes.com          nytimes.com and all of its subdomains
+ *   *.substack.com       subdomains of substack.com only; * stands for one label
+ *   bloomberg.com/opinion  only paths under /opinion, on any subdomain
+ *   !cooking.nytimes.com an exception: URLs it matches are not on the list
+ * A rule for a public suffix (co.uk, github.io) only matches that exact host,
+ * since the sites under it belong to different owners; write *.github.io to
+ * cover them.
+ * @param {string} text - Rule as written in the list
+ * @returns {DomainRule|null} null if the rule can't be parsed
+ */
+function parseDomainRule(text) {
+  if (typeof text !== 'string') return null;
+
+  let rule = text.trim().toLowerCase();
+  const exception = rule.startsWith('!');
+  rule = rule.replace(/^!/, '').replace(/^[a-z]+:\/\//, '').replace(/^www\./, '');
+
+  const slash = rule.indexOf('/');
+  const host = (slash === -1 ? rule : rule.substring(0, slash)).replace(/\.$/, '');
+  const path = slash === -1 ? null : rule.substring(slash).replace(/\/+$/, '') || null;
+  const labels = host.split('.').reverse();
+
+  if (!host || !labels.every(label => LABEL_PATTERN.test(label)) || labels[0] === '*') {
+    return null;
+  }
+
+  return {
+    rule: `${exception ? '!' : ''}${host}${path || ''}`,
+    host,
+    labels,
+    path,
+    exception,
+    exactHost: !host.includes('*') && getPublicSuffix(host, SUFFIX_OPTIONS) === host
+  };
+}
+
+/**
+ * Checks if a rule matches a host and path
+ * @param {DomainRule} rule - Parsed rule
+ * @param {string} hostname - Lowercase hostname
+ * @param {string} pathname - URL path
+ * @returns {boolean}
+ */
+function matchesDomainRule(rule, hostname, pathname = '/') {
+  const hostLabels = hostname.replace(/\.$/, '').split('.').reverse();
+
+  if (hostLabels.length < rule.labels.length) return false;
+  if (rule.exactHost && hostLabels.length !== rule.labels.length) return false;
+  if (!rule.labels.every((label, i) => label === '*' || label === hostLabels[i])) return false;
+
+  if (!rule.path) return true;
+  const path = pathname.toLowerCase();
+  return path === rule.path || path.startsWith(`${rule.path}/`);
+}
+
+/**
+ * Orders rules from most to least specific: path rules first, then by number of labels
+ * @param {DomainRule} a - Rule
+ * @param {DomainRule} b - Rule
+ * @returns {number}
+ */
+function bySpecificity(a, b) {
+  return (b.path || '').length - (a.path || '').length || b.labels.length - a.labels.length;
+}
+
+/**
+ * A list of domain rules, such as the known paywall domains or the whitelist
+ * Behaves like a Set of normalized rule strings, with match() to look up URLs.
+ */
+class DomainRuleList {
+  /**
+   * @param {string[]} rules - Initial rules; invalid ones are skipped with a warning
+   */
+  constructor(rules = []) {
+    this.rules = new Map(); // normalized rule -> DomainRule
+    rules.forEach(rule => this.add(rule));
+  }
+
+  /**
+   * Number of rules
+   * @returns {number}
+   */
+  get size() {
+    return this.rules.size;
+  }
+
+  /**
+   * Adds a rule
+   * @param {string} text - Rule, e.g. "nytimes.com" or "bloomberg.com/opinion"
+   * @returns {DomainRuleList} This list, like Set.add()
+   */
+  add(text) {
+    const rule = parseDomainRule(text);
+    if (!rule) {
+      logger.warn('Ignoring invalid domain rule', { rule: text });
+      return this;
+    }
+
+    this.rules.set(rule.rule, rule);
+    return this;
+  }
+
+  /**
+   * Checks if a rule is in the list, as opposed to whether a URL matches one
+   * @param {string} text - Rule
+   * @returns {boolean}
+   */
+  has(text) {
+    const rule = parseDomainRule(text);
+    return Boolean(rule) && this.rules.has(rule.rule);
+  }
+
+  /**
+   * Removes a rule
+   * @param {string} text - Rule
+   * @returns {boolean} True if the rule was in the list
+   */
+  delete(text) {
+    const rule = parseDomainRule(text);
+    return Boolean(rule) && this.rules.delete(rule.rule);
+  }
+
+  /**
+   * Finds the rule a URL matches
+   * An exception rule that matches wins over every other rule.
+   * @param {string} url - URL to look up
+   * @returns {string|null} The most specific matching rule, or null if the URL isn't on the list
+   */
+  match(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+    const matching = Array.from(this.rules.values())
+      .filter(rule => matchesDomainRule(rule, hostname, parsed.pathname));
+
+    if (matching.length === 0 || matching.some(rule => rule.exception)) {
+      return null;
+    }
+
+    return matching.sort(bySpecificity)[0].rule;
+  }
+
+  /**
+   * Checks if a URL matches the list
+   * @param {string} url - URL to look up
+   * @returns {boolean}
+   */
+  matches(url) {
+    return this.match(url) !== null;
+  }
+
+  /**
+   * Iterates over the normalized rules
+   * @returns {Iterator<string>}
+   */
+  [Symbol.iterator]() {
+    return this.rules.keys();
+  }
+}
+
+module.exports = {
+  DomainRuleList,
+  bySpecificity,
+  matchesDomainRule,
+  parseDomainRule
+};
@@ -0,0 +1,145 @@
+const { isAbortError } = require('./abort');
+
+/**
+ * Kinds of bypass failure
+ * Only rate limits, timeouts, network errors and server errors say something
+ * about the external service itself; the rest are specific to the URL, or, for
+ * aborted attempts, to the request that gave up on them.
+ */
+const ERROR_TYPES = {
+  RATE_LIMITED: 'rate_limited',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  SERVER_ERROR: 'server_error',
+  BLOCKED: 'blocked',
+  NOT_FOUND: 'not_found',
+  TOO_LARGE: 'too_large',
+  NOT_HTML: 'not_html',
+  ABORTED: 'aborted',
+  OTHER: 'other'
+};
+
+const SERVICE_FAILURE_TYPES = [
+  ERROR_TYPES.RATE_LIMITED,
+  ERROR_TYPES.TIMEOUT,
+  ERROR_TYPES.NETWORK,
+  ERROR_TYPES.SERVER_ERROR
+];
+
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT'];
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+// Pages httpClient.fetchPage() refused to download
+const PAGE_CODES = {
+  ERR_RESPONSE_TOO_LARGE: ERROR_TYPES.TOO_LARGE,
+  ERR_NOT_HTML: ERROR_TYPES.NOT_HTML
+};
+
+// Methods report most failures as messages, e.g. "12ft.io error: Request failed with status code 429"
+const MESSAGE_PATTERNS = [
+  [ERROR_TYPES.RATE_LIMITED, /status (code )?429\b|too many requests|rate.?limit/i],
+  [ERROR_TYPES.TIMEOUT, /timeout|timed out|ETIMEDOUT|ECONNABORTED/i],
+  [ERROR_TYPES.ABORTED, /\baborted\b|\bcancell?ed\b/i],
+  [ERROR_TYPES.NETWORK, /ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|EHOSTUNREACH|ENETUNREACH|socket hang up|network error/i],
+  [ERROR_TYPES.SERVER_ERROR, /status (code )?5\d\d\b/i],
+  [ERROR_TYPES.TOO_LARGE, /too large/i],
+  [ERROR_TYPES.NOT_HTML, /not an html page/i],
+  [ERROR_TYPES.BLOCKED, /status (code )?40[13]\b|forbidden|blocked|captcha/i],
+  [ERROR_TYPES.NOT_FOUND, /status (code )?404\b|not found|no archive/i]
+];
+
+/**
+ * Maps an HTTP status code to an error type
+ * @param {number} status - HTTP status code
+ * @returns {string|null} Error type, or null for statuses that aren't errors
+ */
+function classifyStatus(status) {
+  if (status === 429) return ERROR_TYPES.RATE_LIMITED;
+  if (status === 408) return ERROR_TYPES.TIMEOUT;
+  if (status >= 500) return ERROR_TYPES.SERVER_ERROR;
+  if (status === 401 || status === 403) return ERROR_TYPES.BLOCKED;
+  if (status === 404 || status === 410) return ERROR_TYPES.NOT_FOUND;
+  if (status >= 400) return ERROR_TYPES.OTHER;
+  return null;
+}
+
+/**
+ * Works out what kind of failure an error is
+ * @param {Error|Object|string|null} error - Error thrown by a request (e.g. an axios error), an HTTP response, or a failure message
+ * @returns {string} One of ERROR_TYPES
+ */
+function classifyError(error) {
+  if (!error) return ERROR_TYPES.OTHER;
+
+  if (typeof error === 'object') {
+    if (PAGE_CODES[error.code]) return PAGE_CODES[error.code];
+    const status = error.response ? error.response.status : error.status;
+    if (status && classifyStatus(status)) {
+      return classifyStatus(status);
+    }
+    if (error.name === 'TimeoutError') return ERROR_TYPES.TIMEOUT;
+    if (isAbortError(error)) return ERROR_TYPES.ABORTED;
+    if (TIMEOUT_CODES.includes(error.code)) return ERROR_TYPES.TIMEOUT;
+    if (NETWORK_CODES.includes(error.code)) return ERROR_TYPES.NETWORK;
+  }
+
+  const message = typeof error === 'string' ? error : String(error.message || '');
+  const match = MESSAGE_PATTERNS.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : ERROR_TYPES.OTHER;
+}
+
+/**
+ * Checks if an error type means the external service itself is struggling
+ * @param {string} errorType - One of ERROR_TYPES
+ * @returns {boolean}
+ */
+function isServiceFailure(errorType) {
+  return SERVICE_FAILURE_TYPES.includes(errorType);
+}
+
+/**
+ * Checks if an error type means the page itself can't be processed, whichever way it is fetched
+ * @param {string} errorType - One of ERROR_TYPES
+ * @returns {boolean}
+ */
+function isUnsupportedPage(errorType) {
+  return errorType === ERROR_TYPES.TOO_LARGE || errorType === ERROR_TYPES.NOT_HTML;
+}
+
+/**
+ * Checks if a failure of this type is worth retrying
+ * A struggling service often recovers within seconds; URL-specific failures won't.
+ * @param {string} errorType - One of ERROR_TYPES
+ * @returns {boolean}
+ */
+function isRetryable(errorType) {
+  return isServiceFailure(errorType);
+}
+
+/**
+ * Reads the Retry-After header of a failed request
+ * @param {Error|Object|null} source - Error thrown by a request, or an HTTP response
+ * @param {number} now - Current time in milliseconds, for HTTP-date values
+ * @returns {number|null} Milliseconds to wait, or null without a usable header
+ */
+function getRetryAfterMs(source, now = Date.now()) {
+  const response = source && (source.response || source);
+  const value = response && response.headers && response.headers['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const retryAt = Date.parse(value);
+  return Number.isNaN(retryAt) ? null : Math.max(retryAt - now, 0);
+}
+
+module.exports = {
+  ERROR_TYPES,
+  classifyError,
+  classifyStatus,
+  getRetryAfterMs,
+  isRetryable,
+  isServiceFailure,
+  isUnsupportedPage
+};
@@ -0,0 +1,338 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+const ALLOWED_PORTS = [80, 443];
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// Addresses a user-supplied URL must never reach: private networks, loopback,
+// link-local (home of cloud metadata endpoints such as 169.254.169.254),
+// carrier-grade NAT, documentation, multicast and reserved ranges.
+// BlockList applies the IPv4 ranges to IPv4-mapped IPv6 addresses as well;
+// the other IPv6 forms that embed an IPv4 address are blocked outright.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 96, 'ipv6'], // IPv4-compatible, including :: itself
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'], // 6to4
+  ['fc00::', 7, 'ipv6'], // Unique local, including fd00:ec2::254
+  ['fe80::', 10, 'ipv6'],
+  ['fec0::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([network, prefix, type]) => blockList.addSubnet(network, prefix, type));
+
+/**
+ * Checks if an IP address is in a blocked range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for blocked addresses and for anything that isn't an IP address
+ */
+function isBlockedAddress(address) {
+  const version = net.isIP(address);
+  if (!version) return true;
+  return blockList.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Creates the error for a request that may not be made
+ * @param {string} reason - Why the destination is not allowed
+ * @returns {Error}
+ */
+function createBlockedError(reason) {
+  const error = new Error(`Blocked outbound request: ${reason}`);
+  error.code = 'ERR_BLOCKED_DESTINATION';
+  return error;
+}
+
+/**
+ * Gets a URL's hostname without the brackets of an IPv6 literal
+ * @param {URL} parsed - Parsed URL
+ * @returns {string}
+ */
+function getHostname(parsed) {
+  return parsed.hostname.replace(/^\[|\]$/g, '');
+}
+
+/**
+ * Checks the parts of a URL that can be checked without DNS: scheme, port and IP literals
+ * @param {string|URL} url - Destination URL
+ * @returns {URL} The parsed URL
+ * @throws {Error} If the destination is not allowed
+ */
+function assertAllowedUrl(url) {
+  let parsed;
+  try {
+    parsed = url instanceof URL ? url : new URL(url);
+  } catch {
+    throw createBlockedError(`invalid URL ${url}`);
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw createBlockedError(`${parsed.protocol} URLs are not allowed`);
+  }
+
+  const port = parsed.port ? Number(parsed.port) : (parsed.protocol === 'https:' ? 443 : 80);
+  if (!ALLOWED_PORTS.includes(port)) {
+    throw createBlockedError(`port ${port} is not allowed`);
+  }
+
+  const hostname = getHostname(parsed);
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw createBlockedError(`${hostname} is a private or reserved address`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Resolves a hostname, failing if any of its addresses is blocked
+ * Every address is checked, since the connection may use any of them.
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - dns.lookup options, e.g. family
+ * @returns {Promise<Array<{address: string, family: number}>>}
+ */
+async function resolvePublicAddresses(hostname, options = {}) {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw createBlockedError(`${hostname} resolves to private or reserved address ${blocked.address}`);
+  }
+
+  return addresses;
+}
+
+/**
+ * Checks a destination completely, including where its hostname resolves to
+ * For clients that resolve on their own, such as Chromium; requests made with
+ * get() and post() are checked at connect time instead.
+ * @param {string|URL} url - Destination URL
+ * @returns {Promise<void>}
+ * @throws {Error} If the destination is not allowed
+ */
+async function assertAllowedDestination(url) {
+  const hostname = getHostname(assertAllowedUrl(url));
+  if (!net.isIP(hostname)) {
+    await resolvePublicAddresses(hostname);
+  }
+}
+
+/**
+ * dns.lookup replacement for the agents below
+ * Checking the addresses that are actually connected to leaves no gap for a
+ * hostname that resolves differently the second time (DNS rebinding).
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object|number|Function} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  const { all, ...lookupOptions } = options;
+  resolvePublicAddresses(hostname, lookupOptions).then(
+    addresses => (all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family)),
+    error => callback(error)
+  );
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * Adds SSRF protection to an axios request config
+ * Connections resolve through safeLookup, every redirect target is checked
+ * again, and proxies from the environment are ignored so the checks apply to
+ * the real destination.
+ * @param {Object} config - axios request config
+ * @returns {Object} New config
+ */
+function withSsrfProtection(config = {}) {
+  const { beforeRedirect } = config;
+
+  return {
+    ...config,
+    httpAgent,
+    httpsAgent,
+    proxy: false,
+    beforeRedirect: (options, responseDetails) => {
+      assertAllowedUrl(options.href);
+      if (beforeRedirect) beforeRedirect(options, responseDetails);
+    }
+  };
+}
+
+/**
+ * Sends a GET request to a URL that may come from a user
+ * @param {string} url - Destination URL
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} axios response
+ */
+async function get(url, config = {}) {
+  assertAllowedUrl(url);
+  return axios.get(url, withSsrfProtection(config));
+}
+
+/**
+ * Sends a POST request to a URL that may come from a user
+ * @param {string} url - Destination URL
+ * @param {*} data - Request body
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} axios response
+ */
+async function post(url, data, config = {}) {
+  assertAllowedUrl(url);
+  return axios.post(url, data, withSsrfProtection(config));
+}
+
+/**
+ * Creates the error for a page that won't be downloaded
+ * @param {string} code - ERR_RESPONSE_TOO_LARGE or ERR_NOT_HTML
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function createPageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Creates the error for a page larger than the limit
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Error}
+ */
+function createTooLargeError(maxBytes) {
+  const megabytes = Number((maxBytes / (1024 * 1024)).toFixed(1));
+  return createPageError('ERR_RESPONSE_TOO_LARGE', `Page is too large (over ${megabytes} MB)`);
+}
+
+/**
+ * Gets the full size of a response body as declared by its headers
+ * A partial (206) response declares it in Content-Range; Content-Length only covers the part sent.
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Size in bytes, or null if not declared
+ */
+function getDeclaredSize(headers) {
+  const range = /\/(\d+)\s*$/.exec(headers['content-range'] || '');
+  if (range) return Number(range[1]);
+
+  const length = parseInt(headers['content-length'], 10);
+  return Number.isNaN(length) ? null : length;
+}
+
+/**
+ * Checks if a Content-Type header names an HTML or XHTML document
+ * A missing header is given the benefit of the doubt.
+ * @param {string} contentType - Content-Type header value
+ * @returns {boolean}
+ */
+function isHtmlContentType(contentType) {
+  if (!contentType) return true;
+  return HTML_CONTENT_TYPES.includes(String(contentType).split(';')[0].trim().toLowerCase());
+}
+
+/**
+ * Reads a response body, giving up as soon as it passes maxBytes
+ * @param {Stream|string|Buffer} data - Response body; adapters without stream support hand over the whole body
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<string>}
+ */
+async function readBody(data, maxBytes) {
+  if (typeof data === 'string' || Buffer.isBuffer(data)) {
+    if (Buffer.byteLength(data) > maxBytes) throw createTooLargeError(maxBytes);
+    return data.toString();
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const part of data) {
+    const chunk = Buffer.from(part); // Streams with an encoding set yield strings
+    size += chunk.length;
+    if (size > maxBytes) throw createTooLargeError(maxBytes); // Leaving the loop destroys the stream
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Downloads an HTML page for analysis without ever holding more than maxBytes of it
+ * The request asks for at most maxBytes + 1 bytes with a Range header, the
+ * declared size and content type are checked before any of the body is read,
+ * and reading stops once the body passes maxBytes, for servers that ignore
+ * the Range header or declare nothing.
+ * Error responses are read whatever their type, so callers can still inspect
+ * them (subject to validateStatus as usual).
+ * @param {string} url - Page URL
+ * @param {Object} options - axios request config, plus maxBytes
+ * @param {number} options.maxBytes - Largest body accepted; MAX_PAGE_BYTES by default
+ * @returns {Promise<Object>} axios response whose data is the page HTML
+ * @throws {Error} With code ERR_RESPONSE_TOO_LARGE or ERR_NOT_HTML when the page is rejected
+ */
+async function fetchPage(url, { maxBytes = config.fetch.maxPageBytes, ...requestConfig } = {}) {
+  const response = await get(url, {
+    ...requestConfig,
+    responseType: 'stream',
+    headers: { ...requestConfig.headers, Range: `bytes=0-${maxBytes}` }
+  });
+  const headers = response.headers || {};
+
+  try {
+    const declaredSize = getDeclaredSize(headers);
+    if (declaredSize !== null && declaredSize > maxBytes) {
+      throw createTooLargeError(maxBytes);
+    }
+    if (response.status < 300 && !isHtmlContentType(headers['content-type'])) {
+      const contentType = String(headers['content-type']).split(';')[0].trim();
+      throw createPageError('ERR_NOT_HTML', `Not an HTML page (${contentType})`);
+    }
+
+    // A partial response that holds the whole page is as good as a complete one
+    const status = response.status === 206 ? 200 : response.status;
+    return { ...response, status, data: await readBody(response.data, maxBytes) };
+  } catch (error) {
+    if (response.data && typeof response.data.destroy === 'function') {
+      response.data.destroy();
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  assertAllowedDestination,
+  assertAllowedUrl,
+  fetchPage,
+  get,
+  isBlockedAddress,
+  post,
+  safeLookup,
+  withSsrfProtection
+};
@@ -0,0 +1,58 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} defaultValue - Value returned when the file does not exist
+ * @returns {Promise<*>} Parsed contents or the default value
+ * @throws {Error} If the file exists but cannot be read or parsed
+ */
+async function readJsonFile(filePath, defaultValue = null) {
+  let data;
+
+  try {
+    data = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return defaultValue;
+    }
+    throw error;
+  }
+
+  return JSON.parse(data);
+}
+
+/**
+ * Writes JSON to a file atomically
+ * Data is written to a temporary file in the same directory and then renamed
+ * over the target, so readers never observe a partially written file
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} data - Serializable data
+ */
+async function writeJsonFileAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  const tempFile = path.join(
+    dir,
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.${Math.random().toString(36).substr(2, 6)}.tmp`
+  );
+
+  await fs.mkdir(dir, { recursive: true });
+
+  try {
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+    await fs.rename(tempFile, filePath);
+  } catch (error) {
+    // Best effort removal of the temporary file
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+
+  logger.debug('Wrote JSON file', { filePath });
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFileAtomic
+};
@@ -0,0 +1,76 @@
+const cheerio = require('cheerio');
+
+// Elements whose content is code or markup, never text a reader sees
+const NON_TEXT_SELECTOR = 'script, style, noscript, template, svg';
+const HIDDEN_SELECTOR = '[hidden], [aria-hidden="true"]';
+const HIDDEN_STYLE_PATTERN = /display\s*:\s*none|visibility\s*:\s*hidden/i;
+
+// Page chrome: menus, site headers and footers
+const NAVIGATION_SELECTOR = 'nav, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"]';
+// Where the article itself lives, most specific first
+const ARTICLE_SELECTORS = ['[itemprop="articleBody"]', 'article', '[role="main"]', 'main'];
+const ARTICLE_SELECTOR = 'article, main, [role="main"]';
+
+/**
+ * @typedef {Object} PageSections
+ * @property {string} markup - HTML without scripts and styles, for class and attribute patterns
+ * @property {string} visible - Visible text outside the page chrome
+ * @property {string} navigation - Visible text of menus, site headers and footers
+ * @property {string} content - Visible text of the article body; the visible text if no body was found
+ */
+
+/**
+ * Collects the text under some elements, with a space between text nodes
+ * Separating the nodes keeps words in neighbouring elements from running together.
+ * @param {Object[]} elements - cheerio elements
+ * @returns {string}
+ */
+function collectText(elements) {
+  const parts = [];
+  const walk = node => {
+    if (node.type === 'text') {
+      parts.push(node.data);
+    } else if (node.children) {
+      node.children.forEach(walk);
+    }
+  };
+
+  elements.forEach(walk);
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Splits a page into the parts paywall indicators are matched against
+ * Scripts, styles and hidden elements are dropped first. Headers and footers
+ * inside the article belong to the article, not to the page chrome.
+ * @param {string} html - Page HTML
+ * @returns {PageSections}
+ */
+function parsePageSections(html) {
+  const $ = cheerio.load(typeof html === 'string' ? html : '');
+
+  $(NON_TEXT_SELECTOR).remove();
+  const markup = $.html();
+
+  $(HIDDEN_SELECTOR).remove();
+  $('[style]').filter((i, element) => HIDDEN_STYLE_PATTERN.test(element.attribs.style)).remove();
+
+  const chrome = $(NAVIGATION_SELECTOR).filter((i, element) => (
+    $(element).parents(NAVIGATION_SELECTOR).length === 0 &&
+    (element.tagName === 'nav' || $(element).parents(ARTICLE_SELECTOR).length === 0)
+  ));
+  const navigation = collectText(chrome.toArray());
+  chrome.remove();
+
+  const root = $('body').length > 0 ? $('body') : $.root();
+  const visible = collectText(root.toArray());
+
+  const articleSelector = ARTICLE_SELECTORS.find(selector => $(selector).length > 0);
+  const content = articleSelector ? collectText($(articleSelector).toArray()) : visible;
+
+  return { markup, visible, navigation, content };
+}
+
+module.exports = {
+  parsePageSections
+};
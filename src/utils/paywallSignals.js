@@ -0,0 +1,140 @@
+const { jsonLdTypes, parseJsonLd, parseMetaTags } = require('./articleMetadata');
+
+// article:content_tier values (OpenGraph article namespace) and whether they mean a paywall
+const CONTENT_TIERS = {
+  free: false,
+  metered: true,
+  locked: true
+};
+
+/**
+ * @typedef {Object} PaywallSignal
+ * @property {string} source - Where the signal was found: "json-ld" or "meta"
+ * @property {string} property - Property or tag name, e.g. "isAccessibleForFree"
+ * @property {*} value - Value as published
+ * @property {boolean} paywalled - Whether the signal says the article is paywalled
+ * @property {string} reason - Human-readable description
+ */
+
+/**
+ * Reads a schema.org boolean, which publishers write in several forms
+ * @param {*} value - true, "False", "https://schema.org/True", ...
+ * @returns {boolean|null} null for anything that isn't a boolean
+ */
+function parseSchemaBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value !== 'string') return null;
+
+  const normalized = value.trim().toLowerCase().replace(/^https?:\/\/schema\.org\//, '');
+  if (normalized === 'true') return true;
+  if (normalized === 'false') return false;
+  return null;
+}
+
+/**
+ * Collects the paywall signals of the page's JSON-LD
+ * An item with isAccessibleForFree says whether the whole work is free; a
+ * hasPart entry that isn't free names the paywalled section with cssSelector.
+ * @param {string} html - Page HTML
+ * @returns {PaywallSignal[]}
+ */
+function findJsonLdSignals(html) {
+  const signals = [];
+
+  parseJsonLd(html).forEach(item => {
+    const type = jsonLdTypes(item).join(', ') || 'item';
+    const free = parseSchemaBoolean(item.isAccessibleForFree);
+
+    if (free !== null) {
+      signals.push({
+        source: 'json-ld',
+        property: 'isAccessibleForFree',
+        value: item.isAccessibleForFree,
+        paywalled: !free,
+        reason: `JSON-LD ${type} is marked isAccessibleForFree: ${free}`
+      });
+    }
+
+    const parts = Array.isArray(item.hasPart) ? item.hasPart : [item.hasPart];
+    parts
+      .filter(part => part && typeof part === 'object' && parseSchemaBoolean(part.isAccessibleForFree) === false)
+      .forEach(part => {
+        signals.push({
+          source: 'json-ld',
+          property: 'hasPart.cssSelector',
+          value: part.cssSelector || null,
+          paywalled: true,
+          reason: part.cssSelector
+            ? `JSON-LD ${type} marks "${part.cssSelector}" as not free`
+            : `JSON-LD ${type} has a part that is not free`
+        });
+      });
+  });
+
+  return signals;
+}
+
+/**
+ * Collects the paywall signals of the page's meta tags
+ * @param {string} html - Page HTML
+ * @returns {PaywallSignal[]}
+ */
+function findMetaSignals(html) {
+  const meta = parseMetaTags(html);
+  const signals = [];
+
+  const tier = (meta.get('article:content_tier') || '').trim().toLowerCase();
+  if (tier in CONTENT_TIERS) {
+    signals.push({
+      source: 'meta',
+      property: 'article:content_tier',
+      value: tier,
+      paywalled: CONTENT_TIERS[tier],
+      reason: `Meta tag article:content_tier is "${tier}"`
+    });
+  }
+
+  // Microdata form of the schema.org property, e.g. <meta itemprop="isAccessibleForFree" content="False">
+  const free = parseSchemaBoolean(meta.get('isaccessibleforfree'));
+  if (free !== null) {
+    signals.push({
+      source: 'meta',
+      property: 'isAccessibleForFree',
+      value: meta.get('isaccessibleforfree'),
+      paywalled: !free,
+      reason: `Meta tag isAccessibleForFree is ${free}`
+    });
+  }
+
+  return signals;
+}
+
+/**
+ * Reads what a page says about its own paywall
+ * Publishers mark paywalled articles for search engines with schema.org
+ * isAccessibleForFree and article:content_tier. Any signal of a paywall wins
+ * over signals of free access, since a free article has no reason to mark
+ * part of itself as paywalled.
+ * @param {string} html - Page HTML
+ * @returns {{paywalled: boolean|null, reason: string|null, signals: PaywallSignal[]}}
+ *   paywalled is null when the page says nothing either way
+ */
+function findPaywallSignals(html) {
+  if (typeof html !== 'string' || !html) {
+    return { paywalled: null, reason: null, signals: [] };
+  }
+
+  const signals = [...findJsonLdSignals(html), ...findMetaSignals(html)];
+  const decisive = signals.find(signal => signal.paywalled) || signals[0];
+
+  return {
+    paywalled: decisive ? decisive.paywalled : null,
+    reason: decisive ? decisive.reason : null,
+    signals
+  };
+}
+
+module.exports = {
+  findPaywallSignals,
+  parseSchemaBoolean
+};
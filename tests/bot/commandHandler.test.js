@@ -0,0 +1,534 @@
+jest.mock('../../src/config', () => ({
+  discord: { token: 'test-token' },
+  logging: { level: 'info' },
+  paywallDetection: { threshold: 8 }
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+// Minimal chainable stand-in for discord.js command builders
+jest.mock('discord.js', () => {
+  const createOption = () => {
+    const option = { choices: [] };
+    option.setName = jest.fn(name => { option.name = name; return option; });
+    option.setDescription = jest.fn(() => option);
+    option.setRequired = jest.fn(required => { option.required = required; return option; });
+    option.setMinValue = jest.fn(() => option);
+    option.addChoices = jest.fn((...choices) => { option.choices.push(...choices); return option; });
+    return option;
+  };
+
+  const createBuilder = () => {
+    const builder = { options: [] };
+    const addOption = fn => { builder.options.push(fn(createOption())); return builder; };
+    builder.setName = jest.fn(name => { builder.name = name; return builder; });
+    builder.setDescription = jest.fn(() => builder);
+    builder.setDefaultMemberPermissions = jest.fn(permissions => { builder.permissions = permissions; return builder; });
+    builder.setDMPermission = jest.fn(() => builder);
+    builder.addStringOption = jest.fn(addOption);
+    builder.addBooleanOption = jest.fn(addOption);
+    builder.addIntegerOption = jest.fn(addOption);
+    builder.addChannelOption = jest.fn(addOption);
+    builder.addRoleOption = jest.fn(addOption);
+    builder.addSubcommand = jest.fn(fn => { builder.options.push(fn(createBuilder())); return builder; });
+    builder.toJSON = jest.fn(() => ({ name: builder.name, options: builder.options, permissions: builder.permissions }));
+    return builder;
+  };
+
+  return {
+    SlashCommandBuilder: jest.fn().mockImplementation(createBuilder),
+    PermissionFlagsBits: { ManageGuild: 32n }
+  };
+});
+
+const CommandHandler = require('../../src/bot/commandHandler');
+const { DEFAULT_GUILD_SETTINGS } = require('../../src/services/guildSettingsStore');
+const config = require('../../src/config');
+
+describe('CommandHandler', () => {
+  let commandHandler;
+  let mockMessageHandler;
+  let mockInteraction;
+  let optionValues;
+
+  beforeEach(() => {
+    mockMessageHandler = {
+      isSmartService: true,
+      paywallBypassService: {
+        registry: {
+          getAllMethods: jest.fn(() => [{ name: 'archive_today' }, { name: '12ft_io' }])
+        },
+        bypassPaywall: jest.fn(),
+        checkCallerRateLimit: jest.fn(() => ({ allowed: true }))
+      },
+      guildSettings: {
+        get: jest.fn(() => ({ ...DEFAULT_GUILD_SETTINGS })),
+        update: jest.fn().mockResolvedValue(),
+        reset: jest.fn().mockResolvedValue(),
+        setUserOptOut: jest.fn().mockResolvedValue()
+      },
+      responseFormatter: {
+        formatThrottleNotice: jest.fn(() => '⏳ You\'re sending links faster than I can keep up with.')
+      },
+      buildResponsePayload: jest.fn().mockResolvedValue({ embeds: ['bypass-embed'] }),
+      createFeedbackButtons: jest.fn(() => 'feedback-row')
+    };
+    commandHandler = new CommandHandler(mockMessageHandler);
+
+    optionValues = { url: 'https://nytimes.com/article', method: null, private: null };
+    mockInteraction = {
+      id: 'test-interaction-id',
+      commandName: 'unlock',
+      guildId: 'guild123',
+      channelId: 'channel123',
+      user: { id: 'test-user-id' },
+      deferred: false,
+      replied: false,
+      options: {
+        getString: jest.fn(name => optionValues[name]),
+        getBoolean: jest.fn(name => optionValues[name])
+      },
+      reply: jest.fn().mockResolvedValue(),
+      deferReply: jest.fn().mockImplementation(() => {
+        mockInteraction.deferred = true;
+        return Promise.resolve();
+      }),
+      editReply: jest.fn().mockResolvedValue()
+    };
+  });
+
+  describe('buildCommands', () => {
+    test('should define /unlock and /archive with a required url', () => {
+      const commands = commandHandler.buildCommands(['archive_today', '12ft_io']);
+
+      expect(commands.map(command => command.name)).toEqual(['unlock', 'archive', 'config', 'paywallflower']);
+      commands.slice(0, 2).forEach(command => {
+        expect(command.options[0]).toEqual(expect.objectContaining({ name: 'url', required: true }));
+      });
+    });
+
+    test('should offer registered methods as /unlock choices', () => {
+      const [unlock] = commandHandler.buildCommands(['archive_today', '12ft_io']);
+      const methodOption = unlock.options.find(option => option.name === 'method');
+
+      expect(methodOption.choices).toEqual([
+        { name: 'archive_today', value: 'archive_today' },
+        { name: '12ft_io', value: '12ft_io' }
+      ]);
+    });
+
+    test('should restrict /config to Manage Server', () => {
+      const [, , settings] = commandHandler.buildCommands([]);
+
+      expect(settings.permissions).toBe(32n);
+      expect(settings.options.map(subcommand => subcommand.name)).toEqual(
+        ['show', 'methods', 'response-style', 'response-format', 'threshold', 'channel', 'optout-role', 'domain', 'explain', 'reset']
+      );
+    });
+
+    test('should define /paywallflower optout and optin', () => {
+      const preferences = commandHandler.buildCommands([])[3];
+
+      expect(preferences.permissions).toBeUndefined();
+      expect(preferences.options.map(subcommand => subcommand.name)).toEqual(['optout', 'optin']);
+    });
+  });
+
+  describe('registerCommands', () => {
+    let client;
+
+    beforeEach(() => {
+      client = { application: { commands: { set: jest.fn().mockResolvedValue() } } };
+    });
+
+    afterEach(() => {
+      delete config.discord.commandGuildId;
+    });
+
+    test('should register commands globally by default', async () => {
+      await commandHandler.registerCommands(client);
+
+      expect(client.application.commands.set).toHaveBeenCalledWith([
+        expect.objectContaining({ name: 'unlock' }),
+        expect.objectContaining({ name: 'archive' }),
+        expect.objectContaining({ name: 'config' }),
+        expect.objectContaining({ name: 'paywallflower' })
+      ]);
+    });
+
+    test('should register commands to the configured guild', async () => {
+      config.discord.commandGuildId = 'guild-123';
+
+      await commandHandler.registerCommands(client);
+
+      expect(client.application.commands.set).toHaveBeenCalledWith(expect.any(Array), 'guild-123');
+    });
+  });
+
+  describe('handleCommand', () => {
+    test('should ignore unknown commands', async () => {
+      mockInteraction.commandName = 'other';
+
+      const handled = await commandHandler.handleCommand(mockInteraction);
+
+      expect(handled).toBe(false);
+      expect(mockInteraction.reply).not.toHaveBeenCalled();
+    });
+
+    test('should force a bypass for /unlock and reply publicly with feedback buttons', async () => {
+      mockMessageHandler.paywallBypassService.bypassPaywall.mockResolvedValue({
+        success: true,
+        result: 'https://archive.today/abc123',
+        method: 'archive_today'
+      });
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: false });
+      expect(mockMessageHandler.paywallBypassService.bypassPaywall).toHaveBeenCalledWith(
+        'https://nytimes.com/article',
+        { skipDetection: true, methods: undefined, guildId: 'guild123' }
+      );
+      expect(mockMessageHandler.buildResponsePayload).toHaveBeenCalledWith(expect.objectContaining({
+        originalUrl: 'https://nytimes.com/article',
+        method: 'archive_today'
+      }), 'guild123');
+      expect(mockMessageHandler.createFeedbackButtons).toHaveBeenCalledWith(
+        expect.objectContaining({ originalUrl: 'https://nytimes.com/article', method: 'archive_today' }),
+        { guildId: 'guild123', channelId: 'channel123' }
+      );
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({
+        embeds: ['bypass-embed'],
+        components: ['feedback-row'],
+        allowedMentions: { parse: [] }
+      });
+    });
+
+    test('should restrict /unlock to the requested method', async () => {
+      optionValues.method = '12ft_io';
+      mockMessageHandler.paywallBypassService.bypassPaywall.mockResolvedValue({ success: false, error: 'blocked' });
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.paywallBypassService.bypassPaywall).toHaveBeenCalledWith(
+        'https://nytimes.com/article',
+        { skipDetection: true, methods: ['12ft_io'], guildId: 'guild123' }
+      );
+    });
+
+    test('should only look for archive links with /archive and reply privately when asked', async () => {
+      mockInteraction.commandName = 'archive';
+      optionValues.private = true;
+      mockMessageHandler.paywallBypassService.bypassPaywall.mockResolvedValue({
+        success: false,
+        error: 'All bypass methods failed'
+      });
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+      expect(mockMessageHandler.paywallBypassService.bypassPaywall).toHaveBeenCalledWith(
+        'https://nytimes.com/article',
+        { skipDetection: true, archiveOnly: true, guildId: 'guild123' }
+      );
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({
+        content: '❌ Could not unlock https://nytimes.com/article: All bypass methods failed',
+        allowedMentions: { parse: [] }
+      });
+    });
+
+    test('should reject input without a URL', async () => {
+      optionValues.url = 'not a url';
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockInteraction.reply).toHaveBeenCalledWith({
+        content: '❌ Please provide a valid http(s) URL.',
+        ephemeral: true
+      });
+      expect(mockMessageHandler.paywallBypassService.bypassPaywall).not.toHaveBeenCalled();
+    });
+
+    test('should reply privately without deferring when the caller is rate limited', async () => {
+      const limit = { allowed: false, scope: 'user', id: 'test-user-id', retryAfterMs: 6000 };
+      mockMessageHandler.paywallBypassService.checkCallerRateLimit.mockReturnValue(limit);
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.paywallBypassService.checkCallerRateLimit).toHaveBeenCalledWith({
+        userId: 'test-user-id',
+        channelId: 'channel123',
+        guildId: 'guild123'
+      });
+      expect(mockMessageHandler.responseFormatter.formatThrottleNotice).toHaveBeenCalledWith(limit);
+      expect(mockInteraction.reply).toHaveBeenCalledWith({
+        content: '⏳ You\'re sending links faster than I can keep up with.',
+        ephemeral: true
+      });
+      expect(mockInteraction.deferReply).not.toHaveBeenCalled();
+      expect(mockMessageHandler.paywallBypassService.bypassPaywall).not.toHaveBeenCalled();
+    });
+
+    test('should report errors on a deferred reply', async () => {
+      mockMessageHandler.paywallBypassService.bypassPaywall.mockRejectedValue(new Error('boom'));
+
+      const handled = await commandHandler.handleCommand(mockInteraction);
+
+      expect(handled).toBe(true);
+      expect(mockInteraction.editReply).toHaveBeenCalledWith({
+        content: '❌ An error occurred while processing this command.'
+      });
+    });
+  });
+
+  describe('/config', () => {
+    let subcommand;
+
+    beforeEach(() => {
+      subcommand = 'show';
+      mockInteraction.commandName = 'config';
+      mockInteraction.memberPermissions = { has: jest.fn(() => true) };
+      mockInteraction.options.getSubcommand = jest.fn(() => subcommand);
+      mockInteraction.options.getInteger = jest.fn(name => optionValues[name]);
+      mockInteraction.options.getChannel = jest.fn(() => ({ id: 'channel123' }));
+      mockInteraction.options.getRole = jest.fn(() => ({ id: 'role123' }));
+    });
+
+    test('should refuse members without Manage Server', async () => {
+      mockInteraction.memberPermissions.has.mockReturnValue(false);
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockInteraction.memberPermissions.has).toHaveBeenCalledWith(32n);
+      expect(mockInteraction.reply).toHaveBeenCalledWith({
+        content: '❌ You need the Manage Server permission to change settings.',
+        ephemeral: true
+      });
+      expect(mockMessageHandler.guildSettings.update).not.toHaveBeenCalled();
+    });
+
+    test('should show the current settings privately', async () => {
+      await commandHandler.handleCommand(mockInteraction);
+
+      const reply = mockInteraction.reply.mock.calls[0][0];
+      expect(reply.ephemeral).toBe(true);
+      expect(reply.content).toContain('**Enabled methods:** all');
+      expect(reply.content).toContain('**Paywall threshold:** default (8)');
+    });
+
+    test('should update enabled methods', async () => {
+      subcommand = 'methods';
+      optionValues.enabled = 'archive_today, 12ft_io';
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.update).toHaveBeenCalledWith('guild123', {
+        enabledMethods: ['archive_today', '12ft_io']
+      });
+    });
+
+    test('should reject unknown method names', async () => {
+      subcommand = 'methods';
+      optionValues.enabled = 'archive_todya';
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.update).not.toHaveBeenCalled();
+      expect(mockInteraction.reply).toHaveBeenCalledWith({
+        content: '❌ Unknown method(s): archive_todya. Available: archive_today, 12ft_io',
+        ephemeral: true
+      });
+    });
+
+    test('should update the response style, format and threshold', async () => {
+      subcommand = 'response-style';
+      optionValues.style = 'archive';
+      await commandHandler.handleCommand(mockInteraction);
+
+      subcommand = 'response-format';
+      optionValues.format = 'text';
+      await commandHandler.handleCommand(mockInteraction);
+
+      subcommand = 'threshold';
+      optionValues.value = 12;
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.update).toHaveBeenCalledWith('guild123', { responseStyle: 'archive' });
+      expect(mockMessageHandler.guildSettings.update).toHaveBeenCalledWith('guild123', { responseFormat: 'text' });
+      expect(mockMessageHandler.guildSettings.update).toHaveBeenCalledWith('guild123', { paywallThreshold: 12 });
+    });
+
+    test('should move a channel between the allow and deny lists', async () => {
+      subcommand = 'channel';
+      optionValues.action = 'deny';
+      mockMessageHandler.guildSettings.get.mockReturnValue({
+        ...DEFAULT_GUILD_SETTINGS,
+        allowedChannels: ['channel123', 'channel456']
+      });
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.update).toHaveBeenCalledWith('guild123', {
+        allowedChannels: ['channel456'],
+        deniedChannels: ['channel123']
+      });
+    });
+
+    test('should add and remove opt-out roles', async () => {
+      subcommand = 'optout-role';
+      optionValues.action = 'add';
+      mockMessageHandler.guildSettings.get.mockReturnValue({ ...DEFAULT_GUILD_SETTINGS, optOutRoles: ['role456'] });
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.update).toHaveBeenCalledWith('guild123', {
+        optOutRoles: ['role456', 'role123']
+      });
+
+      optionValues.action = 'remove';
+      mockMessageHandler.guildSettings.get.mockReturnValue({ ...DEFAULT_GUILD_SETTINGS, optOutRoles: ['role123'] });
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.update).toHaveBeenLastCalledWith('guild123', { optOutRoles: [] });
+    });
+
+    test('should reset guild settings', async () => {
+      subcommand = 'reset';
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.reset).toHaveBeenCalledWith('guild123');
+    });
+
+    test('should move a domain rule between the guild paywall and allow lists', async () => {
+      subcommand = 'domain';
+      optionValues.action = 'allow';
+      optionValues.rule = 'https://www.Reuters.com/';
+      mockMessageHandler.guildSettings.get.mockReturnValue({ ...DEFAULT_GUILD_SETTINGS, paywallDomains: ['reuters.com', 'ft.com'] });
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.update).toHaveBeenCalledWith('guild123', {
+        paywallDomains: ['ft.com'],
+        whitelistedDomains: ['reuters.com']
+      });
+    });
+
+    test('should reject invalid domain rules', async () => {
+      subcommand = 'domain';
+      optionValues.action = 'paywall';
+      optionValues.rule = 'not a domain';
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.update).not.toHaveBeenCalled();
+      expect(mockInteraction.reply.mock.calls[0][0].content).toMatch(/^❌ "not a domain" is not a domain rule/);
+    });
+
+    describe('explain', () => {
+      beforeEach(() => {
+        subcommand = 'explain';
+        mockMessageHandler.paywallBypassService.paywallDetector = {
+          classifyDomain: jest.fn(),
+          getDetailedAnalysis: jest.fn()
+        };
+      });
+
+      test('should name the deciding rule and every rule it outranked', async () => {
+        mockMessageHandler.guildSettings.get.mockReturnValue({ ...DEFAULT_GUILD_SETTINGS, whitelistedDomains: ['nytimes.com'] });
+        mockMessageHandler.paywallBypassService.paywallDetector.classifyDomain.mockReturnValue({
+          paywalled: false,
+          source: 'guild',
+          rule: 'nytimes.com',
+          reason: '"nytimes.com" is on the guild override whitelist, which outranks the curated paywall rule "nytimes.com"',
+          matches: [
+            { source: 'guild', rule: 'nytimes.com', paywalled: false },
+            { source: 'curated', rule: 'nytimes.com', paywalled: true }
+          ]
+        });
+
+        await commandHandler.handleCommand(mockInteraction);
+
+        expect(mockMessageHandler.paywallBypassService.paywallDetector.classifyDomain).toHaveBeenCalledWith(
+          'https://nytimes.com/article',
+          { paywallDomains: [], whitelistedDomains: ['nytimes.com'] }
+        );
+        expect(mockMessageHandler.paywallBypassService.paywallDetector.getDetailedAnalysis).not.toHaveBeenCalled();
+        expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+        expect(mockInteraction.editReply.mock.calls[0][0].content).toBe([
+          '🔎 **Paywall classification for <https://nytimes.com/article>**',
+          '**Result:** not paywalled',
+          '**Decided by:** "nytimes.com" is on the guild override whitelist, which outranks the curated paywall rule "nytimes.com"',
+          '**Matching rules:**',
+          '• guild override whitelist: `nytimes.com`',
+          '• curated paywall list: `nytimes.com`'
+        ].join('\n'));
+        expect(mockMessageHandler.guildSettings.update).not.toHaveBeenCalled();
+      });
+
+      test('should fall back to the heuristic with the guild threshold when no rule matches', async () => {
+        mockMessageHandler.guildSettings.get.mockReturnValue({ ...DEFAULT_GUILD_SETTINGS, paywallThreshold: 12 });
+        mockMessageHandler.paywallBypassService.paywallDetector.classifyDomain.mockReturnValue({
+          paywalled: null, source: null, rule: null, reason: 'No domain rule matches', matches: []
+        });
+        mockMessageHandler.paywallBypassService.paywallDetector.getDetailedAnalysis.mockResolvedValue({
+          hasPaywall: true,
+          reason: 'Heuristic score 14 is at or above threshold 12'
+        });
+
+        await commandHandler.handleCommand(mockInteraction);
+
+        expect(mockMessageHandler.paywallBypassService.paywallDetector.getDetailedAnalysis)
+          .toHaveBeenCalledWith('https://nytimes.com/article', { threshold: 12 });
+        expect(mockInteraction.editReply.mock.calls[0][0].content).toContain(
+          '**Result:** paywalled\n**Decided by:** heuristic: Heuristic score 14 is at or above threshold 12'
+        );
+      });
+    });
+  });
+
+  describe('/paywallflower', () => {
+    beforeEach(() => {
+      mockInteraction.commandName = 'paywallflower';
+    });
+
+    test('should opt the user out privately', async () => {
+      mockInteraction.options.getSubcommand = jest.fn(() => 'optout');
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.setUserOptOut).toHaveBeenCalledWith('guild123', 'test-user-id', true);
+      expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+        content: expect.stringContaining('will no longer respond'),
+        ephemeral: true
+      }));
+    });
+
+    test('should opt the user back in', async () => {
+      mockInteraction.options.getSubcommand = jest.fn(() => 'optin');
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.setUserOptOut).toHaveBeenCalledWith('guild123', 'test-user-id', false);
+    });
+
+    test('should refuse to run outside a server', async () => {
+      mockInteraction.guildId = null;
+      mockInteraction.options.getSubcommand = jest.fn(() => 'optout');
+
+      await commandHandler.handleCommand(mockInteraction);
+
+      expect(mockMessageHandler.guildSettings.setUserOptOut).not.toHaveBeenCalled();
+      expect(mockInteraction.reply).toHaveBeenCalledWith({
+        content: '❌ This command can only be used in a server.',
+        ephemeral: true
+      });
+    });
+  });
+});
@@ -42,7 +42,8 @@ jest.mock('../../src/utils/urlExtractor', () => ({
 jest.mock('../../src/services/paywallBypassService', () => {
   return jest.fn().mockImplementation(() => ({
     paywallDetector: {
-      whitelistedDomains: new Set(['example.com', 'test.com'])
+      feedbackWhitelist: new Set(['example.com', 'test.com']),
+      validateDomainRules: jest.fn(() => [])
     },
     cleanup: jest.fn().mockResolvedValue()
   }));
@@ -107,6 +108,7 @@ describe('Feedback System Tests', () => {
       id: 'test-interaction-id',
       customId: 'not_paywalled_123456789_abcdef123',
       isButton: jest.fn().mockReturnValue(true),
+      isStringSelectMenu: jest.fn().mockReturnValue(false),
       user: { id: 'test-user-id' },
       reply: jest.fn().mockResolvedValue(),
       message: {
@@ -122,26 +124,49 @@ describe('Feedback System Tests', () => {
   });
 
   describe('createFeedbackButtons', () => {
+    const result = { originalUrl: 'https://nytimes.com/article/test', method: 'outline_com' };
+
     test('should create feedback buttons with correct structure', () => {
-      const url = 'https://nytimes.com/article/test';
-      const buttons = messageHandler.createFeedbackButtons(url);
+      messageHandler.createFeedbackButtons(result);
 
       expect(ActionRowBuilder).toHaveBeenCalled();
       expect(ButtonBuilder).toHaveBeenCalledTimes(2);
       
       // Check that feedback data was stored
-      expect(messageHandler.feedbackData.size).toBeGreaterThan(0);
+      expect(messageHandler.feedbackStore.size).toBe(1);
+    });
+
+    test('should store the URL, method and where the result was posted under the buttons\' ID', () => {
+      messageHandler.createFeedbackButtons(result, { guildId: 'guild-1', channelId: 'channel-1', messageId: 'message-1' });
+
+      const button = ButtonBuilder.mock.results[0].value;
+      const customId = button.setCustomId.mock.calls[0][0];
+      const feedbackId = customId.slice('bypass_failed_'.length);
+
+      expect(customId.length).toBeLessThanOrEqual(100);
+      expect(ButtonBuilder.mock.results[1].value.setCustomId).toHaveBeenCalledWith(`not_paywalled_${feedbackId}`);
+      expect(messageHandler.feedbackStore.get(feedbackId)).toMatchObject({
+        originalUrl: result.originalUrl,
+        method: 'outline_com',
+        guildId: 'guild-1',
+        channelId: 'channel-1',
+        messageId: 'message-1',
+        createdAt: expect.any(Number)
+      });
     });
 
-    test('should store feedback data with correct structure', () => {
-      const url = 'https://nytimes.com/article/test';
-      messageHandler.createFeedbackButtons(url);
+    test('should store a single record per response, carrying the method', async () => {
+      messageHandler.buildResponsePayload = jest.fn().mockResolvedValue({ content: 'Bypassed' });
 
-      const feedbackEntries = Array.from(messageHandler.feedbackData.values());
-      expect(feedbackEntries).toHaveLength(1);
-      expect(feedbackEntries[0]).toMatchObject({
-        originalUrl: url,
-        timestamp: expect.any(Number)
+      await messageHandler.sendBypassResponse(mockMessage, result);
+
+      expect(messageHandler.feedbackStore.size).toBe(1);
+      const [record] = messageHandler.feedbackStore.records.values();
+      expect(record).toMatchObject({
+        method: 'outline_com',
+        guildId: 'test-guild-id',
+        channelId: 'test-channel-id',
+        messageId: 'test-message-id'
       });
     });
   });
@@ -150,7 +175,7 @@ describe('Feedback System Tests', () => {
     test('should handle button interactions', async () => {
       // Set up feedback data
       const feedbackId = '123456789_abcdef123';
-      messageHandler.feedbackData.set(feedbackId, {
+      messageHandler.feedbackStore.set(feedbackId, {
         originalUrl: 'https://nytimes.com/article/test',
         timestamp: Date.now()
       });
@@ -186,7 +211,7 @@ describe('Feedback System Tests', () => {
   describe('handleFeedbackInteraction', () => {
     beforeEach(() => {
       const feedbackId = '123456789_abcdef123';
-      messageHandler.feedbackData.set(feedbackId, {
+      messageHandler.feedbackStore.set(feedbackId, {
         originalUrl: 'https://nytimes.com/article/test',
         timestamp: Date.now()
       });
@@ -197,7 +222,7 @@ describe('Feedback System Tests', () => {
 
     test('should handle "bypass failed" feedback and blacklist method', async () => {
       const feedbackId = '123456789_abcdef123';
-      messageHandler.feedbackData.set(feedbackId, {
+      messageHandler.feedbackStore.set(feedbackId, {
         originalUrl: 'https://nytimes.com/article/test',
         method: 'outline_com',
         timestamp: Date.now()
@@ -238,11 +263,11 @@ describe('Feedback System Tests', () => {
       const feedbackId = '123456789_abcdef123';
       mockInteraction.customId = `bypass_failed_${feedbackId}`;
 
-      expect(messageHandler.feedbackData.has(feedbackId)).toBe(true);
+      expect(messageHandler.feedbackStore.has(feedbackId)).toBe(true);
 
       await messageHandler.handleFeedbackInteraction(mockInteraction);
 
-      expect(messageHandler.feedbackData.has(feedbackId)).toBe(false);
+      expect(messageHandler.feedbackStore.has(feedbackId)).toBe(false);
     });
   });
 
@@ -256,6 +281,17 @@ describe('Feedback System Tests', () => {
       await messageHandler.addToWhitelist(url);
 
       expect(messageHandler.saveWhitelistUpdate).toHaveBeenCalledWith('newsite.com');
+      expect(messageHandler.paywallBypassService.paywallDetector.feedbackWhitelist.has('newsite.com')).toBe(true);
+    });
+
+    test('should drop cached bypasses of the whitelisted domain', async () => {
+      messageHandler.saveWhitelistUpdate = jest.fn().mockResolvedValue();
+      messageHandler.paywallBypassService.invalidateCachedDomain = jest.fn(() => 1);
+      messageHandler.isSmartService = true;
+
+      await messageHandler.addToWhitelist('https://newsite.com/article/test');
+
+      expect(messageHandler.paywallBypassService.invalidateCachedDomain).toHaveBeenCalledWith('newsite.com');
     });
 
     test('should handle invalid URLs gracefully', async () => {
@@ -342,9 +378,9 @@ describe('Feedback System Tests', () => {
 
       await messageHandler.loadUserWhitelist();
 
-      // Check that domains were added to the detector
-      expect(messageHandler.paywallBypassService.paywallDetector.whitelistedDomains.has('user1.com')).toBe(true);
-      expect(messageHandler.paywallBypassService.paywallDetector.whitelistedDomains.has('user2.com')).toBe(true);
+      // Check that domains were added to the detector's feedback whitelist
+      expect(messageHandler.paywallBypassService.paywallDetector.feedbackWhitelist.has('user1.com')).toBe(true);
+      expect(messageHandler.paywallBypassService.paywallDetector.feedbackWhitelist.has('user2.com')).toBe(true);
     });
 
     test('should handle missing whitelist file gracefully', async () => {
@@ -362,9 +398,20 @@ describe('Feedback System Tests', () => {
 
       expect(mockInteraction.message.edit).toHaveBeenCalledWith({
         content: '📝 **Update**: example.com has been added to our whitelist. We won\'t attempt to bypass content from this domain in the future.',
+        embeds: [],
         components: []
       });
     });
+
+    test('should remove the embed holding the bypass link', async () => {
+      mockInteraction.message.embeds = [{ title: 'Some Article Headline', url: 'https://archive.today/abc123' }];
+
+      await messageHandler.updateMessageForNonPaywalled(mockInteraction, 'https://example.com/article');
+
+      const edit = mockInteraction.message.edit.mock.calls[0][0];
+      expect(edit.embeds).toEqual([]);
+      expect(edit.content).toContain('example.com has been added to our whitelist');
+    });
   });
 
   describe('disableFeedbackButtons', () => {
@@ -377,28 +424,15 @@ describe('Feedback System Tests', () => {
   });
 
   describe('cleanup', () => {
-    test('should clean up old feedback data', async () => {
-      // Add old feedback data
-      const oldTimestamp = Date.now() - (2 * 60 * 60 * 1000); // 2 hours ago
-      const recentTimestamp = Date.now() - (30 * 60 * 1000); // 30 minutes ago
-      
-      messageHandler.feedbackData.set('old_feedback', {
-        originalUrl: 'https://old.com',
-        timestamp: oldTimestamp
-      });
-      
-      messageHandler.feedbackData.set('recent_feedback', {
-        originalUrl: 'https://recent.com',
-        timestamp: recentTimestamp
-      });
-
-      expect(messageHandler.feedbackData.size).toBe(2);
+    test('should keep feedback records, however old, and save them for the next start', async () => {
+      const twoHoursAgo = Date.now() - (2 * 60 * 60 * 1000);
+      messageHandler.feedbackStore.set('old_feedback', { originalUrl: 'https://old.com' }, twoHoursAgo);
+      messageHandler.feedbackStore.flush = jest.fn().mockResolvedValue();
 
       await messageHandler.cleanup();
 
-      expect(messageHandler.feedbackData.size).toBe(1);
-      expect(messageHandler.feedbackData.has('recent_feedback')).toBe(true);
-      expect(messageHandler.feedbackData.has('old_feedback')).toBe(false);
+      expect(messageHandler.feedbackStore.has('old_feedback')).toBe(true);
+      expect(messageHandler.feedbackStore.flush).toHaveBeenCalled();
     });
   });
 
@@ -407,8 +441,10 @@ describe('Feedback System Tests', () => {
       // Mock SmartBypassService with domain strategies
       messageHandler.paywallBypassService = {
         domainStrategies: new Map(),
+        markDomainStrategiesDirty: jest.fn(),
+        flushDomainStrategies: jest.fn().mockResolvedValue(),
         paywallDetector: {
-          whitelistedDomains: new Set()
+          feedbackWhitelist: new Set()
         }
       };
       messageHandler.isSmartService = true;
@@ -426,6 +462,13 @@ describe('Feedback System Tests', () => {
       expect(strategy.domain).toBe('example.com');
     });
 
+    test('should persist the updated strategy immediately', async () => {
+      await messageHandler.blacklistMethodForDomain('https://example.com/article', 'outline_com');
+
+      expect(messageHandler.paywallBypassService.markDomainStrategiesDirty).toHaveBeenCalled();
+      expect(messageHandler.paywallBypassService.flushDomainStrategies).toHaveBeenCalled();
+    });
+
     test('should create new strategy if none exists', async () => {
       const url = 'https://newsite.com/article';
       const methodName = '12ft_io';
@@ -41,7 +41,28 @@ jest.mock('discord.js', () => ({
     Success: 'SUCCESS',
     Danger: 'DANGER',
     Secondary: 'SECONDARY'
-  }
+  },
+  StringSelectMenuBuilder: jest.fn().mockImplementation(() => {
+    const menu = {
+      setCustomId: jest.fn(customId => { menu.customId = customId; return menu; }),
+      setPlaceholder: jest.fn().mockReturnThis(),
+      addOptions: jest.fn(options => { menu.options = options; return menu; })
+    };
+    return menu;
+  }),
+  EmbedBuilder: jest.fn().mockImplementation(() => {
+    const embed = { data: { fields: [] } };
+    const set = key => jest.fn(value => { embed.data[key] = value; return embed; });
+    embed.setColor = set('color');
+    embed.setTitle = set('title');
+    embed.setURL = set('url');
+    embed.setAuthor = set('author');
+    embed.setDescription = set('description');
+    embed.setImage = set('image');
+    embed.setFooter = set('footer');
+    embed.addFields = jest.fn((...fields) => { embed.data.fields.push(...fields); return embed; });
+    return embed;
+  })
 }));
 
 // Mock fs promises
@@ -66,6 +87,7 @@ jest.mock('../../src/services/archiveService');
 const MessageHandler = require('../../src/bot/messageHandler');
 const { extractUrls } = require('../../src/utils/urlExtractor');
 const SmartBypassService = require('../../src/services/smartBypassService');
+const axios = require('axios');
 
 describe('MessageHandler', () => {
   let messageHandler;
@@ -80,9 +102,18 @@ describe('MessageHandler', () => {
     mockSmartBypassService = {
       initialize: jest.fn().mockResolvedValue(),
       processUrls: jest.fn(),
+      invalidateCachedResult: jest.fn(),
+      checkCallerRateLimit: jest.fn(() => ({ allowed: true })),
       cleanup: jest.fn(),
+      registry: {
+        getAllMethods: jest.fn(() => [
+          { name: 'archive_today', getResponseFormat: () => ({ label: 'Archive link found', emoji: '🔓', color: 1 }) },
+          { name: '12ft_io', getResponseFormat: () => ({ label: 'Bypass link found', emoji: '🔓', color: 2 }) }
+        ])
+      },
       paywallDetector: {
-        whitelistedDomains: new Set()
+        feedbackWhitelist: new Set(),
+        validateDomainRules: jest.fn(() => [])
       }
     };
     
@@ -95,6 +126,9 @@ describe('MessageHandler', () => {
     // Wait for initialization to complete
     await new Promise(resolve => setTimeout(resolve, 10));
 
+    // Most tests below check the plain-text format; embeds are covered separately
+    messageHandler.guildSettings.settings.set('guild123', { responseFormat: 'text' });
+
     // Mock Discord message object
     mockMessage = {
       id: 'message123',
@@ -125,6 +159,50 @@ describe('MessageHandler', () => {
       expect(mockSmartBypassService.processUrls).not.toHaveBeenCalled();
     });
 
+    test('should ignore messages in channels the guild has denied', async () => {
+      messageHandler.guildSettings.settings.set('guild123', { deniedChannels: ['channel123'] });
+
+      await messageHandler.handleMessage(mockMessage);
+
+      expect(extractUrls).not.toHaveBeenCalled();
+      expect(mockSmartBypassService.processUrls).not.toHaveBeenCalled();
+    });
+
+    test('should ignore messages outside the allowed categories', async () => {
+      messageHandler.guildSettings.settings.set('guild123', { allowedChannels: ['category123'] });
+
+      await messageHandler.handleMessage(mockMessage);
+
+      expect(extractUrls).not.toHaveBeenCalled();
+
+      mockMessage.channel.parentId = 'category123';
+      extractUrls.mockReturnValue([]);
+
+      await messageHandler.handleMessage(mockMessage);
+
+      expect(extractUrls).toHaveBeenCalledWith(mockMessage.content);
+    });
+
+    test('should ignore messages from members with an opt-out role', async () => {
+      messageHandler.guildSettings.settings.set('guild123', { optOutRoles: ['role123'] });
+      mockMessage.member = { roles: { cache: new Map([['role123', {}]]) } };
+
+      await messageHandler.handleMessage(mockMessage);
+
+      expect(extractUrls).not.toHaveBeenCalled();
+      expect(mockSmartBypassService.processUrls).not.toHaveBeenCalled();
+    });
+
+    test('should ignore messages from users who opted out', async () => {
+      messageHandler.guildSettings.settings.set('guild123', { optedOutUsers: ['user123'] });
+      mockMessage.author.id = 'user123';
+
+      await messageHandler.handleMessage(mockMessage);
+
+      expect(extractUrls).not.toHaveBeenCalled();
+      expect(mockSmartBypassService.processUrls).not.toHaveBeenCalled();
+    });
+
     test('should ignore messages with no URLs', async () => {
       extractUrls.mockReturnValue([]);
       
@@ -139,7 +217,7 @@ describe('MessageHandler', () => {
       const results = [
         {
           originalUrl: 'https://example.com/article',
-          method: 'archive',
+          method: 'archive_today',
           result: 'https://archive.today/abc123'
         }
       ];
@@ -150,14 +228,61 @@ describe('MessageHandler', () => {
       await messageHandler.handleMessage(mockMessage);
 
       expect(extractUrls).toHaveBeenCalledWith(mockMessage.content);
-      expect(mockSmartBypassService.processUrls).toHaveBeenCalledWith(urls);
+      expect(mockSmartBypassService.processUrls).toHaveBeenCalledWith(urls, {
+        guildId: 'guild123',
+        caller: { userId: mockMessage.author.id, channelId: 'channel123', guildId: 'guild123' },
+        onThrottled: expect.any(Function)
+      });
       expect(mockMessage.reply).toHaveBeenCalledWith({
-        content: '🔓 **Archive link found (archive):**\nhttps://archive.today/abc123',
+        content: '🔓 **Archive link found (archive_today):**\nhttps://archive.today/abc123',
         components: expect.any(Array),
-        allowedMentions: { repliedUser: false }
+        allowedMentions: { parse: [], repliedUser: false }
+      });
+    });
+
+    test('should leave charging the caller to the bypass service', async () => {
+      extractUrls.mockReturnValue(['https://example.com/a', 'https://example.com/b']);
+      mockSmartBypassService.processUrls.mockResolvedValue([]);
+      mockMessage.author.id = 'user123';
+
+      await messageHandler.handleMessage(mockMessage);
+
+      expect(mockSmartBypassService.checkCallerRateLimit).not.toHaveBeenCalled();
+      expect(mockSmartBypassService.processUrls.mock.calls[0][1].caller).toEqual({
+        userId: 'user123',
+        channelId: 'channel123',
+        guildId: 'guild123'
       });
     });
 
+    test('should notify throttled users once per window', async () => {
+      jest.useFakeTimers();
+      try {
+        const notice = { delete: jest.fn().mockResolvedValue() };
+        extractUrls.mockReturnValue(['https://example.com/article']);
+        mockSmartBypassService.processUrls.mockImplementation(async (urls, options) => {
+          options.onThrottled({ allowed: false, scope: 'user', id: 'user123', retryAfterMs: 60000 });
+          return [];
+        });
+        mockMessage.author.id = 'user123';
+        mockMessage.reply.mockResolvedValue(notice);
+
+        await messageHandler.handleMessage(mockMessage);
+        await messageHandler.handleMessage({ ...mockMessage, id: 'message456' });
+
+        expect(mockMessage.reply).toHaveBeenCalledTimes(1);
+        expect(mockMessage.reply).toHaveBeenCalledWith({
+          content: expect.stringMatching(/^⏳ You're sending links faster than I can keep up with\. Please try again <t:\d+:R>\.$/),
+          allowedMentions: { parse: [], repliedUser: false }
+        });
+
+        jest.advanceTimersByTime(10000);
+        expect(notice.delete).toHaveBeenCalled();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
     test('should prevent duplicate processing of same message', async () => {
       const urls = ['https://example.com/article'];
       extractUrls.mockReturnValue(urls);
@@ -211,16 +336,16 @@ describe('MessageHandler', () => {
   describe('sendBypassResponse', () => {
     test('should send archive response correctly', async () => {
       const result = {
-        method: 'archive',
+        method: 'archive_today',
         result: 'https://archive.today/abc123'
       };
 
       await messageHandler.sendBypassResponse(mockMessage, result);
 
       expect(mockMessage.reply).toHaveBeenCalledWith({
-        content: '🔓 **Archive link found (archive):**\nhttps://archive.today/abc123',
+        content: '🔓 **Archive link found (archive_today):**\nhttps://archive.today/abc123',
         components: expect.any(Array),
-        allowedMentions: { repliedUser: false }
+        allowedMentions: { parse: [], repliedUser: false }
       });
     });
 
@@ -235,13 +360,69 @@ describe('MessageHandler', () => {
       expect(mockMessage.reply).toHaveBeenCalledWith({
         content: '**Test Article**\n\nThis is test content that should be condensed nicely.\n\n*Original URL: https://example.com*\n*Content extracted via PaywallFlower*',
         components: expect.any(Array),
-        allowedMentions: { repliedUser: false }
+        allowedMentions: { parse: [], repliedUser: false }
       });
     });
 
+    test('should sanitize extracted article text but keep the method footer', async () => {
+      const result = {
+        method: 'outline_com',
+        extractedContent: '**Read @here**\n\nHey @everyone, <@&123> join discord.gg/free for **more**\n\n*Original URL: https://example.com*\n*Cleaned by Outline.com*'
+      };
+
+      await messageHandler.sendBypassResponse(mockMessage, result);
+
+      expect(mockMessage.reply.mock.calls[0][0].content).toBe(
+        '**Read @\u200Bhere**\n\nHey @\u200Beveryone, <@&\u200B123> join (invite link removed) for \\*\\*more\\*\\*' +
+        '\n\n*Original URL: https://example.com*\n*Cleaned by Outline.com*'
+      );
+    });
+
+    test('should keep extracted text within the message limit', async () => {
+      const result = {
+        method: '12ft_io',
+        cached: true,
+        extractedContent: `**Long**\n\n${'*'.repeat(3000)}\n\n*Original URL: https://example.com*\n*Bypassed via 12ft.io*`
+      };
+
+      await messageHandler.sendBypassResponse(mockMessage, result);
+
+      const { content } = mockMessage.reply.mock.calls[0][0];
+      expect(content.length).toBeLessThanOrEqual(2000);
+      expect(content).toMatch(/\\\*…\n\n\*Original URL: https:\/\/example\.com\*\n\*Bypassed via 12ft\.io\*\n\*Served from cache\*$/);
+    });
+
+    test('should post the link instead of extracted text for link-only guilds', async () => {
+      messageHandler.guildSettings.settings.set('guild123', { responseStyle: 'links', responseFormat: 'text' });
+      const result = {
+        method: '12ft_io',
+        result: 'https://12ft.io/proxy?q=https://example.com',
+        extractedContent: '**Test Article**\n\nThis is test content.'
+      };
+
+      await messageHandler.sendBypassResponse(mockMessage, result);
+
+      expect(mockMessage.reply).toHaveBeenCalledWith(expect.objectContaining({
+        content: '🔓 **Bypass link found (12ft_io):**\nhttps://12ft.io/proxy?q=https://example.com'
+      }));
+    });
+
+    test('should mark results served from the cache', async () => {
+      await messageHandler.sendBypassResponse(mockMessage, {
+        method: 'archive_today',
+        result: 'https://archive.today/abc123',
+        cached: true,
+        cachedAt: new Date()
+      });
+
+      expect(mockMessage.reply).toHaveBeenCalledWith(expect.objectContaining({
+        content: '🔓 **Archive link found (archive_today, cached):**\nhttps://archive.today/abc123'
+      }));
+    });
+
     test('should handle reply errors gracefully', async () => {
       const result = {
-        method: 'archive',
+        method: 'archive_today',
         result: 'https://archive.today/abc123'
       };
 
@@ -252,7 +433,230 @@ describe('MessageHandler', () => {
     });
   });
 
+  describe('embed responses', () => {
+    beforeEach(() => {
+      messageHandler.guildSettings.settings.delete('guild123');
+    });
+
+    test('should send an embed with metadata from the original article', async () => {
+      axios.get.mockResolvedValue({
+        data: `<html><head>
+          <meta property="og:title" content="Test &amp; Article">
+          <meta property="og:site_name" content="Example News">
+          <meta property="og:image" content="https://example.com/lead.jpg">
+          <meta property="article:published_time" content="2024-03-01T12:00:00Z">
+          <meta name="author" content="Jane Doe">
+        </head></html>`
+      });
+
+      await messageHandler.sendBypassResponse(mockMessage, {
+        originalUrl: 'https://example.com/article',
+        method: 'archive_today',
+        result: 'https://archive.today/abc123',
+        responseTime: 1500
+      });
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get).toHaveBeenCalledWith('https://example.com/article', expect.any(Object));
+
+      const reply = mockMessage.reply.mock.calls[0][0];
+      expect(reply.content).toBeUndefined();
+      expect(reply.allowedMentions).toEqual({ parse: [], repliedUser: false });
+
+      const embed = reply.embeds[0].data;
+      expect(embed).toEqual(expect.objectContaining({
+        title: 'Test & Article',
+        url: 'https://archive.today/abc123',
+        author: { name: 'Example News' },
+        image: 'https://example.com/lead.jpg',
+        color: 1,
+        footer: { text: 'Original: https://example.com/article' }
+      }));
+      expect(embed.description).toContain('[Archive link found](https://archive.today/abc123)');
+      expect(embed.fields).toEqual([
+        { name: 'Author', value: 'Jane Doe', inline: true },
+        { name: 'Published', value: '<t:1709294400:D>', inline: true },
+        { name: 'Method', value: 'archive_today', inline: true },
+        { name: 'Response time', value: '1.5s', inline: true }
+      ]);
+    });
+
+    test('should fall back to the archived copy when the original has no metadata', async () => {
+      axios.get
+        .mockRejectedValueOnce(new Error('403'))
+        .mockResolvedValueOnce({ data: '<title>Archived Title</title>' });
+
+      await messageHandler.sendBypassResponse(mockMessage, {
+        originalUrl: 'https://example.com/article',
+        method: 'archive_today',
+        result: 'https://archive.today/abc123'
+      });
+
+      expect(axios.get).toHaveBeenLastCalledWith('https://archive.today/abc123', expect.any(Object));
+      expect(mockMessage.reply.mock.calls[0][0].embeds[0].data.title).toBe('Archived Title');
+    });
+
+    test('should sanitize metadata taken from the page', async () => {
+      axios.get.mockResolvedValue({
+        data: `<html><head>
+          <meta property="og:title" content="**Breaking** @everyone">
+          <meta property="og:description" content="Join us at discord.gg/news">
+          <meta property="og:image" content="https://example.com/lead.jpg">
+        </head></html>`
+      });
+
+      await messageHandler.sendBypassResponse(mockMessage, {
+        originalUrl: 'https://example.com/article',
+        method: 'archive_today',
+        result: 'https://archive.today/abc123'
+      });
+
+      const embed = mockMessage.reply.mock.calls[0][0].embeds[0].data;
+      expect(embed.title).toBe('\\*\\*Breaking\\*\\* @\u200Beveryone');
+      expect(embed.description).toContain('Join us at (invite link removed)');
+    });
+
+    test('should show extracted article text in the embed', async () => {
+      axios.get.mockRejectedValue(new Error('timeout'));
+
+      await messageHandler.sendBypassResponse(mockMessage, {
+        originalUrl: 'https://example.com/article',
+        method: 'browser',
+        result: '**Test Article**\n\nBody text.\n\n*Original URL: https://example.com/article*',
+        extractedContent: '**Test Article**\n\nBody text.\n\n*Original URL: https://example.com/article*'
+      });
+
+      const embed = mockMessage.reply.mock.calls[0][0].embeds[0].data;
+      expect(embed.title).toBe('Test Article');
+      expect(embed.url).toBe('https://example.com/article');
+      expect(embed.description).toBe('Body text.');
+    });
+  });
+
+  describe('consolidated replies', () => {
+    const StringSelectMenuBuilder = require('discord.js').StringSelectMenuBuilder;
+    const createResults = count => Array.from({ length: count }, (_, i) => ({
+      originalUrl: `https://example.com/article${i + 1}`,
+      method: 'archive_today',
+      result: `https://archive.today/abc${i + 1}`
+    }));
+    let mockInteraction;
+
+    beforeEach(() => {
+      messageHandler.blacklistMethodForDomain = jest.fn().mockResolvedValue();
+      messageHandler.addToWhitelist = jest.fn().mockResolvedValue();
+      mockInteraction = {
+        user: { id: 'user123' },
+        isButton: jest.fn(() => false),
+        isStringSelectMenu: jest.fn(() => true),
+        update: jest.fn().mockResolvedValue(),
+        followUp: jest.fn().mockResolvedValue(),
+        reply: jest.fn().mockResolvedValue()
+      };
+    });
+
+    test('should offer feedback options for each link', async () => {
+      await messageHandler.sendConsolidatedResponse(mockMessage, createResults(2));
+
+      const menu = StringSelectMenuBuilder.mock.results[0].value;
+      const [reply] = messageHandler.consolidatedReplies.values();
+      expect(menu.customId).toBe(`feedback_select_${reply.id}`);
+      expect(menu.options.map(option => option.value)).toEqual([
+        `bypass_failed_${reply.entries[0].feedbackId}`,
+        `not_paywalled_${reply.entries[0].feedbackId}`,
+        `bypass_failed_${reply.entries[1].feedbackId}`,
+        `not_paywalled_${reply.entries[1].feedbackId}`
+      ]);
+    });
+
+    test('should apply feedback to the chosen link only', async () => {
+      await messageHandler.sendConsolidatedResponse(mockMessage, createResults(2));
+      const [reply] = messageHandler.consolidatedReplies.values();
+      mockInteraction.customId = `feedback_select_${reply.id}`;
+      mockInteraction.values = [`bypass_failed_${reply.entries[1].feedbackId}`];
+
+      await messageHandler.handleInteraction(mockInteraction);
+
+      expect(messageHandler.blacklistMethodForDomain).toHaveBeenCalledWith('https://example.com/article2', 'archive_today');
+      expect(mockSmartBypassService.invalidateCachedResult).toHaveBeenCalledWith('https://example.com/article2');
+      expect(reply.entries.map(entry => entry.status)).toEqual([null, 'bypass_failed']);
+
+      const updated = mockInteraction.update.mock.calls[0][0];
+      expect(updated.content).toContain('**2. example.com** — 🚫 reported as failed');
+      expect(updated.content).not.toContain('**1. example.com** —');
+      expect(StringSelectMenuBuilder.mock.results[1].value.options).toHaveLength(2);
+      expect(mockInteraction.followUp).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+    });
+
+    test('should whitelist a link marked as not paywalled', async () => {
+      await messageHandler.sendConsolidatedResponse(mockMessage, createResults(2));
+      const [reply] = messageHandler.consolidatedReplies.values();
+      mockInteraction.customId = `feedback_select_${reply.id}`;
+      mockInteraction.values = [`not_paywalled_${reply.entries[0].feedbackId}`];
+
+      await messageHandler.handleInteraction(mockInteraction);
+
+      expect(messageHandler.addToWhitelist).toHaveBeenCalledWith('https://example.com/article1');
+      expect(reply.entries[0].status).toBe('not_paywalled');
+    });
+
+    test('should paginate long lists and keep each page within the message limit', async () => {
+      await messageHandler.sendConsolidatedResponse(mockMessage, createResults(12));
+
+      const [reply] = messageHandler.consolidatedReplies.values();
+      expect(reply.pages).toEqual([[0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [10, 11]]);
+
+      const firstPage = mockMessage.reply.mock.calls[0][0];
+      expect(firstPage.content.length).toBeLessThanOrEqual(2000);
+      expect(firstPage.content).toContain('*Page 1 of 2*');
+      expect(firstPage.components).toHaveLength(2);
+
+      mockInteraction.isButton.mockReturnValue(true);
+      mockInteraction.customId = `page_next_${reply.id}`;
+      await messageHandler.handleInteraction(mockInteraction);
+
+      const secondPage = mockInteraction.update.mock.calls[0][0];
+      expect(reply.page).toBe(1);
+      expect(secondPage.content).toContain('**11. example.com**');
+      expect(secondPage.content).toContain('*Page 2 of 2*');
+    });
+
+    test('should still act on feedback when the reply was posted before a restart', async () => {
+      await messageHandler.sendConsolidatedResponse(mockMessage, createResults(2));
+      const [reply] = messageHandler.consolidatedReplies.values();
+      messageHandler.consolidatedReplies.clear();
+      mockInteraction.customId = `feedback_select_${reply.id}`;
+      mockInteraction.values = [`bypass_failed_${reply.entries[0].feedbackId}`];
+
+      await messageHandler.handleInteraction(mockInteraction);
+
+      expect(messageHandler.blacklistMethodForDomain).toHaveBeenCalledWith('https://example.com/article1', 'archive_today');
+      expect(mockInteraction.update).not.toHaveBeenCalled();
+      expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+    });
+
+    test('should reply when the consolidated reply has expired', async () => {
+      mockInteraction.customId = 'feedback_select_unknown';
+      mockInteraction.values = ['bypass_failed_unknown'];
+
+      await messageHandler.handleInteraction(mockInteraction);
+
+      expect(mockInteraction.update).not.toHaveBeenCalled();
+      expect(mockInteraction.reply).toHaveBeenCalledWith({
+        content: '❌ Feedback session expired. Please try again with a new link.',
+        ephemeral: true
+      });
+    });
+  });
+
   describe('formatCondensedContent', () => {
+    test('should sanitize the title and content', () => {
+      const extractedContent = '**Big # News**\n\n> @everyone look\n\n*Original URL: https://example.com*';
+
+      expect(messageHandler.formatCondensedContent(extractedContent))
+        .toBe('🔓 **Big # News**\n\n\\> @\u200Beveryone look\n\n*Original: https://example.com*');
+    });
+
     test('should format content in condensed style', () => {
       const extractedContent = '**Test Article**\n\nThis is some test content with multiple    spaces   and\n\n\nexcessive newlines.\n\n*Original URL: https://example.com*\n*Content extracted via PaywallFlower*';
       
@@ -312,6 +716,51 @@ describe('MessageHandler', () => {
     });
   });
 
+  describe('initialize', () => {
+    test('should share the initialization the constructor started', async () => {
+      mockSmartBypassService.initialize.mockClear();
+
+      const handler = new MessageHandler();
+      await Promise.all([handler.initialize(), handler.initialize()]);
+
+      expect(mockSmartBypassService.initialize).toHaveBeenCalledTimes(1);
+      expect(handler.initialized).toBe(true);
+    });
+
+    test('should not start the feedback flush timer in tests', () => {
+      expect(messageHandler.initialized).toBe(true);
+      expect(messageHandler.feedbackStore.flushInterval).toBeNull();
+    });
+  });
+
+  describe('in-memory reply state', () => {
+    test('should drop expired multi-link replies and the oldest beyond the limit', () => {
+      const now = Date.now();
+      messageHandler.storeConsolidatedReply({ id: 'old', timestamp: now - 2 * 60 * 60 * 1000 }, now);
+      messageHandler.storeConsolidatedReply({ id: 'recent', timestamp: now }, now);
+
+      expect([...messageHandler.consolidatedReplies.keys()]).toEqual(['recent']);
+
+      for (let i = 0; i < 500; i++) {
+        messageHandler.storeConsolidatedReply({ id: `reply${i}`, timestamp: now }, now);
+      }
+
+      expect(messageHandler.consolidatedReplies.size).toBe(500);
+      expect(messageHandler.consolidatedReplies.has('recent')).toBe(false);
+      expect(messageHandler.consolidatedReplies.has('reply499')).toBe(true);
+    });
+
+    test('should forget throttle windows once they end', () => {
+      const now = Date.now();
+      messageHandler.throttleNotices.set('user1', now - 1);
+      messageHandler.throttleNotices.set('user2', now + 60000);
+
+      messageHandler.pruneThrottleNotices(now);
+
+      expect([...messageHandler.throttleNotices.keys()]).toEqual(['user2']);
+    });
+  });
+
   describe('cleanup', () => {
     test('should call smart bypass service cleanup', async () => {
       await messageHandler.cleanup();
@@ -328,12 +777,12 @@ describe('MessageHandler', () => {
   });
 
   describe('multiple URL processing', () => {
-    test('should process multiple URLs and send multiple responses', async () => {
+    test('should send one consolidated reply for multiple URLs', async () => {
       const urls = ['https://example.com/article1', 'https://example.com/article2'];
       const results = [
         {
           originalUrl: 'https://example.com/article1',
-          method: 'archive',
+          method: 'archive_today',
           result: 'https://archive.today/abc123'
         },
         {
@@ -348,17 +797,21 @@ describe('MessageHandler', () => {
 
       await messageHandler.handleMessage(mockMessage);
 
-      expect(mockMessage.reply).toHaveBeenCalledTimes(2);
-      expect(mockMessage.reply).toHaveBeenNthCalledWith(1, {
-        content: '🔓 **Archive link found (archive):**\nhttps://archive.today/abc123',
-        components: expect.any(Array),
-        allowedMentions: { repliedUser: false }
-      });
-      expect(mockMessage.reply).toHaveBeenNthCalledWith(2, {
-        content: '**Test Article**\n\nExtracted content\n\n*Original URL: https://example.com/article2*\n*Content extracted via PaywallFlower*',
-        components: expect.any(Array),
-        allowedMentions: { repliedUser: false }
+      expect(mockMessage.reply).toHaveBeenCalledTimes(1);
+      expect(mockMessage.reply).toHaveBeenCalledWith({
+        content: [
+          '**🔓 2 links unlocked**',
+          '**1. example.com**\n🔓 Archive link found (archive_today): https://archive.today/abc123',
+          '**2. Test Article**\n🔓 Content bypassed (browser_extraction): https://example.com/article2\n> Extracted content'
+        ].join('\n\n'),
+        components: [expect.any(Object)],
+        allowedMentions: { parse: [], repliedUser: false }
       });
+
+      const [reply] = messageHandler.consolidatedReplies.values();
+      expect(reply.pages).toEqual([[0, 1]]);
+      expect(reply.entries.map(entry => messageHandler.feedbackStore.get(entry.feedbackId).method))
+        .toEqual(['archive_today', 'browser_extraction']);
     });
 
     test('should handle empty results array', async () => {
@@ -0,0 +1,173 @@
+// Mock Discord.js embeds
+jest.mock('discord.js', () => ({
+  EmbedBuilder: jest.fn().mockImplementation(() => {
+    const embed = { data: { fields: [] } };
+    const set = key => jest.fn(value => { embed.data[key] = value; return embed; });
+    embed.setColor = set('color');
+    embed.setTitle = set('title');
+    embed.setURL = set('url');
+    embed.setAuthor = set('author');
+    embed.setDescription = set('description');
+    embed.setImage = set('image');
+    embed.setFooter = set('footer');
+    embed.addFields = jest.fn((...fields) => { embed.data.fields.push(...fields); return embed; });
+    return embed;
+  })
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('puppeteer', () => ({}));
+jest.mock('../../src/services/browserService');
+jest.mock('../../src/services/archiveService');
+
+const ResponseFormatter = require('../../src/bot/responseFormatter');
+const ArchiveTodayMethod = require('../../src/services/bypassMethods/archiveTodayMethod');
+const TwelveFtMethod = require('../../src/services/bypassMethods/twelveFtMethod');
+const BrowserMethod = require('../../src/services/bypassMethods/browserMethod');
+
+describe('ResponseFormatter', () => {
+  let formatter;
+
+  beforeEach(() => {
+    formatter = new ResponseFormatter();
+    formatter.registerMethods([
+      new ArchiveTodayMethod(),
+      new TwelveFtMethod(),
+      new BrowserMethod()
+    ]);
+  });
+
+  describe('formats', () => {
+    test('should use the format each method contributes', () => {
+      expect(formatter.getFormat('archive_today').label).toBe('Archive link found');
+      expect(formatter.getFormat('12ft_io').label).toBe('Bypass link found');
+      expect(formatter.getFormat('browser_extraction')).toEqual(expect.objectContaining({
+        label: 'Article extracted',
+        emoji: '📰'
+      }));
+    });
+
+    test('should fall back to the default format for unknown methods', () => {
+      expect(formatter.getFormat('unknown')).toEqual(ResponseFormatter.DEFAULT_FORMAT);
+    });
+
+    test('should fill missing fields of a registered format', () => {
+      formatter.register('custom', { label: 'Custom link' });
+
+      expect(formatter.getFormat('custom')).toEqual({ ...ResponseFormatter.DEFAULT_FORMAT, label: 'Custom link' });
+    });
+  });
+
+  describe('formatText', () => {
+    test('should head the link with the method format', () => {
+      expect(formatter.formatText({ method: '12ft_io', result: 'https://12ft.io/proxy?q=https://example.com' }))
+        .toBe('🔓 **Bypass link found (12ft_io):**\nhttps://12ft.io/proxy?q=https://example.com');
+    });
+  });
+
+  describe('formatThrottleNotice', () => {
+    test('should name the limit that was hit and when to retry', () => {
+      const now = 1700000000000;
+
+      expect(formatter.formatThrottleNotice({ allowed: false, scope: 'channel', retryAfterMs: 30500 }, now))
+        .toBe('⏳ This channel is sending links faster than I can keep up with. Please try again <t:1700000031:R>.');
+      expect(formatter.formatThrottleNotice({ allowed: false, scope: 'user', retryAfterMs: 6000 }, now))
+        .toBe('⏳ You\'re sending links faster than I can keep up with. Please try again <t:1700000006:R>.');
+    });
+  });
+
+  describe('buildEmbed', () => {
+    test('should use the hostname and a link summary without metadata', () => {
+      const embed = formatter.buildEmbed({
+        originalUrl: 'https://www.example.com/article',
+        method: 'archive_today',
+        result: 'https://archive.today/abc123'
+      }).data;
+
+      expect(embed.title).toBe('example.com');
+      expect(embed.url).toBe('https://archive.today/abc123');
+      expect(embed.description).toBe('🔓 [Archive link found](https://archive.today/abc123)');
+      expect(embed.fields).toEqual([{ name: 'Method', value: 'archive_today', inline: true }]);
+      expect(embed.image).toBeUndefined();
+    });
+
+    test('should keep text within Discord embed limits', () => {
+      const embed = formatter.buildEmbed(
+        { originalUrl: 'https://example.com/article', method: '12ft_io', result: 'https://12ft.io/x' },
+        { title: 'T'.repeat(300), description: 'D'.repeat(500), image: 'not a url' }
+      ).data;
+
+      expect(embed.title).toHaveLength(256);
+      expect(embed.title.endsWith('…')).toBe(true);
+      expect(embed.description.startsWith(`${'D'.repeat(299)}…`)).toBe(true);
+      expect(embed.image).toBeUndefined();
+    });
+
+    test('should show when a cached result was bypassed', () => {
+      const embed = formatter.buildEmbed({
+        originalUrl: 'https://example.com/article',
+        method: 'archive_today',
+        result: 'https://archive.today/abc123',
+        cached: true,
+        cachedAt: new Date('2024-03-01T12:00:00Z')
+      }).data;
+
+      expect(embed.fields).toContainEqual({ name: 'Cached', value: '<t:1709294400:R>', inline: true });
+    });
+
+    test('should link the original article for extracted content', () => {
+      const embed = formatter.buildEmbed(
+        { originalUrl: 'https://example.com/article', method: 'browser_extraction', result: '**Title**\n\nText' },
+        null,
+        'Text'
+      ).data;
+
+      expect(embed.url).toBe('https://example.com/article');
+      expect(embed.description).toBe('Text');
+    });
+  });
+
+  describe('consolidated replies', () => {
+    const createEntries = (count, linkLength = 20) => Array.from({ length: count }, (_, i) => ({
+      result: {
+        originalUrl: `https://example.com/${i}`,
+        method: 'archive_today',
+        result: `https://archive.today/${'x'.repeat(linkLength)}${i}`
+      },
+      article: null,
+      snippet: null,
+      status: null
+    }));
+
+    test('should split pages by length as well as entry count', () => {
+      expect(formatter.paginate(createEntries(3), 'text')).toEqual([[0, 1, 2]]);
+      expect(formatter.paginate(createEntries(11), 'embed')).toEqual([[0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [10]]);
+
+      const pages = formatter.paginate(createEntries(6, 500), 'text');
+      expect(pages.length).toBeGreaterThan(1);
+      pages.forEach(page => {
+        expect(formatter.buildConsolidatedPage(createEntries(6, 500), page, 0, pages.length, 'text').content.length)
+          .toBeLessThanOrEqual(2000);
+      });
+    });
+
+    test('should build an embed page with a page footer', () => {
+      const entries = createEntries(2);
+      entries[0].article = { title: 'First Headline' };
+      entries[1].status = 'not_paywalled';
+
+      const embed = formatter.buildConsolidatedPage(entries, [0, 1], 1, 3, 'embed').embeds[0].data;
+
+      expect(embed.title).toBe('🔓 2 links unlocked');
+      expect(embed.description).toContain('**1. First Headline**');
+      expect(embed.description).toContain('**2. example.com** — ✅ marked as not paywalled');
+      expect(embed.footer).toEqual({ text: 'Page 2 of 3' });
+    });
+  });
+});
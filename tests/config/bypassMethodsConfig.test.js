@@ -0,0 +1,155 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const path = require('path');
+const {
+  loadBypassMethodsConfig,
+  validateBypassMethodsConfig
+} = require('../../src/config/bypassMethodsConfig');
+
+const knownMethods = [
+  'archive_today',
+  '12ft_io',
+  'outline_com',
+  'google_cache',
+  'wayback_machine',
+  'browser_extraction'
+];
+
+describe('bypassMethodsConfig', () => {
+  describe('validateBypassMethodsConfig', () => {
+    test('should fill in defaults for an empty config', () => {
+      const config = validateBypassMethodsConfig({});
+
+      expect(config.methods).toEqual({});
+      expect(config.domainOverrides).toEqual({});
+      expect(config.healthCheck.unhealthyThreshold).toBe(3);
+      expect(config.healthCheck.cooldown).toBe(60000);
+      expect(config.metrics.retentionDays).toBe(30);
+      expect(config.globalSettings.maxConcurrentRequests).toBe(5);
+      expect(config.globalSettings.requestDeadline).toBe(60000);
+    });
+
+    test('should strip documentation fields from method configs', () => {
+      const config = validateBypassMethodsConfig({
+        methods: {
+          archive_today: { enabled: true, priority: 9, timeout: 10000, description: 'x', notes: 'y' }
+        }
+      }, { knownMethods });
+
+      expect(config.methods.archive_today).toEqual({ enabled: true, priority: 9, timeout: 10000, maxRetries: 2 });
+    });
+
+    test('should default method retries to globalSettings.retryAttempts', () => {
+      const config = validateBypassMethodsConfig({
+        globalSettings: { retryAttempts: 1 },
+        methods: { archive_today: {}, browser_extraction: { maxRetries: 0 } }
+      }, { knownMethods });
+
+      expect(config.methods.archive_today.maxRetries).toBe(1);
+      expect(config.methods.browser_extraction.maxRetries).toBe(0);
+      expect(() => validateBypassMethodsConfig({ methods: { archive_today: { maxRetries: -1 } } }, { knownMethods }))
+        .toThrow(/methods.archive_today.maxRetries/);
+    });
+
+    test('should reject a request deadline that is not a positive integer', () => {
+      expect(() => validateBypassMethodsConfig({ globalSettings: { requestDeadline: '60s' } }))
+        .toThrow(/globalSettings.requestDeadline/);
+    });
+
+    test('should normalize domain override keys', () => {
+      const config = validateBypassMethodsConfig({
+        domainOverrides: {
+          'www.NYTimes.com': { preferredMethods: ['12ft_io'] }
+        }
+      }, { knownMethods });
+
+      expect(config.domainOverrides['nytimes.com']).toEqual({
+        preferredMethods: ['12ft_io'],
+        blacklistedMethods: []
+      });
+    });
+
+    test('should reject unknown method names', () => {
+      expect(() => validateBypassMethodsConfig({
+        methods: { made_up: { priority: 5 } }
+      }, { knownMethods })).toThrow('methods.made_up does not match any registered bypass method');
+    });
+
+    test('should reject out-of-range priorities and bad timeouts', () => {
+      expect(() => validateBypassMethodsConfig({
+        methods: { archive_today: { priority: 11, timeout: -1 } }
+      }, { knownMethods })).toThrow(/priority must be an integer between 1 and 10[\s\S]*timeout must be a positive integer/);
+    });
+
+    test('should reject domain overrides that reference unknown methods', () => {
+      expect(() => validateBypassMethodsConfig({
+        domainOverrides: { 'wsj.com': { preferredMethods: ['archive_todya'] } }
+      }, { knownMethods })).toThrow('references unknown method "archive_todya"');
+    });
+
+    test('should reject methods that are both preferred and blacklisted', () => {
+      expect(() => validateBypassMethodsConfig({
+        domainOverrides: {
+          'wsj.com': { preferredMethods: ['12ft_io'], blacklistedMethods: ['12ft_io'] }
+        }
+      }, { knownMethods })).toThrow('lists "12ft_io" as both preferred and blacklisted');
+    });
+
+    test('should reject unknown fallback strategy types', () => {
+      expect(() => validateBypassMethodsConfig({
+        fallbackStrategies: { default: { strategy: 'random', maxAttempts: 0 } }
+      })).toThrow(/fallbackStrategies.default.strategy must be one of[\s\S]*maxAttempts must be a positive integer/);
+    });
+
+    test('should reject invalid health check and metrics settings', () => {
+      expect(() => validateBypassMethodsConfig({
+        healthCheck: { unhealthyThreshold: 0 },
+        metrics: { retentionDays: 'thirty' }
+      })).toThrow(/healthCheck.unhealthyThreshold[\s\S]*metrics.retentionDays/);
+    });
+
+    test('should validate result cache settings and method TTLs', () => {
+      expect(validateBypassMethodsConfig({}).cache).toEqual(expect.objectContaining({ enabled: true, persist: false }));
+      expect(() => validateBypassMethodsConfig({
+        methods: { archive_today: { cacheTtl: -1 } },
+        cache: { maxEntries: 0, persist: 'yes' }
+      }, { knownMethods })).toThrow(/methods.archive_today.cacheTtl[\s\S]*cache.persist must be a boolean[\s\S]*cache.maxEntries/);
+    });
+
+    test('should validate token bucket settings per rate limit scope', () => {
+      const config = validateBypassMethodsConfig({
+        globalSettings: { rateLimit: { guild: { burst: 30, refillPerMinute: 90 } } }
+      });
+      expect(config.globalSettings.rateLimit.guild).toEqual({ burst: 30, refillPerMinute: 90 });
+
+      expect(() => validateBypassMethodsConfig({
+        globalSettings: { rateLimit: { user: { burst: 0 }, host: 'fast' } }
+      })).toThrow(/globalSettings.rateLimit.user.burst[\s\S]*globalSettings.rateLimit.host must be an object/);
+    });
+  });
+
+  describe('loadBypassMethodsConfig', () => {
+    test('should load and validate the bundled config file', async () => {
+      const config = await loadBypassMethodsConfig(
+        path.join(__dirname, '../../data/bypass-methods.json'),
+        { knownMethods }
+      );
+
+      expect(Object.keys(config.methods)).toEqual(expect.arrayContaining(knownMethods));
+      expect(config.domainOverrides['nytimes.com'].blacklistedMethods).toContain('wayback_machine');
+      expect(config.fallbackStrategies.default.strategy).toBe('priority_order');
+    });
+
+    test('should fall back to defaults when the file is missing', async () => {
+      const config = await loadBypassMethodsConfig(path.join(__dirname, 'does-not-exist.json'));
+
+      expect(config.methods).toEqual({});
+      expect(config.healthCheck.enabled).toBe(true);
+    });
+  });
+});
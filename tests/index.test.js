@@ -25,6 +25,7 @@ describe('PaywallFlowerBot', () => {
 
     // Mock MessageHandler
     mockMessageHandler = {
+      initialize: jest.fn().mockResolvedValue(undefined),
       handleMessage: jest.fn(),
       handleError: jest.fn(),
       handleWarning: jest.fn(),
@@ -50,7 +51,8 @@ describe('PaywallFlowerBot', () => {
       new PaywallFlowerBot();
 
       expect(Client).toHaveBeenCalledWith({
-        intents: [1, 2, 4] // Guilds, GuildMessages, MessageContent
+        intents: [1, 2, 4], // Guilds, GuildMessages, MessageContent
+        allowedMentions: { parse: [], repliedUser: false }
       });
     });
 
@@ -86,6 +88,21 @@ describe('PaywallFlowerBot', () => {
       expect(() => readyHandler()).not.toThrow();
     });
 
+    test('should register slash commands once the message handler is initialized', async () => {
+      let finishInitialization;
+      mockMessageHandler.initialize.mockReturnValue(new Promise(resolve => { finishInitialization = resolve; }));
+      const registerCommands = jest.spyOn(bot.commandHandler, 'registerCommands').mockResolvedValue();
+      const readyHandler = mockClient.once.mock.calls.find(call => call[0] === 'ready')[1];
+
+      readyHandler();
+      await new Promise(resolve => setImmediate(resolve));
+      expect(registerCommands).not.toHaveBeenCalled();
+
+      finishInitialization();
+      await new Promise(resolve => setImmediate(resolve));
+      expect(registerCommands).toHaveBeenCalledWith(mockClient);
+    });
+
     test('should handle messageCreate event', async () => {
       const messageHandler = mockClient.on.mock.calls.find(call => call[0] === 'messageCreate')[1];
       const mockMessage = { id: 'test-message' };
@@ -95,6 +112,28 @@ describe('PaywallFlowerBot', () => {
       expect(mockMessageHandler.handleMessage).toHaveBeenCalledWith(mockMessage);
     });
 
+    test('should route slash commands to the command handler', async () => {
+      const interactionHandler = mockClient.on.mock.calls.find(call => call[0] === 'interactionCreate')[1];
+      const handleCommand = jest.spyOn(bot.commandHandler, 'handleCommand').mockResolvedValue(true);
+      mockMessageHandler.handleInteraction = jest.fn();
+      const mockInteraction = { id: 'test-interaction', isChatInputCommand: () => true };
+
+      await interactionHandler(mockInteraction);
+
+      expect(handleCommand).toHaveBeenCalledWith(mockInteraction);
+      expect(mockMessageHandler.handleInteraction).not.toHaveBeenCalled();
+    });
+
+    test('should route other interactions to the message handler', async () => {
+      const interactionHandler = mockClient.on.mock.calls.find(call => call[0] === 'interactionCreate')[1];
+      mockMessageHandler.handleInteraction = jest.fn();
+      const mockInteraction = { id: 'test-interaction', isChatInputCommand: () => false };
+
+      await interactionHandler(mockInteraction);
+
+      expect(mockMessageHandler.handleInteraction).toHaveBeenCalledWith(mockInteraction);
+    });
+
     test('should handle error event', () => {
       const errorHandler = mockClient.on.mock.calls.find(call => call[0] === 'error')[1];
       const mockError = new Error('Test error');
@@ -84,6 +84,12 @@ describe('Whitelist Integration Tests', () => {
     });
   });
 
+  describe('configured lists', () => {
+    test('should not put any rule on both the paywall list and the whitelist', () => {
+      expect(detector.validateDomainRules()).toEqual([]);
+    });
+  });
+
   describe('whitelist priority', () => {
     test('should prioritize whitelist over known paywall domains', async () => {
       // Add a whitelisted domain to known paywall domains
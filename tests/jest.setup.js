@@ -1,2 +1,5 @@
 // Set NODE_ENV to test for all Jest tests
-process.env.NODE_ENV = 'test';
\ No newline at end of file
+process.env.NODE_ENV = 'test';
+
+// src/config refuses to load without a token; suites that don't mock it get a dummy one
+process.env.DISCORD_TOKEN = 'test-token';
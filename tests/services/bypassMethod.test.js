@@ -0,0 +1,189 @@
+const BypassMethod = require('../../src/services/bypassMethods/bypassMethod');
+const { ERROR_TYPES } = require('../../src/utils/errorClassifier');
+const { createAbortError } = require('../../src/utils/abort');
+
+jest.mock('../../src/utils/logger');
+
+class StubMethod extends BypassMethod {
+  constructor(config) {
+    super('archive_today', config);
+    this.attempt = jest.fn();
+  }
+}
+
+const requestError = (message, props) => Object.assign(new Error(message), props);
+
+describe('BypassMethod', () => {
+  let method;
+
+  beforeEach(() => {
+    method = new StubMethod({ maxRetries: 2 });
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('createErrorResult', () => {
+    test('should keep the error type and Retry-After of a failed request', () => {
+      const error = requestError('Request failed with status code 429', {
+        response: { status: 429, headers: { 'retry-after': '3' } }
+      });
+
+      expect(method.createErrorResult('Archive.today error: rate limited', error)).toEqual(expect.objectContaining({
+        success: false,
+        error: 'Archive.today error: rate limited',
+        errorType: ERROR_TYPES.RATE_LIMITED,
+        retryAfterMs: 3000
+      }));
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    const failure = fields => ({ success: false, error: 'failed', ...fields });
+
+    test('should back off exponentially with jitter', () => {
+      expect(method.getRetryDelay(failure({ errorType: ERROR_TYPES.TIMEOUT }), 0)).toBe(375);
+      expect(method.getRetryDelay(failure({ errorType: ERROR_TYPES.SERVER_ERROR }), 1)).toBe(750);
+    });
+
+    test('should wait as long as Retry-After asks', () => {
+      expect(method.getRetryDelay(failure({ errorType: ERROR_TYPES.RATE_LIMITED, retryAfterMs: 2000 }), 0)).toBe(2000);
+    });
+
+    test('should give up on permanent failures, long waits and exhausted retries', () => {
+      expect(method.getRetryDelay(failure({ errorType: ERROR_TYPES.NOT_FOUND }), 0)).toBeNull();
+      expect(method.getRetryDelay(failure({ error: 'No archive found on Archive.today' }), 0)).toBeNull();
+      expect(method.getRetryDelay(failure({ errorType: ERROR_TYPES.RATE_LIMITED }), 0)).toBeNull();
+      expect(method.getRetryDelay(failure({ errorType: ERROR_TYPES.SERVER_ERROR, retryAfterMs: 60000 }), 0)).toBeNull();
+      expect(method.getRetryDelay(failure({ errorType: ERROR_TYPES.TIMEOUT }), 2)).toBeNull();
+      expect(method.getRetryDelay({ success: true }, 0)).toBeNull();
+    });
+
+    test('should stop retrying once the circuit breaker opens', () => {
+      method.circuitBreaker.recordFailure(ERROR_TYPES.RATE_LIMITED);
+
+      expect(method.getRetryDelay(failure({ errorType: ERROR_TYPES.TIMEOUT }), 0)).toBeNull();
+    });
+  });
+
+  describe('attemptWithRetries', () => {
+    test('should retry transient failures and report every try', async () => {
+      jest.useFakeTimers();
+      method.attempt
+        .mockResolvedValueOnce(method.createErrorResult('Archive.today error: read ECONNRESET', requestError('read ECONNRESET', { code: 'ECONNRESET' })))
+        .mockResolvedValueOnce(method.createErrorResult('Archive.today error: 503', { status: 503, headers: {} }))
+        .mockResolvedValueOnce(method.createResult(true, 'https://archive.today/abc123'));
+      const onAttempt = jest.fn();
+
+      const pending = method.attemptWithRetries('https://nytimes.com/article', {}, onAttempt);
+      await jest.advanceTimersByTimeAsync(375 + 750);
+      const result = await pending;
+
+      expect(result.success).toBe(true);
+      expect(method.attempt).toHaveBeenCalledTimes(3);
+      expect(onAttempt.mock.calls.map(([, info]) => [info.retry, info.retryInMs])).toEqual([[0, 375], [1, 750], [2, null]]);
+      expect(method.circuitBreaker.consecutiveFailures).toBe(0);
+    });
+
+    test('should retry a 429 after its Retry-After before judging the method', async () => {
+      jest.useFakeTimers();
+      method.attempt
+        .mockResolvedValueOnce(method.createErrorResult('Archive.today error: rate limited', requestError('Request failed with status code 429', {
+          response: { status: 429, headers: { 'retry-after': '2' } }
+        })))
+        .mockResolvedValueOnce(method.createResult(true, 'https://archive.today/abc123'));
+      const onAttempt = jest.fn();
+
+      const pending = method.attemptWithRetries('https://nytimes.com/article', {}, onAttempt);
+      await jest.advanceTimersByTimeAsync(2000);
+      const result = await pending;
+
+      expect(result.success).toBe(true);
+      expect(method.attempt).toHaveBeenCalledTimes(2);
+      expect(onAttempt.mock.calls.map(([, info]) => [info.retry, info.retryInMs])).toEqual([[0, 2000], [1, null]]);
+      expect(method.circuitBreaker.state).toBe('closed');
+    });
+
+    test('should feed only the final outcome to the circuit breaker', async () => {
+      method.config.maxRetries = 0;
+      method.attempt.mockResolvedValue(method.createErrorResult('Archive.today error: rate limited', requestError('Request failed with status code 429', {
+        response: { status: 429, headers: {} }
+      })));
+
+      const result = await method.attemptWithRetries('https://nytimes.com/article');
+
+      expect(result.errorType).toBe(ERROR_TYPES.RATE_LIMITED);
+      expect(method.circuitBreaker.state).toBe('open');
+    });
+
+    test('should return permanent failures without retrying', async () => {
+      method.attempt.mockResolvedValue(method.createResult(false, null, 'No archive found on Archive.today'));
+
+      const result = await method.attemptWithRetries('https://nytimes.com/article');
+
+      expect(result.error).toBe('No archive found on Archive.today');
+      expect(method.attempt).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop waiting to retry when the signal aborts', async () => {
+      jest.useFakeTimers();
+      const controller = new AbortController();
+      method.attempt.mockResolvedValue(method.createErrorResult('Archive.today error: 503', { status: 503, headers: {} }));
+
+      const pending = method.attemptWithRetries('https://nytimes.com/article', { signal: controller.signal });
+      await jest.advanceTimersByTimeAsync(100);
+      controller.abort(createAbortError('Bypass service is shutting down'));
+      const result = await pending;
+
+      expect(result.errorType).toBe(ERROR_TYPES.ABORTED);
+      expect(method.attempt).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('attemptWithTimeout', () => {
+    test('should end a try that outlasts the method timeout', async () => {
+      jest.useFakeTimers();
+      method.config.timeout = 1000;
+      method.attempt.mockReturnValue(new Promise(() => {}));
+
+      const pending = method.attemptWithTimeout('https://nytimes.com/article');
+      await jest.advanceTimersByTimeAsync(1000);
+      const result = await pending;
+
+      expect(result).toEqual(expect.objectContaining({
+        success: false,
+        error: 'archive_today timed out after 1000ms',
+        errorType: ERROR_TYPES.TIMEOUT
+      }));
+      expect(method.attempt.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    test('should report a cancelled try without counting it against the circuit breaker', async () => {
+      const controller = new AbortController();
+      method.attempt.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })));
+      }));
+
+      const pending = method.attemptWithRetries('https://nytimes.com/article', { signal: controller.signal });
+      controller.abort(createAbortError('Cancelled: 12ft_io succeeded first'));
+      const result = await pending;
+
+      expect(result.error).toBe('Cancelled: 12ft_io succeeded first');
+      expect(result.errorType).toBe(ERROR_TYPES.ABORTED);
+      expect(method.circuitBreaker.consecutiveFailures).toBe(0);
+    });
+
+    test('should not start a try once the signal has aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(createAbortError('Request deadline of 60000ms exceeded'));
+
+      const result = await method.attemptWithTimeout('https://nytimes.com/article', { signal: controller.signal });
+
+      expect(result.error).toBe('Request deadline of 60000ms exceeded');
+      expect(method.attempt).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const BypassMetrics = require('../../src/services/bypassMetrics');
+
+jest.mock('../../src/utils/logger');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+describe('BypassMetrics', () => {
+  let metrics;
+
+  beforeEach(() => {
+    metrics = new BypassMetrics({ aggregationInterval: HOUR, retentionDays: 30 });
+  });
+
+  describe('configure', () => {
+    test('should apply aggregation and retention settings', () => {
+      metrics.configure({ aggregationInterval: 600000, retentionDays: 7 });
+
+      expect(metrics.aggregationInterval).toBe(600000);
+      expect(metrics.retentionDays).toBe(7);
+    });
+
+    test('should keep defaults for missing settings', () => {
+      metrics.configure({});
+
+      expect(metrics.aggregationInterval).toBe(HOUR);
+      expect(metrics.retentionDays).toBe(30);
+    });
+  });
+
+  describe('rollups', () => {
+    test('should aggregate attempts into hourly buckets per domain and method', () => {
+      metrics.recordAttempt('https://nytimes.com/a', 'archive_today', true, 1000);
+      metrics.recordAttempt('https://nytimes.com/b', 'archive_today', false, 3000);
+      metrics.recordAttempt('https://wsj.com/a', 'archive_today', true, 500);
+
+      const rollups = metrics.getRollups({ domain: 'nytimes.com' });
+
+      expect(rollups).toHaveLength(1);
+      expect(rollups[0]).toEqual(expect.objectContaining({
+        domain: 'nytimes.com',
+        method: 'archive_today',
+        attempts: 2,
+        successes: 1,
+        successRate: 50,
+        averageResponseTime: 2000
+      }));
+      expect(rollups[0].bucketStart % HOUR).toBe(0);
+    });
+
+    test('should start a new bucket for each interval', () => {
+      const now = Date.now();
+      metrics.updateRollup('nytimes.com', 'archive_today', true, 100, new Date(now - 2 * HOUR));
+      metrics.updateRollup('nytimes.com', 'archive_today', true, 100, new Date(now));
+
+      expect(metrics.getRollups()).toHaveLength(2);
+      expect(metrics.getRollups({ since: now - HOUR })).toHaveLength(1);
+    });
+  });
+
+  describe('getAverageSuccessResponseTime', () => {
+    test('should average successful attempts only', () => {
+      metrics.recordAttempt('https://nytimes.com/a', 'archive_today', true, 3000);
+      metrics.recordAttempt('https://nytimes.com/b', 'archive_today', false, 100);
+      metrics.recordAttempt('https://nytimes.com/c', 'archive_today', true, 1000);
+
+      expect(metrics.getAverageSuccessResponseTime('nytimes.com', 'archive_today')).toBe(2000);
+      expect(metrics.getAverageResponseTime('nytimes.com', 'archive_today')).toBeCloseTo(1366.67, 1);
+    });
+
+    test('should fall back to global history and return null without successes', () => {
+      metrics.recordAttempt('https://wsj.com/a', 'archive_today', true, 800);
+      metrics.recordAttempt('https://nytimes.com/a', 'archive_today', false, 100);
+      metrics.recordAttempt('https://nytimes.com/a', '12ft_io', false, 100);
+
+      expect(metrics.getAverageSuccessResponseTime('nytimes.com', 'archive_today')).toBe(800);
+      expect(metrics.getAverageSuccessResponseTime('nytimes.com', '12ft_io')).toBeNull();
+    });
+  });
+
+  describe('pruneExpired', () => {
+    test('should drop history older than the retention period', () => {
+      const now = Date.now();
+      const old = new Date(now - 31 * DAY);
+
+      metrics.recordAttempt('https://nytimes.com/a', 'archive_today', true, 1000);
+      metrics.updateRollup('wsj.com', '12ft_io', true, 100, old);
+      metrics.recordAttempt('https://wsj.com/a', '12ft_io', true, 100);
+      metrics.recentAttempts[1].timestamp = old;
+      metrics.metrics.get('wsj.com').get('12ft_io').lastAttempt = old;
+
+      const pruned = metrics.pruneExpired(now);
+
+      expect(pruned).toEqual({ rollups: 1, recentAttempts: 1, domainMethods: 1 });
+      expect(metrics.metrics.has('wsj.com')).toBe(false);
+      expect(metrics.metrics.has('nytimes.com')).toBe(true);
+      expect(metrics.getRollups({ since: now - DAY })).toHaveLength(2);
+      expect(metrics.getRollups()).toHaveLength(2);
+    });
+  });
+
+  describe('export and import', () => {
+    test('should round-trip through JSON with dates and rollups restored', () => {
+      metrics.recordAttempt('https://nytimes.com/a', 'archive_today', true, 1000);
+      metrics.recordAttempt('https://nytimes.com/b', '12ft_io', false, 0);
+
+      const serialized = JSON.parse(JSON.stringify(metrics.exportMetrics()));
+      const restored = new BypassMetrics();
+      restored.importMetrics(serialized);
+
+      const domainMetrics = restored.metrics.get('nytimes.com').get('archive_today');
+      expect(domainMetrics.lastAttempt).toBeInstanceOf(Date);
+      expect(domainMetrics.recentAttempts[0].timestamp).toBeInstanceOf(Date);
+      expect(restored.recentAttempts[0].timestamp).toBeInstanceOf(Date);
+      expect(restored.getRollups()).toHaveLength(2);
+      expect(restored.getSuccessRate('nytimes.com', 'archive_today')).toBe(100);
+    });
+
+    test('should round-trip result cache counters', () => {
+      metrics.recordCacheLookup('archive_today', true);
+      metrics.recordCacheLookup(null, false);
+      metrics.recordCacheInvalidation();
+
+      const restored = new BypassMetrics();
+      restored.importMetrics(JSON.parse(JSON.stringify(metrics.exportMetrics())));
+
+      expect(restored.getGlobalMetrics().cache).toEqual({
+        hits: 1,
+        misses: 1,
+        invalidations: 1,
+        hitsByMethod: { archive_today: 1 },
+        hitRate: 50
+      });
+    });
+
+    test('should count retries apart from attempts and round-trip them', () => {
+      metrics.recordRetry('https://nytimes.com/a', 'archive_today', { errorType: 'network', delayMs: 375 });
+      metrics.recordRetry('https://nytimes.com/b', 'archive_today', { errorType: 'server_error', delayMs: 750 });
+
+      const restored = new BypassMetrics();
+      restored.importMetrics(JSON.parse(JSON.stringify(metrics.exportMetrics())));
+
+      expect(restored.getGlobalMetrics()).toEqual(expect.objectContaining({
+        totalAttempts: 0,
+        retries: { total: 2, byMethod: { archive_today: 2 }, byErrorType: { network: 1, server_error: 1 } }
+      }));
+    });
+
+    test('should restore an unset minResponseTime serialized as null', () => {
+      const restored = new BypassMetrics();
+      restored.importMetrics({
+        domainMetrics: {
+          'nytimes.com': { '12ft_io': { totalAttempts: 0, minResponseTime: null } }
+        }
+      });
+
+      const domainMetrics = restored.metrics.get('nytimes.com').get('12ft_io');
+      expect(domainMetrics.minResponseTime).toBe(Infinity);
+      expect(domainMetrics.recentAttempts).toEqual([]);
+
+      restored.recordAttempt('https://nytimes.com/c', '12ft_io', true, 800);
+      expect(domainMetrics.minResponseTime).toBe(800);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const BypassQueue = require('../../src/services/bypassQueue');
+
+jest.mock('../../src/utils/logger');
+
+/**
+ * Creates a task that stays running until released
+ * @returns {{ task: Function, release: Function }}
+ */
+const createDeferredTask = () => {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { task: jest.fn(() => done), release };
+};
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('BypassQueue', () => {
+  test('should run at most maxConcurrent tasks at once', async () => {
+    const queue = new BypassQueue({ maxConcurrent: 2 });
+    const tasks = [createDeferredTask(), createDeferredTask(), createDeferredTask()];
+
+    const results = tasks.map((deferred, i) => queue.run(deferred.task, 'guild1').then(() => i));
+    await flushPromises();
+
+    expect(tasks[0].task).toHaveBeenCalled();
+    expect(tasks[1].task).toHaveBeenCalled();
+    expect(tasks[2].task).not.toHaveBeenCalled();
+    expect(queue.getStats()).toEqual(expect.objectContaining({ active: 2, queued: 1, queuedByGroup: { guild1: 1 } }));
+
+    tasks[0].release();
+    await flushPromises();
+
+    expect(tasks[2].task).toHaveBeenCalled();
+
+    tasks[1].release();
+    tasks[2].release();
+    await expect(Promise.all(results)).resolves.toEqual([0, 1, 2]);
+    expect(queue.getStats()).toEqual(expect.objectContaining({ active: 0, queued: 0 }));
+  });
+
+  test('should take turns between guilds', async () => {
+    const queue = new BypassQueue({ maxConcurrent: 1 });
+    const blocker = createDeferredTask();
+    const order = [];
+
+    queue.run(blocker.task, 'busy');
+    const runs = [
+      queue.run(async () => order.push('busy-1'), 'busy'),
+      queue.run(async () => order.push('busy-2'), 'busy'),
+      queue.run(async () => order.push('busy-3'), 'busy'),
+      queue.run(async () => order.push('quiet-1'), 'quiet'),
+      queue.run(async () => order.push('direct-1'))
+    ];
+
+    blocker.release();
+    await Promise.all(runs);
+
+    expect(order).toEqual(['busy-1', 'quiet-1', 'direct-1', 'busy-2', 'busy-3']);
+  });
+
+  test('should pass task failures to the caller and keep draining', async () => {
+    const queue = new BypassQueue({ maxConcurrent: 1 });
+
+    const failed = queue.run(async () => { throw new Error('boom'); }, 'guild1');
+    const next = queue.run(async () => 'ok', 'guild1');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ok');
+  });
+
+  test('should apply a new concurrency limit to queued tasks', async () => {
+    const queue = new BypassQueue({ maxConcurrent: 1 });
+    const tasks = [createDeferredTask(), createDeferredTask()];
+
+    tasks.forEach(deferred => queue.run(deferred.task, 'guild1'));
+    await flushPromises();
+    expect(tasks[1].task).not.toHaveBeenCalled();
+
+    queue.configure({ maxConcurrent: 2 });
+    await flushPromises();
+
+    expect(tasks[1].task).toHaveBeenCalled();
+    tasks.forEach(deferred => deferred.release());
+  });
+
+  describe('method slots', () => {
+    test('should cap concurrent attempts per method', async () => {
+      const queue = new BypassQueue();
+      const tasks = [createDeferredTask(), createDeferredTask(), createDeferredTask()];
+
+      const runs = tasks.map(deferred => queue.runWithMethodSlot('browser_extraction', 2, deferred.task));
+      await flushPromises();
+
+      expect(tasks[2].task).not.toHaveBeenCalled();
+      expect(queue.getStats().methods).toEqual({ browser_extraction: { active: 2, waiting: 1 } });
+
+      tasks[0].release();
+      await flushPromises();
+
+      expect(tasks[2].task).toHaveBeenCalled();
+
+      tasks[1].release();
+      tasks[2].release();
+      await Promise.all(runs);
+      expect(queue.getStats().methods).toEqual({ browser_extraction: { active: 0, waiting: 0 } });
+    });
+
+    test('should free the slot when an attempt throws', async () => {
+      const queue = new BypassQueue();
+
+      await expect(queue.runWithMethodSlot('browser_extraction', 1, async () => { throw new Error('crashed'); }))
+        .rejects.toThrow('crashed');
+      await expect(queue.runWithMethodSlot('browser_extraction', 1, async () => 'ok')).resolves.toBe('ok');
+    });
+
+    test('should not track methods without a cap', async () => {
+      const queue = new BypassQueue();
+
+      await expect(queue.runWithMethodSlot('archive_today', undefined, async () => 'ok')).resolves.toBe('ok');
+      expect(queue.getStats().methods).toEqual({});
+    });
+  });
+});
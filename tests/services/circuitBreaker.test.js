@@ -0,0 +1,215 @@
+const CircuitBreaker = require('../../src/services/circuitBreaker');
+const BypassMethod = require('../../src/services/bypassMethods/bypassMethod');
+const BypassMethodRegistry = require('../../src/services/bypassMethodRegistry');
+const { ERROR_TYPES } = require('../../src/utils/errorClassifier');
+
+jest.mock('../../src/utils/logger');
+
+const { STATES } = CircuitBreaker;
+
+class StubMethod extends BypassMethod {
+  constructor(name) {
+    super(name);
+    this.attempt = jest.fn();
+    this.healthCheck = jest.fn().mockResolvedValue({ healthy: true });
+  }
+}
+
+describe('CircuitBreaker', () => {
+  let breaker;
+
+  beforeEach(() => {
+    breaker = new CircuitBreaker('12ft_io', { failureThreshold: 3, recoveryThreshold: 2, cooldownMs: 60000 });
+  });
+
+  test('should open after consecutive service failures', () => {
+    breaker.recordFailure(ERROR_TYPES.TIMEOUT);
+    breaker.recordFailure(ERROR_TYPES.SERVER_ERROR);
+    expect(breaker.state).toBe(STATES.CLOSED);
+
+    breaker.recordFailure(ERROR_TYPES.NETWORK);
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.allowsRequest()).toBe(false);
+  });
+
+  test('should open straight away when rate limited', () => {
+    breaker.recordFailure(ERROR_TYPES.RATE_LIMITED);
+
+    expect(breaker.getState()).toEqual(expect.objectContaining({
+      state: STATES.OPEN,
+      lastFailureType: ERROR_TYPES.RATE_LIMITED,
+      timesOpened: 1
+    }));
+  });
+
+  test('should ignore failures specific to a URL', () => {
+    breaker.recordFailure(ERROR_TYPES.TIMEOUT);
+    breaker.recordFailure(ERROR_TYPES.TIMEOUT);
+    breaker.recordFailure(ERROR_TYPES.NOT_FOUND);
+    breaker.recordFailure(ERROR_TYPES.BLOCKED);
+
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.consecutiveFailures).toBe(2);
+  });
+
+  test('should let probes through after the cooldown and close after enough successes', () => {
+    const now = Date.now();
+    breaker.recordFailure(ERROR_TYPES.RATE_LIMITED, now);
+
+    expect(breaker.allowsRequest(now + 59999)).toBe(false);
+    expect(breaker.allowsRequest(now + 60000)).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(STATES.CLOSED);
+  });
+
+  test('should reopen when a probe fails', () => {
+    const now = Date.now();
+    breaker.recordFailure(ERROR_TYPES.RATE_LIMITED, now);
+    breaker.allowsRequest(now + 60000);
+
+    breaker.recordFailure(ERROR_TYPES.TIMEOUT, now + 60000);
+
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.allowsRequest(now + 60001)).toBe(false);
+    expect(breaker.timesOpened).toBe(2);
+  });
+
+  test('should let only one probe through at a time while half-open', () => {
+    const now = Date.now();
+    breaker.recordFailure(ERROR_TYPES.RATE_LIMITED, now);
+
+    expect(breaker.startRequest(now + 60000)).toBe(true);
+    expect(breaker.startRequest(now + 60000)).toBe(false);
+    expect(breaker.allowsRequest(now + 60000)).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.startRequest(now + 60000)).toBe(true);
+  });
+
+  test('should free the probe slot when a probe fails for its URL', () => {
+    const now = Date.now();
+    breaker.recordFailure(ERROR_TYPES.RATE_LIMITED, now);
+    breaker.startRequest(now + 60000);
+
+    breaker.recordFailure(ERROR_TYPES.NOT_FOUND, now + 60000);
+
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.startRequest(now + 60000)).toBe(true);
+  });
+
+  test('should let the configured number of probes through', () => {
+    const now = Date.now();
+    breaker.configure({ halfOpenProbes: 2 });
+    breaker.recordFailure(ERROR_TYPES.RATE_LIMITED, now);
+
+    expect(breaker.startRequest(now + 60000)).toBe(true);
+    expect(breaker.startRequest(now + 60000)).toBe(true);
+    expect(breaker.startRequest(now + 60000)).toBe(false);
+  });
+
+  test('should take no probe slots while closed', () => {
+    expect(breaker.startRequest()).toBe(true);
+    expect(breaker.startRequest()).toBe(true);
+    expect(breaker.probesInFlight).toBe(0);
+  });
+
+  describe('with bypass methods', () => {
+    let registry;
+    let method;
+
+    beforeEach(() => {
+      registry = new BypassMethodRegistry();
+      method = new StubMethod('12ft_io');
+      registry.register(method);
+      registry.register(new StubMethod('archive_today'));
+      registry.configureCircuitBreakers({ unhealthyThreshold: 2, recoveryThreshold: 1, cooldown: 60000 });
+    });
+
+    test('should drop a method from the available methods while its breaker is open', () => {
+      method.recordOutcome({ success: false, error: '12ft.io error: timeout of 15000ms exceeded' });
+      expect(registry.getAvailableMethods().map(m => m.name)).toEqual(['12ft_io', 'archive_today']);
+
+      method.recordOutcome({ success: false, error: '12ft.io error: Request failed with status code 503' });
+
+      expect(registry.getAvailableMethods().map(m => m.name)).toEqual(['archive_today']);
+      expect(method.healthStatus).toEqual(expect.objectContaining({ healthy: false, consecutiveFailures: 2 }));
+      expect(registry.getMetrics().summary.openCircuits).toBe(1);
+    });
+
+    test('should not try a method whose half-open breaker is already probing', async () => {
+      let finishProbe;
+      method.attempt.mockImplementation(() => new Promise(resolve => { finishProbe = resolve; }));
+      method.circuitBreaker.recordFailure(ERROR_TYPES.RATE_LIMITED, Date.now() - 60000);
+
+      const probe = method.attemptWithRetries('https://example.com/a');
+      const refused = await method.attemptWithRetries('https://example.com/b');
+
+      expect(refused).toEqual(expect.objectContaining({ success: false, errorType: ERROR_TYPES.ABORTED }));
+      expect(method.attempt).toHaveBeenCalledTimes(1);
+      expect(registry.getAvailableMethods().map(m => m.name)).toEqual(['archive_today']);
+
+      finishProbe(method.createResult(true, 'https://12ft.io/https://example.com/a'));
+      await probe;
+
+      expect(method.circuitBreaker.state).toBe(STATES.CLOSED);
+    });
+
+    test('should free the probe slot when a probe throws', async () => {
+      method.attempt.mockRejectedValueOnce(new TypeError('Cannot read properties of undefined'));
+      method.circuitBreaker.recordFailure(ERROR_TYPES.RATE_LIMITED, Date.now() - 60000);
+
+      await expect(method.attemptWithRetries('https://example.com/a')).rejects.toThrow(TypeError);
+
+      expect(method.circuitBreaker.state).toBe(STATES.HALF_OPEN);
+      expect(method.isAvailable()).toBe(true);
+    });
+
+    test('should skip health checks while a half-open breaker is already probing', async () => {
+      let finishProbe;
+      method.attempt.mockImplementation(() => new Promise(resolve => { finishProbe = resolve; }));
+      method.circuitBreaker.recordFailure(ERROR_TYPES.RATE_LIMITED, Date.now() - 60000);
+      const probe = method.attemptWithRetries('https://example.com/a');
+
+      const { results } = await registry.performHealthChecks();
+
+      expect(results['12ft_io']).toEqual(expect.objectContaining({ healthy: false, skipped: true }));
+      expect(method.healthCheck).not.toHaveBeenCalled();
+      expect(method.circuitBreaker.probesInFlight).toBe(1);
+
+      finishProbe(method.createResult(true, 'https://12ft.io/https://example.com/a'));
+      await probe;
+    });
+
+    test('should count a health check as a half-open probe', async () => {
+      let finishCheck;
+      method.healthCheck.mockImplementation(() => new Promise(resolve => { finishCheck = resolve; }));
+      method.circuitBreaker.recordFailure(ERROR_TYPES.RATE_LIMITED, Date.now() - 60000);
+
+      const checks = registry.performHealthChecks();
+      const refused = await method.attemptWithRetries('https://example.com/a');
+
+      expect(refused.errorType).toBe(ERROR_TYPES.ABORTED);
+      expect(method.attempt).not.toHaveBeenCalled();
+
+      finishCheck({ healthy: true });
+      await checks;
+      expect(method.circuitBreaker.state).toBe(STATES.CLOSED);
+      expect(method.circuitBreaker.probesInFlight).toBe(0);
+    });
+
+    test('should feed health check results into the breaker', async () => {
+      method.healthCheck.mockResolvedValue({ healthy: false, message: '12ft.io response seems degraded' });
+
+      await registry.performHealthChecks();
+      await registry.performHealthChecks();
+
+      expect(method.circuitBreaker.state).toBe(STATES.OPEN);
+      expect(method.healthStatus.lastCheck).toBeInstanceOf(Date);
+    });
+  });
+});
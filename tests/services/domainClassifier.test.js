@@ -0,0 +1,89 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const DomainClassifier = require('../../src/services/domainClassifier');
+const { DomainRuleList } = require('../../src/utils/domainRules');
+
+const layer = (paywalled = [], whitelisted = []) => ({
+  paywalled: new DomainRuleList(paywalled),
+  whitelisted: new DomainRuleList(whitelisted)
+});
+
+describe('DomainClassifier', () => {
+  let classifier;
+
+  beforeEach(() => {
+    classifier = new DomainClassifier({
+      feedback: layer([], ['example.org']),
+      curated: layer(['nytimes.com', 'reuters.com', 'example.org'], ['reuters.com', 'cooking.nytimes.com']),
+      heuristic: layer(['newsite.com', 'example.org'])
+    });
+  });
+
+  test('should let the first source with a matching rule decide', () => {
+    expect(classifier.classify('https://example.org/story')).toEqual({
+      paywalled: false,
+      source: 'feedback',
+      rule: 'example.org',
+      reason: '"example.org" is on the user feedback whitelist, which outranks ' +
+        'the curated paywall rule "example.org", the heuristic paywall rule "example.org"',
+      matches: [
+        { source: 'feedback', rule: 'example.org', paywalled: false },
+        { source: 'curated', rule: 'example.org', paywalled: true },
+        { source: 'heuristic', rule: 'example.org', paywalled: true }
+      ]
+    });
+    expect(classifier.classify('https://newsite.com/a')).toMatchObject({ paywalled: true, source: 'heuristic' });
+  });
+
+  test('should put guild overrides above every other source', () => {
+    const overrides = { paywallDomains: ['example.org'], whitelistedDomains: ['www.nytimes.com'] };
+
+    expect(classifier.classify('https://example.org/story', overrides)).toMatchObject({ paywalled: true, source: 'guild' });
+    expect(classifier.classify('https://nytimes.com/a', overrides)).toMatchObject({ paywalled: false, source: 'guild' });
+    expect(classifier.classify('https://nytimes.com/a', null)).toMatchObject({ paywalled: true, source: 'curated' });
+  });
+
+  test('should prefer the more specific rule within a source, and the whitelist on a tie', () => {
+    expect(classifier.classify('https://cooking.nytimes.com/recipes/1')).toMatchObject({
+      paywalled: false,
+      rule: 'cooking.nytimes.com'
+    });
+    expect(classifier.classify('https://www.reuters.com/world')).toMatchObject({
+      paywalled: false,
+      source: 'curated',
+      rule: 'reuters.com'
+    });
+  });
+
+  test('should leave URLs without a matching rule to the heuristic', () => {
+    expect(classifier.classify('https://unknown-site.com/a')).toEqual({
+      paywalled: null,
+      source: null,
+      rule: null,
+      reason: 'No domain rule matches',
+      matches: []
+    });
+  });
+
+  test('should report rules on both a paywall list and a whitelist', () => {
+    expect(classifier.findConflicts()).toEqual([
+      {
+        rule: 'example.org',
+        paywalledIn: ['curated', 'heuristic'],
+        whitelistedIn: ['feedback'],
+        winner: { source: 'feedback', rule: 'example.org', paywalled: false }
+      },
+      {
+        rule: 'reuters.com',
+        paywalledIn: ['curated'],
+        whitelistedIn: ['curated'],
+        winner: { source: 'curated', rule: 'reuters.com', paywalled: false }
+      }
+    ]);
+  });
+});
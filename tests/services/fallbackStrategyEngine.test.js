@@ -0,0 +1,183 @@
+const FallbackStrategyEngine = require('../../src/services/fallbackStrategyEngine');
+
+jest.mock('../../src/utils/logger');
+
+const createMethod = (name, priority, { available = true, enabled = true } = {}) => ({
+  name,
+  config: { priority, enabled },
+  isAvailable: jest.fn(() => available && enabled)
+});
+
+describe('FallbackStrategyEngine', () => {
+  let archiveToday;
+  let twelveFt;
+  let wayback;
+  let domainStrategies;
+  let learnedOrder;
+  let averageResponseTimes;
+  let engine;
+
+  beforeEach(() => {
+    archiveToday = createMethod('archive_today', 9);
+    twelveFt = createMethod('12ft_io', 8);
+    wayback = createMethod('wayback_machine', 6);
+    domainStrategies = new Map();
+    learnedOrder = [wayback, archiveToday, twelveFt];
+    averageResponseTimes = {};
+
+    engine = new FallbackStrategyEngine({
+      registry: { getAllMethods: () => [archiveToday, twelveFt, wayback] },
+      metrics: { getAverageSuccessResponseTime: (domain, method) => averageResponseTimes[method] ?? null },
+      getMethodsForDomain: () => learnedOrder,
+      getDomainStrategy: domain => domainStrategies.get(domain)
+    });
+  });
+
+  describe('resolveStrategy', () => {
+    test('should fall back to learned sequential ordering without config', () => {
+      const strategy = engine.resolveStrategy('nytimes.com');
+
+      expect(strategy.strategy).toBe('domain_optimized');
+      expect(strategy.parallel).toBe(false);
+      expect(strategy.maxAttempts).toBe(Infinity);
+    });
+
+    test('should match domain groups including subdomains', () => {
+      engine.configure({
+        default: { strategy: 'priority_order', maxAttempts: 4 },
+        social_media: { strategy: 'fast_first', domains: ['www.Medium.com'], parallelAttempts: true }
+      });
+
+      expect(engine.resolveStrategy('medium.com').name).toBe('social_media');
+      expect(engine.resolveStrategy('blog.medium.com').name).toBe('social_media');
+      expect(engine.resolveStrategy('notmedium.com').name).toBe('default');
+      expect(engine.resolveStrategy('medium.com').parallel).toBe(true);
+    });
+
+    test('should treat the parallel strategy type as racing', () => {
+      engine.configure({ default: { strategy: 'parallel' } });
+
+      expect(engine.resolveStrategy('example.com').parallel).toBe(true);
+    });
+  });
+
+  describe('planAttempts', () => {
+    test('should order by priority and cap attempts for priority_order', () => {
+      engine.configure({ default: { strategy: 'priority_order', maxAttempts: 2 } });
+
+      const { methods } = engine.planAttempts('example.com');
+
+      expect(methods.map(m => m.name)).toEqual(['archive_today', '12ft_io']);
+    });
+
+    test('should use the learned domain ordering for domain_optimized', () => {
+      engine.configure({ default: { strategy: 'domain_optimized' } });
+
+      const { methods } = engine.planAttempts('example.com');
+
+      expect(methods.map(m => m.name)).toEqual(['wayback_machine', 'archive_today', '12ft_io']);
+    });
+
+    test('should try the fastest historical method first for fast_first', () => {
+      engine.configure({ default: { strategy: 'fast_first' } });
+      averageResponseTimes = { wayback_machine: 4000, '12ft_io': 900 };
+
+      const { methods } = engine.planAttempts('example.com');
+
+      expect(methods.map(m => m.name)).toEqual(['12ft_io', 'wayback_machine', 'archive_today']);
+    });
+
+    test('should exclude methods blacklisted for the domain', () => {
+      engine.configure({ default: { strategy: 'priority_order' } });
+      domainStrategies.set('nytimes.com', { preferredMethods: [], blacklistedMethods: ['archive_today'] });
+
+      const { methods } = engine.planAttempts('nytimes.com');
+
+      expect(methods.map(m => m.name)).toEqual(['12ft_io', 'wayback_machine']);
+    });
+
+    test('should include unhealthy methods only when allowed', () => {
+      wayback.isAvailable.mockReturnValue(false);
+
+      engine.configure({ default: { strategy: 'priority_order', skipUnhealthyMethods: true } });
+      expect(engine.planAttempts('example.com').methods).not.toContain(wayback);
+
+      engine.configure({ default: { strategy: 'priority_order', skipUnhealthyMethods: false } });
+      expect(engine.planAttempts('example.com').methods).toContain(wayback);
+    });
+
+    test('should never include disabled methods', () => {
+      const disabled = createMethod('google_cache', 10, { enabled: false });
+      engine.context.registry.getAllMethods = () => [disabled, archiveToday];
+      engine.configure({ default: { strategy: 'priority_order', skipUnhealthyMethods: false } });
+
+      expect(engine.planAttempts('example.com').methods).toEqual([archiveToday]);
+    });
+
+    test('should plan only archive methods when requested', () => {
+      archiveToday.isArchiveMethod = () => true;
+      twelveFt.isArchiveMethod = () => false;
+      wayback.isArchiveMethod = () => true;
+      engine.configure({ default: { strategy: 'priority_order' } });
+
+      const { methods } = engine.planAttempts('example.com', { archiveOnly: true });
+
+      expect(methods.map(m => m.name)).toEqual(['archive_today', 'wayback_machine']);
+    });
+
+    test('should honor links-only and enabled method constraints', () => {
+      archiveToday.producesLinks = () => true;
+      twelveFt.producesLinks = () => true;
+      wayback.producesLinks = () => false;
+      engine.configure({ default: { strategy: 'priority_order' } });
+
+      expect(engine.planAttempts('example.com', { linksOnly: true }).methods)
+        .toEqual([archiveToday, twelveFt]);
+      expect(engine.planAttempts('example.com', { enabledMethods: ['12ft_io'] }).methods)
+        .toEqual([twelveFt]);
+    });
+
+    test('should drop requested methods that are not enabled', () => {
+      engine.context.registry.getMethod = name => [archiveToday, twelveFt, wayback].find(m => m.name === name);
+
+      const { methods } = engine.planAttempts('example.com', {
+        methods: ['wayback_machine'],
+        enabledMethods: ['archive_today']
+      });
+
+      expect(methods).toEqual([]);
+    });
+
+    test('should drop requested methods the archive-only and links-only constraints exclude', () => {
+      archiveToday.isArchiveMethod = () => true;
+      archiveToday.producesLinks = () => true;
+      twelveFt.isArchiveMethod = () => false;
+      twelveFt.producesLinks = () => true;
+      wayback.isArchiveMethod = () => true;
+      wayback.producesLinks = () => false;
+      engine.context.registry.getMethod = name => [archiveToday, twelveFt, wayback].find(m => m.name === name);
+      const methods = ['12ft_io', 'wayback_machine', 'archive_today'];
+
+      expect(engine.planAttempts('example.com', { methods, archiveOnly: true }).methods).toEqual([wayback, archiveToday]);
+      expect(engine.planAttempts('example.com', { methods, linksOnly: true }).methods).toEqual([twelveFt, archiveToday]);
+    });
+
+    test('should plan explicitly requested methods even if blacklisted', () => {
+      engine.context.registry.getMethod = name => [archiveToday, twelveFt, wayback].find(m => m.name === name);
+      domainStrategies.set('nytimes.com', { preferredMethods: [], blacklistedMethods: ['wayback_machine'] });
+
+      const { strategy, methods } = engine.planAttempts('nytimes.com', { methods: ['wayback_machine', 'unknown'] });
+
+      expect(strategy.name).toBe('requested');
+      expect(strategy.parallel).toBe(false);
+      expect(methods).toEqual([wayback]);
+    });
+
+    test('should support custom registered strategies', () => {
+      engine.registerStrategy('priority_order', candidates => [...candidates].reverse());
+      engine.configure({ default: { strategy: 'priority_order' } });
+
+      expect(engine.planAttempts('example.com').methods[0]).toBe(wayback);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const FeedbackStore = require('../../src/services/feedbackStore');
+const { readJsonFile, writeJsonFileAtomic } = require('../../src/utils/jsonStore');
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/utils/jsonStore');
+
+const DAY = 24 * 3600000;
+
+const record = {
+  originalUrl: 'https://nytimes.com/article',
+  method: 'archive_today',
+  guildId: 'guild-1',
+  channelId: 'channel-1',
+  messageId: 'message-1'
+};
+
+describe('FeedbackStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = new FeedbackStore({ filePath: null, ttlMs: 30 * DAY, maxEntries: 2 });
+  });
+
+  describe('records', () => {
+    test('should keep a record under a short ID until it expires', () => {
+      const now = Date.now();
+      const feedbackId = store.create(record, now);
+
+      expect(`bypass_failed_${feedbackId}`.length).toBeLessThanOrEqual(100);
+      expect(store.get(feedbackId, now + 29 * DAY)).toEqual({ ...record, createdAt: now, expiresAt: now + 30 * DAY });
+      expect(store.get(feedbackId, now + 31 * DAY)).toBeNull();
+      expect(store.size).toBe(0);
+    });
+
+    test('should drop the oldest records when full', () => {
+      const first = store.create(record);
+      const second = store.create({ ...record, method: '12ft_io' });
+      const third = store.create({ ...record, method: 'outline_com' });
+
+      expect(store.has(first)).toBe(false);
+      expect([store.get(second).method, store.get(third).method]).toEqual(['12ft_io', 'outline_com']);
+    });
+
+    test('should delete a record once feedback is given', () => {
+      const feedbackId = store.create(record);
+
+      expect(store.delete(feedbackId)).toBe(true);
+      expect(store.get(feedbackId)).toBeNull();
+      expect(store.delete(feedbackId)).toBe(false);
+    });
+  });
+
+  describe('persistence', () => {
+    test('should not touch the disk without a file path', async () => {
+      store.create(record);
+
+      await store.load();
+      await store.save();
+
+      expect(readJsonFile).not.toHaveBeenCalled();
+      expect(writeJsonFileAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should restore unexpired records after a restart', async () => {
+      const persisted = new FeedbackStore({ filePath: '/tmp/feedback.json' });
+      const feedbackId = persisted.create(record);
+
+      await persisted.save();
+
+      const [filePath, data] = writeJsonFileAtomic.mock.calls[0];
+      expect(filePath).toBe('/tmp/feedback.json');
+
+      readJsonFile.mockResolvedValue({
+        ...JSON.parse(JSON.stringify(data)),
+        records: [['expired', { ...record, createdAt: 0, expiresAt: 1 }], ...data.records]
+      });
+      const restarted = new FeedbackStore({ filePath: '/tmp/feedback.json' });
+      await restarted.load();
+
+      expect(restarted.size).toBe(1);
+      expect(restarted.get(feedbackId)).toMatchObject(record);
+    });
+
+    test('should start empty when the file is unreadable', async () => {
+      readJsonFile.mockRejectedValue(new Error('Unexpected token'));
+      const persisted = new FeedbackStore({ filePath: '/tmp/feedback.json' });
+
+      await expect(persisted.load()).resolves.toBeUndefined();
+      expect(persisted.size).toBe(0);
+    });
+
+    test('should only flush when records changed', async () => {
+      const persisted = new FeedbackStore({ filePath: '/tmp/feedback.json' });
+
+      await persisted.flush();
+      expect(writeJsonFileAtomic).not.toHaveBeenCalled();
+
+      const feedbackId = persisted.create(record);
+      await persisted.flush();
+      await persisted.flush();
+      expect(writeJsonFileAtomic).toHaveBeenCalledTimes(1);
+
+      persisted.delete(feedbackId);
+      await persisted.flush();
+      expect(writeJsonFileAtomic).toHaveBeenCalledTimes(2);
+    });
+  });
+});
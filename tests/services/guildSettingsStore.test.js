@@ -0,0 +1,204 @@
+const GuildSettingsStore = require('../../src/services/guildSettingsStore');
+const { readJsonFile, writeJsonFileAtomic } = require('../../src/utils/jsonStore');
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/utils/jsonStore');
+
+describe('GuildSettingsStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new GuildSettingsStore({ filePath: '/tmp/guild-settings.json' });
+    writeJsonFileAtomic.mockResolvedValue();
+  });
+
+  test('should return defaults for unknown guilds and DMs', () => {
+    expect(store.get('guild123')).toEqual({
+      enabledMethods: null,
+      responseStyle: 'auto',
+      responseFormat: 'embed',
+      paywallThreshold: null,
+      allowedChannels: [],
+      deniedChannels: [],
+      optOutRoles: [],
+      optedOutUsers: [],
+      paywallDomains: [],
+      whitelistedDomains: []
+    });
+    expect(store.get(null).responseStyle).toBe('auto');
+  });
+
+  test('should load persisted settings', async () => {
+    readJsonFile.mockResolvedValue({
+      guilds: { guild123: { responseStyle: 'archive' } }
+    });
+
+    await store.load();
+
+    expect(store.get('guild123').responseStyle).toBe('archive');
+    expect(store.get('guild123').enabledMethods).toBeNull();
+  });
+
+  test('should keep running when the settings file is unreadable', async () => {
+    readJsonFile.mockRejectedValue(new Error('Unexpected token'));
+
+    await expect(store.load()).resolves.toBeUndefined();
+    expect(store.get('guild123').responseStyle).toBe('auto');
+  });
+
+  test('should persist updates', async () => {
+    const settings = await store.update('guild123', { paywallThreshold: 12, enabledMethods: ['archive_today'] });
+
+    expect(settings.paywallThreshold).toBe(12);
+    expect(writeJsonFileAtomic).toHaveBeenCalledWith('/tmp/guild-settings.json', {
+      version: 1,
+      guilds: { guild123: { paywallThreshold: 12, enabledMethods: ['archive_today'] } }
+    });
+  });
+
+  test('should reject invalid settings without saving', async () => {
+    await expect(store.update('guild123', {
+      responseStyle: 'fancy',
+      responseFormat: 'html',
+      paywallThreshold: 0,
+      colour: 'blue'
+    })).rejects.toThrow(/Unknown setting "colour"[\s\S]*responseStyle must be one of[\s\S]*responseFormat must be one of[\s\S]*paywallThreshold/);
+
+    expect(writeJsonFileAtomic).not.toHaveBeenCalled();
+  });
+
+  test('should not expose stored arrays to callers', async () => {
+    await store.update('guild123', { allowedChannels: ['channel123'] });
+
+    store.get('guild123').allowedChannels.push('channel456');
+
+    expect(store.get('guild123').allowedChannels).toEqual(['channel123']);
+  });
+
+  test('should reset a guild to defaults', async () => {
+    await store.update('guild123', { responseStyle: 'links' });
+
+    await store.reset('guild123');
+
+    expect(store.get('guild123').responseStyle).toBe('auto');
+    expect(writeJsonFileAtomic).toHaveBeenLastCalledWith('/tmp/guild-settings.json', { version: 1, guilds: {} });
+  });
+
+  test('should keep the previous settings when saving fails', async () => {
+    await store.update('guild123', { responseStyle: 'links' });
+    writeJsonFileAtomic.mockRejectedValueOnce(new Error('EACCES'));
+
+    await expect(store.update('guild123', { responseStyle: 'archive' })).rejects.toThrow('EACCES');
+
+    expect(store.get('guild123').responseStyle).toBe('links');
+  });
+
+  test('should keep a guild when saving its reset fails', async () => {
+    await store.update('guild123', { responseStyle: 'links' });
+    writeJsonFileAtomic.mockRejectedValueOnce(new Error('EACCES'));
+
+    await expect(store.reset('guild123')).rejects.toThrow('EACCES');
+
+    expect(store.get('guild123').responseStyle).toBe('links');
+  });
+
+  test('should write overlapping updates in order', async () => {
+    let finishFirstSave;
+    writeJsonFileAtomic.mockImplementationOnce(() => new Promise(resolve => {
+      finishFirstSave = resolve;
+    }));
+
+    const first = store.update('guild123', { responseStyle: 'links' });
+    const second = store.update('guild123', { responseFormat: 'text' });
+    await Promise.resolve();
+    expect(writeJsonFileAtomic).toHaveBeenCalledTimes(1);
+
+    finishFirstSave();
+    await Promise.all([first, second]);
+
+    expect(writeJsonFileAtomic).toHaveBeenCalledTimes(2);
+    expect(writeJsonFileAtomic).toHaveBeenLastCalledWith('/tmp/guild-settings.json', {
+      version: 1,
+      guilds: { guild123: { responseStyle: 'links', responseFormat: 'text' } }
+    });
+  });
+
+  test('should keep queueing updates after a failed save', async () => {
+    writeJsonFileAtomic.mockRejectedValueOnce(new Error('EACCES'));
+
+    const failed = store.update('guild123', { responseStyle: 'links' });
+    const next = store.update('guild123', { responseFormat: 'text' });
+
+    await expect(failed).rejects.toThrow('EACCES');
+    await expect(next).resolves.toMatchObject({ responseStyle: 'auto', responseFormat: 'text' });
+  });
+
+  describe('isChannelAllowed', () => {
+    test('should allow every channel by default', () => {
+      expect(store.isChannelAllowed('guild123', ['channel123'])).toBe(true);
+    });
+
+    test('should restrict to allowed channels when set', async () => {
+      await store.update('guild123', { allowedChannels: ['channel123'] });
+
+      expect(store.isChannelAllowed('guild123', ['channel123'])).toBe(true);
+      expect(store.isChannelAllowed('guild123', ['channel456'])).toBe(false);
+    });
+
+    test('should always exclude denied channels', async () => {
+      await store.update('guild123', { deniedChannels: ['channel123'] });
+
+      expect(store.isChannelAllowed('guild123', ['channel123'])).toBe(false);
+      expect(store.isChannelAllowed('guild123', ['channel456'])).toBe(true);
+    });
+
+    test('should match categories through the channel parent IDs', async () => {
+      await store.update('guild123', { allowedChannels: ['category123'], deniedChannels: ['category456'] });
+
+      expect(store.isChannelAllowed('guild123', ['channel123', 'category123'])).toBe(true);
+      expect(store.isChannelAllowed('guild123', ['thread123', 'channel123', 'category123'])).toBe(true);
+      expect(store.isChannelAllowed('guild123', ['channel456', 'category456'])).toBe(false);
+      expect(store.isChannelAllowed('guild123', ['channel789'])).toBe(false);
+    });
+  });
+
+  describe('opt-outs', () => {
+    test('should not opt anyone out by default', () => {
+      expect(store.isUserOptedOut('guild123', 'user123', ['role123'])).toBe(false);
+    });
+
+    test('should opt out members with an opt-out role', async () => {
+      await store.update('guild123', { optOutRoles: ['role123'] });
+
+      expect(store.isUserOptedOut('guild123', 'user123', ['role456', 'role123'])).toBe(true);
+      expect(store.isUserOptedOut('guild123', 'user456', ['role456'])).toBe(false);
+    });
+
+    test('should opt users out and back in', async () => {
+      await store.setUserOptOut('guild123', 'user123', true);
+      await store.setUserOptOut('guild123', 'user123', true);
+
+      expect(store.get('guild123').optedOutUsers).toEqual(['user123']);
+      expect(store.isUserOptedOut('guild123', 'user123')).toBe(true);
+      expect(store.isUserOptedOut('guild456', 'user123')).toBe(false);
+
+      await store.setUserOptOut('guild123', 'user123', false);
+
+      expect(store.isUserOptedOut('guild123', 'user123')).toBe(false);
+    });
+
+    test('should keep concurrent opt-outs', async () => {
+      await Promise.all([
+        store.setUserOptOut('guild123', 'user123', true),
+        store.setUserOptOut('guild123', 'user456', true)
+      ]);
+
+      expect(store.get('guild123').optedOutUsers).toEqual(['user123', 'user456']);
+    });
+
+    test('should reject invalid role lists', async () => {
+      await expect(store.update('guild123', { optOutRoles: 'role123' }))
+        .rejects.toThrow('optOutRoles must be a list of IDs');
+    });
+  });
+});
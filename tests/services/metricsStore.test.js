@@ -0,0 +1,81 @@
+const path = require('path');
+const MetricsStore = require('../../src/services/metricsStore');
+const { readJsonFile, writeJsonFileAtomic } = require('../../src/utils/jsonStore');
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/utils/jsonStore');
+
+describe('MetricsStore', () => {
+  let mockMetrics;
+  let store;
+
+  beforeEach(() => {
+    mockMetrics = {
+      importMetrics: jest.fn(),
+      exportMetrics: jest.fn(() => ({ domainMetrics: {}, globalMetrics: {}, rollups: [] })),
+      pruneExpired: jest.fn()
+    };
+    store = new MetricsStore(mockMetrics, { directory: '/tmp/metrics' });
+  });
+
+  afterEach(() => {
+    store.stop();
+  });
+
+  test('should restore and prune the last snapshot', async () => {
+    const snapshot = { version: 1, domainMetrics: {}, rollups: [] };
+    readJsonFile.mockResolvedValue(snapshot);
+
+    await store.load();
+
+    expect(readJsonFile).toHaveBeenCalledWith(path.join('/tmp/metrics', 'bypass-metrics.json'));
+    expect(mockMetrics.importMetrics).toHaveBeenCalledWith(snapshot);
+    expect(mockMetrics.pruneExpired).toHaveBeenCalled();
+  });
+
+  test('should start fresh when no snapshot exists', async () => {
+    readJsonFile.mockResolvedValue(null);
+
+    await store.load();
+
+    expect(mockMetrics.importMetrics).not.toHaveBeenCalled();
+  });
+
+  test('should not throw when the snapshot is corrupt', async () => {
+    readJsonFile.mockRejectedValue(new Error('Unexpected token'));
+
+    await expect(store.load()).resolves.toBeUndefined();
+  });
+
+  test('should prune before writing a snapshot', async () => {
+    writeJsonFileAtomic.mockResolvedValue();
+
+    await store.save();
+
+    expect(mockMetrics.pruneExpired).toHaveBeenCalled();
+    expect(writeJsonFileAtomic).toHaveBeenCalledWith(
+      store.filePath,
+      expect.objectContaining({ version: 1, rollups: [] })
+    );
+  });
+
+  test('should not throw when writing fails', async () => {
+    writeJsonFileAtomic.mockRejectedValue(new Error('ENOSPC'));
+
+    await expect(store.save()).resolves.toBeUndefined();
+  });
+
+  test('should snapshot periodically until stopped', async () => {
+    jest.useFakeTimers();
+    writeJsonFileAtomic.mockResolvedValue();
+    store.snapshotIntervalMs = 1000;
+
+    store.start();
+    jest.advanceTimersByTime(2500);
+    store.stop();
+    jest.advanceTimersByTime(2000);
+    jest.useRealTimers();
+
+    expect(mockMetrics.exportMetrics).toHaveBeenCalledTimes(2);
+  });
+});
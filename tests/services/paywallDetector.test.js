@@ -1,5 +1,6 @@
 const PaywallDetectorService = require('../../src/services/paywallDetector');
 const axios = require('axios');
+const logger = require('../../src/utils/logger');
 
 // Mock axios
 jest.mock('axios');
@@ -7,6 +8,7 @@ const mockedAxios = axios;
 
 // Mock config with new structure
 jest.mock('../../src/config', () => ({
+  fetch: { maxPageBytes: 5242880 },
   paywallDomains: [
     'nytimes.com',
     'wsj.com',
@@ -108,6 +110,11 @@ describe('PaywallDetectorService', () => {
       expect(detector.isWhitelistedDomain('https://www.github.com/user/repo')).toBe(true);
     });
 
+    test('should whitelist subdomains of whitelisted domains', () => {
+      expect(detector.isWhitelistedDomain('https://mobile.twitter.com/user/status/123')).toBe(true);
+      expect(detector.isWhitelistedDomain('https://gist.github.com/user/abc')).toBe(true);
+    });
+
     test('should return false for invalid URLs', () => {
       expect(detector.isWhitelistedDomain('not-a-url')).toBe(false);
       expect(detector.isWhitelistedDomain('')).toBe(false);
@@ -130,6 +137,16 @@ describe('PaywallDetectorService', () => {
       expect(detector.isKnownPaywallDomain('https://www.nytimes.com/article')).toBe(true);
     });
 
+    test('should match subdomains, wildcards and path rules', () => {
+      detector.addPaywallDomain('*.substack.com');
+      detector.addPaywallDomain('bloomberg.com/opinion');
+
+      expect(detector.isKnownPaywallDomain('https://cooking.nytimes.com/recipes/123')).toBe(true);
+      expect(detector.isKnownPaywallDomain('https://someone.substack.com/p/post')).toBe(true);
+      expect(detector.isKnownPaywallDomain('https://www.bloomberg.com/opinion/articles/1')).toBe(true);
+      expect(detector.isKnownPaywallDomain('https://www.bloomberg.com/news/articles/1')).toBe(false);
+    });
+
     test('should return false for invalid URLs', () => {
       expect(detector.isKnownPaywallDomain('not-a-url')).toBe(false);
       expect(detector.isKnownPaywallDomain('')).toBe(false);
@@ -168,6 +185,39 @@ describe('PaywallDetectorService', () => {
     });
   });
 
+  describe('analyzeContent', () => {
+    test('should trust structured signals over the heuristics', () => {
+      const content = `<html><head>
+        <script type="application/ld+json">{"@type": "NewsArticle", "isAccessibleForFree": false}</script>
+        </head><body>This article is always free to read.</body></html>`;
+
+      const result = detector.analyzeContent(content);
+
+      expect(result).toMatchObject({
+        stage: 'structured',
+        confidence: 'high',
+        reason: 'JSON-LD NewsArticle is marked isAccessibleForFree: false',
+        hasPaywall: true
+      });
+      expect(result).not.toHaveProperty('score');
+    });
+
+    test('should treat pages marked free as not paywalled whatever the threshold', () => {
+      const content = '<html><head><meta property="article:content_tier" content="free"></head><body>Subscribe to continue reading.</body></html>';
+
+      expect(detector.analyzeContent(content, 1)).toMatchObject({ stage: 'structured', hasPaywall: false });
+    });
+
+    test('should fall back to the heuristics for pages without signals', () => {
+      const content = '<html><body>This article has a paywall. Please subscribe to continue.</body></html>';
+
+      const result = detector.analyzeContent(content);
+
+      expect(result).toMatchObject({ stage: 'heuristic', structuredSignals: [], hasPaywall: true });
+      expect(result.reason).toBe(`Heuristic score ${result.score} is at or above threshold 8`);
+    });
+  });
+
   describe('calculatePaywallScore', () => {
     test('should detect strong paywall indicators', () => {
       const content = '<html><body>This article has a paywall. Please subscribe to continue.</body></html>';
@@ -212,6 +262,41 @@ describe('PaywallDetectorService', () => {
       expect(result.foundIndicators.some(i => i.type === 'negative')).toBe(true);
       expect(result.score).toBeLessThan(8);
     });
+
+    test('should ignore indicators in scripts, styles and hidden elements', () => {
+      const content = `<html><head><style>.premium-badge { display: block }</style></head><body>
+        <script>var config = { paywall: true, cta: "Subscribe to continue" };</script>
+        <div style="display:none">This article is behind a paywall</div>
+        <p>${'An ordinary article. '.repeat(30)}</p>
+      </body></html>`;
+
+      const result = detector.calculatePaywallScore(content);
+
+      expect(result.foundIndicators).toEqual([]);
+      expect(result.score).toBe(0);
+      expect(result.hasPaywall).toBe(false);
+    });
+
+    test('should only apply navigation indicators to the page chrome', () => {
+      const article = `<p>${'An ordinary article. '.repeat(30)}</p>`;
+      const inNavigation = detector.calculatePaywallScore(`<body><nav><a>Subscribe</a></nav><article>${article}</article></body>`);
+      const inArticle = detector.calculatePaywallScore(`<body><nav><a>World</a></nav><article>${article}<p>Subscribe</p></article></body>`);
+
+      expect(inNavigation.foundIndicators).toEqual([{ type: 'context', context: 'navigation', text: 'subscribe', weight: 6 }]);
+      expect(inNavigation.score).toBe(6);
+      expect(inArticle.foundIndicators).toEqual([{ type: 'medium', context: 'page', text: 'subscribe', weight: 4 }]);
+    });
+
+    test('should only apply content indicators to the article body, counting repeated phrases once', () => {
+      const inArticle = detector.calculatePaywallScore('<body><article><p>The full story, in brief.</p><p>Continue reading</p></article></body>');
+      const inFooter = detector.calculatePaywallScore('<body><article><p>Short.</p></article><footer>Read the full story</footer></body>');
+
+      expect(inArticle.foundIndicators.filter(i => i.text === 'continue reading')).toEqual([
+        { type: 'strong', context: 'page', text: 'continue reading', weight: 8 }
+      ]);
+      expect(inArticle.foundIndicators).toContainEqual({ type: 'context', context: 'content', text: 'full story', weight: 3 });
+      expect(inFooter.foundIndicators.some(i => i.text === 'full story')).toBe(false);
+    });
   });
 
   describe('detectPaywallHeuristic', () => {
@@ -224,12 +309,32 @@ describe('PaywallDetectorService', () => {
       const result = await detector.detectPaywallHeuristic('https://example.com/article');
       
       expect(result).toBe(true);
-      expect(mockedAxios.get).toHaveBeenCalledWith('https://example.com/article', {
+      expect(mockedAxios.get).toHaveBeenCalledWith('https://example.com/article', expect.objectContaining({
         timeout: 5000,
         headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-      });
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          Range: 'bytes=0-5242880'
+        },
+        httpsAgent: expect.anything(),
+        proxy: false
+      }));
+    });
+
+    test('should report pages that are too large or not HTML', async () => {
+      mockedAxios.get.mockResolvedValue({ status: 200, headers: { 'content-type': 'application/pdf' }, data: '%PDF-1.7' });
+
+      await expect(detector.detectPaywallHeuristic('https://example.com/report.pdf')).rejects.toThrow('Not an HTML page (application/pdf)');
+
+      mockedAxios.get.mockResolvedValue({ status: 200, headers: { 'content-length': '8000000' }, data: '' });
+
+      await expect(detector.isPaywalled('https://example.com/huge')).rejects.toMatchObject({ code: 'ERR_RESPONSE_TOO_LARGE' });
+    });
+
+    test('should not fetch private or internal addresses', async () => {
+      const result = await detector.detectPaywallHeuristic('http://169.254.169.254/latest/meta-data/');
+
+      expect(result).toBe(false);
+      expect(mockedAxios.get).not.toHaveBeenCalled();
     });
 
     test('should not detect paywall with only weak indicators', async () => {
@@ -304,6 +409,20 @@ describe('PaywallDetectorService', () => {
       expect(mockedAxios.get).toHaveBeenCalled();
     });
 
+    test('should apply a custom threshold without remembering the domain', async () => {
+      const mockResponse = {
+        data: '<html><body>You have reached your article limit. Subscribe to continue reading.</body></html>'
+      };
+      mockedAxios.get.mockResolvedValue(mockResponse);
+
+      const result = await detector.isPaywalled('https://unknown-site.com/article', { threshold: 1000 });
+
+      expect(result).toBe(false);
+
+      await detector.isPaywalled('https://unknown-site.com/article', { threshold: 1 });
+      expect(detector.isKnownPaywallDomain('https://unknown-site.com/article')).toBe(false);
+    });
+
     test('should prioritize whitelist over known paywall domains', async () => {
       // Add a whitelisted domain to known paywall domains
       detector.addPaywallDomain('github.com');
@@ -313,6 +432,52 @@ describe('PaywallDetectorService', () => {
       expect(result).toBe(false);
       expect(mockedAxios.get).not.toHaveBeenCalled();
     });
+
+    test('should let guild overrides outrank user feedback and the curated lists', async () => {
+      detector.feedbackWhitelist.add('wsj.com');
+      const domainOverrides = { paywallDomains: ['github.com'], whitelistedDomains: ['nytimes.com'] };
+
+      expect(await detector.isPaywalled('https://wsj.com/articles/1')).toBe(false);
+      expect(await detector.isPaywalled('https://github.com/user/repo', { domainOverrides })).toBe(true);
+      expect(await detector.isPaywalled('https://nytimes.com/article', { domainOverrides })).toBe(false);
+      expect(mockedAxios.get).not.toHaveBeenCalled();
+    });
+
+    test('should keep learned domains below the whitelists', async () => {
+      mockedAxios.get.mockResolvedValue({
+        data: '<html><body>You have reached your article limit. Subscribe to continue reading.</body></html>'
+      });
+
+      await detector.isPaywalled('https://unknown-site.com/article');
+      detector.feedbackWhitelist.add('unknown-site.com');
+
+      expect(detector.classifyDomain('https://unknown-site.com/article')).toMatchObject({
+        paywalled: false,
+        source: 'feedback',
+        matches: [
+          { source: 'feedback', rule: 'unknown-site.com', paywalled: false },
+          { source: 'heuristic', rule: 'unknown-site.com', paywalled: true }
+        ]
+      });
+    });
+  });
+
+  describe('validateDomainRules', () => {
+    test('should report and log rules on a paywall list and a whitelist', () => {
+      const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      expect(detector.validateDomainRules()).toEqual([]);
+
+      detector.addPaywallDomain('github.com');
+      const conflicts = detector.validateDomainRules();
+
+      expect(conflicts).toEqual([expect.objectContaining({ rule: 'github.com', paywalledIn: ['curated'], whitelistedIn: ['curated'] })]);
+      expect(warn).toHaveBeenCalledWith('Domain rule is on a paywall list and a whitelist', expect.objectContaining({
+        rule: 'github.com',
+        winner: 'curated whitelist'
+      }));
+      warn.mockRestore();
+    });
   });
 
   describe('getDetailedAnalysis', () => {
@@ -334,6 +499,21 @@ describe('PaywallDetectorService', () => {
       expect(analysis).toHaveProperty('isMediaFile');
     });
 
+    test('should say which structured signal decided the result', async () => {
+      mockedAxios.get.mockResolvedValue({
+        data: '<html><head><meta property="article:content_tier" content="locked"></head><body>Article</body></html>'
+      });
+
+      const analysis = await detector.getDetailedAnalysis('https://example.com/article');
+
+      expect(analysis).toMatchObject({
+        domain: 'example.com',
+        stage: 'structured',
+        reason: 'Meta tag article:content_tier is "locked"',
+        hasPaywall: true
+      });
+    });
+
     test('should handle errors gracefully', async () => {
       mockedAxios.get.mockRejectedValue(new Error('Network error'));
 
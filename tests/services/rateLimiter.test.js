@@ -0,0 +1,78 @@
+const RateLimiter = require('../../src/services/rateLimiter');
+
+jest.mock('../../src/utils/logger');
+
+const MINUTE = 60000;
+
+describe('RateLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = new RateLimiter({
+      user: { burst: 2, refillPerMinute: 4 },
+      guild: { burst: 3, refillPerMinute: 3 }
+    });
+  });
+
+  test('should allow a burst and then throttle until tokens refill', () => {
+    const now = Date.now();
+    const key = [{ scope: 'user', id: 'user1' }];
+
+    expect(limiter.consume(key, 1, now).allowed).toBe(true);
+    expect(limiter.consume(key, 1, now).allowed).toBe(true);
+    expect(limiter.consume(key, 1, now)).toEqual({
+      allowed: false,
+      scope: 'user',
+      id: 'user1',
+      retryAfterMs: 15000
+    });
+
+    expect(limiter.consume(key, 1, now + 15000).allowed).toBe(true);
+    expect(limiter.consume(key, 1, now + 15000).allowed).toBe(false);
+  });
+
+  test('should not refill beyond the burst size', () => {
+    const now = Date.now();
+    const key = [{ scope: 'user', id: 'user1' }];
+
+    limiter.consume(key, 1, now);
+    expect(limiter.getBucket('user', 'user1', now + 10 * MINUTE).tokens).toBe(2);
+  });
+
+  test('should charge all buckets or none of them', () => {
+    const now = Date.now();
+    limiter.consume([{ scope: 'guild', id: 'guild1' }], 3, now);
+
+    const limit = limiter.consume([{ scope: 'user', id: 'user1' }, { scope: 'guild', id: 'guild1' }], 1, now);
+
+    expect(limit).toEqual(expect.objectContaining({ allowed: false, scope: 'guild', id: 'guild1' }));
+    expect(limiter.getBucket('user', 'user1', now).tokens).toBe(2);
+  });
+
+  test('should skip keys without an ID or a configured scope', () => {
+    expect(limiter.consume([{ scope: 'guild', id: undefined }, { scope: 'unknown', id: 'x' }], 10).allowed).toBe(true);
+    expect(limiter.getStats().buckets).toBe(0);
+  });
+
+  test('should keep current values for fields a new configuration leaves out', () => {
+    limiter.configure({ user: { burst: 5 }, url: { burst: undefined, refillPerMinute: undefined } });
+
+    expect(limiter.limits.user).toEqual({ burst: 5, refillPerMinute: 4 });
+    expect(limiter.limits.url).toEqual(RateLimiter.DEFAULT_LIMITS.url);
+  });
+
+  test('should count throttle events per scope and prune full buckets', () => {
+    const now = Date.now();
+    limiter.consume([{ scope: 'user', id: 'user1' }], 3, now);
+    limiter.consume([{ scope: 'guild', id: 'guild1' }], 4, now);
+    limiter.consume([{ scope: 'user', id: 'user2' }], 1, now);
+
+    expect(limiter.getStats()).toEqual(expect.objectContaining({
+      buckets: 3,
+      throttled: { user: 1, guild: 1 }
+    }));
+
+    limiter.prune(now + MINUTE);
+    expect(limiter.getStats().buckets).toBe(0);
+  });
+});
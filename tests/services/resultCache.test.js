@@ -0,0 +1,129 @@
+const ResultCache = require('../../src/services/resultCache');
+const { readJsonFile, writeJsonFileAtomic } = require('../../src/utils/jsonStore');
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/utils/jsonStore');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+const archiveResult = { method: 'archive_today', result: 'https://archive.today/abc123' };
+const browserResult = { method: 'browser_extraction', result: '**Title**\n\nText', extractedContent: '**Title**\n\nText' };
+
+describe('ResultCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache = new ResultCache({
+      maxEntries: 3,
+      defaultTtl: HOUR,
+      methodTtls: { archive_today: 3 * DAY, browser_extraction: 6 * HOUR }
+    });
+  });
+
+  describe('get and set', () => {
+    test('should return cached results until their method TTL expires', () => {
+      const now = Date.now();
+      cache.set('https://nytimes.com/a', archiveResult, now);
+      cache.set('https://nytimes.com/b', browserResult, now);
+      cache.set('https://nytimes.com/c', { method: '12ft_io', result: 'https://12ft.io/x' }, now);
+
+      expect(cache.get('https://nytimes.com/a', now + 2 * DAY).result).toEqual(archiveResult);
+      expect(cache.get('https://nytimes.com/b', now + 5 * HOUR).cachedAt).toBe(now);
+      expect(cache.get('https://nytimes.com/b', now + 7 * HOUR)).toBeNull();
+      expect(cache.get('https://nytimes.com/c', now + 2 * HOUR)).toBeNull();
+      expect(cache.entries.has('https://nytimes.com/c')).toBe(false);
+    });
+
+    test('should evict the least recently used entry when full', () => {
+      cache.set('https://nytimes.com/a', archiveResult);
+      cache.set('https://nytimes.com/b', archiveResult);
+      cache.set('https://nytimes.com/c', archiveResult);
+
+      cache.get('https://nytimes.com/a');
+      cache.set('https://nytimes.com/d', archiveResult);
+
+      expect([...cache.entries.keys()]).toEqual([
+        'https://nytimes.com/c',
+        'https://nytimes.com/a',
+        'https://nytimes.com/d'
+      ]);
+    });
+
+    test('should invalidate an entry', () => {
+      cache.set('https://nytimes.com/a', archiveResult);
+
+      expect(cache.invalidate('https://nytimes.com/a')).toBe(true);
+      expect(cache.invalidate('https://nytimes.com/a')).toBe(false);
+      expect(cache.get('https://nytimes.com/a')).toBeNull();
+    });
+
+    test('should invalidate every entry matching a predicate', () => {
+      cache.set('https://nytimes.com/a', archiveResult);
+      cache.set('https://wsj.com/a', archiveResult);
+
+      expect(cache.invalidateWhere(url => url.startsWith('https://nytimes.com/'))).toEqual(['https://nytimes.com/a']);
+      expect([...cache.entries.keys()]).toEqual(['https://wsj.com/a']);
+    });
+  });
+
+  describe('persistence', () => {
+    test('should not touch the disk without a file path', async () => {
+      cache.set('https://nytimes.com/a', archiveResult);
+
+      await cache.load();
+      await cache.save();
+
+      expect(readJsonFile).not.toHaveBeenCalled();
+      expect(writeJsonFileAtomic).not.toHaveBeenCalled();
+    });
+
+    test('should save and restore unexpired entries in recency order', async () => {
+      const persisted = new ResultCache({ filePath: '/tmp/result-cache.json', maxEntries: 2 });
+      const now = Date.now();
+      persisted.set('https://nytimes.com/a', archiveResult, now);
+      persisted.set('https://nytimes.com/b', browserResult, now);
+
+      await persisted.save();
+
+      const [filePath, data] = writeJsonFileAtomic.mock.calls[0];
+      expect(filePath).toBe('/tmp/result-cache.json');
+      expect(data.entries.map(([key]) => key)).toEqual(['https://nytimes.com/a', 'https://nytimes.com/b']);
+
+      readJsonFile.mockResolvedValue({
+        ...JSON.parse(JSON.stringify(data)),
+        entries: [
+          ['https://nytimes.com/old', { result: archiveResult, cachedAt: 0, expiresAt: 1 }],
+          ...data.entries,
+          ['https://nytimes.com/c', { result: archiveResult, cachedAt: now, expiresAt: now + HOUR }]
+        ]
+      });
+      const restored = new ResultCache({ filePath: '/tmp/result-cache.json', maxEntries: 2 });
+      await restored.load();
+
+      expect([...restored.entries.keys()]).toEqual(['https://nytimes.com/b', 'https://nytimes.com/c']);
+      expect(restored.get('https://nytimes.com/b').result).toEqual(browserResult);
+    });
+
+    test('should start empty when the file is unreadable', async () => {
+      readJsonFile.mockRejectedValue(new Error('Unexpected token'));
+      const persisted = new ResultCache({ filePath: '/tmp/result-cache.json' });
+
+      await expect(persisted.load()).resolves.toBeUndefined();
+      expect(persisted.getStats()).toEqual({ size: 0, maxEntries: 500, persisted: true });
+    });
+
+    test('should only flush when entries changed', async () => {
+      const persisted = new ResultCache({ filePath: '/tmp/result-cache.json' });
+
+      await persisted.flush();
+      expect(writeJsonFileAtomic).not.toHaveBeenCalled();
+
+      persisted.set('https://nytimes.com/a', archiveResult);
+      await persisted.flush();
+      await persisted.flush();
+      expect(writeJsonFileAtomic).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -1,13 +1,33 @@
 const SmartBypassService = require('../../src/services/smartBypassService');
 const BypassMethodRegistry = require('../../src/services/bypassMethodRegistry');
 const BypassMetrics = require('../../src/services/bypassMetrics');
+const MetricsStore = require('../../src/services/metricsStore');
 const PaywallDetectorService = require('../../src/services/paywallDetector');
+const BypassMethod = require('../../src/services/bypassMethods/bypassMethod');
+const { loadBypassMethodsConfig } = require('../../src/config/bypassMethodsConfig');
+const { readJsonFile, writeJsonFileAtomic } = require('../../src/utils/jsonStore');
 
 // Mock the dependencies
 jest.mock('../../src/services/bypassMethodRegistry');
 jest.mock('../../src/services/bypassMetrics');
+jest.mock('../../src/services/metricsStore');
 jest.mock('../../src/services/paywallDetector');
 jest.mock('../../src/utils/logger');
+jest.mock('../../src/utils/jsonStore');
+jest.mock('../../src/config/bypassMethodsConfig', () => ({
+  DEFAULT_CONFIG_PATH: 'bypass-methods.json',
+  loadBypassMethodsConfig: jest.fn()
+}));
+
+const emptyBypassConfig = () => ({
+  globalSettings: {},
+  methods: {},
+  domainOverrides: {},
+  fallbackStrategies: {},
+  healthCheck: { enabled: false },
+  metrics: { enabled: false },
+  cache: { enabled: false }
+});
 
 describe('SmartBypassService', () => {
   let smartBypassService;
@@ -27,6 +47,15 @@ describe('SmartBypassService', () => {
       config: { priority: 9, enabled: true },
       isAvailable: jest.fn(() => true),
       attempt: jest.fn(),
+      attemptWithRetries: BypassMethod.prototype.attemptWithRetries,
+      runTries: BypassMethod.prototype.runTries,
+      attemptWithTimeout: BypassMethod.prototype.attemptWithTimeout,
+      createAbortedResult: BypassMethod.prototype.createAbortedResult,
+      createResult: BypassMethod.prototype.createResult,
+      getRetryDelay: jest.fn(() => null),
+      getServiceHost: jest.fn(() => null),
+      circuitBreaker: { startRequest: jest.fn(() => true) },
+      recordOutcome: jest.fn(),
       healthCheck: jest.fn(() => ({ healthy: true })),
       cleanup: jest.fn()
     };
@@ -36,6 +65,15 @@ describe('SmartBypassService', () => {
       config: { priority: 8, enabled: true },
       isAvailable: jest.fn(() => true),
       attempt: jest.fn(),
+      attemptWithRetries: BypassMethod.prototype.attemptWithRetries,
+      runTries: BypassMethod.prototype.runTries,
+      attemptWithTimeout: BypassMethod.prototype.attemptWithTimeout,
+      createAbortedResult: BypassMethod.prototype.createAbortedResult,
+      createResult: BypassMethod.prototype.createResult,
+      getRetryDelay: jest.fn(() => null),
+      getServiceHost: jest.fn(() => null),
+      circuitBreaker: { startRequest: jest.fn(() => true) },
+      recordOutcome: jest.fn(),
       healthCheck: jest.fn(() => ({ healthy: true })),
       cleanup: jest.fn()
     };
@@ -43,6 +81,8 @@ describe('SmartBypassService', () => {
     // Mock registry
     mockRegistry = {
       autoRegisterMethods: jest.fn(),
+      updateMethodConfigs: jest.fn(),
+      configureCircuitBreakers: jest.fn(),
       startHealthChecks: jest.fn(),
       getAllMethods: jest.fn(() => [mockMethod1, mockMethod2]),
       getAvailableMethods: jest.fn(() => [mockMethod1, mockMethod2]),
@@ -67,6 +107,10 @@ describe('SmartBypassService', () => {
       recordAttempt: jest.fn(),
       getBestMethodsForDomain: jest.fn(() => []),
       getMethodsToBlacklist: jest.fn(() => []),
+      configure: jest.fn(),
+      recordCacheLookup: jest.fn(),
+      recordCacheInvalidation: jest.fn(),
+      recordRetry: jest.fn(),
       getGlobalMetrics: jest.fn(() => ({
         totalAttempts: 10,
         totalSuccesses: 8,
@@ -76,7 +120,8 @@ describe('SmartBypassService', () => {
 
     // Mock paywall detector
     mockPaywallDetector = {
-      isPaywalled: jest.fn(() => true)
+      isPaywalled: jest.fn(() => true),
+      classifyDomain: jest.fn(() => ({ paywalled: null }))
     };
 
     // Set up constructor mocks - ensure they are Jest mock functions
@@ -90,6 +135,10 @@ describe('SmartBypassService', () => {
       PaywallDetectorService.mockImplementation(() => mockPaywallDetector);
     }
 
+    loadBypassMethodsConfig.mockResolvedValue(emptyBypassConfig());
+    readJsonFile.mockResolvedValue({});
+    writeJsonFileAtomic.mockResolvedValue();
+
     smartBypassService = new SmartBypassService();
   });
 
@@ -118,6 +167,33 @@ describe('SmartBypassService', () => {
       expect(mockRegistry.autoRegisterMethods).toHaveBeenCalledTimes(1);
     });
 
+    test('should apply loaded method configs and seed domain strategies', async () => {
+      const bypassConfig = emptyBypassConfig();
+      bypassConfig.methods = { archive_today: { priority: 7, timeout: 5000 } };
+      bypassConfig.domainOverrides = {
+        'nytimes.com': { preferredMethods: ['12ft_io'], blacklistedMethods: ['wayback_machine'] }
+      };
+      loadBypassMethodsConfig.mockResolvedValue(bypassConfig);
+
+      await smartBypassService.initialize();
+
+      expect(loadBypassMethodsConfig).toHaveBeenCalledWith('bypass-methods.json', {
+        knownMethods: ['archive_today', '12ft_io']
+      });
+      expect(mockRegistry.updateMethodConfigs).toHaveBeenCalledWith(bypassConfig.methods);
+
+      const strategy = smartBypassService.domainStrategies.get('nytimes.com');
+      expect(strategy.preferredMethods).toEqual(['12ft_io']);
+      expect(strategy.blacklistedMethods).toEqual(['wayback_machine']);
+    });
+
+    test('should fail initialization when the config is invalid', async () => {
+      loadBypassMethodsConfig.mockRejectedValue(new Error('Invalid bypass methods configuration'));
+
+      await expect(smartBypassService.initialize()).rejects.toThrow('Invalid bypass methods configuration');
+      expect(smartBypassService.initialized).toBe(false);
+    });
+
     test('should handle initialization errors', async () => {
       mockRegistry.autoRegisterMethods.mockRejectedValue(new Error('Init failed'));
 
@@ -155,7 +231,7 @@ describe('SmartBypassService', () => {
       expect(result.success).toBe(true);
       expect(result.result).toBe('https://archive.today/abc123');
       expect(result.method).toBe('archive_today');
-      expect(mockMethod1.attempt).toHaveBeenCalledWith('https://nytimes.com/article', {});
+      expect(mockMethod1.attempt).toHaveBeenCalledWith('https://nytimes.com/article', { signal: expect.any(AbortSignal) });
       expect(mockMethod2.attempt).not.toHaveBeenCalled();
       expect(mockMetrics.recordAttempt).toHaveBeenCalledWith(
         'https://nytimes.com/article',
@@ -221,6 +297,194 @@ describe('SmartBypassService', () => {
       });
     });
 
+    test('should feed attempt outcomes to the method circuit breakers', async () => {
+      const failure = { success: false, error: '12ft.io returned status 429' };
+      mockMethod1.attempt.mockRejectedValue(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }));
+      mockMethod2.attempt.mockResolvedValue(failure);
+
+      await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      expect(mockMethod1.recordOutcome).toHaveBeenCalledWith({
+        success: false,
+        error: 'timeout of 10000ms exceeded',
+        errorType: 'timeout'
+      });
+      expect(mockMethod2.recordOutcome).toHaveBeenCalledWith(failure);
+    });
+
+    test('should record retried tries separately from the final attempt', async () => {
+      mockMethod1.attempt
+        .mockResolvedValueOnce({ success: false, error: 'Archive.today error: read ECONNRESET', errorType: 'network' })
+        .mockResolvedValueOnce({ success: true, result: 'https://archive.today/abc123' });
+      mockMethod1.getRetryDelay.mockReturnValueOnce(0);
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      expect(result.method).toBe('archive_today');
+      expect(mockMethod1.attempt).toHaveBeenCalledTimes(2);
+      expect(mockMetrics.recordRetry).toHaveBeenCalledWith('https://nytimes.com/article', 'archive_today', {
+        errorType: 'network',
+        delayMs: 0
+      });
+      expect(mockMetrics.recordAttempt).toHaveBeenCalledTimes(1);
+      expect(mockMetrics.recordAttempt).toHaveBeenCalledWith(
+        'https://nytimes.com/article', 'archive_today', true, expect.any(Number), expect.objectContaining({ retries: 1 })
+      );
+    });
+
+    test('should skip methods whose service host is rate limited', async () => {
+      smartBypassService.rateLimiter.configure({ host: { burst: 1, refillPerMinute: 1 } });
+      mockMethod1.getServiceHost.mockReturnValue('archive.today');
+      mockMethod1.attempt.mockResolvedValue({ success: true, result: 'https://archive.today/abc123' });
+      mockMethod2.attempt.mockResolvedValue({ success: true, result: 'https://12ft.io/proxy?q=https://nytimes.com/b' });
+
+      const first = await smartBypassService.bypassPaywall('https://nytimes.com/a');
+      const second = await smartBypassService.bypassPaywall('https://nytimes.com/b');
+
+      expect(first.method).toBe('archive_today');
+      expect(second.method).toBe('12ft_io');
+      expect(mockMethod1.attempt).toHaveBeenCalledTimes(1);
+      expect(mockMetrics.recordAttempt).not.toHaveBeenCalledWith(
+        expect.anything(), 'archive_today', false, expect.anything(), expect.anything()
+      );
+      expect(smartBypassService.getMetrics().rateLimit.throttled).toEqual({ host: 1 });
+    });
+
+    test('should share one bypass between concurrent requests for the same URL', async () => {
+      let finishAttempt;
+      mockMethod1.attempt.mockReturnValue(new Promise(resolve => { finishAttempt = resolve; }));
+
+      const requests = [
+        smartBypassService.bypassPaywall('https://nytimes.com/article'),
+        smartBypassService.bypassPaywall('https://nytimes.com/article?utm_source=twitter'),
+        smartBypassService.bypassPaywall('https://nytimes.com/article#comments')
+      ];
+      expect(smartBypassService.getMetrics().inFlight).toBe(1);
+
+      await new Promise(resolve => setImmediate(resolve));
+      finishAttempt({ success: true, result: 'https://archive.today/abc123' });
+      const results = await Promise.all(requests);
+
+      expect(mockPaywallDetector.isPaywalled).toHaveBeenCalledTimes(1);
+      expect(mockMethod1.attempt).toHaveBeenCalledTimes(1);
+      expect(results.map(result => result.result)).toEqual(Array(3).fill('https://archive.today/abc123'));
+      expect(results[0]).not.toBe(results[1]);
+      expect(smartBypassService.getMetrics().inFlight).toBe(0);
+
+      // Only the shared bypass counted toward the per-URL rate limit
+      const later = await smartBypassService.bypassPaywall('https://nytimes.com/article');
+      expect(later.error).not.toBe('Rate limit exceeded');
+      expect(mockMethod1.attempt).toHaveBeenCalledTimes(2);
+    });
+
+    test('should share one bypass between callers and charge each of them', async () => {
+      smartBypassService.rateLimiter.configure({ user: { burst: 1, refillPerMinute: 1 } });
+      smartBypassService.checkCallerRateLimit({ userId: 'user2' });
+      mockMethod1.attempt.mockResolvedValue({ success: true, result: 'https://archive.today/abc123' });
+
+      const [first, second, third] = await Promise.all([
+        smartBypassService.bypassPaywall('https://nytimes.com/article', { caller: { userId: 'user1' } }),
+        smartBypassService.bypassPaywall('https://nytimes.com/article', { caller: { userId: 'user2' } }),
+        smartBypassService.bypassPaywall('https://nytimes.com/article', { caller: { userId: 'user3' } })
+      ]);
+
+      expect(mockMethod1.attempt).toHaveBeenCalledTimes(1);
+      expect(first.result).toBe('https://archive.today/abc123');
+      expect(third.result).toBe('https://archive.today/abc123');
+      expect(second).toEqual(expect.objectContaining({
+        success: false,
+        rateLimit: expect.objectContaining({ allowed: false, scope: 'user', id: 'user2' })
+      }));
+      expect(smartBypassService.checkCallerRateLimit({ userId: 'user1' }).allowed).toBe(false);
+      expect(smartBypassService.checkCallerRateLimit({ userId: 'user3' }).allowed).toBe(false);
+    });
+
+    test('should not bypass when none of the callers can pay', async () => {
+      smartBypassService.rateLimiter.configure({ user: { burst: 1, refillPerMinute: 1 } });
+      smartBypassService.checkCallerRateLimit({ userId: 'user1' });
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article', { caller: { userId: 'user1' } });
+
+      expect(result).toEqual(expect.objectContaining({ success: false, error: 'Caller rate limit exceeded' }));
+      expect(mockMethod1.attempt).not.toHaveBeenCalled();
+    });
+
+    test('should not share bypasses between requests with different constraints', async () => {
+      mockMethod1.attempt.mockResolvedValue({ success: true, result: 'https://archive.today/abc123' });
+      mockMethod2.attempt.mockResolvedValue({ success: true, result: 'https://12ft.io/proxy?q=https://nytimes.com/article' });
+
+      const [auto, requested] = await Promise.all([
+        smartBypassService.bypassPaywall('https://nytimes.com/article'),
+        smartBypassService.bypassPaywall('https://nytimes.com/article', { methods: ['12ft_io'] })
+      ]);
+
+      expect(auto.method).toBe('archive_today');
+      expect(requested.method).toBe('12ft_io');
+    });
+
+    test('should report pages that cannot be processed', async () => {
+      mockPaywallDetector.isPaywalled.mockRejectedValue(
+        Object.assign(new Error('Not an HTML page (application/pdf)'), { code: 'ERR_NOT_HTML' })
+      );
+
+      const result = await smartBypassService.bypassPaywall('https://example.com/report.pdf');
+
+      expect(result).toEqual({ success: false, error: 'Not an HTML page (application/pdf)', errorType: 'not_html' });
+      expect(mockMethod1.attempt).not.toHaveBeenCalled();
+    });
+
+    test('should skip paywall detection when requested', async () => {
+      mockPaywallDetector.isPaywalled.mockResolvedValue(false);
+      mockMethod1.attempt.mockResolvedValue({
+        success: true,
+        result: 'https://archive.today/abc123'
+      });
+
+      const result = await smartBypassService.bypassPaywall('https://example.com/article', { skipDetection: true });
+
+      expect(result.success).toBe(true);
+      expect(mockPaywallDetector.isPaywalled).not.toHaveBeenCalled();
+    });
+
+    test('should give up once the request deadline passes', async () => {
+      jest.useFakeTimers();
+      smartBypassService.requestDeadlineMs = 5000;
+      mockMethod1.attempt.mockReturnValue(new Promise(() => {}));
+
+      const pending = smartBypassService.bypassPaywall('https://nytimes.com/article');
+      await jest.advanceTimersByTimeAsync(5000);
+      const result = await pending;
+      jest.useRealTimers();
+
+      expect(result).toEqual(expect.objectContaining({
+        success: false,
+        error: 'Request deadline of 5000ms exceeded'
+      }));
+      expect(mockMethod2.attempt).not.toHaveBeenCalled();
+      expect(mockMetrics.recordAttempt).not.toHaveBeenCalled();
+    });
+
+    test('should cut off tries that outlast the method timeout', async () => {
+      jest.useFakeTimers();
+      mockMethod1.config.timeout = 1000;
+      mockMethod1.attempt.mockReturnValue(new Promise(() => {}));
+      mockMethod2.attempt.mockResolvedValue({ success: true, result: 'https://12ft.io/proxy?q=https://nytimes.com/article' });
+
+      const pending = smartBypassService.bypassPaywall('https://nytimes.com/article');
+      await jest.advanceTimersByTimeAsync(1000);
+      const result = await pending;
+      jest.useRealTimers();
+
+      expect(result.method).toBe('12ft_io');
+      expect(mockMethod1.recordOutcome).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'archive_today timed out after 1000ms',
+        errorType: 'timeout'
+      }));
+      expect(mockMetrics.recordAttempt).toHaveBeenCalledWith(
+        'https://nytimes.com/article', 'archive_today', false, expect.any(Number), expect.any(Object)
+      );
+    });
+
     test('should handle method exceptions', async () => {
       mockMethod1.attempt.mockRejectedValue(new Error('Network error'));
       mockMethod2.attempt.mockResolvedValue({
@@ -242,6 +506,70 @@ describe('SmartBypassService', () => {
     });
   });
 
+  describe('fallback strategies', () => {
+    const initializeWithStrategies = async (fallbackStrategies) => {
+      const bypassConfig = emptyBypassConfig();
+      bypassConfig.fallbackStrategies = fallbackStrategies;
+      loadBypassMethodsConfig.mockResolvedValue(bypassConfig);
+      await smartBypassService.initialize();
+    };
+
+    test('should stop after maxAttempts methods', async () => {
+      await initializeWithStrategies({
+        default: { strategy: 'priority_order', maxAttempts: 1 }
+      });
+      mockMethod1.attempt.mockResolvedValue({ success: false, error: 'Archive not found' });
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      expect(result.success).toBe(false);
+      expect(result.attemptedMethods).toEqual(['archive_today']);
+      expect(mockMethod2.attempt).not.toHaveBeenCalled();
+    });
+
+    test('should race methods for domains with parallel attempts', async () => {
+      await initializeWithStrategies({
+        social_media: { strategy: 'fast_first', domains: ['medium.com'], parallelAttempts: true }
+      });
+      mockMetrics.getAverageSuccessResponseTime = jest.fn(() => null);
+
+      mockMethod1.attempt.mockReturnValue(new Promise(() => {}));
+      mockMethod2.attempt.mockResolvedValue({
+        success: true,
+        result: 'https://12ft.io/proxy?q=https://medium.com/post'
+      });
+
+      const result = await smartBypassService.bypassPaywall('https://medium.com/post');
+
+      expect(result.success).toBe(true);
+      expect(result.method).toBe('12ft_io');
+
+      // The slower racer is cancelled, and its cancelled attempt isn't counted against it
+      const [, { signal }] = mockMethod1.attempt.mock.calls[0];
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason.message).toBe('Cancelled: 12ft_io succeeded first');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockMetrics.recordAttempt).toHaveBeenCalledTimes(1);
+      expect(mockMetrics.recordAttempt).toHaveBeenCalledWith(
+        'https://medium.com/post', '12ft_io', true, expect.any(Number), expect.any(Object)
+      );
+    });
+
+    test('should not accept a success without a result from a racer', async () => {
+      await initializeWithStrategies({
+        default: { strategy: 'parallel' }
+      });
+      mockMethod1.attempt.mockResolvedValue({ success: true, result: null });
+      mockMethod2.attempt.mockResolvedValue({ success: false, error: 'blocked' });
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('All bypass methods failed');
+    });
+  });
+
   describe('getMethodsForDomain', () => {
     beforeEach(async () => {
       await smartBypassService.initialize();
@@ -323,6 +651,317 @@ describe('SmartBypassService', () => {
     });
   });
 
+  describe('domain strategy persistence', () => {
+    test('should merge persisted strategies under the config overrides', async () => {
+      const bypassConfig = emptyBypassConfig();
+      bypassConfig.domainOverrides = {
+        'nytimes.com': { preferredMethods: ['12ft_io'], blacklistedMethods: [] }
+      };
+      loadBypassMethodsConfig.mockResolvedValue(bypassConfig);
+      readJsonFile.mockResolvedValue({
+        strategies: {
+          'nytimes.com': {
+            preferredMethods: ['archive_today'],
+            blacklistedMethods: ['12ft_io', 'wayback_machine'],
+            lastUpdated: '2024-01-01T00:00:00.000Z',
+            totalAttempts: 4,
+            successfulAttempts: 2
+          }
+        }
+      });
+
+      await smartBypassService.initialize();
+
+      const strategy = smartBypassService.domainStrategies.get('nytimes.com');
+      expect(strategy.preferredMethods).toEqual(['12ft_io', 'archive_today']);
+      expect(strategy.blacklistedMethods).toEqual(['wayback_machine']);
+      expect(strategy.lastUpdated).toBeInstanceOf(Date);
+      expect(strategy.totalAttempts).toBe(4);
+    });
+
+    test('should persist only what was learned, leaving config overrides to the config', async () => {
+      const bypassConfig = emptyBypassConfig();
+      bypassConfig.domainOverrides = {
+        'nytimes.com': { preferredMethods: ['12ft_io'], blacklistedMethods: ['wayback_machine'] },
+        'wsj.com': { preferredMethods: ['archive_today'], blacklistedMethods: [] }
+      };
+      loadBypassMethodsConfig.mockResolvedValue(bypassConfig);
+      await smartBypassService.initialize();
+
+      smartBypassService.updateDomainStrategy('nytimes.com', 'archive_today', true, 500);
+      await smartBypassService.flushDomainStrategies();
+
+      const { strategies } = writeJsonFileAtomic.mock.calls[0][1];
+      expect(Object.keys(strategies)).toEqual(['nytimes.com']);
+      expect(strategies['nytimes.com']).toEqual(expect.objectContaining({
+        preferredMethods: ['archive_today'],
+        blacklistedMethods: [],
+        totalAttempts: 1
+      }));
+    });
+
+    test('should keep running when the strategies file is unreadable', async () => {
+      readJsonFile.mockRejectedValue(new Error('Unexpected token'));
+
+      await smartBypassService.initialize();
+
+      expect(smartBypassService.initialized).toBe(true);
+    });
+
+    test('should only write strategies when they changed', async () => {
+      await smartBypassService.initialize();
+
+      await smartBypassService.flushDomainStrategies();
+      expect(writeJsonFileAtomic).not.toHaveBeenCalled();
+
+      smartBypassService.updateDomainStrategy('example.com', 'archive_today', true, 500);
+      await smartBypassService.flushDomainStrategies();
+
+      expect(writeJsonFileAtomic).toHaveBeenCalledWith(
+        smartBypassService.strategiesPath,
+        expect.objectContaining({
+          strategies: expect.objectContaining({
+            'example.com': expect.objectContaining({ preferredMethods: ['archive_today'] })
+          })
+        })
+      );
+    });
+
+    test('should flush learned strategies on cleanup', async () => {
+      await smartBypassService.initialize();
+      smartBypassService.updateDomainStrategy('example.com', 'archive_today', true, 500);
+
+      await smartBypassService.cleanup();
+
+      expect(writeJsonFileAtomic).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('guild settings', () => {
+    let guildSettings;
+
+    beforeEach(async () => {
+      guildSettings = {
+        get: jest.fn(() => ({
+          enabledMethods: ['12ft_io'],
+          responseStyle: 'links',
+          paywallThreshold: 12,
+          allowedChannels: [],
+          deniedChannels: []
+        }))
+      };
+      mockMethod1.producesLinks = jest.fn(() => true);
+      mockMethod2.producesLinks = jest.fn(() => true);
+      smartBypassService = new SmartBypassService({ guildSettings });
+      await smartBypassService.initialize();
+    });
+
+    test('should not run a requested method the guild response style excludes', async () => {
+      mockMethod2.producesLinks.mockReturnValue(false);
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article', {
+        guildId: 'guild123',
+        methods: ['12ft_io'],
+        skipDetection: true
+      });
+
+      expect(result).toEqual({
+        success: false,
+        error: 'The requested method is disabled or not allowed by this server\'s response style'
+      });
+      expect(mockMethod2.attempt).not.toHaveBeenCalled();
+    });
+
+    test('should check the guild domain rules before the cache', async () => {
+      guildSettings.get.mockReturnValue({ whitelistedDomains: ['nytimes.com'], allowedChannels: [], deniedChannels: [] });
+      mockPaywallDetector.classifyDomain.mockReturnValue({ paywalled: false, reason: '"nytimes.com" is on the guild override whitelist' });
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article', { guildId: 'guild123' });
+
+      expect(result).toEqual({ success: false, error: 'URL is not paywalled' });
+      expect(mockPaywallDetector.classifyDomain).toHaveBeenCalledWith('https://nytimes.com/article', {
+        paywallDomains: [],
+        whitelistedDomains: ['nytimes.com']
+      });
+    });
+
+    test('should apply the guild threshold and enabled methods', async () => {
+      mockMethod2.attempt.mockResolvedValue({
+        success: true,
+        result: 'https://12ft.io/proxy?q=https://nytimes.com/article'
+      });
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article', { guildId: 'guild123' });
+
+      expect(guildSettings.get).toHaveBeenCalledWith('guild123');
+      expect(mockPaywallDetector.isPaywalled).toHaveBeenCalledWith('https://nytimes.com/article', {
+        threshold: 12,
+        signal: expect.any(AbortSignal)
+      });
+      expect(mockMethod1.attempt).not.toHaveBeenCalled();
+      expect(result.method).toBe('12ft_io');
+    });
+
+    test('should pass the guild domain rules to detection', async () => {
+      guildSettings.get.mockReturnValue({
+        enabledMethods: null,
+        responseStyle: 'auto',
+        paywallThreshold: null,
+        paywallDomains: [],
+        whitelistedDomains: ['nytimes.com']
+      });
+      mockPaywallDetector.isPaywalled.mockResolvedValue(false);
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article', { guildId: 'guild123' });
+
+      expect(mockPaywallDetector.isPaywalled).toHaveBeenCalledWith('https://nytimes.com/article', {
+        domainOverrides: { paywallDomains: [], whitelistedDomains: ['nytimes.com'] },
+        signal: expect.any(AbortSignal)
+      });
+      expect(result).toEqual({ success: false, error: 'URL is not paywalled' });
+    });
+
+    test('should use global settings without a guild', async () => {
+      mockMethod1.attempt.mockResolvedValue({ success: true, result: 'https://archive.today/abc123' });
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      expect(guildSettings.get).not.toHaveBeenCalled();
+      expect(mockPaywallDetector.isPaywalled).toHaveBeenCalledWith('https://nytimes.com/article', { signal: expect.any(AbortSignal) });
+      expect(result.method).toBe('archive_today');
+    });
+
+    test('should pass the guild through processUrls', async () => {
+      const bypassPaywall = jest.spyOn(smartBypassService, 'bypassPaywall').mockResolvedValue({ success: false });
+
+      await smartBypassService.processUrls(['https://nytimes.com/article'], { guildId: 'guild123' });
+
+      expect(bypassPaywall).toHaveBeenCalledWith('https://nytimes.com/article', { guildId: 'guild123' });
+    });
+  });
+
+  describe('result cache', () => {
+    beforeEach(async () => {
+      loadBypassMethodsConfig.mockResolvedValue({
+        ...emptyBypassConfig(),
+        methods: { archive_today: { cacheTtl: 259200000 } },
+        cache: { enabled: true, maxEntries: 100, defaultTtl: 3600000, persist: false, path: './data/result-cache.json' }
+      });
+      await smartBypassService.initialize();
+
+      mockMethod1.attempt.mockResolvedValue({ success: true, result: 'https://archive.today/abc123' });
+    });
+
+    test('should serve reposted URLs from the cache', async () => {
+      await smartBypassService.bypassPaywall('https://nytimes.com/article?utm_source=twitter&fbclid=abc');
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        result: 'https://archive.today/abc123',
+        method: 'archive_today',
+        cached: true,
+        cachedAt: expect.any(Date)
+      }));
+      expect(mockPaywallDetector.isPaywalled).toHaveBeenCalledTimes(1);
+      expect(mockMethod1.attempt).toHaveBeenCalledTimes(1);
+      expect(mockMetrics.recordCacheLookup).toHaveBeenLastCalledWith('archive_today', true);
+    });
+
+    test('should use per-method TTLs from the config', () => {
+      expect(smartBypassService.resultCache.getTtl('archive_today')).toBe(259200000);
+      expect(smartBypassService.resultCache.getTtl('12ft_io')).toBe(3600000);
+    });
+
+    test('should ignore cached results from methods the request does not allow', async () => {
+      mockMethod2.attempt.mockResolvedValue({ success: true, result: 'https://12ft.io/proxy?q=https://nytimes.com/article' });
+      await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article', { methods: ['12ft_io'] });
+
+      expect(result.method).toBe('12ft_io');
+      expect(result.cached).toBeUndefined();
+      expect(mockMetrics.recordCacheLookup).toHaveBeenLastCalledWith(null, false);
+    });
+
+    test('should bypass again after the cached result is invalidated', async () => {
+      await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      expect(smartBypassService.invalidateCachedResult('https://nytimes.com/article?utm_source=twitter')).toBe(true);
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      expect(result.cached).toBeUndefined();
+      expect(mockMethod1.attempt).toHaveBeenCalledTimes(2);
+      expect(mockMetrics.recordCacheInvalidation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not serve a cached bypass of a site that has since been whitelisted', async () => {
+      await smartBypassService.bypassPaywall('https://nytimes.com/article');
+      mockPaywallDetector.classifyDomain.mockReturnValue({ paywalled: false, reason: '"nytimes.com" is on the guild override whitelist' });
+
+      const result = await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      expect(result).toEqual({ success: false, error: 'URL is not paywalled' });
+      expect(mockMethod1.attempt).toHaveBeenCalledTimes(1);
+    });
+
+    test('should drop the cached bypasses of a domain and its subdomains', async () => {
+      await smartBypassService.bypassPaywall('https://nytimes.com/article');
+      await smartBypassService.bypassPaywall('https://cooking.nytimes.com/recipe');
+      await smartBypassService.bypassPaywall('https://wsj.com/article');
+
+      expect(smartBypassService.invalidateCachedDomain('nytimes.com')).toBe(2);
+      expect([...smartBypassService.resultCache.entries.keys()]).toEqual(['https://wsj.com/article']);
+      expect(mockMetrics.recordCacheInvalidation).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not cache failed bypasses', async () => {
+      mockMethod1.attempt.mockResolvedValue({ success: false, error: 'Archive not found' });
+      mockMethod2.attempt.mockResolvedValue({ success: false, error: 'Blocked' });
+
+      await smartBypassService.bypassPaywall('https://nytimes.com/article');
+
+      expect(smartBypassService.getMetrics().cache.size).toBe(0);
+    });
+  });
+
+  describe('metrics persistence', () => {
+    test('should not create a metrics store when metrics are disabled', async () => {
+      await smartBypassService.initialize();
+
+      expect(MetricsStore).not.toHaveBeenCalled();
+      expect(smartBypassService.metricsStore).toBeNull();
+    });
+
+    test('should configure metrics and restore history when enabled', async () => {
+      const bypassConfig = emptyBypassConfig();
+      bypassConfig.metrics = {
+        enabled: true,
+        retentionDays: 7,
+        aggregationInterval: 600000,
+        exportPath: './data/metrics/'
+      };
+      loadBypassMethodsConfig.mockResolvedValue(bypassConfig);
+
+      await smartBypassService.initialize();
+
+      expect(mockMetrics.configure).toHaveBeenCalledWith(bypassConfig.metrics);
+      expect(MetricsStore).toHaveBeenCalledWith(mockMetrics, {
+        directory: expect.stringMatching(/data[\\/]metrics$/)
+      });
+
+      const store = MetricsStore.mock.instances[0];
+      expect(store.load).toHaveBeenCalled();
+      // Periodic snapshots are not started in test environment
+      expect(store.start).not.toHaveBeenCalled();
+
+      await smartBypassService.cleanup();
+
+      expect(store.stop).toHaveBeenCalled();
+      expect(store.save).toHaveBeenCalled();
+    });
+  });
+
   describe('processUrls', () => {
     beforeEach(async () => {
       await smartBypassService.initialize();
@@ -364,6 +1003,109 @@ describe('SmartBypassService', () => {
       expect(results).toHaveLength(1);
       expect(results[0].originalUrl).toBe('https://example.com/article1');
     });
+
+    test('should only charge the caller for URLs that pass detection', async () => {
+      smartBypassService.rateLimiter.configure({ user: { burst: 2, refillPerMinute: 2 } });
+      mockPaywallDetector.isPaywalled.mockImplementation(async url => !url.includes('free.com'));
+      mockMethod1.attempt.mockResolvedValue({ success: true, result: 'https://archive.today/abc123' });
+      const onThrottled = jest.fn();
+
+      const urls = [
+        'https://free.com/1', 'https://free.com/2', 'https://free.com/3',
+        'https://example.com/article1', 'https://example.com/article2', 'https://example.com/article3'
+      ];
+      const results = await smartBypassService.processUrls(urls, { caller: { userId: 'user1' }, onThrottled });
+
+      expect(results.map(result => result.originalUrl)).toEqual(['https://example.com/article1', 'https://example.com/article2']);
+      expect(onThrottled).toHaveBeenCalledTimes(1);
+      expect(onThrottled).toHaveBeenCalledWith(expect.objectContaining({ allowed: false, scope: 'user', id: 'user1' }));
+    });
+
+    test('should bypass URLs concurrently', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      mockMethod1.attempt.mockImplementation(async url => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        return { success: true, result: `https://archive.today/${url.slice(-1)}` };
+      });
+
+      const urls = ['https://example.com/a', 'https://example.com/b', 'https://example.com/c'];
+      const results = await smartBypassService.processUrls(urls);
+
+      expect(maxRunning).toBe(3);
+      expect(results.map(result => result.originalUrl)).toEqual(urls);
+    });
+
+    test('should respect the configured global concurrency limit', async () => {
+      await smartBypassService.cleanup();
+      loadBypassMethodsConfig.mockResolvedValue({
+        ...emptyBypassConfig(),
+        globalSettings: { maxConcurrentRequests: 1 }
+      });
+      await smartBypassService.initialize();
+
+      let running = 0;
+      let maxRunning = 0;
+      mockMethod1.attempt.mockImplementation(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        return { success: true, result: 'https://archive.today/abc123' };
+      });
+
+      const results = await smartBypassService.processUrls(['https://example.com/a', 'https://example.com/b']);
+
+      expect(maxRunning).toBe(1);
+      expect(results).toHaveLength(2);
+    });
+
+    test('should cap concurrent attempts of a method', async () => {
+      mockMethod1.config.maxConcurrent = 1;
+      let running = 0;
+      let maxRunning = 0;
+      mockMethod1.attempt.mockImplementation(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        return { success: true, result: 'https://archive.today/abc123' };
+      });
+
+      const results = await smartBypassService.processUrls(['https://example.com/a', 'https://example.com/b']);
+
+      expect(maxRunning).toBe(1);
+      expect(results).toHaveLength(2);
+    });
+  });
+
+  describe('checkCallerRateLimit', () => {
+    test('should limit each user, channel and guild separately', () => {
+      smartBypassService.rateLimiter.configure({ user: { burst: 2, refillPerMinute: 2 } });
+      const caller = { userId: 'user1', channelId: 'channel1', guildId: 'guild1' };
+
+      expect(smartBypassService.checkCallerRateLimit(caller).allowed).toBe(true);
+      expect(smartBypassService.checkCallerRateLimit(caller).allowed).toBe(true);
+      const limit = smartBypassService.checkCallerRateLimit(caller);
+      expect(limit).toEqual(expect.objectContaining({ allowed: false, scope: 'user', id: 'user1' }));
+      expect(limit.retryAfterMs).toBeGreaterThan(29000);
+      expect(limit.retryAfterMs).toBeLessThanOrEqual(30000);
+      expect(smartBypassService.checkCallerRateLimit({ ...caller, userId: 'user2' }).allowed).toBe(true);
+    });
+
+    test('should take user limits from globalSettings.rateLimit', async () => {
+      loadBypassMethodsConfig.mockResolvedValue({
+        ...emptyBypassConfig(),
+        globalSettings: { rateLimit: { maxRequestsPerUrlPerMinute: 5, user: { burst: 1 } } }
+      });
+      await smartBypassService.initialize();
+
+      expect(smartBypassService.rateLimiter.limits.url).toEqual({ burst: 5, refillPerMinute: 5 });
+      expect(smartBypassService.rateLimiter.limits.user).toEqual({ burst: 1, refillPerMinute: 10 });
+    });
   });
 
   describe('getMetrics', () => {
@@ -377,6 +1119,7 @@ describe('SmartBypassService', () => {
       expect(metrics).toHaveProperty('registry');
       expect(metrics).toHaveProperty('bypass');
       expect(metrics).toHaveProperty('domainStrategies');
+      expect(metrics.queue).toEqual(expect.objectContaining({ active: 0, queued: 0, maxConcurrent: 5 }));
       expect(metrics).toHaveProperty('timestamp');
       expect(mockRegistry.getMetrics).toHaveBeenCalled();
       expect(mockMetrics.getGlobalMetrics).toHaveBeenCalled();
@@ -402,13 +1145,27 @@ describe('SmartBypassService', () => {
   });
 
   describe('cleanup', () => {
+    test('should cancel running bypasses', async () => {
+      await smartBypassService.initialize();
+      mockMethod1.attempt.mockReturnValue(new Promise(() => {}));
+
+      const pending = smartBypassService.bypassPaywall('https://nytimes.com/article');
+      await new Promise(resolve => setImmediate(resolve));
+      await smartBypassService.cleanup();
+
+      const result = await pending;
+      expect(result.error).toBe('Bypass service is shutting down');
+      expect(mockMethod1.attempt.mock.calls[0][1].signal.aborted).toBe(true);
+      expect(mockMethod2.attempt).not.toHaveBeenCalled();
+    });
+
     test('should cleanup all resources', async () => {
       await smartBypassService.initialize();
       await smartBypassService.cleanup();
 
       expect(mockRegistry.cleanup).toHaveBeenCalled();
       expect(smartBypassService.initialized).toBe(false);
-      expect(smartBypassService.requestCounts.size).toBe(0);
+      expect(smartBypassService.rateLimiter.getStats().buckets).toBe(0);
       expect(smartBypassService.domainStrategies.size).toBe(0);
     });
   });
@@ -0,0 +1,145 @@
+const { extractArticle, formatArticle } = require('../../src/utils/articleExtractor');
+
+const ARTICLE_HTML = `
+  <html>
+    <head>
+      <title>Rates Hold Steady - The Daily Example</title>
+      <meta property="og:image" content="/images/lead.jpg">
+    </head>
+    <body>
+      <header>
+        <nav><a href="/">Home</a> <a href="/world">World</a> <a href="/business">Business</a></nav>
+        <h1>Rates Hold Steady</h1>
+        <span class="byline">By Jane Doe</span>
+        <time datetime="2024-03-01T12:00:00Z">1 March</time>
+      </header>
+      <div class="content-wrapper">
+        <div class="sidebar-trending">
+          <p>Trending now: a story about something else, which is long enough to be scored.</p>
+        </div>
+        <div class="article-body">
+          <p>The central bank kept rates unchanged on Friday, citing slowing inflation, steady hiring and weak demand.</p>
+          <h2>What analysts expect</h2>
+          <p>Most economists expect the first cut in June, although some, including two board members, argued for May.</p>
+          <ul><li>Inflation at 2.4%</li><li><p>Unemployment at 3.9%</p></li></ul>
+          <p><a href="/newsletter">Read more</a></p>
+          <div style="display: none"><p>Hidden text that a reader of the page never sees, and neither should we.</p></div>
+        </div>
+        <section id="comments">
+          <p>Great article, thanks for writing it, I learned a lot, and I will share it with friends.</p>
+        </section>
+      </div>
+      <footer><p>Copyright 2024, The Daily Example, all rights reserved, terms and conditions apply.</p></footer>
+    </body>
+  </html>`;
+
+describe('articleExtractor', () => {
+  describe('extractArticle', () => {
+    test('should extract the article text without navigation, sidebars or comments', () => {
+      const article = extractArticle(ARTICLE_HTML, { url: 'https://example.com/news/rates' });
+
+      expect(article).toEqual({
+        title: 'Rates Hold Steady',
+        byline: 'Jane Doe',
+        published: new Date('2024-03-01T12:00:00Z'),
+        leadImage: 'https://example.com/images/lead.jpg',
+        paragraphs: [
+          'The central bank kept rates unchanged on Friday, citing slowing inflation, steady hiring and weak demand.',
+          'What analysts expect',
+          'Most economists expect the first cut in June, although some, including two board members, argued for May.',
+          '• Inflation at 2.4%',
+          '• Unemployment at 3.9%'
+        ]
+      });
+    });
+
+    test('should prefer the container with dense text over one full of links', () => {
+      const html = `
+        <body>
+          <div class="links">
+            <p><a href="/a">A headline about one thing, then another, and another</a></p>
+            <p><a href="/b">A headline about two things, then another, and another</a></p>
+            <p><a href="/c">A headline about three things, then another, and another</a></p>
+          </div>
+          <div>
+            <p>This paragraph is the actual story, with a few commas, and it goes on for a while.</p>
+            <p>And this paragraph continues it, adding detail, context and quotes from people.</p>
+          </div>
+        </body>`;
+
+      expect(extractArticle(html).paragraphs).toEqual([
+        'This paragraph is the actual story, with a few commas, and it goes on for a while.',
+        'And this paragraph continues it, adding detail, context and quotes from people.'
+      ]);
+    });
+
+    test('should take metadata from meta tags and JSON-LD first', () => {
+      const html = `
+        <head>
+          <meta property="og:title" content="From OpenGraph">
+          <script type="application/ld+json">
+            {"@type": "NewsArticle", "author": {"name": "Sam Smith"}, "datePublished": "2024-05-02", "image": "https://cdn.example.com/a.jpg"}
+          </script>
+        </head>
+        <body><h1>From the page</h1><article><p>Body text that is long enough to count for scoring here.</p></article></body>`;
+
+      expect(extractArticle(html, { url: 'https://example.com/a' })).toMatchObject({
+        title: 'From OpenGraph',
+        byline: 'Sam Smith',
+        published: new Date('2024-05-02'),
+        leadImage: 'https://cdn.example.com/a.jpg'
+      });
+    });
+
+    test('should remove extra selectors and cope with pages without paragraphs', () => {
+      const html = `
+        <body>
+          <div id="google-cache-hdr">This is Google's cache of the page.</div>
+          <div>Just some text in a div</div>
+        </body>`;
+
+      expect(extractArticle(html, { exclude: ['#google-cache-hdr'] }).paragraphs).toEqual(['Just some text in a div']);
+      expect(extractArticle('')).toEqual({ title: null, byline: null, published: null, leadImage: null, paragraphs: [] });
+    });
+  });
+
+  describe('formatArticle', () => {
+    const article = {
+      title: 'Rates Hold Steady',
+      byline: 'Jane Doe',
+      published: new Date('2024-03-01T12:00:00Z'),
+      leadImage: null,
+      paragraphs: ['First paragraph.', 'Heading', '• One', '• Two', 'Last paragraph.']
+    };
+
+    test('should lay out the article the way the message handler parses it', () => {
+      expect(formatArticle(article, {
+        originalUrl: 'https://example.com/news/rates',
+        footer: 'Bypassed via 12ft.io',
+        notes: ['Cached on: 1 Mar 2024']
+      })).toBe([
+        '**Rates Hold Steady**',
+        'By Jane Doe • March 1, 2024',
+        'Cached on: 1 Mar 2024',
+        'First paragraph.',
+        'Heading',
+        '• One\n• Two',
+        'Last paragraph.',
+        '*Original URL: https://example.com/news/rates*\n*Bypassed via 12ft.io*'
+      ].join('\n\n'));
+    });
+
+    test('should keep whole paragraphs within the length limit', () => {
+      const long = {
+        title: null,
+        paragraphs: ['a'.repeat(50), `${'Sentence one is here. '.repeat(10)}And more`, 'Never shown.']
+      };
+
+      const formatted = formatArticle(long, { originalUrl: 'https://example.com', footer: 'Footer', maxLength: 200 });
+
+      expect(formatted).toMatch(/^\*\*Article\*\*\n\na{50}\n\nSentence one is here\./);
+      expect(formatted).toContain('Sentence one is here.\n\n[Content truncated for length]\n\n*Original URL: https://example.com*');
+      expect(formatted).not.toContain('Never shown.');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const axios = require('axios');
+const {
+  parseArticleMetadata,
+  fetchArticleMetadata,
+  mergeArticleMetadata
+} = require('../../src/utils/articleMetadata');
+
+describe('articleMetadata', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseArticleMetadata', () => {
+    test('should read OpenGraph tags in any attribute order', () => {
+      const html = `
+        <meta property="og:title" content="Rates &quot;Hold&quot; Steady">
+        <meta content="The Daily Example" property="og:site_name" />
+        <meta property='og:image' content='https://example.com/lead.jpg'>
+        <meta name="description" content="Central bank keeps rates unchanged">
+        <meta property="article:published_time" content="2024-03-01T12:00:00Z">`;
+
+      expect(parseArticleMetadata(html)).toEqual({
+        title: 'Rates "Hold" Steady',
+        description: 'Central bank keeps rates unchanged',
+        siteName: 'The Daily Example',
+        author: null,
+        publishedAt: new Date('2024-03-01T12:00:00Z'),
+        image: 'https://example.com/lead.jpg'
+      });
+    });
+
+    test('should read a JSON-LD article inside @graph', () => {
+      const html = `
+        <script type="application/ld+json">{ not json }</script>
+        <script type="application/ld+json">
+          {"@context": "https://schema.org", "@graph": [
+            {"@type": "WebSite", "name": "Example"},
+            {"@type": ["NewsArticle"], "headline": "Budget Passes",
+             "author": [{"@type": "Person", "name": "Jane Doe"}, {"name": "John Roe"}],
+             "datePublished": "2024-05-02", "image": {"url": "https://example.com/budget.jpg"},
+             "publisher": {"@type": "Organization", "name": "Example Times"}}
+          ]}
+        </script>`;
+
+      expect(parseArticleMetadata(html)).toEqual(expect.objectContaining({
+        title: 'Budget Passes',
+        siteName: 'Example Times',
+        author: 'Jane Doe, John Roe',
+        publishedAt: new Date('2024-05-02'),
+        image: 'https://example.com/budget.jpg'
+      }));
+    });
+
+    test('should prefer OpenGraph over JSON-LD and fall back to <title>', () => {
+      const html = `
+        <title>Page Title | Example</title>
+        <meta property="og:title" content="OG Title">
+        <script type="application/ld+json">{"@type": "Article", "headline": "LD Title"}</script>`;
+
+      expect(parseArticleMetadata(html).title).toBe('OG Title');
+      expect(parseArticleMetadata('<title>Only &#8220;Title&#8221;</title>').title).toBe('Only “Title”');
+    });
+
+    test('should leave numeric entities that name no character as they are', () => {
+      const html = '<title>A &#99999999; B &#x110000; C &#xD800; D &#x1F600;</title>' +
+        '<meta property="og:description" content="&#x110000;">';
+
+      expect(parseArticleMetadata(html)).toEqual(expect.objectContaining({
+        title: 'A &#99999999; B &#x110000; C &#xD800; D 😀',
+        description: '&#x110000;'
+      }));
+    });
+
+    test('should ignore invalid publish dates and empty input', () => {
+      expect(parseArticleMetadata('<meta property="article:published_time" content="soon">').publishedAt).toBeNull();
+      expect(parseArticleMetadata('')).toEqual({
+        title: null, description: null, siteName: null, author: null, publishedAt: null, image: null
+      });
+    });
+  });
+
+  describe('fetchArticleMetadata', () => {
+    test('should fetch and parse a page', async () => {
+      axios.get.mockResolvedValue({ data: '<meta property="og:title" content="Fetched">' });
+
+      const metadata = await fetchArticleMetadata('https://example.com/article');
+
+      expect(metadata.title).toBe('Fetched');
+      expect(axios.get).toHaveBeenCalledWith('https://example.com/article', expect.objectContaining({
+        timeout: 5000,
+        responseType: 'stream',
+        headers: expect.objectContaining({ Range: 'bytes=0-2097152' })
+      }));
+    });
+
+    test('should return null when the page cannot be fetched', async () => {
+      axios.get.mockRejectedValue(new Error('Request failed with status code 403'));
+
+      await expect(fetchArticleMetadata('https://example.com/article')).resolves.toBeNull();
+    });
+  });
+
+  describe('mergeArticleMetadata', () => {
+    test('should keep the first value found for each field', () => {
+      const merged = mergeArticleMetadata(
+        null,
+        { title: 'Original', image: null },
+        { title: 'Archive', image: 'https://archive.today/lead.jpg' }
+      );
+
+      expect(merged.title).toBe('Original');
+      expect(merged.image).toBe('https://archive.today/lead.jpg');
+      expect(merged.author).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  NO_MENTIONS,
+  capLines,
+  escapeMarkdown,
+  neutralizeMentions,
+  removeInvites,
+  sanitizeLine,
+  sanitizeText,
+  stripInvisibleCharacters
+} = require('../../src/utils/discordSanitizer');
+
+describe('discordSanitizer', () => {
+  test('should never parse mentions', () => {
+    expect(NO_MENTIONS).toEqual({ parse: [] });
+  });
+
+  describe('stripInvisibleCharacters', () => {
+    test('should remove control, zero-width and bidi characters but keep newlines and tabs', () => {
+      expect(stripInvisibleCharacters('a\u200Bb\u202Ec\u0007d\uFEFF\r\ne\tf')).toBe('abcd\ne\tf');
+    });
+  });
+
+  describe('neutralizeMentions', () => {
+    test('should break mass, user, role and channel mentions', () => {
+      const result = neutralizeMentions('@everyone @here <@123> <@!456> <@&789> <#42>');
+
+      expect(result).toBe('@\u200Beveryone @\u200Bhere <@\u200B123> <@!\u200B456> <@&\u200B789> <#\u200B42>');
+    });
+
+    test('should not be fooled by zero-width characters already in the page', () => {
+      expect(sanitizeText('@\u200Deveryone <@\u2060123>')).toBe('@\u200Beveryone <@\u200B123>');
+    });
+  });
+
+  describe('removeInvites', () => {
+    test('should replace invite links in all their forms', () => {
+      const result = removeInvites('Join discord.gg/abc, https://discord.com/invite/x-y or http://www.discordapp.com/invite/Z1');
+
+      expect(result).toBe('Join (invite link removed), (invite link removed) or (invite link removed)');
+    });
+  });
+
+  describe('escapeMarkdown', () => {
+    test('should escape inline formatting and masked links', () => {
+      expect(escapeMarkdown('**bold** _it_ ~~x~~ `code` ||spoiler|| [text](https://evil.example)'))
+        .toBe('\\*\\*bold\\*\\* \\_it\\_ \\~\\~x\\~\\~ \\`code\\` \\|\\|spoiler\\|\\| \\[text\\](https://evil.example)');
+    });
+
+    test('should escape headings, subtext and quotes at the start of a line only', () => {
+      expect(escapeMarkdown('# Big\n  > quoted\n-# small\n1 > 0 #1')).toBe('\\# Big\n  \\> quoted\n\\-# small\n1 > 0 #1');
+    });
+  });
+
+  describe('capLines', () => {
+    test('should keep the first lines', () => {
+      expect(capLines('a\nb\nc', 2)).toBe('a\nb …');
+      expect(capLines('a\nb', 2)).toBe('a\nb');
+    });
+  });
+
+  describe('sanitizeText', () => {
+    test('should apply every step and collapse blank lines', () => {
+      const text = 'Hey @everyone!\r\n\r\n\r\n\r\n**Free** nitro at discord.gg/scam\u200B   \n';
+
+      expect(sanitizeText(text)).toBe('Hey @\u200Beveryone!\n\n\\*\\*Free\\*\\* nitro at (invite link removed)');
+    });
+
+    test('should cap lines at 20 by default', () => {
+      const text = Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n');
+
+      expect(sanitizeText(text).split('\n')).toHaveLength(20);
+      expect(sanitizeText(text, { maxLines: 3 })).toBe('line 0\nline 1\nline 2 …');
+    });
+
+    test('should fit maxLength without ending in half an escape', () => {
+      expect(sanitizeText('abc*def', { maxLength: 5 })).toBe('abc…');
+    });
+
+    test('should return an empty string for missing text', () => {
+      expect(sanitizeText(null)).toBe('');
+    });
+  });
+
+  describe('sanitizeLine', () => {
+    test('should join lines', () => {
+      expect(sanitizeLine('Breaking:\n# News')).toBe('Breaking: # News');
+    });
+  });
+});
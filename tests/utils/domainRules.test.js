@@ -0,0 +1,98 @@
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const logger = require('../../src/utils/logger');
+const { DomainRuleList, parseDomainRule } = require('../../src/utils/domainRules');
+
+describe('domainRules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseDomainRule', () => {
+    test('should normalize rules', () => {
+      expect(parseDomainRule(' https://www.Bloomberg.com/Opinion/ ')).toMatchObject({
+        rule: 'bloomberg.com/opinion',
+        host: 'bloomberg.com',
+        path: '/opinion',
+        exception: false,
+        exactHost: false
+      });
+      expect(parseDomainRule('!cooking.nytimes.com')).toMatchObject({ rule: '!cooking.nytimes.com', exception: true });
+    });
+
+    test('should only let public suffix rules match themselves', () => {
+      expect(parseDomainRule('github.io').exactHost).toBe(true);
+      expect(parseDomainRule('co.uk').exactHost).toBe(true);
+      expect(parseDomainRule('*.github.io').exactHost).toBe(false);
+    });
+
+    test('should reject rules that are not domains', () => {
+      ['', 'not a domain', '*', 'example.*', 'exa$mple.com', null].forEach(rule => {
+        expect(parseDomainRule(rule)).toBeNull();
+      });
+    });
+  });
+
+  describe('DomainRuleList', () => {
+    test('should match subdomains of a domain rule', () => {
+      const list = new DomainRuleList(['nytimes.com', 'ft.com', 'twitter.com']);
+
+      expect(list.match('https://cooking.nytimes.com/recipes/1')).toBe('nytimes.com');
+      expect(list.matches('https://eu.ft.com/content/abc')).toBe(true);
+      expect(list.matches('https://mobile.twitter.com/user/status/1')).toBe(true);
+      expect(list.matches('https://www.nytimes.com/')).toBe(true);
+      expect(list.matches('https://notnytimes.com/')).toBe(false);
+      expect(list.matches('https://nytimes.com.evil.example/')).toBe(false);
+    });
+
+    test('should match wildcard labels', () => {
+      const list = new DomainRuleList(['*.substack.com', 'news.*.example.com']);
+
+      expect(list.matches('https://someone.substack.com/p/post')).toBe(true);
+      expect(list.matches('https://substack.com/')).toBe(false);
+      expect(list.match('https://news.eu.example.com/a')).toBe('news.*.example.com');
+      expect(list.matches('https://news.example.com/a')).toBe(false);
+    });
+
+    test('should limit path rules to their path', () => {
+      const list = new DomainRuleList(['bloomberg.com/opinion']);
+
+      expect(list.matches('https://www.bloomberg.com/opinion/articles/2024-01-01/title')).toBe(true);
+      expect(list.matches('https://bloomberg.com/opinion')).toBe(true);
+      expect(list.matches('https://www.bloomberg.com/news/articles/2024-01-01/title')).toBe(false);
+      expect(list.matches('https://www.bloomberg.com/opinionated')).toBe(false);
+    });
+
+    test('should let exceptions and the most specific rule win', () => {
+      const list = new DomainRuleList(['google.com', 'google.com/amp', '!news.google.com']);
+
+      expect(list.match('https://www.google.com/amp/s/example.com')).toBe('google.com/amp');
+      expect(list.match('https://maps.google.com/')).toBe('google.com');
+      expect(list.matches('https://news.google.com/articles/1')).toBe(false);
+    });
+
+    test('should keep public suffix rules from matching other owners', () => {
+      const list = new DomainRuleList(['github.io']);
+
+      expect(list.matches('https://github.io/')).toBe(true);
+      expect(list.matches('https://someone.github.io/blog')).toBe(false);
+    });
+
+    test('should behave like a Set of rules', () => {
+      const list = new DomainRuleList(['example.com', 'not a domain']);
+      list.add('WWW.Example.org');
+
+      expect(list.size).toBe(2);
+      expect(list.has('example.org')).toBe(true);
+      expect(Array.from(list)).toEqual(['example.com', 'example.org']);
+      expect(list.delete('example.com')).toBe(true);
+      expect(list.matches('not-a-url')).toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith('Ignoring invalid domain rule', { rule: 'not a domain' });
+    });
+  });
+});
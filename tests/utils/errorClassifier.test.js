@@ -0,0 +1,58 @@
+const { ERROR_TYPES, classifyError, getRetryAfterMs, isServiceFailure } = require('../../src/utils/errorClassifier');
+const { createAbortError, createTimeoutError } = require('../../src/utils/abort');
+
+describe('errorClassifier', () => {
+  describe('classifyError', () => {
+    test('should classify request errors by status and code', () => {
+      expect(classifyError({ message: 'Request failed', response: { status: 429 } })).toBe(ERROR_TYPES.RATE_LIMITED);
+      expect(classifyError({ message: 'Request failed', response: { status: 503 } })).toBe(ERROR_TYPES.SERVER_ERROR);
+      expect(classifyError({ message: 'Request failed', response: { status: 403 } })).toBe(ERROR_TYPES.BLOCKED);
+      expect(classifyError({ message: 'timeout of 15000ms exceeded', code: 'ECONNABORTED' })).toBe(ERROR_TYPES.TIMEOUT);
+      expect(classifyError({ message: 'getaddrinfo ENOTFOUND 12ft.io', code: 'ENOTFOUND' })).toBe(ERROR_TYPES.NETWORK);
+    });
+
+    test('should classify pages that were not downloaded', () => {
+      expect(classifyError({ message: 'Page is too large (over 5 MB)', code: 'ERR_RESPONSE_TOO_LARGE' })).toBe(ERROR_TYPES.TOO_LARGE);
+      expect(classifyError('12ft.io error: Not an HTML page (application/pdf)')).toBe(ERROR_TYPES.NOT_HTML);
+      expect(isServiceFailure(ERROR_TYPES.TOO_LARGE)).toBe(false);
+    });
+
+    test('should tell cancellations apart from timeouts', () => {
+      expect(classifyError({ name: 'CanceledError', message: 'canceled', code: 'ERR_CANCELED' })).toBe(ERROR_TYPES.ABORTED);
+      expect(classifyError(createAbortError('Cancelled: 12ft_io succeeded first'))).toBe(ERROR_TYPES.ABORTED);
+      expect(classifyError(createTimeoutError('archive_today timed out after 10000ms'))).toBe(ERROR_TYPES.TIMEOUT);
+      expect(isServiceFailure(ERROR_TYPES.ABORTED)).toBe(false);
+    });
+
+    test('should classify failure messages reported by methods', () => {
+      expect(classifyError('12ft.io error: Request failed with status code 429')).toBe(ERROR_TYPES.RATE_LIMITED);
+      expect(classifyError('12ft.io returned status 429')).toBe(ERROR_TYPES.RATE_LIMITED);
+      expect(classifyError('Archive.today error: timeout of 10000ms exceeded')).toBe(ERROR_TYPES.TIMEOUT);
+      expect(classifyError('Outline.com error: socket hang up')).toBe(ERROR_TYPES.NETWORK);
+      expect(classifyError('Google Cache error: Request failed with status code 502')).toBe(ERROR_TYPES.SERVER_ERROR);
+      expect(classifyError('No archive found on Archive.today')).toBe(ERROR_TYPES.NOT_FOUND);
+      expect(classifyError('Content appears to be paywalled')).toBe(ERROR_TYPES.OTHER);
+      expect(classifyError(null)).toBe(ERROR_TYPES.OTHER);
+    });
+  });
+
+  describe('getRetryAfterMs', () => {
+    test('should read Retry-After in seconds or as an HTTP date', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z');
+
+      expect(getRetryAfterMs({ response: { headers: { 'retry-after': '5' } } }, now)).toBe(5000);
+      expect(getRetryAfterMs({ headers: { 'retry-after': 'Mon, 01 Jan 2024 00:00:30 GMT' } }, now)).toBe(30000);
+      expect(getRetryAfterMs({ headers: { 'retry-after': 'soon' } }, now)).toBeNull();
+      expect(getRetryAfterMs(new Error('socket hang up'), now)).toBeNull();
+    });
+  });
+
+  describe('isServiceFailure', () => {
+    test('should only count failures of the service itself', () => {
+      expect(isServiceFailure(ERROR_TYPES.RATE_LIMITED)).toBe(true);
+      expect(isServiceFailure(ERROR_TYPES.TIMEOUT)).toBe(true);
+      expect(isServiceFailure(ERROR_TYPES.NOT_FOUND)).toBe(false);
+      expect(isServiceFailure(ERROR_TYPES.BLOCKED)).toBe(false);
+    });
+  });
+});
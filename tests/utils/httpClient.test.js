@@ -0,0 +1,154 @@
+const axios = require('axios');
+const dns = require('dns');
+const { Readable } = require('stream');
+const httpClient = require('../../src/utils/httpClient');
+
+jest.mock('axios');
+
+describe('httpClient', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('isBlockedAddress', () => {
+    test('should block private, loopback, link-local and reserved addresses', () => {
+      ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.100.100.200', '0.0.0.0',
+        '::1', 'fd00:ec2::254', 'fe80::1', '::ffff:7f00:1', 'not-an-ip']
+        .forEach(address => expect(httpClient.isBlockedAddress(address)).toBe(true));
+    });
+
+    test('should block IPv6 addresses that embed an IPv4 address', () => {
+      ['::a9fe:a9fe', '::127.0.0.1', '2002:a9fe:a9fe::', '2002:7f00:1::1', '64:ff9b::a9fe:a9fe', '64:ff9b::10.0.0.1']
+        .forEach(address => expect(httpClient.isBlockedAddress(address)).toBe(true));
+    });
+
+    test('should allow public addresses', () => {
+      ['93.184.216.34', '151.101.1.164', '2606:2800:220:1:248:1893:25c8:1946']
+        .forEach(address => expect(httpClient.isBlockedAddress(address)).toBe(false));
+    });
+  });
+
+  describe('assertAllowedUrl', () => {
+    test('should reject other schemes and ports', () => {
+      expect(() => httpClient.assertAllowedUrl('file:///etc/passwd')).toThrow('file: URLs are not allowed');
+      expect(() => httpClient.assertAllowedUrl('https://example.com:6379/')).toThrow('port 6379 is not allowed');
+      expect(() => httpClient.assertAllowedUrl('not a url')).toThrow(/invalid URL/);
+      expect(httpClient.assertAllowedUrl('http://example.com:443/article').hostname).toBe('example.com');
+    });
+
+    test('should reject private IP literals in any notation', () => {
+      ['http://127.0.0.1/', 'http://2130706433/', 'http://0x7f.1/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/',
+        'http://[::169.254.169.254]/', 'http://[2002:a9fe:a9fe::]/', 'http://[64:ff9b::169.254.169.254]/']
+        .forEach(url => expect(() => httpClient.assertAllowedUrl(url)).toThrow(/private or reserved address/));
+    });
+  });
+
+  describe('safeLookup', () => {
+    test('should fail when any resolved address is private', done => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+        { address: '93.184.216.34', family: 4 },
+        { address: '10.0.0.5', family: 4 }
+      ]);
+
+      httpClient.safeLookup('internal.example.com', { all: true }, error => {
+        expect(error.code).toBe('ERR_BLOCKED_DESTINATION');
+        expect(error.message).toMatch('internal.example.com resolves to private or reserved address 10.0.0.5');
+        done();
+      });
+    });
+
+    test('should answer in the form the caller asked for', done => {
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+      httpClient.safeLookup('example.com', { family: 4 }, (error, address, family) => {
+        expect(error).toBeNull();
+        expect([address, family]).toEqual(['93.184.216.34', 4]);
+        done();
+      });
+    });
+  });
+
+  describe('get', () => {
+    test('should send requests through the protected agents', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: '' });
+
+      await httpClient.get('https://example.com/article', { timeout: 5000 });
+
+      expect(axios.get).toHaveBeenCalledWith('https://example.com/article', expect.objectContaining({
+        timeout: 5000,
+        httpAgent: expect.anything(),
+        httpsAgent: expect.anything(),
+        proxy: false
+      }));
+    });
+
+    test('should reject blocked URLs without sending a request', async () => {
+      await expect(httpClient.get('http://169.254.169.254/latest/meta-data/')).rejects.toThrow(/Blocked outbound request/);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should check every redirect target', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: '' });
+      const beforeRedirect = jest.fn();
+
+      await httpClient.get('https://example.com/article', { beforeRedirect });
+      const config = axios.get.mock.calls[0][1];
+
+      expect(() => config.beforeRedirect({ href: 'http://localhost:8080/admin' }, {})).toThrow('port 8080 is not allowed');
+      expect(() => config.beforeRedirect({ href: 'http://10.0.0.1/' }, {})).toThrow(/private or reserved address/);
+      config.beforeRedirect({ href: 'https://www.example.com/article' }, {});
+      expect(beforeRedirect).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('fetchPage', () => {
+    const html = '<html><body>Article</body></html>';
+
+    test('should ask for one byte more than the limit and read the page', async () => {
+      axios.get.mockResolvedValue({
+        status: 206,
+        headers: { 'content-type': 'text/html; charset=utf-8', 'content-range': `bytes 0-${html.length - 1}/${html.length}` },
+        data: Readable.from([Buffer.from(html)])
+      });
+
+      const response = await httpClient.fetchPage('https://example.com/article', { maxBytes: 100, headers: { Accept: 'text/html' } });
+
+      expect(response.status).toBe(200);
+      expect(response.data).toBe(html);
+      expect(axios.get.mock.calls[0][1]).toEqual(expect.objectContaining({
+        responseType: 'stream',
+        headers: { Accept: 'text/html', Range: 'bytes=0-100' }
+      }));
+    });
+
+    test('should reject a page whose declared size is over the limit without reading it', async () => {
+      const data = Readable.from([Buffer.from(html)]);
+      axios.get.mockResolvedValue({ status: 206, headers: { 'content-range': 'bytes 0-10/5000000000' }, data });
+
+      await expect(httpClient.fetchPage('https://example.com/huge', { maxBytes: 10 }))
+        .rejects.toMatchObject({ code: 'ERR_RESPONSE_TOO_LARGE' });
+      expect(data.destroyed).toBe(true);
+    });
+
+    test('should stop reading once an undeclared body passes the limit', async () => {
+      const data = Readable.from((function* endless() {
+        for (;;) yield Buffer.alloc(1024, 'a');
+      })());
+      axios.get.mockResolvedValue({ status: 200, headers: { 'content-type': 'text/html' }, data });
+
+      await expect(httpClient.fetchPage('https://example.com/stream', { maxBytes: 4096 }))
+        .rejects.toThrow('Page is too large (over 0 MB)');
+      expect(data.destroyed).toBe(true);
+    });
+
+    test('should only accept HTML from successful responses', async () => {
+      axios.get.mockResolvedValue({ status: 200, headers: { 'content-type': 'application/pdf' }, data: Readable.from([]) });
+      await expect(httpClient.fetchPage('https://example.com/report.pdf'))
+        .rejects.toMatchObject({ code: 'ERR_NOT_HTML', message: 'Not an HTML page (application/pdf)' });
+
+      axios.get.mockResolvedValue({ status: 404, headers: { 'content-type': 'application/json' }, data: Readable.from(['{}']) });
+      await expect(httpClient.fetchPage('https://example.com/missing')).resolves.toMatchObject({ status: 404, data: '{}' });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const { parsePageSections } = require('../../src/utils/pageSections');
+
+describe('pageSections', () => {
+  describe('parsePageSections', () => {
+    test('should separate the page chrome from the article', () => {
+      const html = `
+        <html><body>
+          <header><a href="/subscribe">Subscribe</a></header>
+          <nav><ul><li>World</li><li>Business</li></ul></nav>
+          <main>
+            <article>
+              <header><h1>Headline</h1></header>
+              <p>First paragraph.</p><p>Second paragraph.</p>
+              <footer>Continue reading</footer>
+            </article>
+            <aside>Most read</aside>
+          </main>
+          <footer>Copyright</footer>
+        </body></html>`;
+
+      expect(parsePageSections(html)).toMatchObject({
+        navigation: 'Subscribe World Business Copyright',
+        visible: 'Headline First paragraph. Second paragraph. Continue reading Most read',
+        content: 'Headline First paragraph. Second paragraph. Continue reading'
+      });
+    });
+
+    test('should ignore scripts, styles and hidden elements', () => {
+      const html = `
+        <html><head><style>.subscribe-button { color: red }</style></head><body>
+          <script>window.paywall = { subscribe: true };</script>
+          <div class="paywall" hidden>Subscribe now</div>
+          <div style="display: none">Premium content</div>
+          <p aria-hidden="true">Sign up</p>
+          <p>Visible text</p>
+        </body></html>`;
+
+      const sections = parsePageSections(html);
+
+      expect(sections.visible).toBe('Visible text');
+      expect(sections.content).toBe('Visible text');
+      expect(sections.markup).toContain('class="paywall"');
+      expect(sections.markup).not.toContain('window.paywall');
+    });
+
+    test('should cope with fragments and empty input', () => {
+      expect(parsePageSections('Just <b>text</b>')).toMatchObject({ visible: 'Just text', navigation: '' });
+      expect(parsePageSections(undefined)).toMatchObject({ visible: '', navigation: '', content: '' });
+    });
+  });
+});
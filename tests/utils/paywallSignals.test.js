@@ -0,0 +1,74 @@
+const { findPaywallSignals, parseSchemaBoolean } = require('../../src/utils/paywallSignals');
+
+describe('paywallSignals', () => {
+  describe('parseSchemaBoolean', () => {
+    test('should read the forms publishers use', () => {
+      expect(parseSchemaBoolean(false)).toBe(false);
+      expect(parseSchemaBoolean('False')).toBe(false);
+      expect(parseSchemaBoolean('https://schema.org/True')).toBe(true);
+      expect(parseSchemaBoolean('no')).toBeNull();
+      expect(parseSchemaBoolean(undefined)).toBeNull();
+    });
+  });
+
+  describe('findPaywallSignals', () => {
+    test('should find a paywalled section in a JSON-LD @graph', () => {
+      const html = `
+        <script type="application/ld+json">
+          {"@graph": [
+            {"@type": "WebSite", "name": "The Daily Example"},
+            {"@type": "NewsArticle", "isAccessibleForFree": "False",
+             "hasPart": {"@type": "WebPageElement", "isAccessibleForFree": "False", "cssSelector": ".paywall"}}
+          ]}
+        </script>`;
+
+      const result = findPaywallSignals(html);
+
+      expect(result.paywalled).toBe(true);
+      expect(result.reason).toBe('JSON-LD NewsArticle is marked isAccessibleForFree: false');
+      expect(result.signals).toEqual([
+        expect.objectContaining({ property: 'isAccessibleForFree', paywalled: true }),
+        expect.objectContaining({
+          property: 'hasPart.cssSelector',
+          value: '.paywall',
+          reason: 'JSON-LD NewsArticle marks ".paywall" as not free'
+        })
+      ]);
+    });
+
+    test('should read article:content_tier and microdata meta tags', () => {
+      expect(findPaywallSignals('<meta property="article:content_tier" content="locked">')).toMatchObject({
+        paywalled: true,
+        reason: 'Meta tag article:content_tier is "locked"'
+      });
+      expect(findPaywallSignals('<meta property="article:content_tier" content="metered">').paywalled).toBe(true);
+      expect(findPaywallSignals('<meta itemprop="isAccessibleForFree" content="false">')).toMatchObject({
+        paywalled: true,
+        reason: 'Meta tag isAccessibleForFree is false'
+      });
+    });
+
+    test('should still read signals from pages with numeric entities that name no character', () => {
+      const html = '<meta name="description" content="Offer &#99999999;">' +
+        '<meta property="article:content_tier" content="locked">';
+
+      expect(findPaywallSignals(html).paywalled).toBe(true);
+    });
+
+    test('should report free articles, unless another signal says otherwise', () => {
+      const free = '<meta property="article:content_tier" content="free">';
+      const locked = `<script type="application/ld+json">
+        {"@type": "Article", "hasPart": [{"isAccessibleForFree": false, "cssSelector": "#premium"}]}
+      </script>`;
+
+      expect(findPaywallSignals(free)).toMatchObject({ paywalled: false, reason: 'Meta tag article:content_tier is "free"' });
+      expect(findPaywallSignals(free + locked)).toMatchObject({ paywalled: true, reason: 'JSON-LD Article marks "#premium" as not free' });
+    });
+
+    test('should return no decision for pages without signals', () => {
+      expect(findPaywallSignals('<html><body><script type="application/ld+json">{not json</script></body></html>'))
+        .toEqual({ paywalled: null, reason: null, signals: [] });
+      expect(findPaywallSignals(null)).toEqual({ paywalled: null, reason: null, signals: [] });
+    });
+  });
+});